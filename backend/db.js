@@ -1,69 +1,27 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 
-// Server-side fallback parser (mirrors frontend logic)
+const TemporalParser = require('./utils/TemporalParser');
+
+// Natural text parser, used for natural-text POSTs and for the form's
+// preview (POST /timetable/parse)
 const parseNaturalTextServer = (text) => {
   const entries = [];
+  const temporal = new TemporalParser();
   
   // Split by common separators for multiple entries
   const lines = text.split(/[;\n]/).filter(line => line.trim());
   
   for (const line of lines) {
-    // Extract days - handle multiple days with &, and, comma
-    const dayPatterns = /\b(mon|monday|tue|tuesday|wed|wednesday|thu|thursday|fri|friday|sat|saturday|sun|sunday)\b/gi;
-    const dayMatches = line.match(dayPatterns) || [];
-    
-    // Normalize day names
-    const normalizedDays = dayMatches.map(day => {
-      const d = day.toLowerCase();
-      if (d.startsWith('mon')) return 'Monday';
-      if (d.startsWith('tue')) return 'Tuesday';
-      if (d.startsWith('wed')) return 'Wednesday';
-      if (d.startsWith('thu')) return 'Thursday';
-      if (d.startsWith('fri')) return 'Friday';
-      if (d.startsWith('sat')) return 'Saturday';
-      if (d.startsWith('sun')) return 'Sunday';
-      return day;
-    });
-    
-    // Extract times - handle various formats
-    const timePatterns = /(\d{1,2}):?(\d{2})?\s*(am|pm)?\s*(?:to|-|–|until)\s*(\d{1,2}):?(\d{2})?\s*(am|pm)?/gi;
-    const simpleTimePattern = /(\d{1,2})\s*(?:to|-|–|until)\s*(\d{1,2})/gi;
-    
-    let startTime = '', endTime = '';
-    
-    const timeMatch = timePatterns.exec(line) || simpleTimePattern.exec(line);
-    if (timeMatch) {
-      let start = parseInt(timeMatch[1]);
-      let startMin = timeMatch[2] ? parseInt(timeMatch[2]) : 0;
-      const startPeriod = timeMatch[3]?.toLowerCase();
-      
-      let end = parseInt(timeMatch[4] || timeMatch[2]);
-      let endMin = timeMatch[5] ? parseInt(timeMatch[5]) : 0;
-      const endPeriod = timeMatch[6]?.toLowerCase() || startPeriod;
-      
-      // Convert to 24-hour format
-      if (startPeriod === 'pm' && start !== 12) start += 12;
-      if (startPeriod === 'am' && start === 12) start = 0;
-      if (endPeriod === 'pm' && end !== 12) end += 12;
-      if (endPeriod === 'am' && end === 12) end = 0;
-      
-      // If no period specified, assume reasonable times
-      if (!startPeriod && !endPeriod) {
-        if (start < 8) start += 12; // Assume PM for early hours
-        if (end < start) end += 12; // End time should be after start
-      }
-      
-      startTime = `${start.toString().padStart(2, '0')}:${startMin.toString().padStart(2, '0')}`;
-      endTime = `${end.toString().padStart(2, '0')}:${endMin.toString().padStart(2, '0')}`;
-    }
+    // Days (lists, ranges, "weekdays") and the time range or start plus duration
+    const when = temporal.parse(line);
     
     // Extract subject - usually the first noun phrase before time or day
     let subject = '';
-    const words = line.split(/\s+/);
+    const words = line.trim().split(/\s+/);
     for (let i = 0; i < words.length; i++) {
       const word = words[i].toLowerCase();
-      if (!dayPatterns.test(word) && !word.match(/\d/) && !['to', 'and', '&', 'class', 'lab'].includes(word)) {
+      if (TemporalParser.dayNumber(word) === null && !word.match(/\d/) && !['to', 'and', '&', 'class', 'lab', 'on', 'every', 'at', 'from'].includes(word)) {
         subject = words[i];
         break;
       }
@@ -72,19 +30,17 @@ const parseNaturalTextServer = (text) => {
     // Determine type - lab/practical vs class
     const type = /\b(lab|practical|laboratory)\b/i.test(line) ? 'lab' : 'class';
     
-    // Create entries for each day
-    const days = normalizedDays.length > 0 ? normalizedDays : ['Monday']; // Default to Monday
-    
-    for (const day of days) {
-      if (startTime && endTime) {
+    // Create entries only if valid days and times are detected
+    if (when.days && when.start && when.end) {
+      when.days.forEach(day => {
         entries.push({
-          day,
-          start_time: startTime,
-          end_time: endTime,
+          day: TemporalParser.DAY_NAMES[day],
+          start_time: when.start,
+          end_time: when.end,
           type,
           subject: subject || 'Untitled'
         });
-      }
+      });
     }
   }
   
@@ -1,12 +1,20 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs').promises;
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Tables whose rows chat operations may snapshot and restore
+const RESTORABLE_TABLES = ['courses', 'sessions', 'constraints', 'timetables'];
 
 class Database {
   constructor() {
     this.db = null;
     this.dbPath = path.join(__dirname, '../../db/hanuplanner.db');
     this.schemaPath = path.join(__dirname, '../../db/schema.sql');
+    // Statements run one at a time; an open transaction holds the queue
+    // until it commits or rolls back
+    this.queue = Promise.resolve();
+    this.transactionScope = new AsyncLocalStorage();
   }
 
   async initialize() {
@@ -23,6 +31,7 @@ class Database {
       
       // Initialize schema
       await this.initializeSchema();
+      await this.applyMigrations();
       
       console.log('Database initialized successfully');
     } catch (error) {
@@ -47,32 +56,87 @@ class Database {
     }
   }
 
+  // Columns added after a table was first released. CREATE TABLE IF NOT EXISTS
+  // leaves existing databases untouched, so add whatever is missing.
+  async applyMigrations() {
+    const columns = [
+      ['courses', 'study_hours_per_credit', 'REAL DEFAULT 0'],
+      ['constraints', 'min_gap_minutes', 'INTEGER'],
+      // Sessions saved before flexibility existed were moved anywhere in the
+      // week when their slot was taken, so they keep doing that
+      ['sessions', 'flexibility', "TEXT DEFAULT 'any_day' CHECK (flexibility IN ('pinned', 'same_day', 'any_day'))"],
+      ['sessions', 'window_start', 'TEXT'],
+      ['sessions', 'window_end', 'TEXT'],
+      ['sessions', 'section_group', 'TEXT'],
+      ['sessions', 'section', 'TEXT'],
+      ['timetables', 'generation_log', 'TEXT']
+    ];
+
+    try {
+      for (const [table, column, definition] of columns) {
+        const existing = await this.all(`PRAGMA table_info(${table})`);
+        if (!existing.some(info => info.name === column)) {
+          await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+      }
+    } catch (error) {
+      console.error('Schema migration error:', error);
+      throw error;
+    }
+  }
+
+  // Wait for the statements and transactions queued before `task`. The
+  // transaction's own statements are already inside it and run at once.
+  exclusive(task) {
+    if (this.transactionScope.getStore()) return task();
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
   // Promisified database operations
   run(sql, params = []) {
-    return new Promise((resolve, reject) => {
+    return this.exclusive(() => new Promise((resolve, reject) => {
       this.db.run(sql, params, function(err) {
         if (err) reject(err);
         else resolve({ id: this.lastID, changes: this.changes });
       });
-    });
+    }));
   }
 
   get(sql, params = []) {
-    return new Promise((resolve, reject) => {
+    return this.exclusive(() => new Promise((resolve, reject) => {
       this.db.get(sql, params, (err, row) => {
         if (err) reject(err);
         else resolve(row);
       });
-    });
+    }));
   }
 
   all(sql, params = []) {
-    return new Promise((resolve, reject) => {
+    return this.exclusive(() => new Promise((resolve, reject) => {
       this.db.all(sql, params, (err, rows) => {
         if (err) reject(err);
         else resolve(rows);
       });
-    });
+    }));
+  }
+
+  // Run `work` between BEGIN and COMMIT, rolling everything back if it
+  // throws. Other callers share the connection, so their statements wait
+  // until the transaction is over rather than landing inside it.
+  transaction(work) {
+    return this.exclusive(() => this.transactionScope.run(true, async () => {
+      await this.run('BEGIN TRANSACTION');
+      try {
+        const result = await work();
+        await this.run('COMMIT');
+        return result;
+      } catch (error) {
+        await this.run('ROLLBACK');
+        throw error;
+      }
+    }));
   }
 
   // User operations
@@ -89,6 +153,18 @@ class Database {
     return result.id;
   }
 
+  async getUserPreferences(userId) {
+    const row = await this.get('SELECT preferences FROM users WHERE id = ?', [userId]);
+    return row && row.preferences ? JSON.parse(row.preferences) : {};
+  }
+
+  async updateUserPreferences(userId, preferences) {
+    await this.run(
+      'UPDATE users SET preferences = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [JSON.stringify(preferences || {}), userId]
+    );
+  }
+
   // Course operations
   async getCoursesByUser(userId) {
     return this.all('SELECT * FROM courses WHERE user_id = ? ORDER BY priority, name', [userId]);
@@ -99,10 +175,10 @@ class Database {
   }
 
   async createCourse(courseData) {
-    const { userId, name, code, priority, credits, color, description } = courseData;
+    const { userId, name, code, priority, credits, color, description, studyHoursPerCredit = 0 } = courseData;
     const result = await this.run(
-      'INSERT INTO courses (user_id, name, code, priority, credits, color, description) VALUES (?, ?, ?, ?, ?, ?, ?)',
-      [userId, name, code, priority, credits, color, description]
+      'INSERT INTO courses (user_id, name, code, priority, credits, color, description, study_hours_per_credit) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [userId, name, code, priority, credits, color, description, studyHoursPerCredit]
     );
     return result.id;
   }
@@ -122,7 +198,7 @@ class Database {
     
     values.push(id);
     await this.run(
-      `UPDATE courses SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      `UPDATE courses SET ${fields.join(', ')} WHERE id = ?`,
       values
     );
   }
@@ -161,10 +237,13 @@ class Database {
   }
 
   async createSession(sessionData) {
-    const { courseId, type, dayOfWeek, startTime, endTime, location, instructor } = sessionData;
+    const {
+      courseId, type, dayOfWeek, startTime, endTime, location, instructor,
+      flexibility = 'pinned', windowStart = null, windowEnd = null, sectionGroup = null, section = null
+    } = sessionData;
     const result = await this.run(
-      'INSERT INTO sessions (course_id, type, day_of_week, start_time, end_time, location, instructor) VALUES (?, ?, ?, ?, ?, ?, ?)',
-      [courseId, type, dayOfWeek, startTime, endTime, location, instructor]
+      'INSERT INTO sessions (course_id, type, day_of_week, start_time, end_time, location, instructor, flexibility, window_start, window_end, section_group, section) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [courseId, type, dayOfWeek, startTime, endTime, location, instructor, flexibility, windowStart, windowEnd, sectionGroup, section]
     );
     return result.id;
   }
@@ -199,31 +278,121 @@ class Database {
   }
 
   async createConstraint(constraintData) {
-    const { userId, type, dayOfWeek, startTime, endTime, description } = constraintData;
+    const { userId, type, dayOfWeek, startTime, endTime, minGapMinutes, description } = constraintData;
     const result = await this.run(
-      'INSERT INTO constraints (user_id, type, day_of_week, start_time, end_time, description) VALUES (?, ?, ?, ?, ?, ?)',
-      [userId, type, dayOfWeek, startTime, endTime, description]
+      'INSERT INTO constraints (user_id, type, day_of_week, start_time, end_time, min_gap_minutes, description) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [userId, type, dayOfWeek, startTime, endTime, minGapMinutes, description]
     );
     return result.id;
   }
 
+  async getConstraintById(id) {
+    return this.get('SELECT * FROM constraints WHERE id = ?', [id]);
+  }
+
+  async updateConstraint(id, updates) {
+    const fields = [];
+    const values = [];
+    
+    Object.entries(updates).forEach(([key, value]) => {
+      if (key !== 'id' && value !== undefined) {
+        fields.push(`${key} = ?`);
+        values.push(value);
+      }
+    });
+    
+    if (fields.length === 0) return;
+    
+    values.push(id);
+    await this.run(
+      `UPDATE constraints SET ${fields.join(', ')} WHERE id = ?`,
+      values
+    );
+  }
+
   async deleteConstraint(id) {
     await this.run('DELETE FROM constraints WHERE id = ?', [id]);
   }
 
+  // Location operations
+  async getLocationsByUser(userId) {
+    const buildings = await this.all('SELECT * FROM buildings WHERE user_id = ? ORDER BY name', [userId]);
+    const rooms = await this.all(
+      'SELECT r.* FROM rooms r JOIN buildings b ON r.building_id = b.id WHERE b.user_id = ? ORDER BY r.name',
+      [userId]
+    );
+    const walkingTimes = await this.all(
+      'SELECT w.* FROM walking_times w JOIN buildings b ON w.from_building_id = b.id WHERE b.user_id = ?',
+      [userId]
+    );
+    return { buildings, rooms, walkingTimes };
+  }
+
+  async createBuilding(buildingData) {
+    const { userId, name, code } = buildingData;
+    const result = await this.run(
+      'INSERT INTO buildings (user_id, name, code) VALUES (?, ?, ?)',
+      [userId, name, code]
+    );
+    return result.id;
+  }
+
+  async deleteBuilding(id) {
+    await this.run('DELETE FROM walking_times WHERE from_building_id = ? OR to_building_id = ?', [id, id]);
+    await this.run('DELETE FROM rooms WHERE building_id = ?', [id]);
+    await this.run('DELETE FROM buildings WHERE id = ?', [id]);
+  }
+
+  async createRoom(roomData) {
+    const { buildingId, name } = roomData;
+    const result = await this.run(
+      'INSERT INTO rooms (building_id, name) VALUES (?, ?)',
+      [buildingId, name]
+    );
+    return result.id;
+  }
+
+  async deleteRoom(id) {
+    await this.run('DELETE FROM rooms WHERE id = ?', [id]);
+  }
+
+  // Walking times are symmetric, so a pair is stored once in either order
+  async setWalkingTime(fromBuildingId, toBuildingId, minutes) {
+    await this.run(
+      'DELETE FROM walking_times WHERE (from_building_id = ? AND to_building_id = ?) OR (from_building_id = ? AND to_building_id = ?)',
+      [fromBuildingId, toBuildingId, toBuildingId, fromBuildingId]
+    );
+    await this.run(
+      'INSERT INTO walking_times (from_building_id, to_building_id, minutes) VALUES (?, ?, ?)',
+      [fromBuildingId, toBuildingId, minutes]
+    );
+  }
+
   // Timetable operations
   async saveTimetable(userId, name, timetableData) {
     // Mark all existing timetables as not current
     await this.run('UPDATE timetables SET is_current = 0 WHERE user_id = ?', [userId]);
     
-    // Insert new timetable as current
+    // Insert new timetable as current; its generation log gets its own column
+    const { generationLog, ...data } = timetableData;
     const result = await this.run(
-      'INSERT INTO timetables (user_id, name, data, is_current, score) VALUES (?, ?, ?, 1, ?)',
-      [userId, name, JSON.stringify(timetableData), timetableData.score || 0]
+      'INSERT INTO timetables (user_id, name, data, is_current, score, generation_log) VALUES (?, ?, ?, 1, ?, ?)',
+      [userId, name, JSON.stringify(data), timetableData.score || 0, generationLog ? JSON.stringify(generationLog) : null]
     );
     return result.id;
   }
 
+  async getTimetableLog(id) {
+    const row = await this.get(
+      'SELECT id, user_id, name, is_current, score, created_at, generation_log FROM timetables WHERE id = ?',
+      [id]
+    );
+    if (row) {
+      row.generation_log = row.generation_log ? JSON.parse(row.generation_log) : null;
+    }
+    return row;
+  }
+
   async getCurrentTimetable(userId) {
     const row = await this.get('SELECT * FROM timetables WHERE user_id = ? AND is_current = 1', [userId]);
     if (row) {
@@ -234,12 +403,13 @@ class Database {
 
   async getTimetableHistory(userId, limit = 10) {
     const rows = await this.all(
-      'SELECT * FROM timetables WHERE user_id = ? ORDER BY created_at DESC LIMIT ?',
+      'SELECT * FROM timetables WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
       [userId, limit]
     );
     return rows.map(row => ({
       ...row,
-      data: JSON.parse(row.data)
+      data: JSON.parse(row.data),
+      generation_log: row.generation_log ? JSON.parse(row.generation_log) : null
     }));
   }
 
@@ -263,6 +433,96 @@ class Database {
     })).reverse();
   }
 
+  // Chat context operations
+  async getChatContext(userId) {
+    const row = await this.get('SELECT state FROM chat_context WHERE user_id = ?', [userId]);
+    return row ? JSON.parse(row.state) : null;
+  }
+
+  async saveChatContext(userId, state) {
+    await this.run(
+      'INSERT OR REPLACE INTO chat_context (user_id, state, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+      [userId, JSON.stringify(state)]
+    );
+  }
+
+  async clearChatContext(userId) {
+    await this.run('DELETE FROM chat_context WHERE user_id = ?', [userId]);
+  }
+
+  // Chat operation log
+  async createChatOperation(userId, description, changes) {
+    const result = await this.run(
+      'INSERT INTO chat_operations (user_id, description, changes) VALUES (?, ?, ?)',
+      [userId, description, JSON.stringify(changes)]
+    );
+    return result.id;
+  }
+
+  // Most recent first when undoing, oldest undone first when redoing
+  async getChatOperations(userId, undone, limit) {
+    const rows = await this.all(
+      `SELECT * FROM chat_operations WHERE user_id = ? AND undone = ? ORDER BY id ${undone ? 'ASC' : 'DESC'} LIMIT ?`,
+      [userId, undone ? 1 : 0, limit]
+    );
+    return rows.map(row => ({ ...row, changes: JSON.parse(row.changes) }));
+  }
+
+  async updateChatOperation(id, undone, changes) {
+    await this.run(
+      'UPDATE chat_operations SET undone = ?, changes = ? WHERE id = ?',
+      [undone ? 1 : 0, JSON.stringify(changes), id]
+    );
+  }
+
+  // A new change makes everything undone unreachable for redo
+  async clearUndoneChatOperations(userId) {
+    await this.run('DELETE FROM chat_operations WHERE user_id = ? AND undone = 1', [userId]);
+  }
+
+  // Raw row snapshots for chat operations
+  async getRow(table, id) {
+    this.assertRestorable(table);
+    return this.get(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+  }
+
+  async getRowsWhere(table, column, value) {
+    this.assertRestorable(table);
+    return this.all(`SELECT * FROM ${table} WHERE ${column} = ?`, [value]);
+  }
+
+  // Put a snapshot back, updating the row in place when it still exists so
+  // that rows depending on it are not cascaded away
+  async restoreRow(table, row) {
+    this.assertRestorable(table);
+    const columns = Object.keys(row);
+    const existing = await this.getRow(table, row.id);
+
+    if (existing) {
+      const assignments = columns.filter(column => column !== 'id').map(column => `${column} = ?`);
+      await this.run(
+        `UPDATE ${table} SET ${assignments.join(', ')} WHERE id = ?`,
+        [...columns.filter(column => column !== 'id').map(column => row[column]), row.id]
+      );
+    } else {
+      await this.run(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => row[column])
+      );
+    }
+  }
+
+  async deleteRow(table, id) {
+    this.assertRestorable(table);
+    await this.run(`DELETE FROM ${table} WHERE id = ?`, [id]);
+  }
+
+  assertRestorable(table) {
+    if (!RESTORABLE_TABLES.includes(table)) {
+      throw new Error(`Rows of ${table} cannot be restored`);
+    }
+  }
+
   // Cache operations
   async getCache(key) {
     const row = await this.get('SELECT * FROM cache WHERE key = ? AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)', [key]);
@@ -1,19 +1,25 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
 const Database = require('./models/Database');
 const ChatBot = require('./services/ChatBot');
+const ChatReplies = require('./services/ChatReplies');
 const TimetableGenerator = require('./services/TimetableGenerator');
 const CacheManager = require('./services/CacheManager');
+const ScoringModel = require('./services/ScoringModel');
+const WorkloadLimits = require('./services/WorkloadLimits');
+const OperationLog = require('./services/OperationLog');
+const { parseNaturalTextServer } = require('./db');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Initialize services
 const db = new Database();
-const chatBot = new ChatBot(db);
 const timetableGenerator = new TimetableGenerator(db);
 const cache = new CacheManager(db);
+const chatBot = new ChatBot(db, cache);
 
 // Middleware
 app.use(cors());
@@ -47,11 +53,26 @@ app.get('/api/health', (req, res) => {
   sendResponse(res, true, { status: 'healthy', database: db.isConnected() }, 'Server is running');
 });
 
-// Chat endpoints
+// Chat endpoints. A button in a reply posts its `action` (see
+// services/ChatReplies.js) instead of a typed message, with the button's
+// label as `message`.
 app.post('/api/chat', async (req, res) => {
   try {
-    const { message, userId = 1 } = req.body;
+    const { message, action, userId = 1 } = req.body;
     
+    if (action !== undefined) {
+      const problem = ChatReplies.checkAction(action);
+      if (problem) {
+        return sendResponse(res, false, null, problem, 400);
+      }
+      if (message !== undefined && typeof message !== 'string') {
+        return sendResponse(res, false, null, 'Message must be a string', 400);
+      }
+
+      const response = await chatBot.processAction(action, userId, message);
+      return sendResponse(res, true, response, 'Action processed');
+    }
+
     if (!message || typeof message !== 'string') {
       return sendResponse(res, false, null, 'Message is required', 400);
     }
@@ -64,6 +85,106 @@ app.post('/api/chat', async (req, res) => {
   }
 });
 
+// Work behind the open chat streams, by stream id
+const chatStreams = new Map();
+
+// The same chat over Server-Sent Events, for replies that take a while: a
+// `stream` event ({ id }) to cancel by, `progress` events ({ stage, text })
+// while a timetable is generated or a what-if is compared, then the reply
+// as a `reply` event once the work is done. Closing the connection also
+// cancels a generation that has not been saved yet, but without a reply
+// to say so.
+app.get('/api/chat/stream', async (req, res) => {
+  const { message } = req.query;
+  const userId = req.query.userId !== undefined ? Number(req.query.userId) : 1;
+  let action;
+
+  try {
+    action = req.query.action !== undefined ? JSON.parse(req.query.action) : undefined;
+  } catch (error) {
+    return sendResponse(res, false, null, 'Action must be JSON', 400);
+  }
+  if (!Number.isInteger(userId)) {
+    return sendResponse(res, false, null, 'User id must be a whole number', 400);
+  }
+  if (action !== undefined) {
+    const problem = ChatReplies.checkAction(action);
+    if (problem) {
+      return sendResponse(res, false, null, problem, 400);
+    }
+  } else if (!message || typeof message !== 'string') {
+    return sendResponse(res, false, null, 'Message is required', 400);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const streamId = crypto.randomUUID();
+  const cancel = new AbortController();
+  chatStreams.set(streamId, cancel);
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+    if (!res.writableEnded) cancel.abort();
+  });
+  const send = (event, data) => {
+    if (!closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  try {
+    send('stream', { id: streamId });
+    const options = { onProgress: progress => send('progress', progress), signal: cancel.signal };
+    const response = action !== undefined
+      ? await chatBot.processAction(action, userId, typeof message === 'string' ? message : null, options)
+      : await chatBot.processMessage(message, userId, options);
+
+    send('reply', response);
+  } catch (error) {
+    console.error('Chat stream error:', error);
+    send('failure', { message: 'Failed to process message' });
+  } finally {
+    chatStreams.delete(streamId);
+  }
+  res.end();
+});
+
+// Stop the work behind an open chat stream. The stream still ends with a
+// reply: `generation_cancelled` among its actions when nothing was saved,
+// the finished reply when the work got there first.
+app.post('/api/chat/stream/:streamId/cancel', (req, res) => {
+  const cancel = chatStreams.get(req.params.streamId);
+  if (!cancel) {
+    return sendResponse(res, false, null, 'That reply has already finished', 404);
+  }
+
+  cancel.abort();
+  sendResponse(res, true, null, 'Cancelling');
+});
+
+// Undo or redo the last `count` changes made through the chat
+app.post('/api/chat/:step(undo|redo)', async (req, res) => {
+  try {
+    const { userId = 1, count = 1 } = req.body;
+
+    if (!Number.isInteger(count) || count < 1 || count > OperationLog.MAX_STEPS) {
+      return sendResponse(res, false, null, `Count must be a whole number from 1 to ${OperationLog.MAX_STEPS}`, 400);
+    }
+
+    const response = req.params.step === 'undo'
+      ? await chatBot.undo(userId, count)
+      : await chatBot.redo(userId, count);
+    sendResponse(res, true, response, response.text);
+  } catch (error) {
+    console.error('Chat undo/redo error:', error);
+    sendResponse(res, false, null, `Failed to ${req.params.step} chat changes`, 500);
+  }
+});
+
 app.get('/api/chat/history/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
@@ -77,6 +198,77 @@ app.get('/api/chat/history/:userId', async (req, res) => {
   }
 });
 
+// User preference endpoints
+app.get('/api/preferences/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const preferences = await db.getUserPreferences(userId);
+    sendResponse(res, true, preferences, 'Preferences retrieved');
+  } catch (error) {
+    console.error('Get preferences error:', error);
+    sendResponse(res, false, null, 'Failed to retrieve preferences', 500);
+  }
+});
+
+app.put('/api/preferences/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const updates = req.body || {};
+
+    if (updates.scoring) {
+      const errors = new ScoringModel(timetableGenerator, updates.scoring).validate();
+      if (errors.length > 0) {
+        return sendResponse(res, false, { errors }, errors[0], 400);
+      }
+    }
+
+    if (updates.workload) {
+      const errors = new WorkloadLimits(updates.workload).validate();
+      if (errors.length > 0) {
+        return sendResponse(res, false, { errors }, errors[0], 400);
+      }
+    }
+
+    if (updates.study) {
+      const blockMinutes = Number(updates.study.blockMinutes);
+      if (!(Number.isInteger(blockMinutes) && blockMinutes >= 15 && blockMinutes <= 240)) {
+        return sendResponse(res, false, null, 'Study block length must be between 15 and 240 minutes', 400);
+      }
+    }
+
+    if (updates.schedule) {
+      const errors = timetableGenerator.validateSettings(updates.schedule);
+      if (errors.length > 0) {
+        return sendResponse(res, false, { errors }, errors[0], 400);
+      }
+      updates.schedule = { ...updates.schedule, slotMinutes: Number(updates.schedule.slotMinutes || 30) };
+    }
+
+    const preferences = { ...(await db.getUserPreferences(userId)), ...updates };
+    await db.updateUserPreferences(userId, preferences);
+
+    // Preferences change how timetables are scored and placed
+    await cache.invalidate(`timetable_${userId}`);
+
+    sendResponse(res, true, preferences, 'Preferences updated successfully');
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    sendResponse(res, false, null, 'Failed to update preferences', 500);
+  }
+});
+
+app.get('/api/scoring/objectives/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const preferences = await db.getUserPreferences(userId);
+    const objectives = new ScoringModel(timetableGenerator, preferences.scoring).describe();
+    sendResponse(res, true, objectives, 'Scoring objectives retrieved');
+  } catch (error) {
+    console.error('Get scoring objectives error:', error);
+    sendResponse(res, false, null, 'Failed to retrieve scoring objectives', 500);
+  }
+});
+
 // Course endpoints
 app.get('/api/courses/:userId', async (req, res) => {
   try {
@@ -91,12 +283,18 @@ app.get('/api/courses/:userId', async (req, res) => {
 
 app.post('/api/courses', async (req, res) => {
   try {
-    const { userId = 1, name, code, priority = 1, credits = 3, color = '#3B82F6', description } = req.body;
+    const {
+      userId = 1, name, code, priority = 1, credits = 3, color = '#3B82F6', description, studyHoursPerCredit = 0
+    } = req.body;
     
     if (!name) {
       return sendResponse(res, false, null, 'Course name is required', 400);
     }
 
+    if (!(Number(studyHoursPerCredit) >= 0 && Number(studyHoursPerCredit) <= 10)) {
+      return sendResponse(res, false, null, 'Study hours per credit must be between 0 and 10', 400);
+    }
+
     const courseId = await db.createCourse({
       userId,
       name,
@@ -104,11 +302,13 @@ app.post('/api/courses', async (req, res) => {
       priority,
       credits,
       color,
-      description
+      description,
+      studyHoursPerCredit: Number(studyHoursPerCredit)
     });
 
-    // Invalidate cache
+    // Invalidate cache; study targets add blocks to the timetable
     await cache.invalidate(`courses_${userId}`);
+    await cache.invalidate(`timetable_${userId}`);
     
     sendResponse(res, true, { id: courseId }, 'Course created successfully');
   } catch (error) {
@@ -120,14 +320,27 @@ app.post('/api/courses', async (req, res) => {
 app.put('/api/courses/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
-    
-    await db.updateCourse(id, updates);
+    const { name, code, priority, credits, color, description, studyHoursPerCredit } = req.body;
+
+    if (studyHoursPerCredit !== undefined && !(Number(studyHoursPerCredit) >= 0 && Number(studyHoursPerCredit) <= 10)) {
+      return sendResponse(res, false, null, 'Study hours per credit must be between 0 and 10', 400);
+    }
+
+    await db.updateCourse(id, {
+      name,
+      code,
+      priority,
+      credits,
+      color,
+      description,
+      study_hours_per_credit: studyHoursPerCredit !== undefined ? Number(studyHoursPerCredit) : undefined
+    });
     
     // Invalidate related cache
     const course = await db.getCourseById(id);
     if (course) {
       await cache.invalidate(`courses_${course.user_id}`);
+      await cache.invalidate(`timetable_${course.user_id}`);
     }
     
     sendResponse(res, true, null, 'Course updated successfully');
@@ -170,17 +383,52 @@ app.get('/api/sessions/:userId', async (req, res) => {
   }
 });
 
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// First problem with a session's fields, as the create and update routes
+// receive them, or null when there is none
+function validateSessionFields({ type, dayOfWeek, startTime, endTime, flexibility, windowStart, windowEnd, sectionGroup, section }) {
+  if (!['lecture', 'lab', 'tutorial', 'seminar'].includes(type)) {
+    return 'Session type must be lecture, lab, tutorial or seminar';
+  }
+  if (!(Number.isInteger(Number(dayOfWeek)) && Number(dayOfWeek) >= 0 && Number(dayOfWeek) <= 6)) {
+    return 'Day of week must be a number from 0 to 6';
+  }
+  if (!TIME_PATTERN.test(startTime) || !TIME_PATTERN.test(endTime)) {
+    return 'Start and end times must use HH:MM format';
+  }
+  if (startTime >= endTime) {
+    return 'End time must be after start time';
+  }
+  if (!['pinned', 'same_day', 'any_day'].includes(flexibility)) {
+    return 'Flexibility must be pinned, same_day or any_day';
+  }
+  if ((windowStart && !TIME_PATTERN.test(windowStart)) || (windowEnd && !TIME_PATTERN.test(windowEnd))) {
+    return 'Window times must use HH:MM format';
+  }
+  if (windowStart && windowEnd && windowStart >= windowEnd) {
+    return 'Window end must be after window start';
+  }
+  if (Boolean(sectionGroup) !== Boolean(section)) {
+    return 'Section group and section must be given together';
+  }
+  return null;
+}
+
 app.post('/api/sessions', async (req, res) => {
   try {
-    const { courseId, type, dayOfWeek, startTime, endTime, location, instructor } = req.body;
+    const {
+      courseId, type, dayOfWeek, startTime, endTime, location, instructor,
+      flexibility = 'pinned', windowStart, windowEnd, sectionGroup, section
+    } = req.body;
     
     if (!courseId || !type || dayOfWeek === undefined || !startTime || !endTime) {
       return sendResponse(res, false, null, 'Missing required fields', 400);
     }
 
-    // Validate time format and logic
-    if (startTime >= endTime) {
-      return sendResponse(res, false, null, 'End time must be after start time', 400);
+    const error = validateSessionFields({ type, dayOfWeek, startTime, endTime, flexibility, windowStart, windowEnd, sectionGroup, section });
+    if (error) {
+      return sendResponse(res, false, null, error, 400);
     }
 
     const sessionId = await db.createSession({
@@ -190,7 +438,12 @@ app.post('/api/sessions', async (req, res) => {
       startTime,
       endTime,
       location,
-      instructor
+      instructor,
+      flexibility,
+      windowStart: flexibility === 'pinned' ? null : windowStart || null,
+      windowEnd: flexibility === 'pinned' ? null : windowEnd || null,
+      sectionGroup: sectionGroup || null,
+      section: section || null
     });
 
     // Invalidate timetable cache
@@ -206,6 +459,86 @@ app.post('/api/sessions', async (req, res) => {
   }
 });
 
+// Fields left out of the body keep their current values
+app.put('/api/sessions/:id', async (req, res) => {
+  try {
+    const session = await db.getSessionById(req.params.id);
+    if (!session) {
+      return sendResponse(res, false, null, 'Session not found', 404);
+    }
+
+    const body = req.body || {};
+    const pick = (key, column) => (body[key] !== undefined ? body[key] : session[column]);
+    const fields = {
+      type: pick('type', 'type'),
+      dayOfWeek: pick('dayOfWeek', 'day_of_week'),
+      startTime: pick('startTime', 'start_time'),
+      endTime: pick('endTime', 'end_time'),
+      flexibility: pick('flexibility', 'flexibility'),
+      windowStart: pick('windowStart', 'window_start'),
+      windowEnd: pick('windowEnd', 'window_end'),
+      sectionGroup: pick('sectionGroup', 'section_group'),
+      section: pick('section', 'section')
+    };
+
+    const error = validateSessionFields(fields);
+    if (error) {
+      return sendResponse(res, false, null, error, 400);
+    }
+
+    await db.updateSession(session.id, {
+      type: fields.type,
+      day_of_week: Number(fields.dayOfWeek),
+      start_time: fields.startTime,
+      end_time: fields.endTime,
+      location: body.location,
+      instructor: body.instructor,
+      flexibility: fields.flexibility,
+      window_start: fields.flexibility === 'pinned' ? null : fields.windowStart || null,
+      window_end: fields.flexibility === 'pinned' ? null : fields.windowEnd || null,
+      section_group: fields.sectionGroup || null,
+      section: fields.section || null
+    });
+
+    const course = await db.getCourseById(session.course_id);
+    if (course) {
+      await cache.invalidate(`timetable_${course.user_id}`);
+    }
+
+    sendResponse(res, true, await db.getSessionById(session.id), 'Session updated successfully');
+  } catch (error) {
+    console.error('Update session error:', error);
+    sendResponse(res, false, null, 'Failed to update session', 500);
+  }
+});
+
+// Repair the saved timetable after an edit so sessions only move when they
+// have to; without a saved timetable, build one from scratch
+async function rebuildTimetable(userId, options = {}) {
+  const saved = await db.getCurrentTimetable(userId);
+  if (!saved) {
+    const timetable = await timetableGenerator.generateTimetable(userId, options);
+    if (options.save) {
+      await db.saveTimetable(userId, 'Auto-generated', timetable);
+    }
+    return timetable;
+  }
+
+  // Unsaved repairs are only a preview of what POST /repair would keep
+  const timetable = await timetableGenerator.repairTimetable(userId, saved.data, options);
+  if (options.save) {
+    await db.saveTimetable(userId, 'Repaired', timetable);
+  } else if (timetable.repair.changed) {
+    timetable.preview = true;
+  }
+  return timetable;
+}
+
+// Seeds only break ties, so any short number or string will do
+function isValidSeed(seed) {
+  return seed === undefined || (['string', 'number'].includes(typeof seed) && String(seed).length > 0 && String(seed).length <= 64);
+}
+
 // Timetable endpoints
 app.get('/api/timetable/:userId', async (req, res) => {
   try {
@@ -217,12 +550,12 @@ app.get('/api/timetable/:userId', async (req, res) => {
       return sendResponse(res, true, cached, 'Timetable retrieved from cache');
     }
 
-    const timetable = await timetableGenerator.generateTimetable(userId);
+    const timetable = await rebuildTimetable(userId);
     
     // Cache the result
     await cache.set(`timetable_${userId}`, timetable, 3600); // 1 hour
     
-    sendResponse(res, true, timetable, 'Timetable generated');
+    sendResponse(res, true, timetable, timetable.preview ? 'Timetable repair preview, not saved yet' : 'Timetable retrieved');
   } catch (error) {
     console.error('Timetable generation error:', error);
     sendResponse(res, false, null, 'Failed to generate timetable', 500);
@@ -232,10 +565,19 @@ app.get('/api/timetable/:userId', async (req, res) => {
 app.post('/api/timetable/regenerate/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
+    const { strategy = 'greedy', seed } = req.body || {};
+
+    if (!timetableGenerator.strategies.includes(strategy)) {
+      return sendResponse(res, false, null, `Unknown strategy. Use one of: ${timetableGenerator.strategies.join(', ')}`, 400);
+    }
+
+    if (!isValidSeed(seed)) {
+      return sendResponse(res, false, null, 'seed must be a number or a string of up to 64 characters', 400);
+    }
     
     // Clear cache and regenerate
     await cache.invalidate(`timetable_${userId}`);
-    const timetable = await timetableGenerator.generateTimetable(userId);
+    const timetable = await timetableGenerator.generateTimetable(userId, { strategy, seed });
     
     // Save to database
     await db.saveTimetable(userId, 'Auto-generated', timetable);
@@ -250,6 +592,245 @@ app.post('/api/timetable/regenerate/:userId', async (req, res) => {
   }
 });
 
+app.post('/api/timetable/repair/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const timetable = await rebuildTimetable(userId, { save: true });
+    await cache.set(`timetable_${userId}`, timetable, 3600);
+
+    const displaced = timetable.repair ? timetable.repair.displaced.length : 0;
+    sendResponse(res, true, timetable, `Timetable repaired, ${displaced} session${displaced === 1 ? '' : 's'} moved`);
+  } catch (error) {
+    console.error('Timetable repair error:', error);
+    sendResponse(res, false, null, 'Failed to repair timetable', 500);
+  }
+});
+
+app.post('/api/timetable/optimize/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { seed, maxIterations, timeLimitMs } = req.body || {};
+
+    if (!isValidSeed(seed)) {
+      return sendResponse(res, false, null, 'seed must be a number or a string of up to 64 characters', 400);
+    }
+    if (maxIterations !== undefined && !(Number.isInteger(maxIterations) && maxIterations > 0 && maxIterations <= 100000)) {
+      return sendResponse(res, false, null, 'maxIterations must be an integer between 1 and 100000', 400);
+    }
+    if (timeLimitMs !== undefined && !(Number(timeLimitMs) > 0 && Number(timeLimitMs) <= 30000)) {
+      return sendResponse(res, false, null, 'timeLimitMs must be between 1 and 30000', 400);
+    }
+
+    // Start from the timetable the user is looking at
+    let current = await cache.get(`timetable_${userId}`);
+    if (!current) {
+      const saved = await db.getCurrentTimetable(userId);
+      current = saved ? saved.data : await timetableGenerator.generateTimetable(userId);
+    }
+
+    const timetable = await timetableGenerator.optimizeTimetable(userId, current, { seed, maxIterations, timeLimitMs });
+
+    await db.saveTimetable(userId, 'Optimized', timetable);
+    await cache.set(`timetable_${userId}`, timetable, 3600);
+
+    sendResponse(res, true, timetable, `Timetable optimized with ${timetable.optimization.moves.length} moves`);
+  } catch (error) {
+    console.error('Timetable optimization error:', error);
+    sendResponse(res, false, null, 'Failed to optimize timetable', 500);
+  }
+});
+
+app.get('/api/timetable/alternatives/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const count = req.query.count !== undefined ? Number(req.query.count) : 3;
+    const { seed } = req.query;
+
+    if (!(Number.isInteger(count) && count >= 1 && count <= 10)) {
+      return sendResponse(res, false, null, 'count must be an integer between 1 and 10', 400);
+    }
+
+    if (!isValidSeed(seed)) {
+      return sendResponse(res, false, null, 'seed must be a number or a string of up to 64 characters', 400);
+    }
+
+    const result = await timetableGenerator.generateAlternatives(userId, { count, seed });
+    // Held here so the user picks one by id rather than posting it back
+    await cache.set(`alternatives_${userId}`, result.alternatives, 3600);
+
+    sendResponse(res, true, result, `Found ${result.alternatives.length} alternative timetable${result.alternatives.length === 1 ? '' : 's'}`);
+  } catch (error) {
+    console.error('Alternative timetables error:', error);
+    sendResponse(res, false, null, 'Failed to generate alternative timetables', 500);
+  }
+});
+
+// Apply one of the fixes attached to a conflict, then repair the timetable
+// Fixes go through the chat's operation log, so "undo" in the chat (or
+// POST /api/chat/undo) puts a moved session or relaxed constraint back.
+// The saved timetable is repaired, which keeps its own placements, so fixes
+// take no strategy.
+app.post('/api/timetable/fix/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { fix } = req.body || {};
+
+    if (!fix || !['move_session', 'relax_constraint'].includes(fix.type)) {
+      return sendResponse(res, false, null, 'Fix type must be move_session or relax_constraint', 400);
+    }
+
+    let change;
+    if (fix.type === 'move_session') {
+      const session = await db.getSessionById(fix.sessionId);
+      const course = session && await db.getCourseById(session.course_id);
+      if (!course || String(course.user_id) !== String(userId)) {
+        return sendResponse(res, false, null, 'Session not found', 404);
+      }
+      if (!(Number.isInteger(fix.dayOfWeek) && fix.dayOfWeek >= 0 && fix.dayOfWeek <= 6) ||
+          !TIME_PATTERN.test(fix.startTime) || !TIME_PATTERN.test(fix.endTime) || fix.startTime >= fix.endTime) {
+        return sendResponse(res, false, null, 'A valid day and HH:MM start and end times are required', 400);
+      }
+
+      await db.updateSession(session.id, {
+        day_of_week: fix.dayOfWeek,
+        start_time: fix.startTime,
+        end_time: fix.endTime
+      });
+      change = { table: 'sessions', id: session.id, before: session, after: await chatBot.operations.snapshot('sessions', session.id) };
+    } else {
+      const constraint = await db.getConstraintById(fix.constraintId);
+      if (!constraint || String(constraint.user_id) !== String(userId)) {
+        return sendResponse(res, false, null, 'Constraint not found', 404);
+      }
+
+      // Relaxing deactivates the constraint rather than deleting it
+      await db.updateConstraint(constraint.id, { is_active: 0 });
+      change = { table: 'constraints', id: constraint.id, before: constraint, after: await chatBot.operations.snapshot('constraints', constraint.id) };
+    }
+
+    await chatBot.operations.record(userId, fix.label || fix.type.replace('_', ' '), [change]);
+    const timetable = await rebuildTimetable(userId, { save: true });
+    await cache.set(`timetable_${userId}`, timetable, 3600);
+
+    sendResponse(res, true, timetable, `Applied: ${fix.label || fix.type}. Undo in the chat puts it back.`);
+  } catch (error) {
+    console.error('Apply fix error:', error);
+    sendResponse(res, false, null, 'Failed to apply fix', 500);
+  }
+});
+
+// Keep one of the alternatives last built for the user as current
+app.post('/api/timetable/save/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { alternativeId, name = 'Selected alternative' } = req.body || {};
+
+    if (typeof alternativeId !== 'string' || !alternativeId) {
+      return sendResponse(res, false, null, 'alternativeId is required', 400);
+    }
+
+    const alternatives = await cache.get(`alternatives_${userId}`) || [];
+    const timetable = alternatives.find(alternative => alternative.id === alternativeId);
+    if (!timetable) {
+      return sendResponse(res, false, null, 'That alternative is no longer available. Compare again for fresh options', 404);
+    }
+
+    if (timetable.generationLog.inputsHash !== await timetableGenerator.getInputsHash(userId)) {
+      return sendResponse(res, false, null, 'Your courses, sessions or constraints changed since this alternative was built. Compare again for fresh options', 409);
+    }
+
+    const timetableId = await db.saveTimetable(userId, name, timetable);
+    await cache.set(`timetable_${userId}`, timetable, 3600);
+
+    sendResponse(res, true, { id: timetableId }, 'Timetable saved as current');
+  } catch (error) {
+    console.error('Save timetable error:', error);
+    sendResponse(res, false, null, 'Failed to save timetable', 500);
+  }
+});
+
+// Saved timetables, newest first, with what each was generated from
+app.get('/api/timetable/history/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 10;
+
+    if (!(Number.isInteger(limit) && limit >= 1 && limit <= 100)) {
+      return sendResponse(res, false, null, 'limit must be an integer between 1 and 100', 400);
+    }
+
+    const rows = await db.getTimetableHistory(userId, limit);
+    const history = rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      isCurrent: Boolean(row.is_current),
+      score: row.score,
+      createdAt: row.created_at,
+      strategy: row.generation_log ? row.generation_log.strategy : row.data.strategy,
+      seed: row.generation_log ? row.generation_log.seed : null,
+      inputsHash: row.generation_log ? row.generation_log.inputsHash : null
+    }));
+
+    sendResponse(res, true, history, 'Timetable history retrieved');
+  } catch (error) {
+    console.error('Timetable history error:', error);
+    sendResponse(res, false, null, 'Failed to retrieve timetable history', 500);
+  }
+});
+
+// Generation log of one saved timetable (the current one by default), to
+// replay or explain how it was built
+app.get('/api/timetable/log/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { timetableId } = req.query;
+
+    let id = timetableId;
+    if (id === undefined) {
+      const current = await db.getCurrentTimetable(userId);
+      if (!current) {
+        return sendResponse(res, false, null, 'No saved timetable yet', 404);
+      }
+      id = current.id;
+    }
+
+    const row = await db.getTimetableLog(id);
+    if (!row || String(row.user_id) !== String(userId)) {
+      return sendResponse(res, false, null, 'Timetable not found', 404);
+    }
+
+    sendResponse(res, true, {
+      timetableId: row.id,
+      name: row.name,
+      isCurrent: Boolean(row.is_current),
+      score: row.score,
+      createdAt: row.created_at,
+      log: row.generation_log
+    }, row.generation_log ? 'Generation log retrieved' : 'This timetable was saved without a generation log');
+  } catch (error) {
+    console.error('Timetable log error:', error);
+    sendResponse(res, false, null, 'Failed to retrieve generation log', 500);
+  }
+});
+
+// Natural text read into entries without saving them, for the courses
+// page's "add from text" preview. Same parser as the Netlify function.
+app.post('/api/timetable/parse', (req, res) => {
+  try {
+    const { text } = req.body || {};
+
+    if (typeof text !== 'string') {
+      return sendResponse(res, false, null, 'text is required', 400);
+    }
+
+    sendResponse(res, true, { entries: parseNaturalTextServer(text) }, 'Text parsed');
+  } catch (error) {
+    console.error('Text parsing error:', error);
+    sendResponse(res, false, null, 'Failed to parse text', 500);
+  }
+});
+
 // Constraints endpoints
 app.get('/api/constraints/:userId', async (req, res) => {
   try {
@@ -264,18 +845,23 @@ app.get('/api/constraints/:userId', async (req, res) => {
 
 app.post('/api/constraints', async (req, res) => {
   try {
-    const { userId = 1, type, dayOfWeek, startTime, endTime, description } = req.body;
+    const { userId = 1, type, dayOfWeek, startTime, endTime, minGapMinutes, description } = req.body;
     
     if (!type) {
       return sendResponse(res, false, null, 'Constraint type is required', 400);
     }
 
+    if (minGapMinutes !== undefined && minGapMinutes !== null && !(Number(minGapMinutes) > 0)) {
+      return sendResponse(res, false, null, 'Minimum gap must be a positive number of minutes', 400);
+    }
+
     const constraintId = await db.createConstraint({
       userId,
       type,
       dayOfWeek,
       startTime,
       endTime,
+      minGapMinutes: type === 'no_back_to_back' && minGapMinutes ? Number(minGapMinutes) : null,
       description
     });
 
@@ -305,6 +891,106 @@ app.delete('/api/constraints/:id', async (req, res) => {
   }
 });
 
+// Location endpoints
+app.get('/api/locations/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const locations = await db.getLocationsByUser(userId);
+    sendResponse(res, true, locations, 'Locations retrieved successfully');
+  } catch (error) {
+    console.error('Get locations error:', error);
+    sendResponse(res, false, null, 'Failed to retrieve locations', 500);
+  }
+});
+
+app.post('/api/locations/buildings', async (req, res) => {
+  try {
+    const { userId = 1, name, code } = req.body;
+
+    if (!name) {
+      return sendResponse(res, false, null, 'Building name is required', 400);
+    }
+
+    const buildingId = await db.createBuilding({ userId, name, code });
+
+    // Session locations may now resolve to this building
+    await cache.invalidate(`timetable_${userId}`);
+
+    sendResponse(res, true, { id: buildingId }, 'Building created successfully');
+  } catch (error) {
+    console.error('Create building error:', error);
+    sendResponse(res, false, null, 'Failed to create building', 500);
+  }
+});
+
+app.delete('/api/locations/buildings/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await db.deleteBuilding(id);
+    await cache.invalidatePattern('timetable_');
+
+    sendResponse(res, true, null, 'Building deleted successfully');
+  } catch (error) {
+    console.error('Delete building error:', error);
+    sendResponse(res, false, null, 'Failed to delete building', 500);
+  }
+});
+
+app.post('/api/locations/rooms', async (req, res) => {
+  try {
+    const { buildingId, name } = req.body;
+
+    if (!buildingId || !name) {
+      return sendResponse(res, false, null, 'Building ID and room name are required', 400);
+    }
+
+    const roomId = await db.createRoom({ buildingId, name });
+    await cache.invalidatePattern('timetable_');
+
+    sendResponse(res, true, { id: roomId }, 'Room created successfully');
+  } catch (error) {
+    console.error('Create room error:', error);
+    sendResponse(res, false, null, 'Failed to create room', 500);
+  }
+});
+
+app.delete('/api/locations/rooms/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await db.deleteRoom(id);
+    await cache.invalidatePattern('timetable_');
+
+    sendResponse(res, true, null, 'Room deleted successfully');
+  } catch (error) {
+    console.error('Delete room error:', error);
+    sendResponse(res, false, null, 'Failed to delete room', 500);
+  }
+});
+
+app.put('/api/locations/walking-times', async (req, res) => {
+  try {
+    const { fromBuildingId, toBuildingId, minutes } = req.body;
+
+    if (!fromBuildingId || !toBuildingId || Number(fromBuildingId) === Number(toBuildingId)) {
+      return sendResponse(res, false, null, 'Two different buildings are required', 400);
+    }
+
+    if (!Number.isInteger(Number(minutes)) || Number(minutes) < 0) {
+      return sendResponse(res, false, null, 'Walking time must be a whole number of minutes', 400);
+    }
+
+    await db.setWalkingTime(fromBuildingId, toBuildingId, Number(minutes));
+    await cache.invalidatePattern('timetable_');
+
+    sendResponse(res, true, null, 'Walking time saved successfully');
+  } catch (error) {
+    console.error('Set walking time error:', error);
+    sendResponse(res, false, null, 'Failed to save walking time', 500);
+  }
+});
+
 // Serve React app for all other routes
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../frontend/build/index.html'));
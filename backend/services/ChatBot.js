@@ -1,144 +1,223 @@
 const nlp = require('compromise');
+const OperationLog = require('./OperationLog');
+const ChatReplies = require('./ChatReplies');
+const IntentClassifier = require('./IntentClassifier');
+const LlmAdapter = require('./LlmAdapter');
+const ScheduleQuestions = require('./ScheduleQuestions');
+const TimetableGenerator = require('./TimetableGenerator');
+const TemporalParser = require('../utils/TemporalParser');
+
+// Dialogue state older than this is forgotten, so a stale question or offer
+// does not swallow an unrelated message
+const CONTEXT_TTL_MS = 15 * 60 * 1000;
+
+// Questions the bot can leave open, and the entities an answer may fill
+const PENDING_SLOTS = {
+  request_course_name: ['course_name'],
+  request_course_selection: ['course_name'],
+  request_schedule_details: ['day', 'days', 'time', 'start_time', 'end_time', 'session_type', 'location'],
+  request_session_course: ['course_name', 'day', 'session_type'],
+  request_session_selection: ['session_choice', 'day', 'session_type'],
+  request_move_target: ['day', 'time', 'start_time', 'end_time', 'location'],
+  request_constraint_end: ['end_time', 'before', 'time'],
+  request_intent_clarification: ['session_choice']
+};
+
+// Suggested follow-ups, and the intent a "yes" runs
+const OFFERS = {
+  suggest_regenerate_timetable: 'generate_timetable',
+  suggest_schedule_session: 'schedule_session',
+  suggest_add_course: 'add_course',
+  suggest_add_courses: 'add_course',
+  suggest_add_sessions: 'schedule_session',
+  confirm_delete_session: 'modify_session',
+  suggest_apply_what_if: 'what_if',
+  confirm_batch_import: 'batch_import'
+};
+
+// Where a modify request turns from the session it names to the change it
+// wants: "move my Monday lab | to Thursday 3pm". A "to" inside a time range
+// ("2pm to 4pm") does not count.
+const TARGET_SPLIT = /(?<!\d(?:\s*(?:am|pm))?\s*)\b(?:to|until|into)\b(?=\s+(?:on\s+|at\s+|the\s+)?(?:(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*\b|\d|(?:room|hall|building|noon|midday|tomorrow|today|next|this)\b))/i;
+// "by 30 minutes", "to 2h", "by an hour"; a word amount needs a space after
+// it so "9 am" is not read as a minute
+const DURATION_PATTERN = /\b(?:by\s+|for\s+|to\s+)?(\d+(?:\.\d+)?\s*|an?\s+)(hours?|hrs?|h|minutes?|mins?|m)\b/i;
+
+// Words of a syllabus line that are neither the course nor its session
+const BATCH_FILLER = /^(on|at|from|every|each|weekly|and|in|the|room|for|to|with|course|-)$/i;
+
+const AFFIRMATIVE = /^\s*(yes|yeah|yep|yup|sure|ok|okay|please|do it|go ahead|y)\b/i;
+const NEGATIVE = /^\s*(no|nope|nah|cancel|never mind|nevermind|stop|n)\b/i;
 
 class ChatBot {
-  constructor(database) {
+  // `options.llm` reads messages with a local model before the rule-based
+  // analysis; by default it is configured from LLM_ENDPOINT, and null turns
+  // it off. `options.now` sets the clock for "today" and "next class".
+  constructor(database, cache = null, options = {}) {
     this.db = database;
+    this.cache = cache;
+    this.operations = new OperationLog(database, cache);
     this.intents = this.initializeIntents();
+    this.replies = new ChatReplies(this.intents);
+    this.classifier = IntentClassifier.fromFile();
+    this.llm = options.llm !== undefined ? options.llm : LlmAdapter.fromEnv();
+    this.now = options.now || (() => new Date());
+    this.temporal = new TemporalParser({ now: this.now });
+    this.questions = new ScheduleQuestions({ now: this.now });
     this.context = new Map(); // Store conversation context per user
+    this.contextTtlMs = CONTEXT_TTL_MS;
   }
 
+  // Intents the classifier can return besides 'unknown', with the entities
+  // each one reads and how a clarifying question names it. Example
+  // utterances for each live in backend/data/intent-training.json.
   initializeIntents() {
     return {
-      // Course management
-      add_course: {
-        patterns: [
-          /add.*course/i,
-          /create.*course/i,
-          /new.*course/i,
-          /course.*add/i
-        ],
-        entities: ['course_name', 'course_code', 'priority', 'credits']
-      },
-      
-      // Session scheduling
-      schedule_session: {
-        patterns: [
-          /schedule.*class/i,
-          /add.*session/i,
-          /class.*on/i,
-          /lab.*on/i,
-          /lecture.*at/i
-        ],
-        entities: ['course_name', 'session_type', 'day', 'time', 'location']
-      },
-      
-      // Timetable operations
-      generate_timetable: {
-        patterns: [
-          /generate.*timetable/i,
-          /create.*schedule/i,
-          /make.*timetable/i,
-          /build.*schedule/i
-        ],
-        entities: []
-      },
-      
-      // Constraints
-      add_constraint: {
-        patterns: [
-          /can't.*on/i,
-          /unavailable.*on/i,
-          /busy.*on/i,
-          /no.*class.*after/i,
-          /break.*between/i
-        ],
-        entities: ['constraint_type', 'day', 'time']
-      },
-      
-      // Information queries
-      show_schedule: {
-        patterns: [
-          /show.*schedule/i,
-          /view.*timetable/i,
-          /what.*today/i,
-          /schedule.*for/i
-        ],
-        entities: ['day']
-      },
-      
-      // Modifications
+      undo: { label: 'undo a change', entities: ['count'] },
+      redo: { label: 'redo a change', entities: ['count'] },
+      add_course: { label: 'add a course', entities: ['course_name', 'course_code', 'priority', 'credits'] },
       modify_session: {
-        patterns: [
-          /change.*time/i,
-          /move.*class/i,
-          /reschedule/i,
-          /update.*session/i
-        ],
-        entities: ['course_name', 'new_time', 'new_day']
+        label: 'change an existing session',
+        entities: ['course_name', 'change', 'new_day', 'new_time', 'new_location', 'duration_minutes']
       },
-      
-      // General help
-      help: {
-        patterns: [
-          /help/i,
-          /what.*can.*do/i,
-          /how.*work/i,
-          /commands/i
-        ],
-        entities: []
-      }
+      schedule_session: { label: 'schedule a new session', entities: ['course_name', 'session_type', 'day', 'time', 'location'] },
+      generate_timetable: { label: 'generate your timetable', entities: [] },
+      add_constraint: { label: 'add a scheduling constraint', entities: ['constraint_type', 'day', 'time'] },
+      show_schedule: { label: 'see your schedule', entities: ['day'] },
+      next_class: { label: 'find your next class', entities: [] },
+      free_time: { label: 'find free time', entities: ['days', 'duration', 'part_of_day'] },
+      hours_summary: { label: 'count your class hours', entities: ['session_type'] },
+      where_is: { label: 'find where a class is', entities: ['course_name', 'session_type', 'day', 'time'] },
+      lightest_day: { label: 'compare how busy your days are', entities: ['extreme'] },
+      what_if: {
+        label: 'preview a change without saving it',
+        entities: ['what_if', 'course_name', 'days', 'start_time', 'end_time', 'after', 'before', 'change']
+      },
+      batch_import: { label: 'add several courses and sessions at once', entities: ['clauses'] },
+      help: { label: 'see what I can do', entities: [] }
     };
   }
 
-  async processMessage(message, userId) {
+  // `options.onProgress` hears about each stage of a long reply, such as
+  // generating a timetable, and `options.signal` (an AbortSignal) cancels
+  // it before anything is saved; the streaming chat route passes both
+  async processMessage(message, userId, options = {}) {
     try {
       // Detect intent and extract entities
-      const analysis = this.analyzeMessage(message);
-      
-      // Generate response based on intent
-      const response = await this.generateResponse(analysis, userId);
+      const context = await this.loadContext(userId);
+      const analysis = this.resolveWithContext(await this.analyze(message, context), context);
       
-      // Save to chat history
-      await this.db.saveChatMessage(userId, message, response.text, analysis.intent, analysis.entities);
-      
-      // Update context
-      this.updateContext(userId, analysis, response);
-      
-      return response;
+      return await this.respond(message, analysis, context, userId, options);
     } catch (error) {
       console.error('ChatBot processing error:', error);
-      return {
+      return this.replies.build({
         text: "I'm sorry, I encountered an error processing your message. Please try again.",
         intent: 'error',
         entities: {},
         actions: []
-      };
+      });
     }
   }
 
-  analyzeMessage(message) {
-    const doc = nlp(message);
-    let detectedIntent = 'unknown';
-    let confidence = 0;
+  // A button pressed in the chat instead of a typed message (see
+  // ChatReplies for the action types). `label` is the button's text, kept
+  // in the chat history in place of a message.
+  async processAction(action, userId, label = null, options = {}) {
+    try {
+      const context = await this.loadContext(userId);
+      const message = label || ChatReplies.describeAction(action);
+      return await this.respond(message, this.resolveAction(action, context, message), context, userId, options);
+    } catch (error) {
+      console.error('ChatBot action error:', error);
+      return this.replies.build({
+        text: "I'm sorry, I encountered an error with that. Please try again.",
+        intent: 'error',
+        entities: {},
+        actions: []
+      });
+    }
+  }
+
+  async respond(message, analysis, context, userId, options = {}) {
+    // Generate response based on intent
+    let response;
+    if (analysis.intent === 'cancel') {
+      response = this.handleCancel(context);
+    } else if (analysis.intent === 'expired_action') {
+      response = this.handleExpiredAction();
+    } else if (this.needsClarification(analysis)) {
+      response = this.handleClarification(analysis);
+    } else {
+      response = await this.generateResponse(analysis, userId, options);
+    }
     
-    // Intent detection
-    for (const [intent, config] of Object.entries(this.intents)) {
-      for (const pattern of config.patterns) {
-        if (pattern.test(message)) {
-          detectedIntent = intent;
-          confidence = 0.8;
-          break;
+    // Save to chat history
+    await this.db.saveChatMessage(userId, message, response.text, analysis.intent, analysis.entities);
+    
+    // Update context
+    await this.updateContext(userId, analysis, response);
+    
+    return this.replies.build(response);
+  }
+
+  // The local model's reading of the message when one is configured and
+  // answers with a valid tool call, the rule-based one otherwise. Answers to
+  // an open question ("Tuesday 2pm") and a bare "yes" or "no" only make
+  // sense with the dialogue state, so those always go to the rules.
+  async analyze(message, context = null) {
+    // Several lines that each name a day are a pasted syllabus, not one
+    // request
+    const clauses = this.splitBatch(message);
+    if (clauses.filter(clause => this.temporal.parse(clause).days).length > 1) {
+      return { intent: 'batch_import', confidence: 1, candidates: [], entities: { clauses }, originalMessage: message };
+    }
+
+    const reply = (context && context.pending) || this.isShortReply(message);
+    if (this.llm && this.llm.available && !reply) {
+      try {
+        const reading = await this.llm.analyze(message);
+        if (reading && this.intents[reading.intent]) {
+          return {
+            intent: reading.intent,
+            confidence: 1,
+            candidates: [],
+            entities: reading.entities,
+            originalMessage: message,
+            source: 'llm'
+          };
         }
+      } catch (error) {
+        console.warn('LLM analysis unavailable, using rules:', error.message);
       }
-      if (confidence > 0) break;
     }
+
+    return this.analyzeMessage(message);
+  }
+
+  // `intent` skips classification, for messages whose intent the user has
+  // already confirmed
+  analyzeMessage(message, intent = null) {
+    const doc = nlp(message);
+    
+    // Intent detection
+    let classification = intent
+      ? { intent, confidence: 1, ranking: [] }
+      : this.classifier.classify(message);
     
     // Entity extraction
-    const entities = this.extractEntities(doc, message, detectedIntent);
+    const entities = this.extractEntities(doc, message, classification.intent);
+
+    // A course and a time slot and nothing else ("Math on Mon and Wed
+    // 9-10:30") gives the classifier no words to go on, but can only be a
+    // session to schedule
+    if (classification.evidence === 0 && entities.course_name && entities.day && entities.start_time) {
+      classification = { intent: 'schedule_session', confidence: 1, ranking: [] };
+    }
     
     return {
-      intent: detectedIntent,
-      confidence,
+      intent: classification.intent,
+      confidence: classification.confidence,
+      candidates: classification.ranking.slice(0, 3),
       entities,
       originalMessage: message
     };
@@ -147,47 +226,35 @@ class ChatBot {
   extractEntities(doc, message, intent) {
     const entities = {};
     
-    // Extract course names (proper nouns, capitalized words)
-    const courseNames = doc.match('#ProperNoun+').out('array');
+    // Extract course names (proper nouns, capitalized words). Day names are
+    // often tagged as proper nouns, and a course opening the message ("Math
+    // on Mon and Wed") often is not.
+    const courseNames = doc.match('#ProperNoun+').out('array')
+      .filter(name => TemporalParser.dayNumber(name) === null);
     if (courseNames.length > 0) {
       entities.course_name = courseNames[0];
+    } else if (/^[A-Z]/.test(message.trim())) {
+      const opening = doc.match('^#Noun+').not('(#Pronoun|#Date|#Possessive)').out('text')
+        .replace(/\s*\b(lecture|lab|tutorial|seminar|class)\b.*$/i, '')
+        .trim();
+      if (opening && TemporalParser.dayNumber(opening) === null) {
+        entities.course_name = opening;
+      }
     }
     
-    // Extract days
-    const dayPattern = /\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday|mon|tue|wed|thu|fri|sat|sun)\b/gi;
-    const dayMatch = message.match(dayPattern);
-    if (dayMatch) {
-      entities.day = this.normalizeDayName(dayMatch[0]);
-    }
-    
-    // Extract times
-    const timePattern = /\b(\d{1,2}):?(\d{2})?\s*(am|pm)?\b/gi;
-    const timeMatches = message.match(timePattern);
-    if (timeMatches) {
-      entities.time = this.normalizeTime(timeMatches[0]);
-    }
-    
-    // Extract time ranges
-    const rangePattern = /(\d{1,2}):?(\d{2})?\s*(am|pm)?\s*(?:to|-|until)\s*(\d{1,2}):?(\d{2})?\s*(am|pm)?/gi;
-    const rangeMatch = message.match(rangePattern);
-    if (rangeMatch) {
-      const times = this.parseTimeRange(rangeMatch[0]);
-      entities.start_time = times.start;
-      entities.end_time = times.end;
-    }
+    Object.assign(entities, this.extractWhen(message));
     
     // Extract session types
-    const typePattern = /\b(lecture|lab|tutorial|seminar|class)\b/gi;
+    const typePattern = /\b(lecture|lab|tutorial|seminar|class)(?:es|s)?\b/i;
     const typeMatch = message.match(typePattern);
     if (typeMatch) {
-      entities.session_type = typeMatch[0].toLowerCase();
+      entities.session_type = typeMatch[1].toLowerCase();
     }
     
     // Extract locations
-    const locationPattern = /\b(?:room|hall|lab|building)\s+([A-Z0-9]+)\b/gi;
-    const locationMatch = message.match(locationPattern);
-    if (locationMatch) {
-      entities.location = locationMatch[0];
+    const location = this.extractLocation(message);
+    if (location) {
+      entities.location = location;
     }
     
     // Extract priorities
@@ -196,11 +263,132 @@ class ChatBot {
     if (priorityMatch) {
       entities.priority = this.normalizePriority(priorityMatch[0]);
     }
+
+    // A bare number answers "which one?"
+    const choiceMatch = message.match(/^\s*(?:number\s*|option\s*|#)?(\d{1,2})[.)]?\s*$/i);
+    if (choiceMatch) {
+      entities.session_choice = parseInt(choiceMatch[1]);
+    }
+
+    if (intent === 'modify_session') {
+      this.extractModification(message, entities);
+    }
+
+    if (intent === 'what_if') {
+      this.extractWhatIf(message, entities);
+    }
+
+    if (intent === 'lightest_day') {
+      entities.extreme = /\b(busiest|heaviest|fullest|hardest|most)\b/i.test(message) ? 'busiest' : 'lightest';
+    }
+
+    // "undo the last 3 changes"
+    if (intent === 'undo' || intent === 'redo') {
+      const countMatch = message.match(/\b(\d{1,2})\b/);
+      entities.count = countMatch ? parseInt(countMatch[1]) : 1;
+    }
     
     return entities;
   }
 
-  async generateResponse(analysis, userId) {
+  // Days and times mentioned in `text`: `day` is the first of `days`, and a
+  // start time plus a duration ("at 3 for 2 hours") fills start_time and
+  // end_time like a range does
+  extractWhen(text) {
+    const parsed = this.temporal.parse(text);
+    const when = {};
+
+    if (parsed.days) {
+      when.days = parsed.days.map(day => this.dayNames[day]);
+      when.day = when.days[0];
+    }
+    if (parsed.dates) when.date = parsed.dates[0];
+    if (parsed.time) when.time = parsed.time;
+    if (parsed.start) {
+      when.start_time = parsed.start;
+      when.end_time = parsed.end;
+    }
+    if (parsed.after) when.after = parsed.after;
+    if (parsed.before) when.before = parsed.before;
+    if (parsed.partOfDay) when.part_of_day = parsed.partOfDay;
+    if (parsed.duration) when.duration = parsed.duration;
+
+    return when;
+  }
+
+  extractLocation(text) {
+    // The name has to look like one ("B12", "204", "Turing"), so "lab
+    // tomorrow" is not a place
+    const locationPattern = /\b(?:[Rr]oom|[Hh]all|[Ll]ab|[Bb]uilding)\s+(?:[A-Z0-9][A-Za-z0-9]*|[a-z]\d+[a-z]?)\b/;
+    const locationMatch = text.match(locationPattern);
+    return locationMatch ? locationMatch[0] : null;
+  }
+
+  // Split a modify request into the session it names (day, time and type
+  // filters) and the change it asks for (new_day, new_time, new_start_time,
+  // new_end_time, new_location or duration_minutes)
+  extractModification(message, entities) {
+    let text = message;
+
+    if (/\b(delete|remove|cancel|drop)\b/i.test(text)) {
+      entities.change = 'delete';
+    } else if (/\b(longer|shorter|extend|shorten|lengthen|duration|length)\b/i.test(text) && DURATION_PATTERN.test(text)) {
+      const [phrase, amount, unit] = text.match(DURATION_PATTERN);
+      const count = /^an?\s/i.test(amount) ? 1 : parseFloat(amount);
+      const minutes = Math.round(count * (/^h/i.test(unit) ? 60 : 1));
+      const relative = /^by\b/i.test(phrase) || /\b(longer|shorter|extend|shorten|lengthen)\b/i.test(text);
+      const shorter = /\b(shorter|shorten)\b/i.test(text);
+      entities.change = 'duration';
+      entities.duration_minutes = relative ? (shorter ? -minutes : minutes) : minutes;
+      entities.duration_relative = relative;
+      text = text.replace(phrase, ' ');
+    } else {
+      entities.change = 'move';
+    }
+
+    // The source part only filters which session is meant
+    const split = entities.change === 'move' ? text.search(TARGET_SPLIT) : -1;
+    const source = split >= 0 ? text.slice(0, split) : text;
+    ['day', 'days', 'date', 'time', 'start_time', 'end_time', 'after', 'before', 'part_of_day', 'location', 'session_type'].forEach(key => delete entities[key]);
+    Object.assign(entities, this.extractWhen(source));
+    const typeMatch = source.match(/\b(lecture|lab|tutorial|seminar)\b/i);
+    if (typeMatch) {
+      entities.session_type = typeMatch[0].toLowerCase();
+    }
+
+    if (split >= 0) {
+      const target = text.slice(split);
+      const when = this.extractWhen(target);
+      if (when.day) entities.new_day = when.day;
+      if (when.start_time) {
+        entities.new_start_time = when.start_time;
+        entities.new_end_time = when.end_time;
+      } else if (when.time) {
+        entities.new_time = when.time;
+      }
+      const location = this.extractLocation(target);
+      if (location) entities.new_location = location;
+    }
+  }
+
+  // The change a what-if question asks about: drop a course, add an
+  // unavailability, or move, resize or delete one session
+  extractWhatIf(message, entities) {
+    const text = message.replace(/^\s*(?:what\s+(?:if|happens\s+if|would\s+happen\s+if)|suppose|imagine)\b/i, ' ');
+    const removal = /\b(drop|dropped|dropping|without|quit|withdraw|remove|removed|delete|cancel|stop taking|give up)\b/i.test(text);
+    const sessionChange = /\b(move|moved|reschedule|shift|extend|extended|shorten|longer|shorter)\b/i.test(text);
+
+    if (sessionChange || (removal && entities.session_type && entities.session_type !== 'class' && !/\bcourse\b/i.test(text))) {
+      entities.what_if = 'modify_session';
+      this.extractModification(text, entities);
+    } else if (removal && entities.course_name) {
+      entities.what_if = 'drop_course';
+    } else if (entities.days || entities.start_time || entities.after || entities.before || entities.part_of_day) {
+      entities.what_if = 'add_constraint';
+    }
+  }
+
+  async generateResponse(analysis, userId, options = {}) {
     const { intent, entities } = analysis;
     
     switch (intent) {
@@ -211,7 +399,7 @@ class ChatBot {
         return await this.handleScheduleSession(entities, userId);
       
       case 'generate_timetable':
-        return await this.handleGenerateTimetable(userId);
+        return await this.handleGenerateTimetable(userId, options);
       
       case 'add_constraint':
         return await this.handleAddConstraint(entities, userId);
@@ -222,6 +410,33 @@ class ChatBot {
       case 'modify_session':
         return await this.handleModifySession(entities, userId);
       
+      case 'what_if':
+        return await this.handleWhatIf(entities, userId, options);
+      
+      case 'batch_import':
+        return await this.handleBatchImport(entities, userId);
+      
+      case 'undo':
+        return await this.undo(userId, entities.count);
+      
+      case 'redo':
+        return await this.redo(userId, entities.count);
+      
+      case 'next_class':
+        return await this.handleNextClass(entities, userId);
+      
+      case 'free_time':
+        return await this.handleFreeTime(entities, userId);
+      
+      case 'hours_summary':
+        return await this.handleHoursSummary(entities, userId);
+      
+      case 'where_is':
+        return await this.handleWhereIs(entities, userId);
+      
+      case 'lightest_day':
+        return await this.handleLightestDay(entities, userId);
+      
       case 'help':
         return this.handleHelp();
       
@@ -230,6 +445,185 @@ class ChatBot {
     }
   }
 
+  // Read the current message against the open question or offer of the
+  // previous turn: "yes" takes up an offer, "no" drops it, and an answer
+  // to a question is merged into the entities collected so far
+  resolveWithContext(analysis, context) {
+    if (!context || (!context.pending && !context.offer)) return analysis;
+
+    const message = analysis.originalMessage;
+    const { pending, offer } = context;
+    // "until 5pm" after "until what time?" answers it, whatever it would
+    // look like on its own
+    const slots = Object.keys(analysis.entities);
+    const answersPending = Boolean(pending) && slots.length > 0 && slots.every(slot => pending.awaiting.includes(slot));
+    const followUp = this.isFollowUp(analysis) || answersPending;
+
+    if (followUp && pending && pending.intent === 'clarify_intent') {
+      const chosen = this.pickClarification(analysis, pending.entities.candidates);
+      if (chosen) {
+        return { ...this.analyzeMessage(pending.entities.original_message, chosen), resumed: 'clarification' };
+      }
+    }
+
+    if (followUp && offer && AFFIRMATIVE.test(message)) {
+      return { ...analysis, intent: offer.intent, entities: { ...offer.entities }, resumed: 'offer' };
+    }
+
+    if (followUp && NEGATIVE.test(message)) {
+      return { ...analysis, intent: 'cancel', entities: {} };
+    }
+
+    if (!pending || pending.intent === 'clarify_intent' || (!followUp && analysis.intent !== pending.intent)) {
+      return analysis;
+    }
+
+    const answer = {};
+    pending.awaiting.forEach(slot => {
+      if (analysis.entities[slot] !== undefined) answer[slot] = analysis.entities[slot];
+    });
+
+    // A short bare reply to "which course?" is the course name itself
+    if (pending.awaiting.includes('course_name') && !answer.course_name && !AFFIRMATIVE.test(message)) {
+      const text = message.trim().replace(/[.!?]+$/, '');
+      if (text && text.split(/\s+/).length <= 6) answer.course_name = text;
+    }
+
+    return {
+      ...analysis,
+      intent: pending.intent,
+      entities: { ...analysis.entities, ...pending.entities, ...answer },
+      resumed: 'pending'
+    };
+  }
+
+  // A button's action read against the previous turn like the typed reply
+  // it stands for, minus the guessing: "accept" only takes up the offer it
+  // was shown with, and "choose" only answers a question that is still open
+  resolveAction(action, context, message) {
+    const analysis = { intent: 'expired_action', confidence: 1, candidates: [], entities: {}, originalMessage: message };
+    const offer = context && context.offer;
+    const pending = context && context.pending;
+
+    if (action.type === 'intent') {
+      return { ...analysis, intent: action.intent, entities: { ...(action.entities || {}) }, resumed: 'action' };
+    }
+
+    if (action.type === 'decline') {
+      return offer || pending ? { ...analysis, intent: 'cancel' } : analysis;
+    }
+
+    if (action.type === 'accept') {
+      if (!offer || (action.offer && offer.action !== action.offer)) return analysis;
+      return { ...analysis, intent: offer.intent, entities: { ...offer.entities }, resumed: 'offer' };
+    }
+
+    if (pending && pending.intent === 'clarify_intent') {
+      const chosen = pending.entities.candidates[action.choice - 1];
+      return chosen
+        ? { ...this.analyzeMessage(pending.entities.original_message, chosen), resumed: 'clarification' }
+        : analysis;
+    }
+    if (pending && pending.awaiting.includes('session_choice')) {
+      return {
+        ...analysis,
+        intent: pending.intent,
+        entities: { ...pending.entities, session_choice: action.choice },
+        resumed: 'pending'
+      };
+    }
+    return analysis;
+  }
+
+  // Short answers ("yes", "Physics", "Tuesday 2pm") carry little or no
+  // evidence for any intent and are read against the previous turn
+  isFollowUp(analysis) {
+    const message = analysis.originalMessage;
+    return this.isShortReply(message) || analysis.intent === 'unknown' || analysis.confidence < this.classifier.threshold;
+  }
+
+  isShortReply(message) {
+    return message.trim().split(/\s+/).length <= 2 && (AFFIRMATIVE.test(message) || NEGATIVE.test(message));
+  }
+
+  needsClarification(analysis) {
+    return !analysis.resumed && analysis.intent !== 'unknown' && analysis.confidence < this.classifier.threshold;
+  }
+
+  // Ask which of the likeliest intents was meant instead of guessing
+  handleClarification(analysis) {
+    const candidates = analysis.candidates
+      .filter(candidate => this.intents[candidate.intent] && candidate.confidence >= 0.1)
+      .slice(0, 2)
+      .map(candidate => candidate.intent);
+
+    if (candidates.length === 0) {
+      return this.handleUnknown(analysis);
+    }
+
+    const labels = candidates.map(intent => this.intents[intent].label);
+    const text = candidates.length === 1
+      ? `Just to check: do you want to ${labels[0]}? Reply "yes", or rephrase your request.`
+      : `I'm not sure what you mean. Do you want to:\n1. ${labels[0]}\n2. ${labels[1]}\n\nReply 1 or 2, or rephrase your request.`;
+
+    return {
+      text,
+      intent: 'clarify_intent',
+      entities: { candidates, original_message: analysis.originalMessage },
+      actions: ['request_intent_clarification']
+    };
+  }
+
+  // The candidate an answer to a clarifying question picks, if any
+  pickClarification(analysis, candidates) {
+    const { session_choice: choice } = analysis.entities;
+    if (choice && candidates[choice - 1]) return candidates[choice - 1];
+    if (AFFIRMATIVE.test(analysis.originalMessage)) return candidates[0];
+    if (candidates.includes(analysis.intent)) return analysis.intent;
+    return null;
+  }
+
+  handleCancel(context) {
+    const dropped = context && context.pending ? 'that' : 'it';
+    return {
+      text: `Okay, I'll leave ${dropped} for now. What else can I help you with?`,
+      intent: 'cancel',
+      entities: {},
+      actions: ['follow_up_cancelled']
+    };
+  }
+
+  // Pass a stage of a long reply to a streaming client, then let the event
+  // loop turn over so a closed connection is noticed. True when the reply
+  // has been cancelled and should stop.
+  async reportProgress(options, stage, text) {
+    if (options.onProgress) {
+      options.onProgress({ stage, text });
+    }
+    await new Promise(resolve => setImmediate(resolve));
+    return Boolean(options.signal && options.signal.aborted);
+  }
+
+  handleGenerationCancelled(intent) {
+    return {
+      text: "Okay, I've stopped. Nothing was saved.",
+      intent,
+      entities: {},
+      actions: ['generation_cancelled']
+    };
+  }
+
+  // A button from an earlier reply whose question or offer has since been
+  // answered, replaced or forgotten
+  handleExpiredAction() {
+    return {
+      text: "That option isn't available any more. What would you like to do?",
+      intent: 'expired_action',
+      entities: {},
+      actions: ['request_clarification']
+    };
+  }
+
   async handleAddCourse(entities, userId) {
     try {
       if (!entities.course_name) {
@@ -252,6 +646,9 @@ class ChatBot {
       };
 
       const courseId = await this.db.createCourse(courseData);
+      await this.operations.record(userId, `add course "${entities.course_name}"`, [
+        { table: 'courses', id: courseId, before: null, after: await this.operations.snapshot('courses', courseId) }
+      ]);
       
       return {
         text: `Great! I've added "${entities.course_name}" to your courses. Would you like to schedule some sessions for this course?`,
@@ -295,7 +692,7 @@ class ChatBot {
       const courses = await this.db.getCoursesByUser(userId);
       const course = courses.find(c => 
         c.name.toLowerCase().includes(entities.course_name.toLowerCase()) ||
-        c.code.toLowerCase() === entities.course_name.toLowerCase()
+        (c.code || '').toLowerCase() === entities.course_name.toLowerCase()
       );
 
       if (!course) {
@@ -316,22 +713,31 @@ class ChatBot {
         };
       }
 
-      const sessionData = {
-        courseId: course.id,
-        type: entities.session_type || 'lecture',
-        dayOfWeek: this.dayNameToNumber(entities.day),
-        startTime: entities.start_time,
-        endTime: entities.end_time,
-        location: entities.location || '',
-        instructor: entities.instructor || ''
-      };
-
-      const sessionId = await this.db.createSession(sessionData);
+      // "Mon and Wed 9-10:30" is one session per day, undone together
+      const days = entities.days || [entities.day];
+      const type = entities.session_type || 'lecture';
+      const sessionIds = [];
+      const changes = [];
+      for (const day of days) {
+        const sessionId = await this.db.createSession({
+          courseId: course.id,
+          type,
+          dayOfWeek: this.dayNameToNumber(day),
+          startTime: entities.start_time,
+          endTime: entities.end_time,
+          location: entities.location || '',
+          instructor: entities.instructor || ''
+        });
+        sessionIds.push(sessionId);
+        changes.push({ table: 'sessions', id: sessionId, before: null, after: await this.operations.snapshot('sessions', sessionId) });
+      }
+      const dayList = this.listDays(days);
+      await this.operations.record(userId, `schedule ${type} for ${course.name} on ${dayList}`, changes);
       
       return {
-        text: `Perfect! I've scheduled a ${sessionData.type} for ${course.name} on ${entities.day} from ${entities.start_time} to ${entities.end_time}. Would you like me to regenerate your timetable?`,
+        text: `Perfect! I've scheduled a ${type} for ${course.name} on ${dayList} from ${entities.start_time} to ${entities.end_time}. Would you like me to regenerate your timetable?`,
         intent: 'schedule_session',
-        entities: { ...entities, session_id: sessionId },
+        entities: { ...entities, session_id: sessionIds[0], session_ids: sessionIds },
         actions: ['session_created', 'suggest_regenerate_timetable']
       };
     } catch (error) {
@@ -344,15 +750,33 @@ class ChatBot {
     }
   }
 
-  async handleGenerateTimetable(userId) {
+  async handleGenerateTimetable(userId, options = {}) {
     try {
-      const TimetableGenerator = require('./TimetableGenerator');
       const generator = new TimetableGenerator(this.db);
       
-      const timetable = await generator.generateTimetable(userId);
+      if (await this.reportProgress(options, 'loading', 'Loading your courses and sessions…')) {
+        return this.handleGenerationCancelled('generate_timetable');
+      }
+      const data = await generator.loadSchedulingData(userId);
+      if (await this.reportProgress(options, 'placing', `Placing ${this.countOf(data.sessions.length, 'session')}…`)) {
+        return this.handleGenerationCancelled('generate_timetable');
+      }
+      const timetable = generator.forUser(data).buildTimetable(data);
+      const found = timetable.conflicts.length > 0 ? `${this.countOf(timetable.conflicts.length, 'conflict')} found` : 'No conflicts found';
+      if (await this.reportProgress(options, 'placed', found)) {
+        return this.handleGenerationCancelled('generate_timetable');
+      }
       
       if (timetable.schedule && Object.values(timetable.schedule).some(day => day.sessions.length > 0)) {
-        await this.db.saveTimetable(userId, 'AI Generated', timetable);
+        // Saving demotes the current timetable, so undo has to promote it again
+        const previous = await this.db.getCurrentTimetable(userId);
+        const previousRow = previous ? await this.operations.snapshot('timetables', previous.id) : null;
+        const timetableId = await this.db.saveTimetable(userId, 'AI Generated', timetable);
+        const changes = [{ table: 'timetables', id: timetableId, before: null, after: await this.operations.snapshot('timetables', timetableId) }];
+        if (previousRow) {
+          changes.unshift({ table: 'timetables', id: previousRow.id, before: previousRow, after: await this.operations.snapshot('timetables', previousRow.id) });
+        }
+        await this.operations.record(userId, 'generate a new timetable', changes);
         
         const stats = timetable.stats;
         let response = `I've generated your timetable! Here's what I found:\n\n`;
@@ -397,9 +821,9 @@ class ChatBot {
 
   async handleShowSchedule(entities, userId) {
     try {
-      const sessions = await this.db.getSessionsByUser(userId);
+      const allSessions = await this.db.getSessionsByUser(userId);
       
-      if (sessions.length === 0) {
+      if (allSessions.length === 0) {
         return {
           text: "You don't have any sessions scheduled yet. Would you like to add some?",
           intent: 'show_schedule',
@@ -408,6 +832,19 @@ class ChatBot {
         };
       }
 
+      // "What do I have on Wednesday?" shows only the days asked about
+      const days = (entities.days || []).map(day => this.dayNameToNumber(day));
+      const sessions = days.length > 0 ? allSessions.filter(session => days.includes(session.day_of_week)) : allSessions;
+      if (sessions.length === 0) {
+        return {
+          text: `You don't have anything scheduled on ${this.listDays(entities.days)}. 🎉`,
+          intent: 'show_schedule',
+          entities,
+          actions: ['schedule_displayed'],
+          data: {}
+        };
+      }
+
       let response = "📅 **Your Current Schedule:**\n\n";
       
       // Group by day
@@ -451,22 +888,36 @@ class ChatBot {
 
   async handleAddConstraint(entities, userId) {
     try {
-      const constraintData = {
-        userId,
-        type: 'unavailable',
-        dayOfWeek: entities.day ? this.dayNameToNumber(entities.day) : null,
-        startTime: entities.start_time || null,
-        endTime: entities.end_time || null,
-        description: entities.description || 'User constraint'
-      };
+      if (entities.start_time && !this.constraintEnd(entities)) {
+        return this.askConstraintEnd(entities, 'add_constraint');
+      }
 
-      const constraintId = await this.db.createConstraint(constraintData);
+      // "every weekday after 5pm" is one constraint per day, undone together
+      const days = entities.days || (entities.day ? [entities.day] : [null]);
+      const [startTime, endTime] = this.constraintWindow(entities);
+      const constraintIds = [];
+      const changes = [];
+      for (const day of days) {
+        const constraintId = await this.db.createConstraint({
+          userId,
+          type: 'unavailable',
+          dayOfWeek: day ? this.dayNameToNumber(day) : null,
+          startTime,
+          endTime,
+          description: entities.description || 'User constraint'
+        });
+        constraintIds.push(constraintId);
+        changes.push({ table: 'constraints', id: constraintId, before: null, after: await this.operations.snapshot('constraints', constraintId) });
+      }
+      const dayList = days[0] ? this.listDays(days) : null;
+      await this.operations.record(userId, `add constraint${dayList ? ` on ${dayList}` : ''}`, changes);
       
       let response = "I've added your constraint! ";
-      if (entities.day && entities.start_time && entities.end_time) {
-        response += `You're marked as unavailable on ${entities.day} from ${entities.start_time} to ${entities.end_time}.`;
-      } else if (entities.day) {
-        response += `You're marked as unavailable on ${entities.day}.`;
+      const hours = startTime ? ` from ${startTime} to ${endTime}` : '';
+      if (dayList) {
+        response += `You're marked as unavailable on ${dayList}${hours}.`;
+      } else if (startTime) {
+        response += `You're marked as unavailable every day${hours}.`;
       } else {
         response += "I've noted your scheduling preference.";
       }
@@ -476,7 +927,7 @@ class ChatBot {
       return {
         text: response,
         intent: 'add_constraint',
-        entities: { ...entities, constraint_id: constraintId },
+        entities: { ...entities, constraint_id: constraintIds[0], constraint_ids: constraintIds },
         actions: ['constraint_added', 'suggest_regenerate_timetable']
       };
     } catch (error) {
@@ -489,95 +940,1099 @@ class ChatBot {
     }
   }
 
-  handleHelp() {
-    const helpText = `🤖 **Hanu-Planner Assistant Help**
+  // Move, resize, relocate or delete one existing session. Several matching
+  // sessions are listed for the user to pick from, and deletion waits for a
+  // "yes".
+  async handleModifySession(entities, userId) {
+    try {
+      const sessions = await this.db.getSessionsByUser(userId);
+      if (sessions.length === 0) {
+        return {
+          text: "You don't have any sessions to change yet. Would you like to add some?",
+          intent: 'modify_session',
+          entities,
+          actions: ['suggest_add_sessions']
+        };
+      }
 
-I can help you manage your academic timetable! Here's what I can do:
+      const candidates = this.findSessionsToModify(sessions, entities);
 
-**📚 Course Management:**
-• "Add Python Programming course"
-• "Create a new course called Data Structures"
+      if (candidates.length === 0) {
+        if (!entities.course_name) {
+          return {
+            text: 'Which session would you like to change? Tell me the course, and the day if it has several.',
+            intent: 'modify_session',
+            entities,
+            actions: ['request_session_course']
+          };
+        }
+        return {
+          text: `I couldn't find a matching session for "${entities.course_name}". Try "show my schedule" to see what's scheduled.`,
+          intent: 'modify_session',
+          entities,
+          actions: ['session_not_found']
+        };
+      }
 
-**📅 Session Scheduling:**
-• "Schedule Python Lab on Tuesday 2-4 PM"
-• "Add Math lecture on Monday at 9 AM"
+      if (candidates.length > 1) {
+        const options = candidates.map((session, index) => `${index + 1}. ${this.describeSession(session)}`).join('\n');
+        const listed = { ...entities, session_ids: candidates.map(session => session.id) };
+        delete listed.session_choice;
+        return {
+          text: `Which one do you mean?\n${options}\n\nReply with a number or a day.`,
+          intent: 'modify_session',
+          entities: listed,
+          actions: ['request_session_selection'],
+          data: { options: candidates }
+        };
+      }
 
-**🗓️ Timetable Generation:**
-• "Generate my timetable"
-• "Create my schedule"
+      const session = candidates[0];
+      const chosen = { ...entities, session_id: session.id };
+      delete chosen.session_ids;
+      delete chosen.session_choice;
 
-**⚠️ Constraints:**
-• "I'm unavailable on Friday afternoons"
-• "No classes after 6 PM"
+      if (entities.change === 'delete') {
+        return await this.deleteChatSession(session, chosen, userId);
+      }
 
-**📊 Information:**
-• "Show my schedule"
-• "What do I have today?"
+      const updates = this.planSessionUpdate(session, chosen);
+      if (updates.error) {
+        return {
+          text: `${updates.error} ${this.describeSession(session)} was left as it is.`,
+          intent: 'modify_session',
+          entities: chosen,
+          actions: ['error']
+        };
+      }
 
-Just tell me what you'd like to do in natural language, and I'll help you out!`;
+      if (Object.keys(updates).length === 0) {
+        // Keep only what identifies the session, so the answer is read as the target
+        return {
+          text: `Where should I move ${this.describeSession(session)}? For example: "Thursday 3pm" or "Room B12".`,
+          intent: 'modify_session',
+          entities: { course_name: entities.course_name, change: 'move', session_id: session.id, target_pending: true },
+          actions: ['request_move_target']
+        };
+      }
 
-    return {
-      text: helpText,
-      intent: 'help',
-      entities: {},
-      actions: ['help_displayed']
-    };
-  }
+      const before = await this.operations.snapshot('sessions', session.id);
+      await this.db.updateSession(session.id, updates);
+      await this.operations.record(userId, `change ${this.describeSession(session)}`, [
+        { table: 'sessions', id: session.id, before, after: await this.operations.snapshot('sessions', session.id) }
+      ]);
 
-  handleUnknown(analysis) {
-    return {
-      text: "I'm not sure I understand. Could you rephrase that? You can ask me to add courses, schedule sessions, generate timetables, or type 'help' for more options.",
-      intent: 'unknown',
-      entities: analysis.entities,
-      actions: ['request_clarification']
-    };
-  }
+      const updated = { ...session, ...updates };
+      const overlaps = sessions.filter(other =>
+        other.id !== session.id &&
+        other.day_of_week === updated.day_of_week &&
+        other.start_time < updated.end_time &&
+        other.end_time > updated.start_time
+      );
 
-  // Utility methods
-  normalizeDayName(day) {
-    const dayMap = {
-      'mon': 'Monday', 'monday': 'Monday',
-      'tue': 'Tuesday', 'tuesday': 'Tuesday',
-      'wed': 'Wednesday', 'wednesday': 'Wednesday',
-      'thu': 'Thursday', 'thursday': 'Thursday',
-      'fri': 'Friday', 'friday': 'Friday',
-      'sat': 'Saturday', 'saturday': 'Saturday',
-      'sun': 'Sunday', 'sunday': 'Sunday'
-    };
-    return dayMap[day.toLowerCase()] || day;
-  }
+      let response = `Done! ${session.course_name} ${session.type} is now on ${this.describeWhen(updated)}.`;
+      if (overlaps.length > 0) {
+        response += ` ⚠️ It overlaps ${overlaps.map(other => this.describeSession(other)).join(', ')}.`;
+      }
+      response += ' Would you like me to regenerate your timetable?';
 
-  dayNameToNumber(dayName) {
-    const dayMap = {
-      'Sunday': 0, 'Monday': 1, 'Tuesday': 2, 'Wednesday': 3,
-      'Thursday': 4, 'Friday': 5, 'Saturday': 6
+      return {
+        text: response,
+        intent: 'modify_session',
+        entities: chosen,
+        actions: ['session_updated', 'suggest_regenerate_timetable'],
+        data: { before: session, after: updated, overlaps }
+      };
+    } catch (error) {
+      return {
+        text: `I encountered an error changing the session: ${error.message}. Please try again.`,
+        intent: 'modify_session',
+        entities,
+        actions: ['error']
+      };
+    }
+  }
+
+  findSessionsToModify(sessions, entities) {
+    if (entities.session_id) {
+      return sessions.filter(session => session.id === entities.session_id);
+    }
+
+    let candidates = sessions;
+    if (entities.session_ids) {
+      candidates = entities.session_ids
+        .map(id => sessions.find(session => session.id === id))
+        .filter(Boolean);
+      if (entities.session_choice) {
+        const picked = candidates[entities.session_choice - 1];
+        return picked ? [picked] : [];
+      }
+    } else if (entities.course_name) {
+      const name = entities.course_name.toLowerCase();
+      candidates = candidates.filter(session =>
+        session.course_name.toLowerCase().includes(name) ||
+        (session.course_code || '').toLowerCase() === name
+      );
+    }
+
+    if (entities.session_type && entities.session_type !== 'class') {
+      candidates = candidates.filter(session => session.type === entities.session_type);
+    }
+    if (entities.day) {
+      const dayOfWeek = this.dayNameToNumber(entities.day);
+      candidates = candidates.filter(session => session.day_of_week === dayOfWeek);
+    }
+    if (entities.time && !entities.target_pending) {
+      candidates = candidates.filter(session =>
+        session.start_time <= entities.time && session.end_time > entities.time
+      );
+    }
+
+    return candidates;
+  }
+
+  // Column updates for a move or duration change, or { error } when the
+  // result would not be a valid session
+  planSessionUpdate(session, entities) {
+    const updates = {};
+    const length = this.timeToMinutes(session.end_time) - this.timeToMinutes(session.start_time);
+
+    if (entities.change === 'duration') {
+      const minutes = entities.duration_relative ? length + entities.duration_minutes : entities.duration_minutes;
+      if (minutes < 15 || minutes > 480) {
+        return { error: 'A session has to last between 15 minutes and 8 hours.' };
+      }
+      updates.end_time = this.minutesToTime(this.timeToMinutes(session.start_time) + minutes);
+    } else {
+      // An answer to "where should I move it?" arrives as plain day/time/location
+      const target = entities.target_pending ? {
+        day: entities.day,
+        time: entities.time,
+        start: entities.start_time,
+        end: entities.end_time,
+        location: entities.location
+      } : {
+        day: entities.new_day,
+        time: entities.new_time,
+        start: entities.new_start_time,
+        end: entities.new_end_time,
+        location: entities.new_location
+      };
+
+      if (target.day) updates.day_of_week = this.dayNameToNumber(target.day);
+      if (target.start && target.end) {
+        updates.start_time = target.start;
+        updates.end_time = target.end;
+      } else if (target.time) {
+        updates.start_time = target.time;
+        updates.end_time = this.minutesToTime(this.timeToMinutes(target.time) + length);
+      }
+      if (target.location) updates.location = target.location;
+    }
+
+    const start = updates.start_time || session.start_time;
+    const end = updates.end_time || session.end_time;
+    if (end <= start || this.timeToMinutes(end) >= 24 * 60) {
+      return { error: 'That would not fit in a single day.' };
+    }
+
+    return updates;
+  }
+
+  async deleteChatSession(session, entities, userId) {
+    if (!entities.confirmed) {
+      return {
+        text: `Delete ${this.describeSession(session)}? Reply "yes" to confirm or "no" to keep it.`,
+        intent: 'modify_session',
+        entities,
+        actions: ['confirm_delete_session'],
+        data: { session }
+      };
+    }
+
+    const before = await this.operations.snapshot('sessions', session.id);
+    await this.db.deleteSession(session.id);
+    await this.operations.record(userId, `delete ${this.describeSession(session)}`, [
+      { table: 'sessions', id: session.id, before, after: null }
+    ]);
+
+    return {
+      text: `I've deleted ${this.describeSession(session)}. Would you like me to regenerate your timetable?`,
+      intent: 'modify_session',
+      entities,
+      actions: ['session_deleted', 'suggest_regenerate_timetable'],
+      data: { deleted: session }
     };
-    return dayMap[dayName] || 1;
   }
 
-  normalizeTime(timeStr) {
-    // Convert various time formats to HH:MM
-    const match = timeStr.match(/(\d{1,2}):?(\d{2})?\s*(am|pm)?/i);
-    if (!match) return timeStr;
-    
-    let hour = parseInt(match[1]);
-    const minute = parseInt(match[2] || '0');
-    const period = match[3]?.toLowerCase();
-    
-    if (period === 'pm' && hour !== 12) hour += 12;
-    if (period === 'am' && hour === 12) hour = 0;
-    
-    return `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
+  // Generate the timetable with and without a change and report the
+  // difference, saving nothing. Saying "yes" to the offer at the end comes
+  // back here with `confirmed` and makes the change for real.
+  async handleWhatIf(entities, userId, options = {}) {
+    try {
+      if (entities.confirmed) {
+        return await this.applyWhatIf(entities, userId);
+      }
+
+      const generator = new TimetableGenerator(this.db);
+      if (await this.reportProgress(options, 'loading', 'Loading your courses and sessions…')) {
+        return this.handleGenerationCancelled('what_if');
+      }
+      const data = await generator.loadSchedulingData(userId);
+      if (data.sessions.length === 0) {
+        return {
+          text: "You don't have any sessions yet, so there's nothing to compare. Would you like to add some?",
+          intent: 'what_if',
+          entities,
+          actions: ['suggest_add_sessions']
+        };
+      }
+
+      const scenario = this.planWhatIf(data, entities, userId);
+      if (scenario.response) {
+        return scenario.response;
+      }
+
+      if (await this.reportProgress(options, 'placing', `Placing ${this.countOf(data.sessions.length, 'session')} as they are now…`)) {
+        return this.handleGenerationCancelled('what_if');
+      }
+      const before = generator.forUser(data).buildTimetable(data);
+      if (await this.reportProgress(options, 'placing', `Placing them again if you ${scenario.description}…`)) {
+        return this.handleGenerationCancelled('what_if');
+      }
+      const after = generator.forUser(scenario.data).buildTimetable(scenario.data);
+      const impact = this.compareWhatIf(generator, before, after, scenario);
+
+      let response = `🔮 **What if you ${scenario.description}?**\n\n`;
+      const delta = impact.scoreAfter - impact.scoreBefore;
+      response += `📊 Score: ${impact.scoreBefore} → ${impact.scoreAfter} (${delta >= 0 ? '+' : ''}${delta})\n`;
+      if (impact.newConflicts.length > 0) {
+        response += `⚠️ **New conflicts:**\n${impact.newConflicts.map(conflict => `• ${conflict.courseName} (${conflict.type}): ${conflict.reason}`).join('\n')}\n`;
+      } else {
+        response += '✅ No new conflicts\n';
+      }
+      if (impact.resolvedConflicts.length > 0) {
+        response += `✅ **Conflicts resolved:** ${impact.resolvedConflicts.map(conflict => `${conflict.courseName} (${conflict.type})`).join(', ')}\n`;
+      }
+      if (impact.moved.length > 0) {
+        response += `🔀 **Sessions that would move:**\n${impact.moved.map(move =>
+          `• ${move.courseName} (${move.type}): ${move.from.dayName} ${move.from.startTime}-${move.from.endTime} → ${move.to.dayName} ${move.to.startTime}-${move.to.endTime}`
+        ).join('\n')}\n`;
+      } else {
+        response += 'No other sessions would move\n';
+      }
+      response += '\nNothing has been saved. Would you like me to apply this change?';
+
+      return {
+        text: response,
+        intent: 'what_if',
+        entities: { ...entities, ...scenario.entities },
+        actions: ['what_if_previewed', 'suggest_apply_what_if'],
+        data: impact
+      };
+    } catch (error) {
+      return {
+        text: `I encountered an error trying that out: ${error.message}. Please try again.`,
+        intent: 'what_if',
+        entities,
+        actions: ['error']
+      };
+    }
   }
 
-  parseTimeRange(rangeStr) {
-    const match = rangeStr.match(/(\d{1,2}):?(\d{2})?\s*(am|pm)?\s*(?:to|-|until)\s*(\d{1,2}):?(\d{2})?\s*(am|pm)?/i);
-    if (!match) return { start: '', end: '' };
-    
-    const start = this.normalizeTime(`${match[1]}:${match[2] || '00'} ${match[3] || ''}`);
-    const end = this.normalizeTime(`${match[4]}:${match[5] || '00'} ${match[6] || match[3] || ''}`);
-    
-    return { start, end };
+  // Copy of the scheduling data with the change applied, as
+  // { data, description, entities }, or { response } when the change needs
+  // another answer first
+  planWhatIf(data, entities, userId) {
+    const reply = (text, actions, replyEntities = entities) => ({
+      response: { text, intent: 'what_if', entities: replyEntities, actions }
+    });
+
+    if (entities.what_if === 'drop_course') {
+      const name = entities.course_name.toLowerCase();
+      const course = data.courses.find(c => c.name.toLowerCase().includes(name) || (c.code || '').toLowerCase() === name);
+      if (!course) {
+        return reply(`I couldn't find a course named "${entities.course_name}".`, ['course_not_found']);
+      }
+      return {
+        data: {
+          ...data,
+          courses: data.courses.filter(c => c.id !== course.id),
+          sessions: data.sessions.filter(session => session.course_id !== course.id)
+        },
+        description: `drop ${course.name}`,
+        entities: { course_id: course.id }
+      };
+    }
+
+    if (entities.what_if === 'add_constraint') {
+      if (entities.start_time && !this.constraintEnd(entities)) {
+        return { response: this.askConstraintEnd(entities, 'what_if') };
+      }
+      const days = entities.days || [null];
+      const [startTime, endTime] = this.constraintWindow(entities);
+      // Negative ids cannot clash with saved constraints
+      const constraints = days.map((day, index) => ({
+        id: -(index + 1),
+        user_id: userId,
+        type: 'unavailable',
+        day_of_week: day ? this.dayNameToNumber(day) : null,
+        start_time: startTime,
+        end_time: endTime,
+        min_gap_minutes: null,
+        description: 'What-if constraint',
+        is_active: 1
+      }));
+      const when = `${days[0] ? `on ${this.listDays(days)}` : 'every day'}${startTime ? ` from ${startTime} to ${endTime}` : ''}`;
+      return {
+        data: { ...data, constraints: [...data.constraints, ...constraints] },
+        description: `were unavailable ${when}`,
+        entities: {}
+      };
+    }
+
+    if (entities.what_if === 'modify_session') {
+      const candidates = this.findSessionsToModify(data.sessions, entities);
+      if (candidates.length === 0) {
+        return reply(
+          entities.course_name
+            ? `I couldn't find a matching session for "${entities.course_name}".`
+            : 'Which session should I try changing? Tell me the course, and the day if it has several.',
+          ['session_not_found']
+        );
+      }
+      if (candidates.length > 1) {
+        const options = candidates.map((session, index) => `${index + 1}. ${this.describeSession(session)}`).join('\n');
+        const listed = { ...entities, session_ids: candidates.map(session => session.id) };
+        delete listed.session_choice;
+        const selection = reply(`Which one do you mean?\n${options}\n\nReply with a number or a day.`, ['request_session_selection'], listed);
+        selection.response.data = { options: candidates };
+        return selection;
+      }
+
+      const session = candidates[0];
+      if (entities.change === 'delete') {
+        return {
+          data: { ...data, sessions: data.sessions.filter(other => other.id !== session.id) },
+          description: `delete ${this.describeSession(session)}`,
+          entities: { session_id: session.id }
+        };
+      }
+
+      const updates = this.planSessionUpdate(session, entities);
+      if (updates.error || Object.keys(updates).length === 0) {
+        return reply(updates.error || `Where should ${this.describeSession(session)} go? For example: "what if I move it to Thursday 3pm".`, ['error']);
+      }
+      const updated = { ...session, ...updates };
+      return {
+        data: { ...data, sessions: data.sessions.map(other => other.id === session.id ? updated : other) },
+        description: `moved ${this.describeSession(session)} to ${this.describeWhen(updated)}`,
+        entities: { session_id: session.id }
+      };
+    }
+
+    return reply(
+      'What change should I try? For example: "what if I drop Chemistry?", "what if I\'m unavailable Tuesday mornings?" or "what if I move my Physics lab to Friday 2pm?"',
+      ['request_clarification']
+    );
+  }
+
+  // Score change, conflicts gained and lost, and other sessions that land
+  // somewhere else between the current and the hypothetical timetable
+  compareWhatIf(generator, before, after, scenario) {
+    const placed = new Map();
+    Object.entries(before.schedule).forEach(([dayNum, dayData]) => {
+      dayData.sessions
+        .filter(session => !session.isStudyBlock)
+        .forEach(session => placed.set(session.id, { ...session, dayOfWeek: Number(dayNum) }));
+    });
+    const changes = generator.describeRepair(placed, after.schedule, scenario.data.sessions, new Map());
+
+    const conflicted = timetable => new Set(timetable.conflicts.map(conflict => conflict.session.id));
+    const summarize = conflict => ({
+      sessionId: conflict.session.id,
+      courseName: conflict.session.course_name,
+      type: conflict.session.type,
+      reason: conflict.reason
+    });
+    const conflictedBefore = conflicted(before);
+    const conflictedAfter = conflicted(after);
+    const remaining = new Set(scenario.data.sessions.map(session => session.id));
+
+    return {
+      scoreBefore: Math.round(before.score),
+      scoreAfter: Math.round(after.score),
+      newConflicts: after.conflicts.filter(conflict => !conflictedBefore.has(conflict.session.id)).map(summarize),
+      resolvedConflicts: before.conflicts
+        .filter(conflict => !conflictedAfter.has(conflict.session.id) && remaining.has(conflict.session.id))
+        .map(summarize),
+      moved: changes.displaced.filter(move => move.to && move.sessionId !== scenario.entities.session_id),
+      removed: changes.removed
+    };
+  }
+
+  // Make a previewed what-if change for real
+  async applyWhatIf(entities, userId) {
+    const { what_if: kind, confirmed, ...change } = entities;
+    if (kind === 'add_constraint') {
+      return await this.handleAddConstraint(change, userId);
+    }
+    if (kind === 'modify_session') {
+      return await this.handleModifySession({ ...change, confirmed }, userId);
+    }
+
+    const course = await this.db.getRow('courses', entities.course_id);
+    if (!course) {
+      return {
+        text: "That course isn't there any more, so there's nothing to drop.",
+        intent: 'what_if',
+        entities,
+        actions: ['course_not_found']
+      };
+    }
+
+    // Deleting the course cascades to its sessions, which undo has to restore
+    const sessions = await this.db.getRowsWhere('sessions', 'course_id', course.id);
+    await this.db.deleteCourse(course.id);
+    const changes = [{ table: 'courses', id: course.id, before: course, after: null, cascaded: sessions }];
+    await this.operations.record(userId, `drop course "${course.name}"`, changes);
+
+    return {
+      text: `I've dropped ${course.name} and its ${sessions.length} session${sessions.length === 1 ? '' : 's'}. Would you like me to regenerate your timetable?`,
+      intent: 'what_if',
+      entities,
+      actions: ['course_deleted', 'suggest_regenerate_timetable']
+    };
+  }
+
+  // Clauses of a pasted syllabus: one per line or per ";", with list
+  // bullets dropped
+  splitBatch(message) {
+    return message
+      .split(/\r?\n|;/)
+      .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim())
+      .filter(Boolean);
+  }
+
+  // One syllabus line ("CS201 lecture Mon/Wed 9-10:30 room A101") as the
+  // course, session type, days, times and location it names. `issues`
+  // says what had to be guessed; a skipped line lacks something no guess
+  // can fill.
+  parseBatchLine(line) {
+    const when = this.temporal.parse(line);
+    const entry = {
+      line,
+      course_name: null,
+      course_code: null,
+      session_type: 'lecture',
+      days: when.days || [],
+      start_time: when.start || null,
+      end_time: when.end || null,
+      location: null,
+      issues: [],
+      skipped: false
+    };
+
+    // Days are read first, so "lab Thu" is not taken for a room
+    let rest = this.temporal.remainder(line);
+    entry.location = this.extractLocation(rest);
+    if (entry.location) rest = rest.replace(entry.location, ' ');
+    const words = [];
+    let bareTime = null;
+    rest.split(/[\s,/&()|]+/)
+      .map(word => word.replace(/^[-:.]+|[-:.]+$/g, ''))
+      .filter(Boolean)
+      .forEach(word => {
+        const type = word.match(/^(lecture|lab|tutorial|seminar|class)(?:es|s)?$/i);
+        if (type) {
+          entry.session_type = type[1].toLowerCase();
+        } else if (!entry.course_code && /^[A-Za-z]{2,5}\d{2,4}[A-Za-z]?$/.test(word)) {
+          entry.course_code = word.toUpperCase();
+        } else if (!entry.location && /^[A-Z]\d{1,4}[A-Za-z]?$/.test(word)) {
+          entry.location = word;
+        } else if (bareTime === null && /^\d{1,2}(?:[:.]\d{2})?$/.test(word)) {
+          bareTime = word;
+        } else if (!BATCH_FILLER.test(word)) {
+          words.push(word);
+        }
+      });
+    entry.course_name = words.join(' ') || entry.course_code;
+
+    // "Fri 11" or "Thu at 2pm": an hour from the time given
+    if (!entry.start_time && (when.time || bareTime)) {
+      const start = when.time || TemporalParser.formatTime(TemporalParser.resolve(TemporalParser.readClock(bareTime), null));
+      const end = this.timeToMinutes(start) + 60;
+      if (end < 24 * 60) {
+        entry.start_time = start;
+        entry.end_time = this.minutesToTime(end);
+        entry.issues.push(when.time
+          ? `no end time, so I assumed ${entry.start_time}-${entry.end_time}`
+          : `read "${bareTime}" as ${entry.start_time}-${entry.end_time}`);
+      }
+    }
+
+    const missing = !entry.course_name ? 'which course' : entry.days.length === 0 ? 'which day' : !entry.start_time ? 'what time' : null;
+    if (missing) {
+      entry.skipped = true;
+      entry.issues = [`I couldn't tell ${missing}`];
+    }
+    return entry;
+  }
+
+  // The courses and sessions a pasted syllabus would add, as { courses,
+  // sessions, lines }. Courses already there, by name or code, are reused,
+  // and sessions overlapping one another or existing ones are flagged.
+  async planBatch(clauses, userId) {
+    const courses = await this.db.getCoursesByUser(userId);
+    const taken = (await this.db.getSessionsByUser(userId)).map(session => ({
+      day: session.day_of_week,
+      start: session.start_time,
+      end: session.end_time,
+      label: `${session.course_name} ${session.type}`
+    }));
+    const plan = { courses: [], sessions: [], lines: [] };
+
+    clauses.forEach(line => {
+      const entry = this.parseBatchLine(line);
+      if (!entry.skipped) {
+        const course = this.batchCourse(plan, courses, entry);
+        const label = `${course.name} ${entry.session_type}`;
+        entry.days.forEach(day => {
+          const clash = taken.find(slot => slot.day === day && slot.start < entry.end_time && entry.start_time < slot.end);
+          if (clash) entry.issues.push(`overlaps ${clash.label} on ${this.dayNames[day]}`);
+          plan.sessions.push({
+            course: plan.courses.indexOf(course),
+            course_name: course.name,
+            type: entry.session_type,
+            day_of_week: day,
+            start_time: entry.start_time,
+            end_time: entry.end_time,
+            location: entry.location || ''
+          });
+          taken.push({ day, start: entry.start_time, end: entry.end_time, label });
+        });
+      }
+      plan.lines.push({ line, issues: entry.issues, skipped: entry.skipped });
+    });
+
+    return plan;
+  }
+
+  batchCourse(plan, courses, entry) {
+    const names = [entry.course_code, entry.course_name].filter(Boolean).map(name => name.toLowerCase());
+    const matches = course => names.includes(course.name.toLowerCase()) || names.includes((course.code || '').toLowerCase());
+
+    const planned = plan.courses.find(matches);
+    if (planned) return planned;
+
+    const existing = courses.find(matches);
+    const course = existing
+      ? { id: existing.id, name: existing.name, code: existing.code || '' }
+      : { id: null, name: entry.course_name, code: entry.course_code || '' };
+    plan.courses.push(course);
+    return course;
+  }
+
+  async handleBatchImport(entities, userId) {
+    try {
+      if (entities.confirmed && entities.batch) {
+        return await this.applyBatch(entities.batch, userId);
+      }
+
+      const plan = await this.planBatch(entities.clauses || [], userId);
+      const newCourses = plan.courses.filter(course => !course.id);
+      const flagged = plan.lines.filter(line => !line.skipped && line.issues.length > 0);
+      const skipped = plan.lines.filter(line => line.skipped);
+
+      let response = `📋 **Here's what I read from your ${plan.lines.length} lines:**\n\n`;
+      if (newCourses.length > 0) {
+        response += `📚 **New courses:** ${newCourses.map(course => course.code && course.code !== course.name ? `${course.name} (${course.code})` : course.name).join(', ')}\n\n`;
+      }
+      if (plan.sessions.length > 0) {
+        response += `📅 **Sessions:**\n${plan.sessions.map(session =>
+          `• ${session.course_name} ${session.type}: ${this.describeWhen(session)}`
+        ).join('\n')}\n\n`;
+      }
+      if (flagged.length > 0) {
+        response += `⚠️ **Please check:**\n${flagged.map(line => `• "${line.line}": ${line.issues.join('; ')}`).join('\n')}\n\n`;
+      }
+      if (skipped.length > 0) {
+        response += `❓ **Skipped:**\n${skipped.map(line => `• "${line.line}": ${line.issues.join('; ')}`).join('\n')}\n\n`;
+      }
+
+      if (plan.sessions.length === 0) {
+        return {
+          text: `${response}I couldn't find any sessions to add. Each line needs a course, a day and a time, like "CS201 lab Thu 2-4pm".`,
+          intent: 'batch_import',
+          entities,
+          actions: ['batch_empty'],
+          data: plan
+        };
+      }
+
+      response += `Nothing has been saved yet. Shall I add ${this.countOf(newCourses.length, 'course')} and ${this.countOf(plan.sessions.length, 'session')}?`;
+      return {
+        text: response,
+        intent: 'batch_import',
+        entities: { ...entities, batch: plan },
+        actions: ['batch_previewed', 'confirm_batch_import'],
+        data: plan
+      };
+    } catch (error) {
+      return {
+        text: `I encountered an error reading those lines: ${error.message}. Please try again.`,
+        intent: 'batch_import',
+        entities,
+        actions: ['error']
+      };
+    }
+  }
+
+  // Add a previewed syllabus in one transaction, recorded as one operation
+  // so a single undo takes it all back
+  async applyBatch(plan, userId) {
+    try {
+      const { changes, added } = await this.db.transaction(async () => {
+        const changes = [];
+        const courseIds = [];
+        let added = 0;
+
+        // Looked up inside the transaction: a course added since the
+        // preview, even by an import running alongside, is reused rather
+        // than added twice, and one removed since is added again
+        const courses = await this.db.getCoursesByUser(userId);
+        for (const planned of plan.courses) {
+          const existing = courses.find(course => (planned.id ? course.id === planned.id : course.name.toLowerCase() === planned.name.toLowerCase()));
+          if (existing) {
+            courseIds.push(existing.id);
+            continue;
+          }
+          const courseId = await this.db.createCourse({
+            userId,
+            name: planned.name,
+            code: planned.code || '',
+            priority: 1,
+            credits: 3,
+            color: this.generateCourseColor(),
+            description: ''
+          });
+          courseIds.push(courseId);
+          changes.push({ table: 'courses', id: courseId, before: null, after: await this.operations.snapshot('courses', courseId) });
+          added++;
+        }
+
+        for (const session of plan.sessions) {
+          const sessionId = await this.db.createSession({
+            courseId: courseIds[session.course],
+            type: session.type,
+            dayOfWeek: session.day_of_week,
+            startTime: session.start_time,
+            endTime: session.end_time,
+            location: session.location,
+            instructor: ''
+          });
+          changes.push({ table: 'sessions', id: sessionId, before: null, after: await this.operations.snapshot('sessions', sessionId) });
+        }
+
+        await this.operations.record(userId, `import ${this.countOf(plan.sessions.length, 'session')} from a syllabus`, changes, { invalidate: false });
+        return { changes, added };
+      });
+      // Cleared once committed: a timetable rebuilt from reads queued before
+      // the import can still be cached while it runs, and only clearing after
+      // the commit is sure to come later
+      await this.operations.invalidate(userId, changes);
+
+      return {
+        text: `✅ I've added ${this.countOf(added, 'course')} and ${this.countOf(plan.sessions.length, 'session')}. Would you like me to regenerate your timetable?`,
+        intent: 'batch_import',
+        entities: { course_ids: changes.filter(change => change.table === 'courses').map(change => change.id) },
+        actions: ['batch_imported', 'suggest_regenerate_timetable']
+      };
+    } catch (error) {
+      return {
+        text: `I couldn't add those sessions: ${error.message}. Nothing was saved.`,
+        intent: 'batch_import',
+        entities: {},
+        actions: ['error']
+      };
+    }
+  }
+
+  // The timetable the user is looking at: the cached one, else the saved
+  // one repaired for edits since, else the sessions as added when nothing
+  // has been generated yet. `generated` says which.
+  async loadTimetable(userId) {
+    const cached = this.cache ? await this.cache.get(`timetable_${userId}`) : null;
+    if (cached) return { ...cached, generated: true };
+
+    const saved = await this.db.getCurrentTimetable(userId);
+    if (saved) {
+      const generator = new TimetableGenerator(this.db);
+      return { ...(await generator.repairTimetable(userId, saved.data)), generated: true };
+    }
+
+    const schedule = {};
+    this.dayNames.forEach((dayName, day) => {
+      schedule[day] = { dayName, sessions: [] };
+    });
+    (await this.db.getSessionsByUser(userId)).forEach(session => {
+      schedule[session.day_of_week].sessions.push(session);
+    });
+    return { schedule, generated: false };
+  }
+
+  // Shared shape of the schedule question replies
+  async answerQuestion(intent, entities, userId, answer) {
+    try {
+      const timetable = await this.loadTimetable(userId);
+      const { text, data } = answer(timetable);
+      const note = timetable.generated ? '' : "\n\n_You haven't generated a timetable yet, so this is from the sessions you've added._";
+      return {
+        text: text + note,
+        intent,
+        entities,
+        actions: ['question_answered'],
+        data
+      };
+    } catch (error) {
+      return {
+        text: `I encountered an error looking at your timetable: ${error.message}. Please try again.`,
+        intent,
+        entities,
+        actions: ['error']
+      };
+    }
+  }
+
+  // "What's my next class?"
+  async handleNextClass(entities, userId) {
+    return this.answerQuestion('next_class', entities, userId, timetable => {
+      const next = this.questions.nextClass(timetable);
+      if (!next) {
+        return { text: "You don't have any classes coming up this week.", data: null };
+      }
+
+      const { session } = next;
+      const name = `**${session.course_name} ${session.type}**`;
+      const where = session.location ? ` in ${session.location}` : '';
+      if (next.ongoing) {
+        return {
+          text: `🕒 You're in ${name}${where} right now, until ${session.end_time}.`,
+          data: next
+        };
+      }
+
+      const when = next.daysAhead === 0 ? 'today' : next.daysAhead === 1 ? 'tomorrow' : `on ${this.dayNames[next.day]}`;
+      const soon = next.daysAhead === 0 ? ` (in ${this.formatMinutes(next.startsIn)})` : '';
+      return {
+        text: `⏭️ Your next class is ${name} ${when} at ${session.start_time}${soon}${where}.`,
+        data: next
+      };
+    });
+  }
+
+  // "When am I free on Wednesday for 2 hours?"
+  async handleFreeTime(entities, userId) {
+    const constraints = await this.db.getConstraintsByUser(userId);
+    const days = (entities.days || []).map(day => this.dayNameToNumber(day));
+    const window = entities.start_time
+      ? { start: entities.start_time, end: entities.end_time }
+      : entities.part_of_day ? TemporalParser.PARTS_OF_DAY[entities.part_of_day] : null;
+    const today = this.now().getDay();
+    // Today's free time starts now, unless the question names the weekday
+    const fromNow = days.length === 0 || (days.length === 1 && days[0] === today && Boolean(entities.date));
+
+    return this.answerQuestion('free_time', entities, userId, timetable => {
+      const slots = this.questions.freeTime(timetable, { days, minutes: entities.duration || 0, window, constraints, fromNow });
+      const length = entities.duration ? ` for ${this.formatMinutes(entities.duration)}` : '';
+      const where = days.length > 0 ? ` on ${this.listDays(entities.days)}` : ' this week';
+
+      if (slots.length === 0) {
+        return { text: `😕 I couldn't find any free time${where}${length}.`, data: [] };
+      }
+
+      const shown = slots.slice(0, 8);
+      let text = `🟢 **You're free${where}${length}:**\n`;
+      text += shown.map(slot => `• ${this.dayNames[slot.day]} ${slot.start_time}-${slot.end_time} (${this.formatMinutes(slot.minutes)})`).join('\n');
+      if (slots.length > shown.length) {
+        text += `\n…and ${this.countOf(slots.length - shown.length, 'more slot')}`;
+      }
+      return { text, data: slots };
+    });
+  }
+
+  // "How many hours of labs do I have this week?"
+  async handleHoursSummary(entities, userId) {
+    return this.answerQuestion('hours_summary', entities, userId, timetable => {
+      const totals = this.questions.hoursByType(timetable);
+      const type = entities.session_type && entities.session_type !== 'class' ? entities.session_type : null;
+
+      if (type) {
+        const total = totals[type] || { minutes: 0, sessions: 0 };
+        return {
+          text: `⏱️ You have **${this.formatMinutes(total.minutes)}** of ${type}s a week (${this.countOf(total.sessions, 'session')}).`,
+          data: { [type]: total }
+        };
+      }
+
+      const entries = Object.entries(totals).sort((a, b) => b[1].minutes - a[1].minutes);
+      if (entries.length === 0) {
+        return { text: "You don't have any classes in your timetable yet.", data: totals };
+      }
+      const classMinutes = entries.filter(([name]) => name !== 'study').reduce((sum, [, total]) => sum + total.minutes, 0);
+      let text = `⏱️ **You have ${this.formatMinutes(classMinutes)} of classes a week:**\n`;
+      text += entries.map(([name, total]) =>
+        `• ${name === 'study' ? 'Self-study' : `${name.charAt(0).toUpperCase()}${name.slice(1)}s`}: ${this.formatMinutes(total.minutes)} (${this.countOf(total.sessions, 'session')})`
+      ).join('\n');
+      return { text, data: totals };
+    });
+  }
+
+  // "Where is my 3pm class?"
+  async handleWhereIs(entities, userId) {
+    if (!entities.time && !entities.course_name && (!entities.session_type || entities.session_type === 'class')) {
+      return {
+        text: 'Which class do you mean? For example: "Where is my 3pm class?" or "Where is my Physics lab?"',
+        intent: 'where_is',
+        entities,
+        actions: ['request_session_course']
+      };
+    }
+
+    return this.answerQuestion('where_is', entities, userId, timetable => {
+      const day = entities.day ? this.dayNameToNumber(entities.day) : null;
+      const found = this.questions.sessionsAt(timetable, { ...entities, day });
+      const asked = entities.time ? `at ${entities.time}` : `for ${[entities.course_name, entities.session_type].filter(Boolean).join(' ')}`;
+
+      if (found.sessions.length === 0) {
+        return {
+          text: `I couldn't find a class ${asked}${entities.day ? ` on ${entities.day}` : ''}.`,
+          data: found
+        };
+      }
+
+      const lines = found.sessions.map(session =>
+        `📍 **${session.course_name} ${session.type}** (${this.dayNames[found.day]} ${session.start_time}-${session.end_time}) is ${session.location ? `in **${session.location}**` : 'not given a room yet'}.`
+      );
+      return { text: lines.join('\n'), data: found };
+    });
+  }
+
+  // "Which day is lightest?" and "What's my busiest day?"
+  async handleLightestDay(entities, userId) {
+    return this.answerQuestion('lightest_day', entities, userId, timetable => {
+      const loads = this.questions.dayLoads(timetable);
+      if (loads.length === 0) {
+        return { text: 'You have no teaching days set up.', data: loads };
+      }
+
+      const busiest = entities.extreme === 'busiest';
+      const pick = busiest ? loads[loads.length - 1] : loads[0];
+      const ties = loads.filter(load => load.minutes === pick.minutes).map(load => this.dayNames[load.day]);
+      const label = busiest ? '🏋️ Your busiest' : '🪶 Your lightest';
+      const subject = ties.length > 1 ? `days are **${this.listDays(ties)}**` : `day is **${ties[0]}**`;
+
+      const load = pick.minutes === 0
+        ? 'no classes'
+        : `${this.formatMinutes(pick.minutes)} of classes (${this.countOf(pick.sessions, 'session')}${ties.length > 1 ? ' each' : ''})`;
+      let text = `${label} ${subject}, with ${load}.\n\n`;
+      text += [...loads]
+        .sort((a, b) => ((a.day + 6) % 7) - ((b.day + 6) % 7))
+        .map(load => `• ${this.dayNames[load.day]}: ${this.formatMinutes(load.minutes)}`)
+        .join('\n');
+      return { text, data: loads };
+    });
+  }
+
+  // Roll back the last `count` chat changes; also used by the Undo button
+  async undo(userId, count = 1) {
+    const operations = await this.operations.undo(userId, count);
+    if (operations.length === 0) {
+      return {
+        text: "There's nothing to undo.",
+        intent: 'undo',
+        entities: { count },
+        actions: ['nothing_to_undo']
+      };
+    }
+
+    return {
+      text: `↩️ Undone: ${this.listOperations(operations)}. Say "redo" to bring it back.`,
+      intent: 'undo',
+      entities: { count },
+      actions: ['operation_undone'],
+      data: { operations: operations.map(({ id, description }) => ({ id, description })) }
+    };
+  }
+
+  async redo(userId, count = 1) {
+    const operations = await this.operations.redo(userId, count);
+    if (operations.length === 0) {
+      return {
+        text: "There's nothing to redo.",
+        intent: 'redo',
+        entities: { count },
+        actions: ['nothing_to_redo']
+      };
+    }
+
+    return {
+      text: `↪️ Redone: ${this.listOperations(operations)}.`,
+      intent: 'redo',
+      entities: { count },
+      actions: ['operation_redone'],
+      data: { operations: operations.map(({ id, description }) => ({ id, description })) }
+    };
+  }
+
+  // [start, end] a constraint blocks: a time range, an open bound ("after
+  // 5pm" runs to the end of the day) or a part of the day, else the whole day
+  constraintWindow(entities) {
+    if (entities.start_time && this.constraintEnd(entities)) return [entities.start_time, this.constraintEnd(entities)];
+    if (entities.after || entities.before) return [entities.after || '00:00', entities.before || '24:00'];
+    const part = TemporalParser.PARTS_OF_DAY[entities.part_of_day];
+    return part ? [part.start, part.end] : [null, null];
+  }
+
+  // The end of a constraint that has a start; once asked for, a bare time
+  // or "until ..." in the answer is that end. Null while it is missing or
+  // not after the start.
+  constraintEnd(entities) {
+    const end = entities.end_time || (entities.end_pending ? entities.before || entities.time : null);
+    return end && end > entities.start_time ? end : null;
+  }
+
+  // A start alone says when the user is busy from, not until when, and
+  // blocking the rest of the day would be a guess
+  askConstraintEnd(entities, intent) {
+    const days = entities.days || (entities.day ? [entities.day] : []);
+    const on = days.length > 0 ? ` on ${this.listDays(days)}` : '';
+    const { end_time, before, time, ...asked } = entities;
+    const retry = entities.end_pending && (end_time || before || time) ? 'That ends before it starts. ' : '';
+    return {
+      text: `${retry}Until what time are you unavailable${on} from ${entities.start_time}?`,
+      intent,
+      entities: { ...asked, end_pending: true },
+      actions: ['request_constraint_end']
+    };
+  }
+
+  // "Monday", "Monday and Wednesday", "Monday, Wednesday and Friday"
+  listDays(days) {
+    return days.length > 1 ? `${days.slice(0, -1).join(', ')} and ${days[days.length - 1]}` : days[0];
+  }
+
+  // "45 minutes", "2 hours", "1h 30m"
+  formatMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (hours === 0) return this.countOf(rest, 'minute');
+    if (rest === 0) return this.countOf(hours, 'hour');
+    return `${hours}h ${rest}m`;
+  }
+
+  countOf(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+  }
+
+  listOperations(operations) {
+    return operations.map(operation => operation.description).join(', ');
+  }
+
+  describeSession(session) {
+    return `${session.course_name} ${session.type} on ${this.describeWhen(session)}`;
+  }
+
+  describeWhen(session) {
+    let when = `${this.dayNames[session.day_of_week]} ${session.start_time}-${session.end_time}`;
+    if (session.location) when += ` (${session.location})`;
+    return when;
+  }
+
+  handleHelp() {
+    const helpText = `🤖 **Hanu-Planner Assistant Help**
+
+I can help you manage your academic timetable! Here's what I can do:
+
+**📚 Course Management:**
+• "Add Python Programming course"
+• "Create a new course called Data Structures"
+
+**📅 Session Scheduling:**
+• "Schedule Python Lab on Tuesday 2-4 PM"
+• "Add Math lecture on Monday at 9 AM"
+• "Math tutorial on Mon and Wed 9-10:30"
+• "Chemistry lab tomorrow for 2 hours starting at 3"
+• Paste a whole syllabus, one session per line or separated by ";", e.g. "CS201 lecture Mon/Wed 9-10:30 room A101; CS201 lab Thu 2-4pm"
+
+**🗓️ Timetable Generation:**
+• "Generate my timetable"
+• "Create my schedule"
+
+**✏️ Changing Sessions:**
+• "Move my Physics lab to Thursday 3pm"
+• "Extend Math lecture by 30 minutes"
+• "Change the location of my Physics lab to Room B12"
+• "Delete my Friday tutorial"
+
+**⚠️ Constraints:**
+• "I'm unavailable on Friday afternoons"
+• "No classes after 6 PM"
+• "I'm busy every weekday after 5pm"
+
+**🔮 What if:**
+• "What if I drop Chemistry?"
+• "What if I'm unavailable Tuesday mornings?"
+
+**↩️ Undo:**
+• "Undo that" or "Undo the last 3 changes"
+• "Redo"
+
+**📊 Information:**
+• "Show my schedule"
+• "What do I have today?"
+• "What's my next class?"
+• "When am I free on Wednesday for 2 hours?"
+• "How many hours of labs do I have this week?"
+• "Where is my 3pm class?"
+• "Which day is lightest?"
+
+**💬 Follow-ups:**
+• Answer my questions in your next message, e.g. "Physics" or "Tuesday 2-4 PM"
+• Reply "yes" to a suggestion or "no" to skip it
+
+Just tell me what you'd like to do in natural language, and I'll help you out!`;
+
+    return {
+      text: helpText,
+      intent: 'help',
+      entities: {},
+      actions: ['help_displayed']
+    };
+  }
+
+  handleUnknown(analysis) {
+    return {
+      text: "I'm not sure I understand. Could you rephrase that? You can ask me to add courses, schedule sessions, generate timetables, or type 'help' for more options.",
+      intent: 'unknown',
+      entities: analysis.entities,
+      actions: ['request_clarification']
+    };
+  }
+
+  // Utility methods
+  // null for anything that is not a day
+  dayNameToNumber(dayName) {
+    return TemporalParser.dayNumber(dayName);
+  }
+
+  timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  minutesToTime(minutes) {
+    return `${Math.floor(minutes / 60).toString().padStart(2, '0')}:${(minutes % 60).toString().padStart(2, '0')}`;
   }
 
   normalizePriority(priority) {
@@ -594,13 +2049,64 @@ Just tell me what you'd like to do in natural language, and I'll help you out!`;
     return colors[Math.floor(Math.random() * colors.length)];
   }
 
-  updateContext(userId, analysis, response) {
-    this.context.set(userId, {
+  // Dialogue state for a user, from memory or from the database after a
+  // restart, or null when there is none or it has expired
+  async loadContext(userId) {
+    const key = String(userId);
+    let context = this.context.get(key);
+
+    if (!context) {
+      context = await this.db.getChatContext(userId);
+      if (context) this.context.set(key, context);
+    }
+
+    if (context && Date.now() - context.timestamp > this.contextTtlMs) {
+      this.context.delete(key);
+      await this.db.clearChatContext(userId);
+      return null;
+    }
+
+    return context || null;
+  }
+
+  async updateContext(userId, analysis, response) {
+    const actions = response.actions || [];
+    const question = actions.find(action => PENDING_SLOTS[action]);
+    const suggestion = actions.find(action => OFFERS[action]);
+
+    const context = {
       lastIntent: analysis.intent,
       lastEntities: analysis.entities,
-      lastActions: response.actions,
+      lastActions: actions,
+      pending: question ? {
+        intent: response.intent,
+        entities: response.entities,
+        awaiting: PENDING_SLOTS[question]
+      } : null,
+      offer: suggestion ? {
+        action: suggestion,
+        intent: OFFERS[suggestion],
+        entities: this.offerEntities(suggestion, response)
+      } : null,
       timestamp: Date.now()
-    });
+    };
+
+    this.context.set(String(userId), context);
+    await this.db.saveChatContext(userId, context);
+  }
+
+  // Entities carried into an accepted suggestion, e.g. the course that was
+  // just added when offering to schedule its sessions
+  offerEntities(suggestion, response) {
+    if (suggestion === 'confirm_delete_session' || suggestion === 'suggest_apply_what_if' || suggestion === 'confirm_batch_import') {
+      return { ...response.entities, confirmed: true };
+    }
+
+    const { course_name: courseName } = response.entities || {};
+    if ((suggestion === 'suggest_schedule_session' || suggestion === 'suggest_add_course') && courseName) {
+      return { course_name: courseName };
+    }
+    return {};
   }
 
   async getChatHistory(userId, limit = 50) {
@@ -608,7 +2114,7 @@ Just tell me what you'd like to do in natural language, and I'll help you out!`;
   }
 
   get dayNames() {
-    return ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    return TemporalParser.DAY_NAMES;
   }
 }
 
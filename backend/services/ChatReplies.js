@@ -0,0 +1,242 @@
+const OperationLog = require('./OperationLog');
+const TemporalParser = require('../utils/TemporalParser');
+
+// Typed parts of a chat reply besides its text, built from the actions and
+// data a ChatBot handler returns:
+//   blocks        cards to show under the text:
+//                 { type: 'session', session }
+//                 { type: 'day_schedule', day, sessions }
+//                 { type: 'conflict', session, reason }
+//   quickReplies  buttons, each { label, action }
+//   confirm       a yes/no prompt, { prompt, confirm: { label, action },
+//                 cancel: { label, action } }, or null
+// An `action` is what the chat posts back to /api/chat in place of a typed
+// message:
+//   { type: 'accept', offer }               take up the suggestion or confirmation
+//   { type: 'decline' }                     turn it down
+//   { type: 'choose', choice }              pick option `choice` (from 1) of the last question
+//   { type: 'intent', intent, entities }    ask for one of QUICK_INTENTS directly
+
+// Offers that change or delete something, answered with a confirm prompt
+const CONFIRMATIONS = {
+  confirm_delete_session: { prompt: 'Delete this session?', confirm: 'Delete it', cancel: 'Keep it' },
+  confirm_batch_import: { prompt: 'Add these courses and sessions?', confirm: 'Add them', cancel: 'Not now' },
+  suggest_apply_what_if: { prompt: 'Apply this change to your timetable?', confirm: 'Apply it', cancel: 'Leave it' }
+};
+
+// Other offers, answered with a button
+const SUGGESTIONS = {
+  suggest_regenerate_timetable: 'Regenerate my timetable',
+  suggest_schedule_session: 'Schedule a session',
+  suggest_add_course: 'Add a course',
+  suggest_add_courses: 'Add a course',
+  suggest_add_sessions: 'Schedule a session'
+};
+
+// Intents a button may run without a typed message, and the entities it may
+// pass. None of them deletes anything without asking.
+const QUICK_INTENTS = {
+  show_schedule: ['days'],
+  generate_timetable: [],
+  next_class: [],
+  free_time: ['days', 'duration', 'part_of_day'],
+  hours_summary: ['session_type'],
+  lightest_day: ['extreme'],
+  undo: ['count'],
+  redo: ['count'],
+  help: []
+};
+
+const ENTITY_CHECKS = {
+  days: value => Array.isArray(value) && value.length > 0 && value.every(day => TemporalParser.dayNumber(day) !== null),
+  duration: value => Number.isInteger(value) && value > 0 && value <= 24 * 60,
+  part_of_day: value => Object.prototype.hasOwnProperty.call(TemporalParser.PARTS_OF_DAY, value),
+  session_type: value => ['lecture', 'lab', 'tutorial', 'seminar', 'class'].includes(value),
+  extreme: value => value === 'lightest' || value === 'busiest',
+  count: value => Number.isInteger(value) && value >= 1 && value <= OperationLog.MAX_STEPS
+};
+
+const quick = (label, intent, entities = {}) => ({ label, action: { type: 'intent', intent, entities } });
+
+// Buttons offered after a reply, by action
+const FOLLOW_UPS = {
+  operation_undone: [quick('Redo', 'redo')],
+  operation_redone: [quick('Undo', 'undo')],
+  timetable_generated: [quick('Show my schedule', 'show_schedule'), quick('Which day is lightest?', 'lightest_day')],
+  schedule_displayed: [quick("What's my next class?", 'next_class'), quick('When am I free?', 'free_time')],
+  request_clarification: [quick('Show my schedule', 'show_schedule'), quick('Generate my timetable', 'generate_timetable'), quick('Help', 'help')],
+  help_displayed: [quick('Show my schedule', 'show_schedule'), quick("What's my next class?", 'next_class'), quick('Generate my timetable', 'generate_timetable')]
+};
+
+class ChatReplies {
+  // `intents` are the ChatBot's, for naming the options of a clarifying
+  // question
+  constructor(intents = {}) {
+    this.intents = intents;
+  }
+
+  // The reply with its blocks, quickReplies and confirm filled in; replies
+  // with nothing to show get empty ones, so every reply has the same shape
+  build(response) {
+    const actions = response.actions || [];
+    const offer = actions.find(action => CONFIRMATIONS[action] || SUGGESTIONS[action]);
+    const confirmation = offer && CONFIRMATIONS[offer];
+
+    const quickReplies = [
+      ...this.choices(response),
+      ...(offer && !confirmation ? [
+        { label: SUGGESTIONS[offer], action: { type: 'accept', offer } },
+        { label: 'Not now', action: { type: 'decline' } }
+      ] : []),
+      ...actions.flatMap(action => FOLLOW_UPS[action] || [])
+    ];
+
+    return {
+      ...response,
+      blocks: this.blocks(response),
+      quickReplies,
+      confirm: confirmation ? {
+        prompt: confirmation.prompt,
+        confirm: { label: confirmation.confirm, action: { type: 'accept', offer } },
+        cancel: { label: confirmation.cancel, action: { type: 'decline' } }
+      } : null
+    };
+  }
+
+  // Cards for the sessions, days and conflicts a reply is about
+  blocks(response) {
+    const { intent, data } = response;
+    const actions = response.actions || [];
+    if (!data) return [];
+
+    if (actions.includes('schedule_displayed')) {
+      return Object.entries(data).map(([day, sessions]) => ({
+        type: 'day_schedule',
+        day,
+        sessions: sessions.map(session => this.card(session))
+      }));
+    }
+    if (intent === 'next_class' && data.session) {
+      return [{ type: 'session', session: this.card(data.session, data.day) }];
+    }
+    if (intent === 'where_is' && data.sessions) {
+      return data.sessions.map(session => ({ type: 'session', session: this.card(session, data.day) }));
+    }
+    if (actions.includes('session_updated')) {
+      const label = `${data.after.course_name} ${data.after.type}`;
+      return [
+        { type: 'session', session: this.card(data.after) },
+        ...data.overlaps.map(other => ({ type: 'conflict', session: this.card(other), reason: `Overlaps ${label}` }))
+      ];
+    }
+    if (actions.includes('session_deleted')) {
+      return [{ type: 'session', session: this.card(data.deleted) }];
+    }
+    if (actions.includes('confirm_delete_session') && data.session) {
+      return [{ type: 'session', session: this.card(data.session) }];
+    }
+    if (actions.includes('timetable_generated')) {
+      return (data.conflicts || []).map(conflict => ({ type: 'conflict', session: this.card(conflict.session), reason: conflict.reason }));
+    }
+    if (actions.includes('what_if_previewed')) {
+      return data.newConflicts.map(conflict => ({
+        type: 'conflict',
+        session: this.card({ id: conflict.sessionId, course_name: conflict.courseName, type: conflict.type }),
+        reason: conflict.reason
+      }));
+    }
+    if (actions.includes('batch_previewed')) {
+      return data.sessions.map(session => ({ type: 'session', session: this.card(session) }));
+    }
+    return [];
+  }
+
+  // Numbered options of the question the reply asks, as buttons
+  choices(response) {
+    const actions = response.actions || [];
+    const choose = (label, index) => ({ label, action: { type: 'choose', choice: index + 1 } });
+
+    if (actions.includes('request_intent_clarification')) {
+      return (response.entities.candidates || []).map((intent, index) => {
+        const label = this.intents[intent] ? this.intents[intent].label : intent;
+        return choose(`${label.charAt(0).toUpperCase()}${label.slice(1)}`, index);
+      });
+    }
+    if (actions.includes('request_session_selection') && response.data && response.data.options) {
+      return response.data.options.map((session, index) => {
+        const card = this.card(session);
+        return choose(`${card.course_name} ${card.type}, ${card.day} ${card.start_time}-${card.end_time}`, index);
+      });
+    }
+    return [];
+  }
+
+  // A session in the one shape every card uses, whether it comes from the
+  // database, a placed timetable or a syllabus preview
+  card(session, day = null) {
+    const dayOfWeek = [session.day_of_week, session.dayOfWeek, day].find(value => value !== undefined && value !== null);
+    return {
+      id: session.id !== undefined ? session.id : null,
+      course_name: session.course_name || session.courseName || '',
+      type: session.isStudyBlock ? 'study' : session.type,
+      day: dayOfWeek !== undefined ? TemporalParser.DAY_NAMES[dayOfWeek] : null,
+      day_of_week: dayOfWeek !== undefined ? dayOfWeek : null,
+      start_time: session.start_time || session.startTime || null,
+      end_time: session.end_time || session.endTime || null,
+      location: session.location || ''
+    };
+  }
+
+  // What is wrong with an action posted back, or null when it can be run
+  static checkAction(action) {
+    if (!action || typeof action !== 'object' || Array.isArray(action)) {
+      return 'Action must be an object';
+    }
+
+    switch (action.type) {
+      case 'accept':
+        if (action.offer !== undefined && !CONFIRMATIONS[action.offer] && !SUGGESTIONS[action.offer]) {
+          return `Unknown offer "${action.offer}"`;
+        }
+        return null;
+      case 'decline':
+        return null;
+      case 'choose':
+        return Number.isInteger(action.choice) && action.choice >= 1 && action.choice <= 20
+          ? null
+          : 'Choice must be a whole number from 1 to 20';
+      case 'intent': {
+        const allowed = QUICK_INTENTS[action.intent];
+        if (!allowed) {
+          return `Intent "${action.intent}" can't be run from a button`;
+        }
+        const entities = action.entities || {};
+        if (typeof entities !== 'object' || Array.isArray(entities)) {
+          return 'Entities must be an object';
+        }
+        const bad = Object.entries(entities).find(([key, value]) => !allowed.includes(key) || !ENTITY_CHECKS[key](value));
+        return bad ? `Invalid entity "${bad[0]}" for ${action.intent}` : null;
+      }
+      default:
+        return `Unknown action type "${action.type}"`;
+    }
+  }
+
+  // What a button says when the chat did not send its label
+  static describeAction(action) {
+    switch (action.type) {
+      case 'accept':
+        return 'Yes';
+      case 'decline':
+        return 'No';
+      case 'choose':
+        return String(action.choice);
+      default:
+        return action.intent.replace(/_/g, ' ');
+    }
+  }
+}
+
+ChatReplies.QUICK_INTENTS = QUICK_INTENTS;
+
+module.exports = ChatReplies;
@@ -0,0 +1,181 @@
+// Backtracking constraint solver for timetable placement.
+// Each session is a variable whose domain is the list of candidate slots the
+// generator allows for it; two sessions are consistent when their placements
+// do not clash. Search uses minimum-remaining-values ordering with forward
+// checking, and unsatisfiable inputs are reduced to a minimal core.
+// The main search shares one node budget; each probe of the core reduction
+// gets its own, so a long main search does not leave the reduction nothing
+// to work with. A search that runs out of nodes keeps the largest
+// consistent partial assignment it reached, and only the sessions outside
+// it are left to greedy placement.
+class CspSolver {
+  constructor(generator, options = {}) {
+    this.generator = generator;
+    this.maxNodes = options.maxNodes || 20000;
+    this.maxProbeNodes = options.maxProbeNodes || 2000;
+  }
+
+  solve(sessions, constraints) {
+    const stats = { nodes: 0, probeNodes: 0, searches: 0, cores: 0, nonMinimalCores: 0, complete: true };
+    const conflicts = [];
+    let remaining = [...sessions];
+
+    while (remaining.length > 0) {
+      const result = this.search(remaining, constraints, stats);
+
+      if (result.status === 'sat') {
+        return { assignment: result.assignment, conflicts, unresolved: [], stats };
+      }
+
+      if (result.status === 'unknown') {
+        stats.complete = false;
+        const unresolved = remaining.filter(session => !result.assignment.has(session));
+        return { assignment: result.assignment, conflicts, unresolved, stats };
+      }
+
+      // Sessions arrive in priority order, so the last member of the core is
+      // the cheapest one to give up
+      const core = this.findMinimalCore(remaining, constraints, stats);
+      const dropped = core.sessions[core.sessions.length - 1];
+      conflicts.push({ session: dropped, core });
+      stats.cores++;
+      if (!core.minimal) stats.nonMinimalCores++;
+      remaining = remaining.filter(session => session !== dropped);
+    }
+
+    return { assignment: new Map(), conflicts, unresolved: [], stats };
+  }
+
+  search(sessions, constraints, stats, maxNodes = this.maxNodes) {
+    stats.searches++;
+    const domains = new Map(sessions.map(session =>
+      [session, this.generator.getCandidatePlacements(session, constraints)]
+    ));
+
+    if ([...domains.values()].some(domain => domain.length === 0)) {
+      return { status: 'unsat', assignment: new Map() };
+    }
+
+    const assignment = new Map();
+    const best = { assignment: new Map() };
+    const status = this.backtrack(sessions, domains, constraints, assignment, stats, maxNodes, best);
+    return { status, assignment: status === 'sat' ? assignment : best.assignment };
+  }
+
+  // `best` keeps a copy of the largest assignment reached so far, for a
+  // search cut short by its node budget
+  backtrack(unassigned, domains, constraints, assignment, stats, maxNodes = this.maxNodes, best = null) {
+    if (best && assignment.size > best.assignment.size) {
+      best.assignment = new Map(assignment);
+    }
+    if (unassigned.length === 0) return 'sat';
+
+    // Minimum remaining values: branch on the most constrained session
+    let session = unassigned[0];
+    for (const candidate of unassigned) {
+      if (domains.get(candidate).length < domains.get(session).length) {
+        session = candidate;
+      }
+    }
+    const rest = unassigned.filter(candidate => candidate !== session);
+
+    for (const placement of this.orderByWorkload(session, domains.get(session), assignment)) {
+      if (stats.nodes >= maxNodes) return 'unknown';
+      stats.nodes++;
+
+      // Workload limits span a whole day or week, so they are checked
+      // against the sessions assigned so far rather than pairwise
+      if (!this.generator.fitsWorkload(session, placement, [...assignment.values()])) continue;
+
+      const nextDomains = this.forwardCheck(placement, rest, domains, constraints);
+      if (!nextDomains) continue;
+
+      assignment.set(session, placement);
+      const status = this.backtrack(rest, nextDomains, constraints, assignment, stats, maxNodes, best);
+      if (status !== 'unsat') return status;
+      assignment.delete(session);
+    }
+
+    return 'unsat';
+  }
+
+  // Try values that breach no soft workload limit first
+  orderByWorkload(session, domain, assignment) {
+    if (!this.generator.workload.hasLimits()) return domain;
+
+    const placed = [...assignment.values()];
+    return domain
+      .map((placement, index) => ({ placement, index, breaches: this.generator.getWorkloadBreaches(session, placement, placed).length }))
+      .sort((a, b) => a.breaches - b.breaches || a.index - b.index)
+      .map(entry => entry.placement);
+  }
+
+  // Prune every unassigned domain against the new placement; null on wipeout
+  forwardCheck(placement, unassigned, domains, constraints) {
+    const nextDomains = new Map(domains);
+
+    for (const other of unassigned) {
+      const remaining = domains.get(other).filter(value =>
+        !this.generator.placementsClash(placement, value, constraints)
+      );
+      if (remaining.length === 0) return null;
+      nextDomains.set(other, remaining);
+    }
+
+    return nextDomains;
+  }
+
+  // Deletion-based reduction: drop each session (then each constraint) and
+  // keep it out if the rest is still unsatisfiable. What remains is minimal:
+  // removing any single member makes the core solvable. A probe that runs
+  // out of nodes keeps its member in, and the core is reported as not
+  // minimal.
+  findMinimalCore(sessions, constraints, stats) {
+    let coreSessions = [...sessions];
+    let minimal = true;
+
+    const probe = (probeSessions, probeConstraints) => {
+      const probeStats = { nodes: 0, searches: 0 };
+      const result = this.search(probeSessions, probeConstraints, probeStats, this.maxProbeNodes);
+      stats.probeNodes += probeStats.nodes;
+      stats.searches += probeStats.searches;
+      return result;
+    };
+
+    for (const session of sessions) {
+      const without = coreSessions.filter(candidate => candidate !== session);
+      const { status } = probe(without, constraints);
+      if (status === 'unsat') {
+        coreSessions = without;
+      } else if (status === 'unknown') {
+        minimal = false;
+      }
+    }
+
+    let coreConstraints = this.relevantConstraints(coreSessions, constraints);
+    for (const constraint of [...coreConstraints]) {
+      const without = coreConstraints.filter(candidate => candidate !== constraint);
+      const { status } = probe(coreSessions, without);
+      if (status === 'unsat') {
+        coreConstraints = without;
+      } else if (status === 'unknown') {
+        minimal = false;
+      }
+    }
+
+    return { sessions: coreSessions, constraints: coreConstraints, minimal };
+  }
+
+  // Constraints that remove slots from a session's domain or forbid
+  // placements next to each other
+  relevantConstraints(sessions, constraints) {
+    return constraints.filter(constraint =>
+      constraint.type === 'no_back_to_back' || sessions.some(session =>
+        this.generator.getCandidatePlacements(session, []).length >
+        this.generator.getCandidatePlacements(session, [constraint]).length
+      )
+    );
+  }
+}
+
+module.exports = CspSolver;
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+
+// Multinomial naive Bayes over example utterances.
+// Messages are reduced to lowercase word unigrams and bigrams, with days,
+// times and numbers replaced by placeholders so "Tuesday 2pm" and "Friday
+// 9am" read the same, and capitalised words after the first dropped so
+// course and room names ("Physics", "B12") say nothing about the intent.
+// Confidence is the softmax of the class log-scores divided by a
+// temperature, which the evaluation script fits so that a confidence of 0.7
+// is right about 70% of the time. Below `floor` a guess is wrong far more
+// often than right (off-topic messages land there too), so it is reported
+// as 'unknown' rather than offered for clarification.
+const DEFAULT_DATA_PATH = path.join(__dirname, '../data/intent-training.json');
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'my', 'me', 'i', 'im', 'to', 'of', 'is', 'it', 'for', 'please',
+  'and', 'on', 'at', 'in', 'this', 'that', 'some', 'you', 'be', 'am', 'are', 'with'
+]);
+
+const PLACEHOLDERS = [
+  [/\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday|mon|tue|wed|thu|fri|sat|sun)s?\b/gi, ' _day_ '],
+  [/\b\d{1,2}(:\d{2})?\s*(am|pm)\b|\b\d{1,2}:\d{2}\b/gi, ' _time_ '],
+  [/\b\d+(\.\d+)?\b/g, ' _num_ '],
+  [/(?<=\S\s+)(?!I\b)[A-Z][A-Za-z0-9]*/g, ' ']
+];
+
+class IntentClassifier {
+  constructor(options = {}) {
+    this.temperature = options.temperature || 1;
+    this.threshold = options.threshold !== undefined ? options.threshold : 0.5;
+    this.floor = options.floor || 0;
+    this.smoothing = options.smoothing || 1;
+    this.intents = [];
+    this.vocabulary = new Set();
+    this.classes = {};
+  }
+
+  // Classifier trained on a data file: { temperature, threshold, floor, intents: { name: [utterances] } }
+  static fromFile(dataPath = DEFAULT_DATA_PATH) {
+    const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+    const classifier = new IntentClassifier({ temperature: data.temperature, threshold: data.threshold, floor: data.floor });
+    classifier.train(IntentClassifier.toExamples(data.intents));
+    return classifier;
+  }
+
+  static toExamples(intents) {
+    return Object.entries(intents).flatMap(([intent, texts]) => texts.map(text => ({ text, intent })));
+  }
+
+  train(examples) {
+    this.intents = [...new Set(examples.map(example => example.intent))];
+    this.vocabulary = new Set();
+    this.classes = {};
+    this.intents.forEach(intent => {
+      this.classes[intent] = { documents: 0, total: 0, counts: new Map() };
+    });
+
+    examples.forEach(({ text, intent }) => {
+      const entry = this.classes[intent];
+      entry.documents++;
+      this.features(this.tokenize(text)).forEach(feature => {
+        this.vocabulary.add(feature);
+        entry.counts.set(feature, (entry.counts.get(feature) || 0) + 1);
+        entry.total++;
+      });
+    });
+
+    this.documentCount = examples.length;
+    return this;
+  }
+
+  tokenize(text) {
+    let normalized = text.replace(/['’]/g, '');
+    PLACEHOLDERS.forEach(([pattern, placeholder]) => {
+      normalized = normalized.replace(pattern, placeholder);
+    });
+    return normalized
+      .toLowerCase()
+      .split(/[^a-z_]+/)
+      .filter(token => token && !STOPWORDS.has(token));
+  }
+
+  features(tokens) {
+    const bigrams = tokens.slice(1).map((token, index) => `${tokens[index]} ${token}`);
+    return [...tokens, ...bigrams];
+  }
+
+  // Log-score per intent over the features seen in training. Words never
+  // seen in training (course names, mostly) carry no information and are
+  // skipped. `evidence` counts known words other than placeholders, so a
+  // bare "Tuesday 2pm" has none.
+  score(text) {
+    const tokens = this.tokenize(text);
+    const known = this.features(tokens).filter(feature => this.vocabulary.has(feature));
+    const evidence = tokens.filter(token => !token.startsWith('_') && this.vocabulary.has(token)).length;
+    const vocabularySize = this.vocabulary.size;
+
+    const scores = {};
+    this.intents.forEach(intent => {
+      const entry = this.classes[intent];
+      let score = Math.log(entry.documents / this.documentCount);
+      known.forEach(feature => {
+        score += Math.log(((entry.counts.get(feature) || 0) + this.smoothing) / (entry.total + this.smoothing * vocabularySize));
+      });
+      scores[intent] = score;
+    });
+
+    return { scores, evidence };
+  }
+
+  // { intent, confidence, ranking: [{ intent, confidence }] }, with intent
+  // 'unknown' and confidence 0 when the message has nothing to go on or no
+  // intent reaches the floor
+  classify(text, temperature = this.temperature) {
+    const { scores, evidence } = this.score(text);
+    if (evidence === 0) {
+      return { intent: 'unknown', confidence: 0, ranking: [], evidence };
+    }
+
+    const ranking = IntentClassifier.softmax(scores, temperature);
+    if (ranking[0].confidence < this.floor) {
+      return { intent: 'unknown', confidence: 0, ranking, evidence };
+    }
+    return { intent: ranking[0].intent, confidence: ranking[0].confidence, ranking, evidence };
+  }
+
+  static softmax(scores, temperature) {
+    const entries = Object.entries(scores).map(([intent, score]) => [intent, score / temperature]);
+    const max = Math.max(...entries.map(([, score]) => score));
+    const exps = entries.map(([intent, score]) => [intent, Math.exp(score - max)]);
+    const sum = exps.reduce((total, [, value]) => total + value, 0);
+
+    return exps
+      .map(([intent, value]) => ({ intent, confidence: value / sum }))
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+}
+
+IntentClassifier.DEFAULT_DATA_PATH = DEFAULT_DATA_PATH;
+
+module.exports = IntentClassifier;
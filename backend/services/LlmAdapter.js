@@ -0,0 +1,344 @@
+const http = require('http');
+const https = require('https');
+const TemporalParser = require('../utils/TemporalParser');
+
+// Reads chat messages with a locally hosted model behind an
+// OpenAI-compatible endpoint (llama.cpp server, Ollama, vLLM, ...).
+// The model is offered one tool per chat intent and has to answer with a
+// tool call; the call's arguments are checked against the tool's schema and
+// turned into the entities the rule-based extractor would produce, so the
+// same ChatBot handlers run either way. Anything else - no tool call, an
+// unknown tool, arguments that fail the schema - yields null, and the
+// ChatBot falls back to its own analysis.
+const DEFAULT_MODEL = 'llama3';
+const DEFAULT_TIMEOUT_MS = 8000;
+
+// After a failed request the endpoint is left alone for this long, so a
+// stopped server does not add its timeout to every message
+const RETRY_AFTER_MS = 30 * 1000;
+
+const SYSTEM_PROMPT = [
+  'You read messages sent to a student timetable assistant and answer with exactly one tool call.',
+  'Use English day names (Monday to Sunday) and 24-hour HH:MM times.',
+  'Only fill in what the message says. If the message does not ask for any of the tools, answer with text and no tool call.'
+].join(' ');
+
+const DAY = { type: 'string', description: 'Day name, e.g. "Monday"' };
+const DAYS = { type: 'array', items: DAY, description: 'Every day mentioned, in order' };
+const TIME = { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$|^24:00$', description: '24-hour HH:MM' };
+const SESSION_TYPE = { type: 'string', enum: ['lecture', 'lab', 'tutorial', 'seminar', 'class'] };
+const COUNT = { type: 'integer', minimum: 1, maximum: 20 };
+
+const TOOLS = {
+  add_course: {
+    description: 'Add a course the student is taking',
+    properties: {
+      course_name: { type: 'string' },
+      course_code: { type: 'string' },
+      priority: { type: 'integer', minimum: 1, maximum: 3, description: '1 high, 2 medium, 3 low' },
+      credits: { type: 'integer', minimum: 0, maximum: 30 }
+    },
+    required: ['course_name']
+  },
+  schedule_session: {
+    description: 'Schedule a class session of an existing course, once per day listed',
+    properties: {
+      course_name: { type: 'string' },
+      session_type: SESSION_TYPE,
+      days: DAYS,
+      start_time: TIME,
+      end_time: TIME,
+      location: { type: 'string' }
+    },
+    required: []
+  },
+  modify_session: {
+    description: 'Move, resize, relocate or delete an existing session',
+    properties: {
+      course_name: { type: 'string' },
+      session_type: SESSION_TYPE,
+      day: { ...DAY, description: 'Day the session is on now' },
+      change: { type: 'string', enum: ['move', 'duration', 'delete'] },
+      new_day: DAY,
+      new_start_time: TIME,
+      new_end_time: TIME,
+      new_location: { type: 'string' },
+      duration_minutes: { type: 'integer', minimum: -480, maximum: 480 },
+      duration_relative: { type: 'boolean', description: 'true when duration_minutes is added to the current length' }
+    },
+    required: ['change']
+  },
+  add_constraint: {
+    description: 'Mark times when the student is unavailable',
+    properties: {
+      days: DAYS,
+      start_time: TIME,
+      end_time: TIME
+    },
+    required: []
+  },
+  what_if: {
+    description: 'Preview how a change would affect the timetable without saving it',
+    properties: {
+      what_if: { type: 'string', enum: ['drop_course', 'add_constraint', 'modify_session'] },
+      course_name: { type: 'string' },
+      session_type: SESSION_TYPE,
+      days: DAYS,
+      start_time: TIME,
+      end_time: TIME,
+      change: { type: 'string', enum: ['move', 'duration', 'delete'] },
+      new_day: DAY,
+      new_start_time: TIME
+    },
+    required: ['what_if']
+  },
+  generate_timetable: { description: 'Generate a new timetable', properties: {}, required: [] },
+  show_schedule: { description: 'Show the current schedule', properties: { days: DAYS }, required: [] },
+  next_class: { description: 'Say which class is on now or next', properties: {}, required: [] },
+  free_time: {
+    description: 'Find free time in the timetable',
+    properties: {
+      days: DAYS,
+      duration: { type: 'integer', minimum: 15, maximum: 720, description: 'Minutes of free time needed' },
+      start_time: TIME,
+      end_time: TIME
+    },
+    required: []
+  },
+  hours_summary: { description: 'Count weekly hours of classes, optionally of one session type', properties: { session_type: SESSION_TYPE }, required: [] },
+  where_is: {
+    description: 'Say where a class takes place',
+    properties: { course_name: { type: 'string' }, session_type: SESSION_TYPE, day: DAY, time: TIME },
+    required: []
+  },
+  lightest_day: {
+    description: 'Find the lightest or busiest day of the week',
+    properties: { extreme: { type: 'string', enum: ['lightest', 'busiest'] } },
+    required: []
+  },
+  undo: { description: 'Undo recent changes', properties: { count: COUNT }, required: [] },
+  redo: { description: 'Redo undone changes', properties: { count: COUNT }, required: [] },
+  help: { description: 'Explain what the assistant can do', properties: {}, required: [] }
+};
+
+class LlmAdapter {
+  constructor(options = {}) {
+    if (!options.endpoint) {
+      throw new Error('LLM endpoint is required');
+    }
+    this.endpoint = options.endpoint.replace(/\/+$/, '');
+    this.model = options.model || DEFAULT_MODEL;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.apiKey = options.apiKey || null;
+    this.retryAfterMs = options.retryAfterMs !== undefined ? options.retryAfterMs : RETRY_AFTER_MS;
+    this.unavailableUntil = 0;
+  }
+
+  // Adapter configured from LLM_ENDPOINT (base URL ending in /v1), LLM_MODEL,
+  // LLM_TIMEOUT_MS and LLM_API_KEY, or null when no endpoint is set
+  static fromEnv(env = process.env) {
+    if (!env.LLM_ENDPOINT) return null;
+    return new LlmAdapter({
+      endpoint: env.LLM_ENDPOINT,
+      model: env.LLM_MODEL,
+      timeoutMs: parseInt(env.LLM_TIMEOUT_MS) || undefined,
+      apiKey: env.LLM_API_KEY
+    });
+  }
+
+  static toolDefinitions() {
+    return Object.entries(TOOLS).map(([name, tool]) => ({
+      type: 'function',
+      function: {
+        name,
+        description: tool.description,
+        parameters: { type: 'object', properties: tool.properties, required: tool.required }
+      }
+    }));
+  }
+
+  get available() {
+    return Date.now() >= this.unavailableUntil;
+  }
+
+  // { intent, entities, toolCall } for the tool the model called, or null
+  // when it did not make a valid call. Throws when the endpoint cannot be
+  // reached or answers with an error.
+  async analyze(message) {
+    let completion;
+    try {
+      completion = await this.post('/chat/completions', {
+        model: this.model,
+        temperature: 0,
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: message }
+        ],
+        tools: LlmAdapter.toolDefinitions(),
+        tool_choice: 'auto'
+      });
+    } catch (error) {
+      this.unavailableUntil = Date.now() + this.retryAfterMs;
+      throw error;
+    }
+    this.unavailableUntil = 0;
+
+    const choice = completion && Array.isArray(completion.choices) ? completion.choices[0] : null;
+    const toolCall = choice && choice.message && Array.isArray(choice.message.tool_calls)
+      ? choice.message.tool_calls[0]
+      : null;
+    if (!toolCall || !toolCall.function) return null;
+
+    return this.readToolCall(toolCall.function.name, toolCall.function.arguments);
+  }
+
+  // Validate one tool call; null unless the tool exists and its arguments
+  // match the schema
+  readToolCall(name, rawArguments) {
+    const tool = TOOLS[name];
+    if (!tool) return null;
+
+    let args = rawArguments || {};
+    if (typeof args === 'string') {
+      try {
+        args = JSON.parse(args || '{}');
+      } catch (error) {
+        return null;
+      }
+    }
+    if (!args || typeof args !== 'object' || Array.isArray(args)) return null;
+
+    const errors = LlmAdapter.validate(tool, args);
+    if (errors.length > 0) return null;
+
+    const entities = this.toEntities(name, args, tool);
+    return entities ? { intent: name, entities, toolCall: { name, arguments: args } } : null;
+  }
+
+  // Schema errors for the arguments, ignoring properties the tool does not
+  // declare (models add those freely)
+  static validate(tool, args) {
+    const errors = [];
+    tool.required.forEach(key => {
+      if (args[key] === undefined || args[key] === null || args[key] === '') errors.push(`${key} is required`);
+    });
+
+    Object.entries(tool.properties).forEach(([key, schema]) => {
+      const value = args[key];
+      if (value === undefined || value === null) return;
+      const values = schema.type === 'array' ? value : [value];
+      const itemSchema = schema.type === 'array' ? schema.items : schema;
+      if (schema.type === 'array' && !Array.isArray(value)) {
+        errors.push(`${key} must be a list`);
+        return;
+      }
+      values.forEach(item => {
+        const error = LlmAdapter.checkValue(itemSchema, item);
+        if (error) errors.push(`${key} ${error}`);
+      });
+    });
+
+    return errors;
+  }
+
+  static checkValue(schema, value) {
+    if (schema.type === 'string' && typeof value !== 'string') return 'must be text';
+    if (schema.type === 'integer' && !Number.isInteger(value)) return 'must be a whole number';
+    if (schema.type === 'boolean' && typeof value !== 'boolean') return 'must be true or false';
+    if (schema.enum && !schema.enum.includes(value)) return `must be one of ${schema.enum.join(', ')}`;
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return 'is not in the expected format';
+    if (schema.minimum !== undefined && value < schema.minimum) return `must be at least ${schema.minimum}`;
+    if (schema.maximum !== undefined && value > schema.maximum) return `must be at most ${schema.maximum}`;
+    if (schema === DAY && TemporalParser.dayNumber(value) === null) return 'is not a day';
+    return null;
+  }
+
+  // Arguments in the entity shape of ChatBot.extractEntities: day names
+  // spelled out, `day` the first of `days`, a move to a start time without
+  // an end as `new_time`. A constraint keeps a start without an end as it
+  // is, for ChatBot to ask until when; an end without a start is `before`.
+  toEntities(name, args, tool) {
+    const entities = {};
+    Object.keys(tool.properties).forEach(key => {
+      if (args[key] !== undefined && args[key] !== null && args[key] !== '') entities[key] = args[key];
+    });
+
+    const dayName = day => TemporalParser.DAY_NAMES[TemporalParser.dayNumber(day)];
+    if (entities.days) {
+      entities.days = [...new Set(entities.days.map(dayName))];
+      if (entities.days.length > 0) {
+        entities.day = entities.days[0];
+      } else {
+        delete entities.days;
+      }
+    }
+    ['day', 'new_day'].forEach(key => {
+      if (entities[key]) entities[key] = dayName(entities[key]);
+    });
+
+    const constraint = name === 'add_constraint' || (name === 'what_if' && entities.what_if === 'add_constraint');
+    if (constraint && entities.end_time && !entities.start_time) {
+      entities.before = entities.end_time;
+      delete entities.end_time;
+    }
+    if (!constraint && entities.start_time && !entities.end_time) {
+      entities.time = entities.start_time;
+      delete entities.start_time;
+    }
+    if (entities.new_start_time && !entities.new_end_time) {
+      entities.new_time = entities.new_start_time;
+      delete entities.new_start_time;
+    }
+    if (entities.start_time && entities.end_time <= entities.start_time) return null;
+
+    if (name === 'modify_session' && entities.change === 'duration') {
+      if (entities.duration_minutes === undefined) return null;
+      entities.duration_relative = Boolean(entities.duration_relative);
+    }
+    if ((name === 'undo' || name === 'redo') && entities.count === undefined) {
+      entities.count = 1;
+    }
+    if (name === 'lightest_day' && !entities.extreme) {
+      entities.extreme = 'lightest';
+    }
+
+    return entities;
+  }
+
+  post(path, body) {
+    const url = new URL(this.endpoint + path);
+    const transport = url.protocol === 'https:' ? https : http;
+    const payload = JSON.stringify(body);
+    const headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request(url, { method: 'POST', headers }, response => {
+        let data = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => { data += chunk; });
+        response.on('end', () => {
+          if (response.statusCode < 200 || response.statusCode >= 300) {
+            reject(new Error(`LLM endpoint answered ${response.statusCode}`));
+            return;
+          }
+          try {
+            resolve(JSON.parse(data));
+          } catch (error) {
+            reject(new Error('LLM endpoint returned invalid JSON'));
+          }
+        });
+      });
+
+      request.setTimeout(this.timeoutMs, () => {
+        request.destroy(new Error(`LLM endpoint did not answer within ${this.timeoutMs}ms`));
+      });
+      request.on('error', reject);
+      request.end(payload);
+    });
+  }
+}
+
+LlmAdapter.TOOLS = TOOLS;
+
+module.exports = LlmAdapter;
@@ -0,0 +1,220 @@
+const SeededRandom = require('../utils/SeededRandom');
+
+// Simulated annealing over placed sessions.
+// Neighbours either move one session to another legal slot or swap the slots
+// of two sessions. Better timetables are always accepted, worse ones with a
+// probability that shrinks as the temperature cools, and the best timetable
+// seen is returned. A run is bounded by its iteration budget, so the same
+// seed always gives the same timetable. A time limit can be set on top; a
+// run it cuts short reports stoppedBy 'time' and reproducible false, since
+// how far it got depends on the machine.
+class LocalSearchOptimizer {
+  constructor(generator, options = {}) {
+    this.generator = generator;
+    this.seed = options.seed !== undefined ? options.seed : Date.now();
+    this.random = new SeededRandom(this.seed);
+    this.maxIterations = options.maxIterations || 2000;
+    this.timeLimitMs = options.timeLimitMs || null;
+    this.initialTemperature = options.initialTemperature || 5;
+    this.finalTemperature = options.finalTemperature || 0.05;
+    // Schedule signatures that may be passed through but never returned,
+    // used to look for timetables other than ones already found
+    this.exclude = options.exclude || new Set();
+  }
+
+  optimize(schedule, conflicts, constraints, scoringProfile) {
+    const original = this.readPlacements(schedule);
+    const domains = original.map(({ session }) =>
+      this.generator.getCandidatePlacements(this.requestOf(session), constraints)
+    );
+    const evaluate = placements => this.generator.scoreTimetable(
+      this.buildSchedule(placements), conflicts, constraints, scoringProfile
+    ).total;
+
+    const isExcluded = placements => this.exclude.size > 0 &&
+      this.exclude.has(this.generator.getScheduleSignature(this.buildSchedule(placements)));
+
+    let current = original;
+    let currentScore = evaluate(current);
+    let best = isExcluded(current) ? null : current;
+    let bestScore = best ? currentScore : -Infinity;
+    const initialScore = currentScore;
+
+    const startedAt = Date.now();
+    let stoppedBy = 'iterations';
+    let iterations = 0;
+    let accepted = 0;
+
+    for (; iterations < this.maxIterations && original.length > 0; iterations++) {
+      if (this.timeLimitMs && Date.now() - startedAt > this.timeLimitMs) {
+        stoppedBy = 'time';
+        break;
+      }
+
+      const neighbour = original.length > 1 && this.random.next() < 0.3
+        ? this.proposeSwap(current, domains, constraints)
+        : this.proposeMove(current, domains, constraints);
+      if (!neighbour) continue;
+
+      const score = evaluate(neighbour);
+      const delta = score - currentScore;
+      const temperature = this.initialTemperature *
+        Math.pow(this.finalTemperature / this.initialTemperature, iterations / this.maxIterations);
+
+      if (delta >= 0 || this.random.next() < Math.exp(delta / temperature)) {
+        current = neighbour;
+        currentScore = score;
+        accepted++;
+
+        if (score > bestScore && !isExcluded(neighbour)) {
+          best = neighbour;
+          bestScore = score;
+        }
+      }
+    }
+
+    // With every reachable timetable excluded, the original is returned
+    best = best || original;
+    bestScore = best === original ? initialScore : bestScore;
+
+    return {
+      schedule: this.buildSchedule(best),
+      summary: {
+        seed: this.seed,
+        iterations,
+        accepted,
+        stoppedBy,
+        reproducible: stoppedBy !== 'time',
+        elapsedMs: Date.now() - startedAt,
+        initialScore: Math.round(initialScore * 10) / 10,
+        finalScore: Math.round(bestScore * 10) / 10,
+        moves: this.diff(original, best)
+      }
+    };
+  }
+
+  // Flatten a schedule into placements, in a stable order so that a seed
+  // always drives the same sequence of proposals
+  readPlacements(schedule) {
+    const placements = [];
+    Object.entries(schedule).forEach(([dayNum, dayData]) => {
+      dayData.sessions.forEach(session => {
+        placements.push({
+          session,
+          placement: this.generator.toPlacement(session, Number(dayNum))
+        });
+      });
+    });
+
+    return placements.sort((a, b) =>
+      a.placement.dayOfWeek - b.placement.dayOfWeek ||
+      a.placement.startTime.localeCompare(b.placement.startTime) ||
+      String(a.session.id).localeCompare(String(b.session.id))
+    );
+  }
+
+  requestOf(session) {
+    return this.generator.requestOf(session);
+  }
+
+  buildSchedule(placements) {
+    const schedule = this.generator.createEmptySchedule();
+
+    placements.forEach(({ session, placement }) => {
+      const request = this.requestOf(session);
+      const sameDay = placement.dayOfWeek === request.day_of_week;
+      this.generator.placeSession(schedule, request, {
+        ...placement,
+        isAlternative: sameDay && placement.startTime !== request.start_time,
+        isDifferentDay: !sameDay
+      });
+    });
+
+    return schedule;
+  }
+
+  proposeMove(placements, domains, constraints) {
+    const index = this.random.nextInt(placements.length);
+    if (domains[index].length === 0) return null;
+
+    const slot = this.random.pick(domains[index]);
+    const current = placements[index].placement;
+    if (slot.dayOfWeek === current.dayOfWeek && slot.startTime === current.startTime) return null;
+
+    const clashes = placements.some((other, otherIndex) =>
+      otherIndex !== index && this.generator.placementsClash(slot, other.placement, constraints)
+    );
+    if (clashes) return null;
+
+    const next = [...placements];
+    next[index] = { ...placements[index], placement: this.toPlacement(slot) };
+    return this.addsHardBreaches(placements, next) ? null : next;
+  }
+
+  proposeSwap(placements, domains, constraints) {
+    const first = this.random.nextInt(placements.length);
+    const second = this.random.nextInt(placements.length);
+    if (first === second) return null;
+
+    // Each session takes the other's day and start time, keeping its length
+    const firstSlot = this.findSlot(domains[first], placements[second].placement);
+    const secondSlot = this.findSlot(domains[second], placements[first].placement);
+    if (!firstSlot || !secondSlot) return null;
+    if (this.generator.placementsClash(firstSlot, secondSlot, constraints)) return null;
+
+    const clashes = placements.some((other, index) =>
+      index !== first && index !== second &&
+      (this.generator.placementsClash(firstSlot, other.placement, constraints) ||
+        this.generator.placementsClash(secondSlot, other.placement, constraints))
+    );
+    if (clashes) return null;
+
+    const next = [...placements];
+    next[first] = { ...placements[first], placement: this.toPlacement(firstSlot) };
+    next[second] = { ...placements[second], placement: this.toPlacement(secondSlot) };
+    return this.addsHardBreaches(placements, next) ? null : next;
+  }
+
+  // Hard workload limits are never traded away for score
+  addsHardBreaches(placements, next) {
+    if (!this.generator.workload.hasLimits()) return false;
+    return this.countHardBreaches(next) > this.countHardBreaches(placements);
+  }
+
+  countHardBreaches(placements) {
+    return this.generator.workload.evaluate(
+      placements.map(({ session, placement }) => ({ ...placement, isStudyBlock: Boolean(session.isStudyBlock) })),
+      this.generator.settings.days
+    ).filter(breach => breach.mode === 'hard').length;
+  }
+
+  findSlot(domain, target) {
+    return domain.find(slot => slot.dayOfWeek === target.dayOfWeek && slot.startTime === target.startTime);
+  }
+
+  toPlacement(slot) {
+    return { dayOfWeek: slot.dayOfWeek, startTime: slot.startTime, endTime: slot.endTime, location: slot.location };
+  }
+
+  diff(original, optimized) {
+    const moves = [];
+
+    original.forEach((entry, index) => {
+      const from = entry.placement;
+      const to = optimized[index].placement;
+      if (from.dayOfWeek !== to.dayOfWeek || from.startTime !== to.startTime) {
+        moves.push({
+          sessionId: entry.session.id,
+          courseName: entry.session.course_name,
+          type: entry.session.type,
+          from: { ...from, dayName: this.generator.dayNames[from.dayOfWeek] },
+          to: { ...to, dayName: this.generator.dayNames[to.dayOfWeek] }
+        });
+      }
+    });
+
+    return moves;
+  }
+}
+
+module.exports = LocalSearchOptimizer;
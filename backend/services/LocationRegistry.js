@@ -0,0 +1,61 @@
+// Buildings, rooms and walking times between buildings.
+// Sessions keep a free-text location; it is resolved to a building by exact
+// room name first, then by building name or code at the start of the text
+// ("SCI 101" -> the building coded SCI). Unknown locations and pairs without
+// a recorded walking time need no travel time.
+class LocationRegistry {
+  constructor({ buildings = [], rooms = [], walkingTimes = [] } = {}) {
+    this.buildings = buildings;
+    this.buildingsById = new Map(buildings.map(building => [building.id, building]));
+    this.roomsByName = new Map(rooms.map(room => [room.name.trim().toLowerCase(), room]));
+    this.walkingMinutes = new Map();
+
+    walkingTimes.forEach(({ from_building_id, to_building_id, minutes }) => {
+      this.walkingMinutes.set(this.pairKey(from_building_id, to_building_id), minutes);
+    });
+  }
+
+  pairKey(first, second) {
+    return first < second ? `${first}:${second}` : `${second}:${first}`;
+  }
+
+  resolveBuilding(location) {
+    if (!location) return null;
+    const text = location.trim().toLowerCase();
+
+    const room = this.roomsByName.get(text);
+    if (room) return this.buildingsById.get(room.building_id) || null;
+
+    // Prefer the longest matching name or code so "Science Annex" wins over "Science"
+    const matches = this.buildings
+      .flatMap(building => [building.name, building.code]
+        .filter(Boolean)
+        .map(label => ({ building, label: label.toLowerCase() })))
+      .filter(({ label }) => text === label || text.startsWith(`${label} `) || text.startsWith(`${label}-`))
+      .sort((a, b) => b.label.length - a.label.length);
+
+    return matches.length > 0 ? matches[0].building : null;
+  }
+
+  getWalkingMinutes(fromLocation, toLocation) {
+    const from = this.resolveBuilding(fromLocation);
+    const to = this.resolveBuilding(toLocation);
+    if (!from || !to || from.id === to.id) return 0;
+
+    return this.walkingMinutes.get(this.pairKey(from.id, to.id)) || 0;
+  }
+
+  // Walking time and building names for a transfer, or null when no walk is needed
+  describeTransfer(fromLocation, toLocation) {
+    const minutes = this.getWalkingMinutes(fromLocation, toLocation);
+    if (minutes === 0) return null;
+
+    return {
+      from: this.resolveBuilding(fromLocation).name,
+      to: this.resolveBuilding(toLocation).name,
+      minutes
+    };
+  }
+}
+
+module.exports = LocationRegistry;
@@ -0,0 +1,111 @@
+// Reversible record of the changes the chatbot makes.
+// Every chat mutation is stored as one operation holding the row snapshots
+// it touched ({ table, id, before, after }, with `before` null for inserts
+// and `after` null for deletes). Undo puts the `before` snapshots back, redo
+// the `after` ones. Recording, undo and redo all clear the caches built from
+// the tables they touch, so a chat change never leaves a stale timetable.
+const TABLES = {
+  courses: {
+    cacheKeys: userId => [`courses_${userId}`, `timetable_${userId}`],
+    // Deleting a course cascades to its sessions, which redo has to bring back
+    children: { table: 'sessions', column: 'course_id' }
+  },
+  sessions: {
+    cacheKeys: userId => [`timetable_${userId}`]
+  },
+  constraints: {
+    cacheKeys: userId => [`timetable_${userId}`]
+  },
+  timetables: {
+    cacheKeys: userId => [`timetable_${userId}`]
+  }
+};
+
+const MAX_STEPS = 20;
+
+class OperationLog {
+  constructor(database, cache = null) {
+    this.db = database;
+    this.cache = cache;
+  }
+
+  // Snapshot of a row as it is now, for the `before` or `after` of a change
+  async snapshot(table, id) {
+    return (await this.db.getRow(table, id)) || null;
+  }
+
+  // `invalidate: false` leaves clearing the caches to the caller, for an
+  // operation recorded inside a transaction that has yet to commit
+  async record(userId, description, changes, { invalidate = true } = {}) {
+    await this.db.clearUndoneChatOperations(userId);
+    const operationId = await this.db.createChatOperation(userId, description, changes);
+    if (invalidate) {
+      await this.invalidate(userId, changes);
+    }
+    return operationId;
+  }
+
+  // Undo the last `count` operations, newest first
+  async undo(userId, count = 1) {
+    const operations = await this.db.getChatOperations(userId, false, Math.min(count, MAX_STEPS));
+
+    for (const operation of operations) {
+      const changes = [...operation.changes].reverse();
+      for (const change of changes) {
+        await this.applySnapshot(change, change.before);
+      }
+      await this.db.updateChatOperation(operation.id, true, operation.changes);
+      await this.invalidate(userId, operation.changes);
+    }
+
+    return operations;
+  }
+
+  // Redo the next `count` undone operations. Undone operations are always
+  // the newest ones, so they are redone oldest first, in their original order.
+  async redo(userId, count = 1) {
+    const redone = await this.db.getChatOperations(userId, true, Math.min(count, MAX_STEPS));
+
+    for (const operation of redone) {
+      for (const change of operation.changes) {
+        await this.applySnapshot(change, change.after);
+      }
+      await this.db.updateChatOperation(operation.id, false, operation.changes);
+      await this.invalidate(userId, operation.changes);
+    }
+
+    return redone;
+  }
+
+  async applySnapshot(change, row) {
+    const children = TABLES[change.table].children;
+
+    if (row) {
+      await this.db.restoreRow(change.table, row);
+      for (const child of change.cascaded || []) {
+        await this.db.restoreRow(children.table, child);
+      }
+      delete change.cascaded;
+      return;
+    }
+
+    // Keep what a delete cascades to, so putting the row back restores them
+    if (children) {
+      change.cascaded = await this.db.getRowsWhere(children.table, children.column, change.id);
+    }
+    await this.db.deleteRow(change.table, change.id);
+  }
+
+  async invalidate(userId, changes) {
+    if (!this.cache) return;
+
+    const keys = new Set(changes.flatMap(change => TABLES[change.table].cacheKeys(userId)));
+    for (const key of keys) {
+      await this.cache.invalidate(key);
+    }
+  }
+}
+
+OperationLog.MAX_STEPS = MAX_STEPS;
+
+module.exports = OperationLog;
@@ -0,0 +1,162 @@
+// Answers to questions about a timetable - the next class, free time, hours
+// per session type, what is on at a given time, the lightest day - read from
+// its placed schedule ({ dayNumber: { sessions } }). `now` is injectable so
+// answers that depend on the time of day can be tested against a fixed clock.
+const DEFAULT_SETTINGS = {
+  dayStart: '08:00',
+  dayEnd: '21:00',
+  days: [1, 2, 3, 4, 5]
+};
+
+// Constraint types that keep the user busy; 'preferred' windows do not
+const BUSY_CONSTRAINTS = ['unavailable', 'break'];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function toTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+class ScheduleQuestions {
+  constructor(options = {}) {
+    this.now = options.now || (() => new Date());
+  }
+
+  // Day of the week and minutes since midnight on the clock
+  clock() {
+    const now = this.now();
+    return { day: now.getDay(), minutes: now.getHours() * 60 + now.getMinutes() };
+  }
+
+  settingsOf(timetable) {
+    return { ...DEFAULT_SETTINGS, ...(timetable.settings || {}) };
+  }
+
+  // Placed sessions of one day in start order; self-study blocks only when
+  // asked for
+  sessionsOn(timetable, day, withStudy = false) {
+    const dayData = timetable.schedule && timetable.schedule[day];
+    return (dayData ? dayData.sessions : [])
+      .filter(session => withStudy || !session.isStudyBlock)
+      .sort((a, b) => a.start_time.localeCompare(b.start_time));
+  }
+
+  // The class going on now, or else the next one to start within a week, as
+  // { session, day, daysAhead, ongoing, startsIn } with startsIn in minutes
+  nextClass(timetable) {
+    const { day: today, minutes } = this.clock();
+
+    for (let daysAhead = 0; daysAhead <= 7; daysAhead++) {
+      const day = (today + daysAhead) % 7;
+      const session = this.sessionsOn(timetable, day)
+        .find(candidate => daysAhead > 0 || toMinutes(candidate.end_time) > minutes);
+      if (session) {
+        const startsIn = daysAhead * MINUTES_PER_DAY + toMinutes(session.start_time) - minutes;
+        return { session, day, daysAhead, ongoing: startsIn <= 0, startsIn };
+      }
+    }
+    return null;
+  }
+
+  // Free stretches of at least `minutes` inside working hours (or `window`),
+  // as [{ day, start_time, end_time, minutes }] in week order from today.
+  // Classes, study blocks, breaks and unavailable times are busy;
+  // with `fromNow`, today's search starts at the current time.
+  freeTime(timetable, options = {}) {
+    const { days, minutes = 0, window = null, constraints = [], fromNow = false } = options;
+    const settings = this.settingsOf(timetable);
+    const clock = this.clock();
+    const searchDays = days && days.length > 0 ? days : this.weekFromToday(settings.days);
+
+    return searchDays.flatMap(day => {
+      let from = toMinutes((window && window.start) || settings.dayStart);
+      const to = toMinutes((window && window.end) || settings.dayEnd);
+      if (fromNow && day === clock.day) {
+        from = Math.max(from, clock.minutes);
+      }
+
+      const busy = [
+        ...this.sessionsOn(timetable, day, true).map(session => [toMinutes(session.start_time), toMinutes(session.end_time)]),
+        ...constraints
+          .filter(constraint => BUSY_CONSTRAINTS.includes(constraint.type) && (constraint.day_of_week === null || constraint.day_of_week === day))
+          .map(constraint => [
+            constraint.start_time ? toMinutes(constraint.start_time) : 0,
+            constraint.end_time ? toMinutes(constraint.end_time) : MINUTES_PER_DAY
+          ])
+      ].sort((a, b) => a[0] - b[0]);
+
+      const gaps = [];
+      let cursor = from;
+      busy.forEach(([start, end]) => {
+        if (start > cursor) gaps.push([cursor, Math.min(start, to)]);
+        cursor = Math.max(cursor, end);
+      });
+      if (cursor < to) gaps.push([cursor, to]);
+
+      return gaps
+        .filter(([start, end]) => end - start >= Math.max(minutes, 1))
+        .map(([start, end]) => ({ day, start_time: toTime(start), end_time: toTime(end), minutes: end - start }));
+    });
+  }
+
+  // Minutes and session count per session type over the week, self-study
+  // blocks as 'study'
+  hoursByType(timetable) {
+    const totals = {};
+    for (let day = 0; day <= 6; day++) {
+      this.sessionsOn(timetable, day, true).forEach(session => {
+        const type = session.isStudyBlock ? 'study' : session.type;
+        if (!totals[type]) totals[type] = { minutes: 0, sessions: 0 };
+        totals[type].minutes += toMinutes(session.end_time) - toMinutes(session.start_time);
+        totals[type].sessions++;
+      });
+    }
+    return totals;
+  }
+
+  // Classes on at `time` (or matching the course and type when no time is
+  // given), on `day` when named, otherwise on the first day from today that
+  // has one, as { day, sessions }
+  sessionsAt(timetable, { time = null, day = null, course_name: courseName = null, session_type: type = null } = {}) {
+    const matches = session =>
+      (!time || (session.start_time <= time && session.end_time > time)) &&
+      (!courseName || (session.course_name || '').toLowerCase().includes(courseName.toLowerCase())) &&
+      (!type || type === 'class' || session.type === type);
+
+    const days = day !== null ? [day] : this.weekFromToday([0, 1, 2, 3, 4, 5, 6]);
+    for (const candidate of days) {
+      const sessions = this.sessionsOn(timetable, candidate).filter(matches);
+      if (sessions.length > 0) return { day: candidate, sessions };
+    }
+    return { day, sessions: [] };
+  }
+
+  // Class minutes and sessions per teaching day, lightest first; ties keep
+  // week order
+  dayLoads(timetable) {
+    const settings = this.settingsOf(timetable);
+    return [...settings.days]
+      .sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7))
+      .map(day => {
+        const sessions = this.sessionsOn(timetable, day);
+        const minutes = sessions.reduce((total, session) => total + toMinutes(session.end_time) - toMinutes(session.start_time), 0);
+        return { day, minutes, sessions: sessions.length };
+      })
+      .sort((a, b) => a.minutes - b.minutes);
+  }
+
+  // `days` reordered to start from today, wrapping round the week
+  weekFromToday(days) {
+    const today = this.clock().day;
+    return [...days].sort((a, b) => ((a - today + 7) % 7) - ((b - today + 7) % 7));
+  }
+}
+
+ScheduleQuestions.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = ScheduleQuestions;
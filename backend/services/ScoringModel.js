@@ -0,0 +1,205 @@
+// Weighted scoring for generated timetables.
+// A timetable starts at 100 points; every objective contributes
+// `weight * raw`, where `raw` is the objective's own measurement. Default
+// weights reproduce the original fixed scoring, and the opt-in objectives
+// start at weight 0 until a user's scoring profile turns them on.
+const OBJECTIVES = {
+  conflicts: {
+    label: 'Unplaced sessions',
+    defaultWeight: 1,
+    evaluate: ({ conflicts }) => -20 * conflicts.length
+  },
+  balance: {
+    label: 'Balanced days',
+    defaultWeight: 1,
+    evaluate: ({ schedule }) => {
+      const dailyHours = Object.values(schedule).map(day => day.totalHours);
+      return -5 * (Math.max(...dailyHours) - Math.min(...dailyHours));
+    }
+  },
+  gaps: {
+    label: 'No long gaps',
+    defaultWeight: 1,
+    evaluate: ({ schedule, generator }) => {
+      let raw = 0;
+      Object.values(schedule).forEach(dayData => {
+        generator.findGaps(dayData.sessions).forEach(gap => {
+          if (gap > 120) raw -= 5; // 2+ hour gap
+          if (gap > 180) raw -= 10; // 3+ hour gap
+        });
+      });
+      return raw;
+    }
+  },
+  coreHours: {
+    label: 'Sessions during core hours',
+    defaultWeight: 1,
+    params: { from: '09:00', to: '17:59' },
+    evaluate: ({ schedule }, params) => 2 * allSessions(schedule)
+      .filter(session => session.start_time >= params.from && session.start_time <= params.to).length
+  },
+  constraints: {
+    label: 'Personal constraints',
+    defaultWeight: 1,
+    evaluate: ({ schedule, constraints, generator }) => {
+      let raw = 0;
+      generator.evaluateConstraints(schedule, constraints).forEach(entry => {
+        if (entry.type === 'preferred') {
+          raw += entry.satisfiedBy.length * 2;
+          raw -= entry.violatedBy.length * 2;
+        } else if (entry.type === 'no_back_to_back') {
+          raw -= entry.violatedBy.length * 5;
+        } else {
+          raw -= entry.violatedBy.length * 10;
+        }
+      });
+      return raw;
+    }
+  },
+  workload: {
+    label: 'Workload limits',
+    defaultWeight: 1,
+    // Placement never breaches hard limits, so this mostly counts soft ones
+    evaluate: ({ schedule, generator }) => -10 * generator.evaluateWorkload(schedule).length
+  },
+  compactDays: {
+    label: 'Compact days',
+    defaultWeight: 0,
+    // -2 per idle hour between the first and last session of a day
+    evaluate: ({ schedule, generator }) => -2 * Object.values(schedule)
+      .reduce((total, dayData) => total + generator.findGaps(dayData.sessions)
+        .reduce((sum, gap) => sum + Math.max(0, gap), 0), 0) / 60
+  },
+  freeDays: {
+    label: 'Free days',
+    defaultWeight: 0,
+    params: { days: [5] },
+    evaluate: ({ schedule }, params) => 10 * params.days
+      .filter(day => schedule[day] && schedule[day].sessions.length === 0).length
+  },
+  noEarlyStart: {
+    label: 'No early starts',
+    defaultWeight: 0,
+    params: { before: '09:00' },
+    evaluate: ({ schedule }, params) => -5 * allSessions(schedule)
+      .filter(session => session.start_time < params.before).length
+  },
+  noLateFinish: {
+    label: 'No late finishes',
+    defaultWeight: 0,
+    params: { after: '18:00' },
+    evaluate: ({ schedule }, params) => -5 * allSessions(schedule)
+      .filter(session => session.end_time > params.after).length
+  }
+};
+
+function round(value) {
+  return (Math.round(value * 10) / 10) || 0;
+}
+
+function allSessions(schedule) {
+  return Object.values(schedule).flatMap(dayData => dayData.sessions);
+}
+
+// A param must have the same shape as its default: a list of day numbers
+// (0 = Sunday) or an HH:MM time
+function validateParam(key, param, value, defaultValue) {
+  if (defaultValue === undefined) {
+    return `Unknown setting for ${key}: ${param}`;
+  }
+  if (Array.isArray(defaultValue)) {
+    const isDayList = Array.isArray(value) && value.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+    return isDayList ? null : `${param} for ${key} must be a list of day numbers from 0 to 6`;
+  }
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value)
+    ? null
+    : `${param} for ${key} must be an HH:MM time`;
+}
+
+class ScoringModel {
+  // `profile` is the `scoring` entry of users.preferences:
+  // { objectives: { compactDays: { weight: 2 }, freeDays: { weight: 1, days: [5] } } }
+  constructor(generator, profile = {}) {
+    this.generator = generator;
+    this.profile = profile || {};
+  }
+
+  getObjectives() {
+    const overrides = this.profile.objectives || {};
+
+    return Object.entries(OBJECTIVES).map(([key, objective]) => {
+      const { weight, ...params } = overrides[key] || {};
+      return {
+        key,
+        label: objective.label,
+        weight: weight !== undefined ? Number(weight) : objective.defaultWeight,
+        params: { ...objective.params, ...params },
+        evaluate: objective.evaluate
+      };
+    });
+  }
+
+  score(schedule, conflicts, constraints) {
+    const context = { schedule, conflicts, constraints, generator: this.generator };
+    const breakdown = {};
+    let score = 100;
+
+    this.getObjectives().forEach(objective => {
+      const raw = objective.weight === 0 ? 0 : objective.evaluate(context, objective.params);
+      const contribution = objective.weight * raw;
+      score += contribution;
+      breakdown[objective.key] = {
+        label: objective.label,
+        weight: objective.weight,
+        raw: round(raw),
+        contribution: round(contribution)
+      };
+    });
+
+    // `total` is the unclamped sum, which optimizers need to tell apart
+    // timetables that both land above 100
+    return { score: Math.max(0, Math.min(100, score)), total: score, breakdown };
+  }
+
+  // Problems with a submitted profile, as user-facing messages
+  validate() {
+    const errors = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const objectives = this.profile.objectives || {};
+    if (!isObject(objectives)) return ['Scoring objectives must be an object'];
+
+    Object.entries(objectives).forEach(([key, settings]) => {
+      if (!OBJECTIVES[key]) {
+        errors.push(`Unknown scoring objective: ${key}`);
+        return;
+      }
+      if (!isObject(settings)) {
+        errors.push(`Settings for ${key} must be an object`);
+        return;
+      }
+
+      const { weight, ...params } = settings;
+      if (weight !== undefined && (weight === null || weight === '' || !Number.isFinite(Number(weight)))) {
+        errors.push(`Weight for ${key} must be a number`);
+      }
+      Object.entries(params).forEach(([param, value]) => {
+        const error = validateParam(key, param, value, (OBJECTIVES[key].params || {})[param]);
+        if (error) errors.push(error);
+      });
+    });
+    return errors;
+  }
+
+  // Objectives and their defaults, for clients building a profile editor
+  describe() {
+    return this.getObjectives().map(({ key, label, weight, params }) => ({
+      key,
+      label,
+      weight,
+      defaultWeight: OBJECTIVES[key].defaultWeight,
+      params
+    }));
+  }
+}
+
+module.exports = ScoringModel;
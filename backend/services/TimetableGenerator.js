@@ -1,85 +1,934 @@
+const CspSolver = require('./CspSolver');
+const ScoringModel = require('./ScoringModel');
+const LocalSearchOptimizer = require('./LocalSearchOptimizer');
+const LocationRegistry = require('./LocationRegistry');
+const WorkloadLimits = require('./WorkloadLimits');
+const SeededRandom = require('../utils/SeededRandom');
+const crypto = require('crypto');
+
+// Working hours, slot granularity and weekdays used when a user has not
+// saved their own (users.preferences.schedule)
+const DEFAULT_SETTINGS = {
+  dayStart: '08:00',
+  dayEnd: '21:00',
+  slotMinutes: 30,
+  days: [1, 2, 3, 4, 5]
+};
+
+// Seed for tie-breaking when a request does not pass one, so the same inputs
+// always give the same timetable
+const DEFAULT_SEED = 1;
+
+// Rejected slots kept per session in the generation log; the rest are counted
+const MAX_LOGGED_REJECTIONS = 10;
+
 class TimetableGenerator {
-  constructor(database) {
+  constructor(database, settings = {}, locations = new LocationRegistry(), workload = new WorkloadLimits()) {
     this.db = database;
+    this.locations = locations;
+    this.workload = workload;
     this.dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    this.strategies = ['greedy', 'csp'];
+    this.slotGranularities = [5, 10, 15, 30];
+    this.maxSectionCombinations = 64;
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
     this.timeSlots = this.generateTimeSlots();
   }
 
+  // A generator configured with one user's schedule settings, campus
+  // locations and workload limits, leaving the shared instance untouched
+  withSettings(settings = {}, locations = this.locations, workload = this.workload) {
+    return new TimetableGenerator(this.db, settings, locations, workload);
+  }
+
+  validateSettings(settings = {}) {
+    const errors = [];
+    const { dayStart, dayEnd, slotMinutes, days } = { ...DEFAULT_SETTINGS, ...settings };
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+    if (!timePattern.test(dayStart) || !timePattern.test(dayEnd)) {
+      errors.push('Working hours must use HH:MM format');
+    } else if (dayStart >= dayEnd) {
+      errors.push('Working day must end after it starts');
+    }
+    if (!this.slotGranularities.includes(Number(slotMinutes))) {
+      errors.push(`Slot granularity must be one of ${this.slotGranularities.join(', ')} minutes`);
+    }
+    if (!Array.isArray(days) || days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      errors.push('Allowed weekdays must be a non-empty list of day numbers (0=Sunday to 6=Saturday)');
+    }
+
+    return errors;
+  }
+
   generateTimeSlots() {
     const slots = [];
-    for (let hour = 8; hour <= 20; hour++) {
-      for (let minute = 0; minute < 60; minute += 30) {
-        const time = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
-        slots.push(time);
-      }
+    const slotMinutes = Number(this.settings.slotMinutes);
+    const start = this.calculateDuration('00:00', this.settings.dayStart);
+    const end = this.calculateDuration('00:00', this.settings.dayEnd);
+
+    for (let minutes = start; minutes + slotMinutes <= end; minutes += slotMinutes) {
+      slots.push(this.formatMinutes(minutes));
     }
     return slots;
   }
 
-  async generateTimetable(userId) {
+  formatMinutes(totalMinutes) {
+    const hour = Math.floor(totalMinutes / 60);
+    const minute = totalMinutes % 60;
+    return `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
+  }
+
+  async generateTimetable(userId, options = {}) {
     try {
-      const [courses, sessions, constraints] = await Promise.all([
-        this.db.getCoursesByUser(userId),
-        this.db.getSessionsByUser(userId),
-        this.db.getConstraintsByUser(userId)
-      ]);
+      const data = await this.loadSchedulingData(userId);
+      return this.forUser(data).buildTimetable(data, options);
+    } catch (error) {
+      console.error('Timetable generation error:', error);
+      throw error;
+    }
+  }
 
-      if (sessions.length === 0) {
-        return {
-          schedule: this.createEmptySchedule(),
-          conflicts: [],
-          suggestions: ['Add some courses and sessions to generate your timetable'],
-          score: 0,
-          stats: { totalSessions: 0, totalHours: 0, averageHoursPerDay: 0 }
-        };
+  // Up to `count` distinct timetables, best first, plus the sessions whose
+  // placement differs between them
+  async generateAlternatives(userId, options = {}) {
+    try {
+      const data = await this.loadSchedulingData(userId);
+      return this.forUser(data).buildAlternatives(data, options);
+    } catch (error) {
+      console.error('Alternative timetables error:', error);
+      throw error;
+    }
+  }
+
+  // Fingerprint of the user's current scheduling inputs, to tell whether a
+  // timetable built earlier is still up to date
+  async getInputsHash(userId) {
+    const data = await this.loadSchedulingData(userId);
+    return this.forUser(data).hashInputs(data);
+  }
+
+  // Start from a saved timetable and move only what the latest edits force
+  // to move; `repair` in the result lists every displaced session
+  async repairTimetable(userId, previousTimetable, options = {}) {
+    try {
+      const data = await this.loadSchedulingData(userId);
+      return this.forUser(data).buildRepair(data, previousTimetable, options);
+    } catch (error) {
+      console.error('Timetable repair error:', error);
+      throw error;
+    }
+  }
+
+  async loadSchedulingData(userId) {
+    const [courses, sessions, constraints, preferences, locations] = await Promise.all([
+      this.db.getCoursesByUser(userId),
+      this.db.getSessionsByUser(userId),
+      this.db.getConstraintsByUser(userId),
+      this.db.getUserPreferences(userId),
+      this.db.getLocationsByUser(userId)
+    ]);
+
+    // Rows in id order, so nothing depends on how the database returns them
+    const byId = (a, b) => a.id - b.id;
+    return {
+      courses: [...courses].sort(byId),
+      sessions: [...sessions].sort(byId),
+      constraints: [...constraints].sort(byId),
+      preferences,
+      locations
+    };
+  }
+
+  // Fingerprint of everything a timetable is generated from, to tell whether
+  // two generations saw the same inputs
+  hashInputs({ courses, sessions, constraints, preferences = {}, locations = {} }) {
+    const withoutTimestamps = rows => rows.map(({ created_at, updated_at, ...row }) => row);
+    const inputs = {
+      courses: withoutTimestamps(courses),
+      sessions: withoutTimestamps(sessions),
+      constraints: withoutTimestamps(constraints),
+      preferences,
+      locations: {
+        buildings: withoutTimestamps(locations.buildings || []),
+        rooms: withoutTimestamps(locations.rooms || []),
+        walkingTimes: withoutTimestamps(locations.walkingTimes || [])
+      },
+      settings: this.settings
+    };
+    // Keys sorted, so column order in the database does not change the hash
+    const canonical = JSON.stringify(inputs, (key, value) => value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.keys(value).sort().reduce((sorted, name) => ({ ...sorted, [name]: value[name] }), {})
+      : value);
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+  }
+
+  forUser({ preferences, locations }) {
+    return this.withSettings(preferences.schedule, new LocationRegistry(locations), new WorkloadLimits(preferences.workload));
+  }
+
+  buildTimetable(data, options = {}) {
+    const strategy = options.strategy || 'greedy';
+    if (!this.strategies.includes(strategy)) {
+      throw new Error(`Unknown scheduling strategy: ${strategy}`);
+    }
+
+    const seed = options.seed !== undefined ? options.seed : DEFAULT_SEED;
+    const groups = this.getSectionGroups(data.sessions);
+    const timetable = groups.length === 0
+      ? this.placeTimetable(data, strategy, seed)
+      : this.rankSectionChoices(data, groups, strategy, seed)[0];
+
+    return this.withInputsHash(timetable, this.hashInputs(data));
+  }
+
+  withInputsHash(timetable, inputsHash) {
+    return { ...timetable, generationLog: { ...timetable.generationLog, inputsHash } };
+  }
+
+  // Sessions offered as alternative sections, per course and section group:
+  // [{ courseId, courseName, group, sections: [{ section, sessions }] }]
+  getSectionGroups(sessions) {
+    const groups = new Map();
+
+    sessions.filter(session => session.section_group).forEach(session => {
+      const key = `${session.course_id}:${session.section_group}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          courseId: session.course_id,
+          courseName: session.course_name,
+          group: session.section_group,
+          sections: new Map()
+        });
       }
+      const sections = groups.get(key).sections;
+      const label = session.section || '';
+      if (!sections.has(label)) sections.set(label, []);
+      sections.get(label).push(session);
+    });
 
-      // Create base schedule
-      const schedule = this.createEmptySchedule();
-      const conflicts = [];
-      const placedSessions = [];
-
-      // Sort sessions by priority (course priority, then session type)
-      const sortedSessions = this.prioritizeSessions(sessions, courses);
-
-      // Place sessions in schedule
-      for (const session of sortedSessions) {
-        const placement = this.findBestPlacement(session, schedule, constraints, placedSessions);
-        
-        if (placement.success) {
-          this.placeSession(schedule, session, placement);
-          placedSessions.push({ ...session, ...placement });
-        } else {
-          conflicts.push({
-            session,
-            reason: placement.reason,
-            suggestions: placement.suggestions
+    return [...groups.values()].map(group => ({
+      ...group,
+      sections: [...group.sections.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([section, members]) => ({ section, sessions: members }))
+    }));
+  }
+
+  // Timetables for the section choices tried, best first (fewest conflicts,
+  // then highest score). Every combination is tried when there are few;
+  // otherwise each group in turn switches to its best section until no
+  // single switch helps.
+  rankSectionChoices(data, groups, strategy, seed = DEFAULT_SEED) {
+    const tried = new Map();
+    const evaluate = choice => {
+      const key = choice.join(',');
+      if (!tried.has(key)) {
+        const chosen = new Set(groups.flatMap((group, index) => group.sections[choice[index]].sessions));
+        const sessions = data.sessions.filter(session => !session.section_group || chosen.has(session));
+        tried.set(key, {
+          ...this.placeTimetable({ ...data, sessions }, strategy, seed),
+          sections: groups.map((group, index) => ({
+            courseId: group.courseId,
+            courseName: group.courseName,
+            group: group.group,
+            section: group.sections[choice[index]].section,
+            options: group.sections.map(option => option.section)
+          }))
+        });
+      }
+      return tried.get(key);
+    };
+    const isBetter = (a, b) => this.compareTimetables(a, b) < 0;
+
+    const combinations = groups.reduce((total, group) => total * group.sections.length, 1);
+    if (combinations <= this.maxSectionCombinations) {
+      const choice = groups.map(() => 0);
+      for (let n = 0; n < combinations; n++) {
+        evaluate(choice);
+        // Advance like an odometer over each group's sections
+        for (let index = groups.length - 1; index >= 0; index--) {
+          choice[index] = (choice[index] + 1) % groups[index].sections.length;
+          if (choice[index] !== 0) break;
+        }
+      }
+    } else {
+      let best = groups.map(() => 0);
+      let improved = true;
+      for (let pass = 0; improved && pass < 5; pass++) {
+        improved = false;
+        groups.forEach((group, index) => {
+          group.sections.forEach((option, sectionIndex) => {
+            const candidate = [...best];
+            candidate[index] = sectionIndex;
+            if (isBetter(evaluate(candidate), evaluate(best))) {
+              best = candidate;
+              improved = true;
+            }
           });
+        });
+      }
+    }
+
+    return [...tried.values()].sort((a, b) => this.compareTimetables(a, b));
+  }
+
+  buildRepair(data, previous, options = {}) {
+    const seed = options.seed !== undefined ? options.seed : DEFAULT_SEED;
+    const { courses, constraints, preferences = {} } = data;
+    const { sessions, sections } = this.selectPreviousSections(data, previous.sections || []);
+
+    // Study blocks are laid out again once the sessions are settled
+    const before = new Map();
+    const previousStudy = [];
+    Object.entries(previous.schedule || {}).forEach(([dayNum, dayData]) => {
+      dayData.sessions.forEach(session => {
+        const entry = { ...session, dayOfWeek: Number(dayNum) };
+        if (session.isStudyBlock) {
+          previousStudy.push(entry);
+        } else {
+          before.set(session.id, entry);
         }
+      });
+    });
+
+    // Keep every session whose old slot is still one it may take
+    let schedule = this.createEmptySchedule();
+    const pending = [];
+    const reasons = new Map();
+    const sessionOrder = this.prioritizeSessions(sessions, courses, seed);
+
+    for (const session of sessionOrder) {
+      const old = before.get(session.id);
+      if (!old) {
+        pending.push(session);
+        continue;
       }
 
-      // Generate suggestions for optimization
-      const suggestions = this.generateSuggestions(schedule, conflicts, constraints);
-      
-      // Calculate score
-      const score = this.calculateScore(schedule, conflicts, constraints);
-      
-      // Generate statistics
-      const stats = this.calculateStats(schedule);
+      const request = this.requestOf(old);
+      const requestChanged = request.day_of_week !== session.day_of_week ||
+        request.start_time !== session.start_time || request.end_time !== session.end_time;
+      const slot = !requestChanged && this.getCandidatePlacements(session, constraints).find(candidate =>
+        candidate.dayOfWeek === old.dayOfWeek && candidate.startTime === old.start_time && candidate.endTime === old.end_time
+      );
+
+      if (slot && this.isTimeSlotAvailable(slot.dayOfWeek, slot.startTime, slot.endTime, schedule, constraints, slot.location) &&
+        this.fitsWorkload(session, slot, schedule)) {
+        this.placeSession(schedule, session, slot);
+      } else {
+        reasons.set(session.id, requestChanged ? 'request_changed' : 'no_longer_fits');
+        pending.push(session);
+      }
+    }
+
+    // Place new and displaced sessions, moving one flexible session out of
+    // the way only when nothing else works
+    const conflicts = [];
+    const decisions = [];
+    for (const session of pending) {
+      const rejected = [];
+      const placement = this.findBestPlacement(session, schedule, constraints, [], rejected);
+      if (placement.success) {
+        this.placeSession(schedule, session, placement);
+        decisions.push(this.describeDecision(session, placement, rejected, 'repair'));
+        continue;
+      }
+
+      const room = this.makeRoom(session, schedule, constraints);
+      if (room) {
+        schedule = room.schedule;
+        reasons.set(room.moved.id, 'made_room');
+        decisions.push(this.describeDecision(session, { success: true, ...room.slot }, rejected, 'made_room'));
+        continue;
+      }
+
+      const { success, ...conflict } = placement;
+      conflicts.push({ session, ...conflict });
+      decisions.push(this.describeDecision(session, placement, rejected, 'repair'));
+    }
+
+    const explained = conflicts.map(conflict => this.explainConflict(conflict, schedule, constraints));
+    const studyPlan = this.placeStudyBlocks(schedule, courses, constraints, preferences, previousStudy);
+
+    const timetable = {
+      ...this.describeTimetable(schedule, explained, constraints, preferences, studyPlan),
+      strategy: 'repair',
+      generatedAt: new Date().toISOString(),
+      repair: this.describeRepair(before, schedule, sessions, reasons),
+      generationLog: {
+        seed,
+        strategy: 'repair',
+        settings: this.settings,
+        sessionOrder: sessionOrder.map(session => session.id),
+        kept: sessionOrder.filter(session => !pending.includes(session)).map(session => session.id),
+        decisions: this.finishDecisions(decisions, constraints),
+        inputsHash: this.hashInputs(data)
+      }
+    };
+    if (sections.length > 0) timetable.sections = sections;
+
+    return timetable;
+  }
 
+  // Sections stay as previously chosen while they still exist; groups that
+  // are new or lost their section get the choice a full build would make
+  selectPreviousSections(data, previousSections) {
+    const groups = this.getSectionGroups(data.sessions);
+    if (groups.length === 0) return { sessions: data.sessions, sections: [] };
+
+    let fresh = null;
+    const sections = groups.map(group => {
+      const kept = previousSections.find(choice =>
+        choice.courseId === group.courseId && choice.group === group.group &&
+        group.sections.some(option => option.section === choice.section)
+      );
+      if (!kept) fresh = fresh || this.buildTimetable(data).sections;
+      const choice = kept || fresh.find(option => option.courseId === group.courseId && option.group === group.group);
       return {
-        schedule,
-        conflicts,
-        suggestions,
-        score,
-        stats,
-        generatedAt: new Date().toISOString()
+        courseId: group.courseId,
+        courseName: group.courseName,
+        group: group.group,
+        section: choice.section,
+        options: group.sections.map(option => option.section)
       };
+    });
 
-    } catch (error) {
-      console.error('Timetable generation error:', error);
-      throw error;
+    const chosen = new Set(groups.flatMap((group, index) =>
+      group.sections.find(option => option.section === sections[index].section).sessions
+    ));
+    return {
+      sessions: data.sessions.filter(session => !session.section_group || chosen.has(session)),
+      sections
+    };
+  }
+
+  // Free a slot for `session` by moving the one flexible session holding it
+  makeRoom(session, schedule, constraints) {
+    for (const slot of this.getCandidatePlacements(session, constraints)) {
+      const blockers = this.getSlotBlockers(slot, schedule, constraints);
+      if (blockers.constraints.length > 0 || blockers.sessions.length !== 1) continue;
+
+      const [blocker] = blockers.sessions;
+      if (this.getFlexibility(blocker) === 'pinned') continue;
+
+      const trial = this.copySchedule(schedule, blocker);
+      if (!this.fitsWorkload(session, slot, trial)) continue;
+      this.placeSession(trial, session, slot);
+      const placement = this.findBestPlacement(this.requestOf(blocker), trial, constraints, []);
+      if (placement.success) {
+        this.placeSession(trial, this.requestOf(blocker), placement);
+        return { schedule: trial, moved: blocker, slot };
+      }
+    }
+
+    return null;
+  }
+
+  describeRepair(before, schedule, sessions, reasons) {
+    const after = new Map();
+    Object.entries(schedule).forEach(([dayNum, dayData]) => {
+      dayData.sessions.forEach(session => after.set(session.id, { ...session, dayOfWeek: Number(dayNum) }));
+    });
+    const slotOf = session => session && {
+      dayOfWeek: session.dayOfWeek,
+      dayName: this.dayNames[session.dayOfWeek],
+      startTime: session.start_time,
+      endTime: session.end_time
+    };
+    const currentIds = new Set(sessions.map(session => session.id));
+
+    const displaced = [...before.values()]
+      .filter(old => currentIds.has(old.id))
+      .filter(old => {
+        const now = after.get(old.id);
+        return !now || now.dayOfWeek !== old.dayOfWeek || now.start_time !== old.start_time || now.end_time !== old.end_time;
+      })
+      .map(old => ({
+        sessionId: old.id,
+        courseName: old.course_name,
+        type: old.type,
+        from: slotOf(old),
+        to: slotOf(after.get(old.id)) || null,
+        reason: reasons.get(old.id) || 'no_longer_fits'
+      }));
+    const added = sessions
+      .filter(session => !before.has(session.id))
+      .map(session => ({
+        sessionId: session.id,
+        courseName: session.course_name,
+        type: session.type,
+        to: slotOf(after.get(session.id)) || null
+      }));
+    const removed = [...before.values()]
+      .filter(old => !currentIds.has(old.id))
+      .map(old => ({ sessionId: old.id, courseName: old.course_name, type: old.type }));
+
+    return {
+      kept: [...before.keys()].filter(id => currentIds.has(id)).length - displaced.length,
+      displaced,
+      added,
+      removed,
+      changed: displaced.length + added.length + removed.length > 0
+    };
+  }
+
+  compareTimetables(a, b) {
+    return a.conflicts.length - b.conflicts.length || b.score - a.score;
+  }
+
+  placeTimetable({ courses, sessions, constraints, preferences = {} }, strategy, seed = DEFAULT_SEED) {
+    if (sessions.length === 0 && !courses.some(course => course.study_hours_per_credit > 0)) {
+      return {
+        schedule: this.createEmptySchedule(),
+        conflicts: [],
+        suggestions: ['Add some courses and sessions to generate your timetable'],
+        score: 0,
+        stats: { totalSessions: 0, totalHours: 0, averageHoursPerDay: 0 },
+        constraintReport: this.evaluateConstraints(this.createEmptySchedule(), constraints),
+        settings: this.settings,
+        strategy,
+        generationLog: { seed, strategy, settings: this.settings, sessionOrder: [], decisions: [] }
+      };
+    }
+
+    // Sort sessions by priority (course priority, then session type)
+    const sortedSessions = this.prioritizeSessions(sessions, courses, seed);
+
+    // Place sessions in schedule
+    const placed = strategy === 'csp'
+      ? this.placeWithSolver(sortedSessions, constraints)
+      : this.placeGreedily(sortedSessions, constraints);
+    const { schedule, solver } = placed;
+    const conflicts = placed.conflicts.map(conflict => this.explainConflict(conflict, schedule, constraints));
+
+    // Self-study goes into whatever time the sessions left free
+    const studyPlan = this.placeStudyBlocks(schedule, courses, constraints, preferences);
+
+    const timetable = {
+      ...this.describeTimetable(schedule, conflicts, constraints, preferences, studyPlan),
+      strategy,
+      generatedAt: new Date().toISOString(),
+      generationLog: {
+        seed,
+        strategy,
+        settings: this.settings,
+        sessionOrder: sortedSessions.map(session => session.id),
+        decisions: this.finishDecisions(placed.decisions, constraints)
+      }
+    };
+    if (solver) {
+      timetable.solver = solver;
+      timetable.generationLog.solver = solver;
+    }
+
+    return timetable;
+  }
+
+  // Suggestions, score, statistics and constraint report for a placed schedule
+  describeTimetable(schedule, conflicts, constraints, preferences = {}, studyPlan = []) {
+    const { score, breakdown } = this.scoreTimetable(schedule, conflicts, constraints, preferences.scoring);
+
+    return {
+      schedule,
+      conflicts,
+      suggestions: this.generateSuggestions(schedule, conflicts, constraints, studyPlan),
+      score,
+      scoreBreakdown: breakdown,
+      stats: this.calculateStats(schedule),
+      constraintReport: this.evaluateConstraints(schedule, constraints),
+      workloadReport: this.evaluateWorkload(schedule),
+      studyPlan,
+      settings: this.settings
+    };
+  }
+
+  // Fill free time with self-study blocks for every course with a study
+  // target (credits x study_hours_per_credit hours a week). Blocks respect
+  // the constraints, go to preferred windows first and spread over the week;
+  // blocks from `previous` keep their slots while those are still free.
+  placeStudyBlocks(schedule, courses, constraints, preferences = {}, previous = []) {
+    const blockMinutes = (preferences.study && preferences.study.blockMinutes) || 60;
+    const slotMinutes = Number(this.settings.slotMinutes);
+
+    return courses
+      .filter(course => course.study_hours_per_credit > 0)
+      .sort((a, b) => (a.priority || 1) - (b.priority || 1))
+      .map(course => {
+        const targetMinutes = Math.round((course.credits || 0) * course.study_hours_per_credit * 60);
+        let scheduledMinutes = 0;
+        let blocks = 0;
+        const place = placement => {
+          this.placeSession(schedule, this.createStudyBlock(course, blocks++, placement), placement);
+          scheduledMinutes += this.calculateDuration(placement.startTime, placement.endTime);
+        };
+
+        previous
+          .filter(block => block.course_id === course.id)
+          .forEach(block => {
+            const duration = this.calculateDuration(block.start_time, block.end_time);
+            const placement = { dayOfWeek: block.dayOfWeek, startTime: block.start_time, endTime: block.end_time };
+            if (scheduledMinutes + duration > targetMinutes || !this.settings.days.includes(block.dayOfWeek)) return;
+            if (this.isTimeSlotAvailable(block.dayOfWeek, block.start_time, block.end_time, schedule, constraints) &&
+              this.getWorkloadBreaches(block, placement, schedule).length === 0) {
+              place(placement);
+            }
+          });
+
+        while (scheduledMinutes < targetMinutes) {
+          // The last block covers what is left, rounded up to the slot grid
+          const remaining = Math.min(blockMinutes, targetMinutes - scheduledMinutes);
+          const slot = this.findStudySlot(course, Math.ceil(remaining / slotMinutes) * slotMinutes, schedule, constraints);
+          if (!slot) break;
+          place(slot);
+        }
+
+        return {
+          courseId: course.id,
+          courseName: course.name,
+          targetMinutes,
+          scheduledMinutes,
+          blocks
+        };
+      });
+  }
+
+  findStudySlot(course, duration, schedule, constraints) {
+    let best = null;
+
+    for (const dayOfWeek of this.settings.days) {
+      const dayData = schedule[dayOfWeek];
+      const blocksThatDay = dayData.sessions.filter(session => session.isStudyBlock && session.course_id === course.id).length;
+
+      for (const startTime of this.timeSlots) {
+        const endTime = this.addMinutes(startTime, duration);
+        if (!endTime || !this.isTimeSlotAvailable(dayOfWeek, startTime, endTime, schedule, constraints)) continue;
+
+        const breaches = this.getWorkloadBreaches({ isStudyBlock: true }, { dayOfWeek, startTime, endTime }, schedule);
+        if (breaches.some(breach => breach.mode === 'hard')) continue;
+
+        // Within the workload limits, preferred windows, then days without
+        // this course's study, then lighter days
+        const rank = [
+          breaches.length,
+          this.isInPreferredWindow(dayOfWeek, startTime, endTime, constraints) ? 0 : 1,
+          blocksThatDay,
+          dayData.totalHours
+        ];
+        if (!best || this.compareRanks(rank, best.rank) < 0) {
+          best = { dayOfWeek, startTime, endTime, rank };
+        }
+      }
+    }
+
+    return best && { dayOfWeek: best.dayOfWeek, startTime: best.startTime, endTime: best.endTime };
+  }
+
+  compareRanks(a, b) {
+    const index = a.findIndex((value, i) => value !== b[i]);
+    return index === -1 ? 0 : a[index] - b[index];
+  }
+
+  createStudyBlock(course, index, placement) {
+    return {
+      id: `study-${course.id}-${index}`,
+      course_id: course.id,
+      course_name: course.name,
+      course_code: course.code,
+      course_color: course.color,
+      type: 'study',
+      day_of_week: placement.dayOfWeek,
+      start_time: placement.startTime,
+      end_time: placement.endTime,
+      flexibility: 'any_day',
+      isStudyBlock: true
+    };
+  }
+
+  // Candidates come from both placement strategies and from seeded optimizer
+  // runs started at the greedy timetable; identical placements are kept once.
+  // The runs share a fixed iteration budget and take their seeds in a fixed
+  // order, so the same inputs always give the same alternatives
+  buildAlternatives(data, options = {}) {
+    const count = options.count || 3;
+    const attempts = options.attempts || count * 3;
+    const iterationBudget = options.iterationBudget || 1500;
+    const seed = options.seed !== undefined ? options.seed : DEFAULT_SEED;
+    const { constraints, preferences = {} } = data;
+
+    const base = this.buildTimetable(data, { strategy: 'greedy', seed });
+    const found = new Map();
+    const keep = timetable => {
+      const signature = this.getScheduleSignature(timetable.schedule);
+      if (!found.has(signature)) found.set(signature, timetable);
+    };
+    keep(base);
+    keep(this.buildTimetable(data, { strategy: 'csp', seed }));
+
+    // The next best section choices are alternatives in their own right
+    const groups = this.getSectionGroups(data.sessions);
+    if (groups.length > 0) {
+      this.rankSectionChoices(data, groups, 'greedy', seed).slice(0, count).forEach(keep);
+    }
+
+    // Each run looks for the best timetable not found yet
+    for (let attempt = 0; attempt < attempts && data.sessions.length > 0; attempt++) {
+      const optimizer = new LocalSearchOptimizer(this, {
+        seed: `${seed}-${attempt}`,
+        maxIterations: Math.ceil(iterationBudget / attempts),
+        exclude: new Set(found.keys())
+      });
+      const optimized = optimizer.optimize(base.schedule, base.conflicts, constraints, preferences.scoring);
+      keep({
+        ...this.describeTimetable(optimized.schedule, base.conflicts, constraints, preferences, base.studyPlan),
+        strategy: 'optimized',
+        generatedAt: new Date().toISOString(),
+        generationLog: { ...base.generationLog, strategy: 'optimized', optimization: optimized.summary }
+      });
+    }
+
+    const inputsHash = this.hashInputs(data);
+    // Ids come from the placements, so a pick can be saved by id later on
+    const alternatives = [...found.entries()]
+      .sort(([, a], [, b]) => this.compareTimetables(a, b))
+      .slice(0, count)
+      .map(([signature, alternative]) => ({
+        ...this.withInputsHash(alternative, inputsHash),
+        id: crypto.createHash('sha256').update(signature).digest('hex').slice(0, 12)
+      }));
+
+    return { alternatives, differences: this.compareSchedules(alternatives.map(alt => alt.schedule)) };
+  }
+
+  getScheduleSignature(schedule) {
+    return Object.entries(schedule)
+      .flatMap(([dayNum, dayData]) => dayData.sessions.map(session => `${session.id}@${dayNum}@${session.start_time}`))
+      .sort()
+      .join('|');
+  }
+
+  // Sessions not placed identically in every schedule, with where each
+  // schedule puts them (null when a schedule leaves the session out)
+  compareSchedules(schedules) {
+    const placementsBySession = new Map();
+
+    schedules.forEach((schedule, index) => {
+      Object.entries(schedule).forEach(([dayNum, dayData]) => {
+        dayData.sessions.forEach(session => {
+          if (!placementsBySession.has(session.id)) {
+            placementsBySession.set(session.id, { session, placements: schedules.map(() => null) });
+          }
+          placementsBySession.get(session.id).placements[index] = {
+            dayOfWeek: Number(dayNum),
+            dayName: dayData.dayName,
+            startTime: session.start_time,
+            endTime: session.end_time
+          };
+        });
+      });
+    });
+
+    return [...placementsBySession.values()]
+      .filter(({ placements }) => new Set(placements.map(placement =>
+        placement ? `${placement.dayOfWeek}@${placement.startTime}` : 'none'
+      )).size > 1)
+      .map(({ session, placements }) => ({
+        sessionId: session.id,
+        courseName: session.course_name,
+        type: session.type,
+        placements
+      }));
+  }
+
+  placeGreedily(sessions, constraints) {
+    const schedule = this.createEmptySchedule();
+    const conflicts = [];
+    const placedSessions = [];
+    const decisions = [];
+
+    for (const session of sessions) {
+      const rejected = [];
+      const placement = this.findBestPlacement(session, schedule, constraints, placedSessions, rejected);
+      decisions.push(this.describeDecision(session, placement, rejected, 'greedy'));
+
+      if (placement.success) {
+        this.placeSession(schedule, session, placement);
+        placedSessions.push({ ...session, ...placement });
+      } else {
+        const { success, ...conflict } = placement;
+        conflicts.push({ session, ...conflict });
+      }
+    }
+
+    return { schedule, conflicts, decisions };
+  }
+
+  placeWithSolver(sessions, constraints) {
+    const solver = new CspSolver(this);
+    const result = solver.solve(sessions, constraints);
+    const schedule = this.createEmptySchedule();
+    const conflicts = [];
+    const decisions = [];
+
+    for (const session of sessions) {
+      const placement = result.assignment.get(session);
+      if (placement) {
+        this.placeSession(schedule, session, placement);
+        decisions.push(this.describeDecision(session, { success: true, ...placement }, [], 'solver'));
+      }
+    }
+
+    for (const { session, core } of result.conflicts) {
+      const conflict = this.describeUnsatisfiableCore(session, core);
+      conflicts.push(conflict);
+      decisions.push(this.describeDecision(session, { success: false, ...conflict }, [], 'solver'));
+    }
+
+    // The search budget ran out before a proof was found: fall back to
+    // greedy placement for whatever the solver could not decide
+    for (const session of result.unresolved) {
+      const rejected = [];
+      const placement = this.findBestPlacement(session, schedule, constraints, [], rejected);
+      decisions.push(this.describeDecision(session, placement, rejected, 'greedy'));
+      if (placement.success) {
+        this.placeSession(schedule, session, placement);
+      } else {
+        const { success, ...conflict } = placement;
+        conflicts.push({ session, ...conflict });
+      }
+    }
+
+    return { schedule, conflicts, decisions, solver: result.stats };
+  }
+
+  // One generation log entry: where a session went, or why it could not go
+  // anywhere, and the slots passed over on the way
+  describeDecision(session, placement, rejected, decidedBy) {
+    return {
+      session,
+      sessionId: session.id,
+      courseName: session.course_name,
+      type: session.type,
+      decidedBy,
+      requested: { dayOfWeek: session.day_of_week, startTime: session.start_time, endTime: session.end_time },
+      placed: placement.success
+        ? { dayOfWeek: placement.dayOfWeek, startTime: placement.startTime, endTime: placement.endTime }
+        : null,
+      reason: placement.success ? null : placement.reason,
+      rejected: rejected.slice(0, MAX_LOGGED_REJECTIONS),
+      rejectedCount: rejected.length
+    };
+  }
+
+  finishDecisions(decisions, constraints) {
+    return decisions.map(({ session, ...decision }) => ({
+      ...decision,
+      excludedByConstraints: this.countExcludedSlots(session, constraints)
+    }));
+  }
+
+  // Slots a session could take but that constraints rule out up front, per
+  // constraint: [{ constraintId, slots }]
+  countExcludedSlots(session, constraints) {
+    const counts = new Map();
+    this.getCandidatePlacements(session, []).forEach(slot => {
+      this.getBlockingConstraints(slot.dayOfWeek, slot.startTime, slot.endTime, constraints).forEach(constraint => {
+        counts.set(constraint.id, (counts.get(constraint.id) || 0) + 1);
+      });
+    });
+    return [...counts].map(([constraintId, slots]) => ({ constraintId, slots }));
+  }
+
+  // Why a free-looking slot was passed over, for the generation log
+  describeRejection(candidate, schedule, constraints, breaches = []) {
+    const blockers = this.getSlotBlockers(candidate, schedule, constraints);
+    const reasons = [
+      ...blockers.sessions.map(other => {
+        const overlaps = this.timesOverlap(candidate.startTime, candidate.endTime, other.start_time, other.end_time);
+        return `${overlaps ? 'overlaps' : 'too close to'} ${other.course_name} (${other.type}) ${other.start_time}-${other.end_time}`;
+      }),
+      ...blockers.constraints.map(constraint => `constraint #${constraint.id} "${constraint.description || constraint.type}"`),
+      ...breaches.map(breach => `${breach.mode} limit: ${breach.message}`)
+    ];
+
+    return {
+      dayOfWeek: candidate.dayOfWeek,
+      startTime: candidate.startTime,
+      endTime: candidate.endTime,
+      reasons
+    };
+  }
+
+  describeUnsatisfiableCore(session, core) {
+    const others = core.sessions.filter(s => s !== session);
+    const summarizeSession = s => ({
+      id: s.id,
+      course_name: s.course_name,
+      type: s.type,
+      flexibility: this.getFlexibility(s),
+      day_of_week: s.day_of_week,
+      start_time: s.start_time,
+      end_time: s.end_time
+    });
+    const summarizeConstraint = c => ({
+      id: c.id,
+      type: c.type,
+      day_of_week: c.day_of_week,
+      start_time: c.start_time,
+      end_time: c.end_time,
+      description: c.description
+    });
+
+    const suggestions = core.constraints.map(c =>
+      `Relax constraint "${c.description || c.type}"`
+    );
+    if (others.length > 0) {
+      suggestions.push(`Drop or shorten one of: ${core.sessions.map(s => s.course_name).join(', ')}`);
+    }
+
+    const allPinned = core.sessions.every(s => this.getFlexibility(s) === 'pinned');
+    let reason = others.length > 0
+      ? `No valid assignment exists for ${core.sessions.length} sessions competing for the same slots`
+      : 'No slot satisfies the active constraints';
+    if (others.length === 0 && core.constraints.length === 0 &&
+      !this.isInWorkingHours(session.day_of_week, session.start_time, session.end_time)) {
+      reason = allPinned
+        ? 'Pinned session falls outside the working days and hours'
+        : 'No slot within the working days and hours fits this session';
+    }
+    if (allPinned && others.length > 0) {
+      reason = `Pinned session clashes with ${others.map(s => `${s.course_name} (${s.type}) ${s.start_time}-${s.end_time}`).join(', ')}`;
     }
+
+    // A core that only fails under the hard workload limits is theirs to explain
+    const hardLimits = this.workload.limits.filter(limit => limit.mode === 'hard');
+    const limits = [];
+    if (hardLimits.length > 0) {
+      const unlimited = this.withSettings(this.settings, this.locations, new WorkloadLimits());
+      const { status } = new CspSolver(unlimited).search(core.sessions, core.constraints, { nodes: 0, searches: 0 });
+      if (status === 'sat') {
+        hardLimits.forEach(limit => limits.push({ limit: limit.key, label: limit.label, mode: limit.mode }));
+        reason = `${others.length > 0 ? `${core.sessions.length} sessions do` : 'This session does'} not fit within the hard workload limits (${limits.map(limit => limit.label).join(', ')})`;
+        suggestions.push(...limits.map(limit => `Raise the "${limit.label}" limit or make it soft`));
+      }
+    }
+
+    // A probe that ran out of nodes kept its member in the core
+    if (!core.minimal) {
+      reason += ' (the search ran out of nodes narrowing this down, so not everything listed may be needed for the clash)';
+    }
+
+    return {
+      session,
+      severity: allPinned ? 'hard' : 'soft',
+      reason,
+      suggestions,
+      ...(limits.length > 0 && { limits }),
+      core: {
+        sessions: core.sessions.map(summarizeSession),
+        constraints: core.constraints.map(summarizeConstraint),
+        minimal: core.minimal
+      }
+    };
   }
 
   createEmptySchedule() {
@@ -94,12 +943,25 @@ class TimetableGenerator {
     return schedule;
   }
 
-  prioritizeSessions(sessions, courses) {
+  prioritizeSessions(sessions, courses, seed = DEFAULT_SEED) {
     const courseMap = new Map(courses.map(c => [c.id, c]));
+
+    // Sessions tied on everything below are ordered by a hash of the seed
+    // and their id, never by the order they arrived in
+    const tieBreak = new Map(sessions.map(session => [session, new SeededRandom(`${seed}:${session.id}`).next()]));
     
     return sessions.sort((a, b) => {
       const courseA = courseMap.get(a.course_id);
       const courseB = courseMap.get(b.course_id);
+
+      // Pinned sessions cannot move, so they claim their slots first
+      const flexibilityOrder = { pinned: 1, same_day: 2, any_day: 3 };
+      const flexA = flexibilityOrder[this.getFlexibility(a)];
+      const flexB = flexibilityOrder[this.getFlexibility(b)];
+
+      if (flexA !== flexB) {
+        return flexA - flexB;
+      }
       
       // Priority by course priority (1 = high, 2 = medium, 3 = low)
       if (courseA.priority !== courseB.priority) {
@@ -119,102 +981,469 @@ class TimetableGenerator {
       const durationA = this.calculateDuration(a.start_time, a.end_time);
       const durationB = this.calculateDuration(b.start_time, b.end_time);
       
-      return durationB - durationA;
+      return durationB - durationA || tieBreak.get(a) - tieBreak.get(b);
     });
   }
 
-  findBestPlacement(session, schedule, constraints, placedSessions) {
-    const dayOfWeek = session.day_of_week;
-    const startTime = session.start_time;
-    const endTime = session.end_time;
+  // Slots passed over are appended to `rejected`, when given, for the
+  // generation log
+  findBestPlacement(session, schedule, constraints, placedSessions, rejected = null) {
+    // Hard workload limits rule a free slot out, soft ones only push it back
+    // behind slots that breach fewer of them
+    const limits = new Map();
+    const softBreaching = [];
+    let fallback = null;
+    const reject = (candidate, breaches) => {
+      if (rejected) rejected.push(this.describeRejection(candidate, schedule, constraints, breaches));
+    };
+    const choose = candidate => {
+      softBreaching.filter(entry => entry.candidate !== candidate).forEach(entry => reject(entry.candidate, entry.breaches));
+      return { success: true, ...candidate };
+    };
 
-    // Check if the preferred time slot is available
-    if (this.isTimeSlotAvailable(dayOfWeek, startTime, endTime, schedule, constraints)) {
-      return {
-        success: true,
-        dayOfWeek,
-        startTime,
-        endTime
-      };
+    for (const candidate of this.getCandidatePlacements(session, constraints)) {
+      if (!this.isTimeSlotAvailable(candidate.dayOfWeek, candidate.startTime, candidate.endTime, schedule, constraints, candidate.location)) {
+        reject(candidate);
+        continue;
+      }
+
+      const breaches = this.getWorkloadBreaches(session, candidate, schedule);
+      const hard = breaches.filter(breach => breach.mode === 'hard');
+      if (hard.length > 0) {
+        hard.forEach(breach => limits.has(breach.limit) || limits.set(breach.limit, breach));
+        reject(candidate, hard);
+      } else if (breaches.length === 0) {
+        return choose(candidate);
+      } else {
+        softBreaching.push({ candidate, breaches });
+        if (!fallback || breaches.length < fallback.breaches.length) fallback = { candidate, breaches };
+      }
     }
 
-    // Try to find alternative slots on the same day
-    const alternatives = this.findAlternativeSlots(session, dayOfWeek, schedule, constraints);
-    if (alternatives.length > 0) {
-      return {
-        success: true,
-        dayOfWeek,
-        startTime: alternatives[0].startTime,
-        endTime: alternatives[0].endTime,
-        isAlternative: true
-      };
+    if (fallback) {
+      return choose(fallback.candidate);
     }
 
-    // Try other days if flexible
-    for (let day = 1; day <= 5; day++) { // Monday to Friday
-      if (day === dayOfWeek) continue;
-      
-      const dayAlternatives = this.findAlternativeSlots(session, day, schedule, constraints);
-      if (dayAlternatives.length > 0) {
-        return {
-          success: true,
-          dayOfWeek: day,
-          startTime: dayAlternatives[0].startTime,
-          endTime: dayAlternatives[0].endTime,
-          isDifferentDay: true
+    if (limits.size > 0) {
+      return this.describeWorkloadConflict(session, [...limits.values()]);
+    }
+
+    if (this.getFlexibility(session) === 'pinned') {
+      return this.describePinnedClash(session, schedule, constraints);
+    }
+
+    // Could not place session; explainConflict names the blockers once the
+    // whole schedule is known
+    return {
+      success: false,
+      severity: 'soft',
+      reason: 'No available time slots found'
+    };
+  }
+
+  // Free slots exist, but taking any of them would breach a hard limit
+  describeWorkloadConflict(session, breaches) {
+    const pinned = this.getFlexibility(session) === 'pinned';
+
+    return {
+      success: false,
+      severity: pinned ? 'hard' : 'soft',
+      reason: pinned
+        ? `Pinned session would breach a workload limit: ${breaches.map(breach => breach.message).join(', ')}`
+        : `Every free slot would breach a workload limit: ${breaches.map(breach => breach.label).join(', ')}`,
+      limits: breaches,
+      suggestions: breaches.map(breach => `Raise the "${breach.label}" limit or make it soft`)
+    };
+  }
+
+  // Add to a conflict the placed sessions and constraints that rule out each
+  // slot the session may take, and concrete fixes:
+  //   { type: 'move_session', sessionId, dayOfWeek, startTime, endTime, label }
+  //   { type: 'relax_constraint', constraintId, label }
+  explainConflict(conflict, schedule, constraints) {
+    const { session } = conflict;
+    const slots = this.getCandidatePlacements(session, []);
+    const blockingSessions = new Map();
+    const blockingConstraints = new Map();
+
+    slots.forEach(slot => {
+      const blockers = this.getSlotBlockers(slot, schedule, constraints);
+      blockers.sessions.forEach(other => {
+        const entry = blockingSessions.get(other.id) || { ...this.summarizePlacedSession(other, slot.dayOfWeek), slots: 0 };
+        entry.slots++;
+        blockingSessions.set(other.id, entry);
+      });
+      blockers.constraints.forEach(constraint => {
+        const entry = blockingConstraints.get(constraint.id) || {
+          id: constraint.id,
+          type: constraint.type,
+          description: constraint.description,
+          slots: 0
         };
+        entry.slots++;
+        blockingConstraints.set(constraint.id, entry);
+      });
+    });
+
+    const blockers = {
+      slotsTried: slots.length,
+      sessions: [...blockingSessions.values()].sort((a, b) => b.slots - a.slots),
+      constraints: [...blockingConstraints.values()].sort((a, b) => b.slots - a.slots),
+      limits: conflict.limits || []
+    };
+    const fixes = [
+      ...this.findMoveFixes(session, schedule, constraints),
+      ...this.findBlockerMoveFixes(session, schedule, constraints),
+      ...this.findRelaxFixes(session, slots, schedule, constraints, blockers.constraints)
+    ];
+
+    const names = [
+      ...blockers.sessions.map(other => `${other.course_name} (${other.type}) ${other.dayName.slice(0, 3)} ${other.start_time}-${other.end_time}`),
+      ...blockers.constraints.map(constraint => `constraint #${constraint.id} "${constraint.description || constraint.type}"`),
+      ...blockers.limits.map(breach => `the "${breach.label}" limit`)
+    ];
+    const reason = conflict.severity === 'soft' && !conflict.core && names.length > 0
+      ? `Every allowed slot is blocked by ${names.join(', ')}`
+      : conflict.reason;
+
+    return {
+      ...conflict,
+      reason,
+      blockers,
+      fixes,
+      suggestions: fixes.length > 0 ? fixes.map(fix => fix.label) : conflict.suggestions || []
+    };
+  }
+
+  // Placed sessions and constraints that keep a session out of a slot
+  getSlotBlockers(slot, schedule, constraints) {
+    const sessions = schedule[slot.dayOfWeek].sessions.filter(other =>
+      this.placementsClash(slot, this.toPlacement(other, slot.dayOfWeek), constraints)
+    );
+
+    // A required gap makes the no_back_to_back constraint a blocker as well
+    const gapConstraints = sessions.flatMap(other => {
+      if (this.timesOverlap(slot.startTime, slot.endTime, other.start_time, other.end_time)) return [];
+      const endTime = other.start_time < slot.startTime ? other.end_time : slot.endTime;
+      return this.getGapConstraints(slot.dayOfWeek, endTime, constraints);
+    });
+
+    return {
+      sessions,
+      constraints: [...new Set([
+        ...this.getBlockingConstraints(slot.dayOfWeek, slot.startTime, slot.endTime, constraints),
+        ...gapConstraints
+      ])]
+    };
+  }
+
+  summarizePlacedSession(session, dayOfWeek) {
+    return {
+      id: session.id,
+      course_name: session.course_name,
+      type: session.type,
+      dayOfWeek,
+      dayName: this.dayNames[dayOfWeek],
+      start_time: session.start_time,
+      end_time: session.end_time,
+      flexibility: this.getFlexibility(session)
+    };
+  }
+
+  // Free slots for the session itself, ignoring how far it may normally move:
+  // its own day first, then the nearest allowed days
+  findMoveFixes(session, schedule, constraints, limit = 2) {
+    const duration = this.calculateDuration(session.start_time, session.end_time);
+    const days = [...new Set([session.day_of_week, ...this.settings.days])]
+      .sort((a, b) => Math.abs(a - session.day_of_week) - Math.abs(b - session.day_of_week) || a - b);
+    const fixes = [];
+
+    for (const day of days) {
+      for (const startTime of this.timeSlots) {
+        if (fixes.length >= limit) return fixes;
+        const endTime = this.addMinutes(startTime, duration);
+        if (!endTime || fixes.some(fix => fix.dayOfWeek === day)) continue;
+        if (this.isTimeSlotAvailable(day, startTime, endTime, schedule, constraints, session.location) &&
+          this.fitsWorkload(session, { dayOfWeek: day, startTime, endTime }, schedule)) {
+          fixes.push(this.moveFix(session, day, startTime, endTime));
+        }
       }
     }
 
-    // Could not place session
+    return fixes;
+  }
+
+  // When one placed session alone holds the requested slot, move it to a free
+  // slot so the conflicted session can take its place
+  findBlockerMoveFixes(session, schedule, constraints) {
+    const requested = this.toPlacement(session, session.day_of_week);
+    const blockers = this.getSlotBlockers(requested, schedule, constraints);
+    if (blockers.sessions.length !== 1 || blockers.constraints.length > 0) return [];
+
+    const blocker = blockers.sessions[0];
+    const trial = this.copySchedule(schedule, blocker);
+    this.placeSession(trial, session, requested);
+
+    const [fix] = this.findMoveFixes(blocker, trial, constraints, 1);
+    return fix ? [{ ...fix, label: `${fix.label} (frees ${this.dayNames[session.day_of_week].slice(0, 3)} ${session.start_time} for ${session.course_name})` }] : [];
+  }
+
+  // Constraints whose removal alone opens a slot for the session
+  findRelaxFixes(session, slots, schedule, constraints, blockingConstraints) {
+    return blockingConstraints
+      .filter(blocking => {
+        const relaxed = constraints.filter(constraint => constraint.id !== blocking.id);
+        return slots.some(slot =>
+          this.isTimeSlotAvailable(slot.dayOfWeek, slot.startTime, slot.endTime, schedule, relaxed, session.location) &&
+          this.fitsWorkload(session, slot, schedule)
+        );
+      })
+      .map(blocking => ({
+        type: 'relax_constraint',
+        constraintId: blocking.id,
+        label: `Relax constraint #${blocking.id} (${blocking.description || blocking.type.replace(/_/g, ' ')})`
+      }));
+  }
+
+  moveFix(session, dayOfWeek, startTime, endTime) {
+    return {
+      type: 'move_session',
+      sessionId: session.id,
+      dayOfWeek,
+      startTime,
+      endTime,
+      label: `Move ${session.course_name} ${session.type} to ${this.dayNames[dayOfWeek].slice(0, 3)} ${startTime}`
+    };
+  }
+
+  // A pinned session that cannot sit at its own time is a hard conflict:
+  // name whatever occupies the slot instead of proposing a move
+  describePinnedClash(session, schedule, constraints) {
+    const requested = this.toPlacement(session, session.day_of_week);
+    const clashesWith = schedule[session.day_of_week].sessions
+      .filter(other => this.placementsClash(requested, this.toPlacement(other, session.day_of_week), constraints))
+      .map(other => {
+        // Sessions that do not overlap clash only because of the walk between them
+        const overlaps = this.timesOverlap(session.start_time, session.end_time, other.start_time, other.end_time);
+        const transfer = overlaps ? null : this.locations.describeTransfer(
+          ...(other.start_time < session.start_time ? [other.location, session.location] : [session.location, other.location])
+        );
+        return {
+          id: other.id,
+          course_name: other.course_name,
+          type: other.type,
+          start_time: other.start_time,
+          end_time: other.end_time,
+          location: other.location,
+          flexibility: this.getFlexibility(other),
+          ...(transfer && { transfer })
+        };
+      });
+    const blockedBy = this.getBlockingConstraints(session.day_of_week, session.start_time, session.end_time, constraints);
+
+    const outside = !this.isInWorkingHours(session.day_of_week, session.start_time, session.end_time);
+
+    const reasons = [
+      ...clashesWith.map(other => `${other.course_name} (${other.type}) ${other.start_time}-${other.end_time}` +
+        (other.transfer ? ` (${other.transfer.minutes} min walk between ${other.transfer.from} and ${other.transfer.to})` : '')),
+      ...blockedBy.map(constraint => `constraint "${constraint.description || constraint.type}"`)
+    ];
+
     return {
       success: false,
-      reason: 'No available time slots found',
+      severity: 'hard',
+      reason: outside
+        ? `Pinned session falls outside the working days and hours${reasons.length > 0 ? ` and clashes with ${reasons.join(', ')}` : ''}`
+        : `Pinned session clashes with ${reasons.join(', ') || 'another session'}`,
+      clashesWith,
+      blockedBy: blockedBy.map(constraint => constraint.id),
       suggestions: [
-        'Consider adjusting session timing',
-        'Check for conflicting constraints',
-        'Review other sessions on this day'
+        'Pinned sessions are never moved automatically',
+        ...(outside ? ['Widen the working hours or allowed weekdays in the schedule settings'] : []),
+        'Mark one of the clashing sessions as flexible or remove it'
       ]
     };
   }
 
-  isTimeSlotAvailable(dayOfWeek, startTime, endTime, schedule, constraints) {
-    // Check for conflicts with existing sessions
+  getFlexibility(session) {
+    return session.flexibility || 'pinned';
+  }
+
+  // Every slot a session may occupy, in order of preference: the requested
+  // slot, then other times on the same day, then other weekdays
+  getCandidatePlacements(session, constraints) {
+    const dayOfWeek = session.day_of_week;
+    const duration = this.calculateDuration(session.start_time, session.end_time);
+    const location = session.location;
+    const candidates = [{ dayOfWeek, startTime: session.start_time, endTime: session.end_time, location }];
+
+    // Pinned sessions only ever occupy their own slot; same-day sessions may
+    // shift within their day, any-day sessions across the week. Relocations
+    // stay inside the session's window when one is set.
+    const flexibility = this.getFlexibility(session);
+    const days = flexibility === 'pinned' ? []
+      : flexibility === 'same_day' ? [dayOfWeek]
+        : [dayOfWeek, ...this.settings.days.filter(day => day !== dayOfWeek)];
+    const windowStart = session.window_start || '00:00';
+    const windowEnd = session.window_end || '24:00';
+
+    for (const day of days) {
+      for (const startTime of this.timeSlots) {
+        const endTime = this.addMinutes(startTime, duration);
+        if (!endTime || (day === dayOfWeek && startTime === session.start_time)) continue;
+        if (startTime < windowStart || endTime > windowEnd) continue;
+
+        candidates.push(day === dayOfWeek
+          ? { dayOfWeek: day, startTime, endTime, location, isAlternative: true }
+          : { dayOfWeek: day, startTime, endTime, location, isDifferentDay: true });
+      }
+    }
+
+    // Among the alternatives, slots inside a preferred window come first
+    const [requested, ...alternatives] = candidates;
+    const rank = candidate => (candidate.isDifferentDay ? 2 : 0) +
+      (this.isInPreferredWindow(candidate.dayOfWeek, candidate.startTime, candidate.endTime, constraints) ? 0 : 1);
+    const ordered = [requested, ...alternatives
+      .map((candidate, index) => ({ candidate, index, rank: rank(candidate) }))
+      .sort((a, b) => a.rank - b.rank || a.index - b.index)
+      .map(entry => entry.candidate)];
+
+    // The requested slot passes the same working days and hours check as
+    // the generated ones, which come from the time grid already
+    return ordered.filter(candidate =>
+      this.isInWorkingHours(candidate.dayOfWeek, candidate.startTime, candidate.endTime) &&
+      this.isAllowedByConstraints(candidate.dayOfWeek, candidate.startTime, candidate.endTime, constraints)
+    );
+  }
+
+  isInWorkingHours(dayOfWeek, startTime, endTime) {
+    return this.settings.days.includes(dayOfWeek) && startTime >= this.settings.dayStart && endTime <= this.settings.dayEnd;
+  }
+
+  placementsClash(first, second, constraints = []) {
+    if (first.dayOfWeek !== second.dayOfWeek) return false;
+    if (this.timesOverlap(first.startTime, first.endTime, second.startTime, second.endTime)) return true;
+
+    const [earlier, later] = first.startTime < second.startTime ? [first, second] : [second, first];
+    const gap = this.calculateDuration(earlier.endTime, later.startTime);
+    return gap < Math.max(
+      this.getRequiredGap(first.dayOfWeek, earlier.endTime, constraints),
+      this.locations.getWalkingMinutes(earlier.location, later.location)
+    );
+  }
+
+  // The session as the user entered it, before any relocation
+  requestOf(session) {
+    return {
+      ...session,
+      start_time: session.requested_start_time || session.start_time,
+      end_time: session.requested_end_time || session.end_time
+    };
+  }
+
+  // A copy of a schedule, optionally leaving one placed session out
+  copySchedule(schedule, without = null) {
+    const copy = this.createEmptySchedule();
+    Object.entries(schedule).forEach(([dayNum, dayData]) => {
+      dayData.sessions
+        .filter(session => session !== without)
+        .forEach(session => this.placeSession(copy, session, {
+          ...this.toPlacement(session, Number(dayNum)),
+          isAlternative: session.isAlternative,
+          isDifferentDay: session.isDifferentDay
+        }));
+    });
+    return copy;
+  }
+
+  // A placed session as a placement, for clash checks
+  toPlacement(session, dayOfWeek) {
+    return { dayOfWeek, startTime: session.start_time, endTime: session.end_time, location: session.location };
+  }
+
+  // Minimum minutes between two consecutive sessions when the first one ends
+  // at `endTime`, as demanded by any matching no_back_to_back constraint
+  getRequiredGap(dayOfWeek, endTime, constraints) {
+    return this.getGapConstraints(dayOfWeek, endTime, constraints)
+      .reduce((gap, constraint) => Math.max(gap, constraint.min_gap_minutes || 15), 0);
+  }
+
+  getGapConstraints(dayOfWeek, endTime, constraints) {
+    return constraints.filter(constraint =>
+      constraint.type === 'no_back_to_back' &&
+      this.constraintAppliesToDay(constraint, dayOfWeek) &&
+      endTime >= (constraint.start_time || '00:00') &&
+      endTime <= (constraint.end_time || '24:00')
+    );
+  }
+
+  constraintAppliesToDay(constraint, dayOfWeek) {
+    return constraint.day_of_week === null || constraint.day_of_week === undefined ||
+      constraint.day_of_week === dayOfWeek;
+  }
+
+  // Constraints without times cover the whole day
+  constraintOverlaps(constraint, startTime, endTime) {
+    return this.timesOverlap(startTime, endTime, constraint.start_time || '00:00', constraint.end_time || '24:00');
+  }
+
+  isInPreferredWindow(dayOfWeek, startTime, endTime, constraints) {
+    return constraints.some(constraint =>
+      constraint.type === 'preferred' &&
+      this.constraintAppliesToDay(constraint, dayOfWeek) &&
+      startTime >= (constraint.start_time || '00:00') &&
+      endTime <= (constraint.end_time || '24:00')
+    );
+  }
+
+  isTimeSlotAvailable(dayOfWeek, startTime, endTime, schedule, constraints, location = null) {
+    // Check for conflicts with existing sessions, including the walk to or from them
     const daySchedule = schedule[dayOfWeek];
+    const placement = { dayOfWeek, startTime, endTime, location };
     for (const existingSession of daySchedule.sessions) {
-      if (this.timesOverlap(startTime, endTime, existingSession.start_time, existingSession.end_time)) {
+      if (this.placementsClash(placement, this.toPlacement(existingSession, dayOfWeek), constraints)) {
         return false;
       }
     }
 
-    // Check constraints
-    for (const constraint of constraints) {
-      if (constraint.day_of_week === null || constraint.day_of_week === dayOfWeek) {
-        if (constraint.type === 'unavailable') {
-          if (this.timesOverlap(startTime, endTime, constraint.start_time, constraint.end_time)) {
-            return false;
-          }
-        }
-      }
-    }
+    return this.isAllowedByConstraints(dayOfWeek, startTime, endTime, constraints);
+  }
 
-    return true;
+  // Everything placed in a schedule, in the form WorkloadLimits reads
+  schedulePlacements(schedule) {
+    return Object.entries(schedule).flatMap(([dayNum, dayData]) => dayData.sessions.map(session => ({
+      ...this.toPlacement(session, Number(dayNum)),
+      isStudyBlock: Boolean(session.isStudyBlock)
+    })));
   }
 
-  findAlternativeSlots(session, dayOfWeek, schedule, constraints) {
-    const duration = this.calculateDuration(session.start_time, session.end_time);
-    const alternatives = [];
+  // Workload limits a session would breach at `placement`, next to what is
+  // already `placed` (a schedule or a list of placements)
+  getWorkloadBreaches(session, placement, placed) {
+    if (!this.workload.hasLimits()) return [];
 
-    for (let i = 0; i < this.timeSlots.length - 1; i++) {
-      const startTime = this.timeSlots[i];
-      const endTime = this.addMinutes(startTime, duration);
-      
-      if (endTime && this.isTimeSlotAvailable(dayOfWeek, startTime, endTime, schedule, constraints)) {
-        alternatives.push({ startTime, endTime });
-      }
-    }
+    const placements = Array.isArray(placed) ? placed : this.schedulePlacements(placed);
+    return this.workload.breachesWith(placements, { ...placement, isStudyBlock: Boolean(session.isStudyBlock) }, this.settings.days);
+  }
 
-    return alternatives;
+  fitsWorkload(session, placement, placed) {
+    return !this.getWorkloadBreaches(session, placement, placed).some(breach => breach.mode === 'hard');
+  }
+
+  evaluateWorkload(schedule) {
+    return this.workload.evaluate(this.schedulePlacements(schedule), this.settings.days);
+  }
+
+  isAllowedByConstraints(dayOfWeek, startTime, endTime, constraints) {
+    return this.getBlockingConstraints(dayOfWeek, startTime, endTime, constraints).length === 0;
+  }
+
+  getBlockingConstraints(dayOfWeek, startTime, endTime, constraints) {
+    return constraints.filter(constraint =>
+      (constraint.type === 'unavailable' || constraint.type === 'break') &&
+      this.constraintAppliesToDay(constraint, dayOfWeek) &&
+      this.constraintOverlaps(constraint, startTime, endTime)
+    );
   }
 
   placeSession(schedule, session, placement) {
@@ -226,6 +1455,8 @@ class TimetableGenerator {
       start_time: placement.startTime,
       end_time: placement.endTime,
       duration: duration,
+      requested_start_time: session.requested_start_time || session.start_time,
+      requested_end_time: session.requested_end_time || session.end_time,
       isAlternative: placement.isAlternative || false,
       isDifferentDay: placement.isDifferentDay || false
     });
@@ -252,15 +1483,13 @@ class TimetableGenerator {
     const [hour, min] = time.split(':').map(Number);
     const totalMinutes = hour * 60 + min + minutes;
     
-    if (totalMinutes >= 21 * 60) return null; // Don't schedule after 9 PM
-    
-    const newHour = Math.floor(totalMinutes / 60);
-    const newMin = totalMinutes % 60;
+    // Don't schedule past the end of the working day
+    if (totalMinutes > this.calculateDuration('00:00', this.settings.dayEnd)) return null;
     
-    return `${newHour.toString().padStart(2, '0')}:${newMin.toString().padStart(2, '0')}`;
+    return this.formatMinutes(totalMinutes);
   }
 
-  generateSuggestions(schedule, conflicts, constraints) {
+  generateSuggestions(schedule, conflicts, constraints, studyPlan = []) {
     const suggestions = [];
 
     // Analyze schedule balance
@@ -282,13 +1511,47 @@ class TimetableGenerator {
       }
     });
 
+    // Preferences the placement could not honour
+    this.evaluateConstraints(schedule, constraints)
+      .filter(entry => entry.status === 'violated')
+      .forEach(entry => {
+        const label = entry.description || entry.type.replace(/_/g, ' ');
+        suggestions.push(`Constraint "${label}" is not met by ${entry.violatedBy.length} session${entry.violatedBy.length > 1 ? 's' : ''}`);
+      });
+
+    // Changes of building with little or no time to walk
+    this.findTransfers(schedule)
+      .filter(transfer => transfer.slackMinutes < 5)
+      .forEach(transfer => {
+        const route = `${transfer.from.course_name} (${transfer.from.location}, ends ${transfer.from.end_time}) to ` +
+          `${transfer.to.course_name} (${transfer.to.location}, starts ${transfer.to.start_time})`;
+        suggestions.push(transfer.slackMinutes < 0
+          ? `Impossible transfer on ${transfer.dayName}: ${route} leaves ${transfer.gapMinutes} min for a ${transfer.walkingMinutes} min walk`
+          : `Tight transfer on ${transfer.dayName}: ${route} leaves ${transfer.gapMinutes} min for a ${transfer.walkingMinutes} min walk`);
+      });
+
+    // Workload limits the timetable still breaches (soft ones, or hard ones
+    // set after it was built)
+    this.evaluateWorkload(schedule).forEach(breach => {
+      suggestions.push(`${breach.message} (${breach.mode} limit)`);
+    });
+
+    // Study targets the free time could not cover
+    studyPlan
+      .filter(plan => plan.scheduledMinutes < plan.targetMinutes)
+      .forEach(plan => {
+        suggestions.push(`Only ${Math.round(plan.scheduledMinutes / 6) / 10}h of the ${Math.round(plan.targetMinutes / 6) / 10}h weekly study target for ${plan.courseName} fit into your free time`);
+      });
+
     // Conflict-based suggestions
     if (conflicts.length > 0) {
       suggestions.push(`Resolve ${conflicts.length} scheduling conflict${conflicts.length > 1 ? 's' : ''}`);
     }
 
-    // Back-to-back sessions check
+    // Back-to-back sessions check, unless a continuous block limit covers it
+    const limitsContinuousHours = this.workload.limits.some(limit => limit.key === 'maxContinuousHours');
     Object.values(schedule).forEach(dayData => {
+      if (limitsContinuousHours) return;
       let consecutiveCount = 0;
       for (let i = 0; i < dayData.sessions.length - 1; i++) {
         if (dayData.sessions[i].end_time === dayData.sessions[i + 1].start_time) {
@@ -303,6 +1566,33 @@ class TimetableGenerator {
     return suggestions.length > 0 ? suggestions : ['Your timetable looks well optimized!'];
   }
 
+  // Consecutive sessions in different buildings, with the gap between them
+  // against the walking time
+  findTransfers(schedule) {
+    const transfers = [];
+
+    Object.values(schedule).forEach(dayData => {
+      for (let i = 0; i < dayData.sessions.length - 1; i++) {
+        const from = dayData.sessions[i];
+        const to = dayData.sessions[i + 1];
+        const walkingMinutes = this.locations.getWalkingMinutes(from.location, to.location);
+        if (walkingMinutes === 0) continue;
+
+        const gapMinutes = this.calculateDuration(from.end_time, to.start_time);
+        transfers.push({
+          dayName: dayData.dayName,
+          from: { id: from.id, course_name: from.course_name, location: from.location, end_time: from.end_time },
+          to: { id: to.id, course_name: to.course_name, location: to.location, start_time: to.start_time },
+          gapMinutes,
+          walkingMinutes,
+          slackMinutes: gapMinutes - walkingMinutes
+        });
+      }
+    });
+
+    return transfers;
+  }
+
   findGaps(sessions) {
     const gaps = [];
     for (let i = 0; i < sessions.length - 1; i++) {
@@ -312,60 +1602,89 @@ class TimetableGenerator {
     return gaps;
   }
 
-  calculateScore(schedule, conflicts, constraints) {
-    let score = 100;
+  calculateScore(schedule, conflicts, constraints, scoringProfile) {
+    return this.scoreTimetable(schedule, conflicts, constraints, scoringProfile).score;
+  }
 
-    // Deduct points for conflicts
-    score -= conflicts.length * 20;
+  // Score, unclamped total and per-objective breakdown under the user's
+  // scoring profile
+  scoreTimetable(schedule, conflicts, constraints, scoringProfile) {
+    return new ScoringModel(this, scoringProfile).score(schedule, conflicts, constraints);
+  }
 
-    // Deduct points for imbalanced schedule
-    const dailyHours = Object.values(schedule).map(day => day.totalHours);
-    const maxHours = Math.max(...dailyHours);
-    const minHours = Math.min(...dailyHours);
-    const imbalance = maxHours - minHours;
-    score -= imbalance * 5;
+  // Per-constraint report of which placed sessions satisfy or violate it
+  evaluateConstraints(schedule, constraints) {
+    const preferred = constraints.filter(c => c.type === 'preferred');
 
-    // Deduct points for large gaps
-    Object.values(schedule).forEach(dayData => {
-      if (dayData.sessions.length > 1) {
-        const gaps = this.findGaps(dayData.sessions);
-        gaps.forEach(gap => {
-          if (gap > 120) score -= 5; // 2+ hour gap
-          if (gap > 180) score -= 10; // 3+ hour gap
-        });
-      }
-    });
+    return constraints.map(constraint => {
+      const satisfiedBy = [];
+      const violatedBy = [];
 
-    // Bonus for preferred times (9 AM - 5 PM)
-    Object.values(schedule).forEach(dayData => {
-      dayData.sessions.forEach(session => {
-        const startHour = parseInt(session.start_time.split(':')[0]);
-        if (startHour >= 9 && startHour <= 17) {
-          score += 2;
-        }
+      Object.entries(schedule).forEach(([dayNum, dayData]) => {
+        const dayOfWeek = Number(dayNum);
+        if (!this.constraintAppliesToDay(constraint, dayOfWeek)) return;
+
+        dayData.sessions.forEach((session, index) => {
+          if (constraint.type === 'preferred') {
+            // A session inside any applicable preferred window is fine
+            const inThis = this.isInPreferredWindow(dayOfWeek, session.start_time, session.end_time, [constraint]);
+            if (inThis) {
+              satisfiedBy.push(session.id);
+            } else if (!this.isInPreferredWindow(dayOfWeek, session.start_time, session.end_time, preferred)) {
+              violatedBy.push(session.id);
+            }
+          } else if (constraint.type === 'no_back_to_back') {
+            const next = dayData.sessions[index + 1];
+            if (!next) return;
+            const gap = this.calculateDuration(session.end_time, next.start_time);
+            if (gap < this.getRequiredGap(dayOfWeek, session.end_time, [constraint])) {
+              violatedBy.push(session.id, next.id);
+            }
+          } else if (this.constraintOverlaps(constraint, session.start_time, session.end_time)) {
+            violatedBy.push(session.id);
+          }
+        });
       });
-    });
 
-    return Math.max(0, Math.min(100, score));
+      return {
+        constraintId: constraint.id,
+        type: constraint.type,
+        description: constraint.description,
+        status: violatedBy.length > 0 ? 'violated' : 'satisfied',
+        satisfiedBy,
+        violatedBy: [...new Set(violatedBy)]
+      };
+    });
   }
 
   calculateStats(schedule) {
     let totalSessions = 0;
     let totalHours = 0;
+    let studyBlocks = 0;
+    let studyMinutes = 0;
+    let workingDays = 0;
     const sessionsByType = {};
     const sessionsByDay = {};
 
-    Object.entries(schedule).forEach(([dayNum, dayData]) => {
-      totalSessions += dayData.sessions.length;
-      totalHours += dayData.totalHours;
-      sessionsByDay[dayData.dayName] = dayData.sessions.length;
+    // Self-study blocks are counted on their own, not as classes
+    Object.values(schedule).forEach(dayData => {
+      const classes = dayData.sessions.filter(session => !session.isStudyBlock);
+      totalSessions += classes.length;
+      sessionsByDay[dayData.dayName] = classes.length;
+      if (classes.length > 0) workingDays++;
 
       dayData.sessions.forEach(session => {
-        sessionsByType[session.type] = (sessionsByType[session.type] || 0) + 1;
+        const minutes = this.calculateDuration(session.start_time, session.end_time);
+        if (session.isStudyBlock) {
+          studyBlocks++;
+          studyMinutes += minutes;
+        } else {
+          totalHours += minutes / 60;
+          sessionsByType[session.type] = (sessionsByType[session.type] || 0) + 1;
+        }
       });
     });
 
-    const workingDays = Object.values(schedule).filter(day => day.sessions.length > 0).length;
     const averageHoursPerDay = workingDays > 0 ? totalHours / workingDays : 0;
 
     return {
@@ -374,23 +1693,40 @@ class TimetableGenerator {
       averageHoursPerDay: Math.round(averageHoursPerDay * 10) / 10,
       workingDays,
       sessionsByType,
-      sessionsByDay
+      sessionsByDay,
+      studyBlocks,
+      studyHours: Math.round(studyMinutes / 60 * 10) / 10
     };
   }
 
   // Optimize existing timetable
-  async optimizeTimetable(userId, currentTimetable) {
+  async optimizeTimetable(userId, currentTimetable, options = {}) {
     try {
-      const constraints = await this.db.getConstraintsByUser(userId);
-      
-      // Try to improve the current schedule
-      const optimized = this.localOptimization(currentTimetable.schedule, constraints);
+      const [constraints, preferences, locations] = await Promise.all([
+        this.db.getConstraintsByUser(userId),
+        this.db.getUserPreferences(userId),
+        this.db.getLocationsByUser(userId)
+      ]);
+      const conflicts = currentTimetable.conflicts || [];
+      const generator = this.forUser({ preferences, locations });
+
+      // Move and swap sessions between legal slots to raise the score
+      const optimizer = new LocalSearchOptimizer(generator, options);
+      const optimized = optimizer.optimize(currentTimetable.schedule, conflicts, constraints, preferences.scoring);
+      const { score, breakdown } = generator.scoreTimetable(optimized.schedule, conflicts, constraints, preferences.scoring);
       
       return {
         ...currentTimetable,
         schedule: optimized.schedule,
-        score: this.calculateScore(optimized.schedule, [], constraints),
-        suggestions: this.generateSuggestions(optimized.schedule, [], constraints),
+        score,
+        scoreBreakdown: breakdown,
+        stats: generator.calculateStats(optimized.schedule),
+        constraintReport: generator.evaluateConstraints(optimized.schedule, constraints),
+        workloadReport: generator.evaluateWorkload(optimized.schedule),
+        suggestions: generator.generateSuggestions(optimized.schedule, conflicts, constraints, currentTimetable.studyPlan),
+        settings: generator.settings,
+        optimization: optimized.summary,
+        generationLog: { ...currentTimetable.generationLog, optimization: optimized.summary },
         optimizedAt: new Date().toISOString()
       };
     } catch (error) {
@@ -398,22 +1734,6 @@ class TimetableGenerator {
       throw error;
     }
   }
-
-  localOptimization(schedule, constraints) {
-    // Simple local optimization: try to move sessions to better time slots
-    const optimizedSchedule = JSON.parse(JSON.stringify(schedule));
-    
-    Object.values(optimizedSchedule).forEach(dayData => {
-      // Sort sessions to minimize gaps
-      dayData.sessions.sort((a, b) => {
-        const aStart = a.start_time;
-        const bStart = b.start_time;
-        return aStart.localeCompare(bStart);
-      });
-    });
-
-    return { schedule: optimizedSchedule };
-  }
 }
 
 module.exports = TimetableGenerator;
@@ -0,0 +1,212 @@
+// Workload and fatigue limits from users.preferences.workload:
+// { maxHoursPerDay: { hours: 6, mode: 'hard' }, lunch: { from: '12:00', to: '14:00', minutes: 30, mode: 'soft' } }
+// A hard limit is never breached by placement; a soft one only pushes
+// sessions elsewhere when it can and is reported when it cannot. Each limit
+// measures its excess (minutes over, free days short), so a placement
+// breaches a limit when it raises that excess.
+const LIMITS = {
+  maxHoursPerDay: {
+    label: 'Max teaching hours per day',
+    scope: 'day',
+    defaults: { hours: 6 },
+    // Self-study blocks are not teaching
+    measure: ({ placements }, params) => Math.max(0, placements
+      .filter(placement => !placement.isStudyBlock)
+      .reduce((total, placement) => total + toMinutes(placement.endTime) - toMinutes(placement.startTime), 0) - params.hours * 60),
+    describe: ({ dayName }, params, excess) =>
+      `${dayName} has ${formatHours(params.hours * 60 + excess)} of classes, over the ${params.hours}h daily limit`
+  },
+  maxContinuousHours: {
+    label: 'Max continuous block',
+    scope: 'day',
+    defaults: { hours: 3, breakMinutes: 15 },
+    // Sessions less than `breakMinutes` apart run together into one block
+    measure: ({ placements }, params) => Math.max(0, longestBlock(placements, params.breakMinutes) - params.hours * 60),
+    describe: ({ dayName }, params, excess) =>
+      `${dayName} has ${formatHours(params.hours * 60 + excess)} without a ${params.breakMinutes}-minute break, over the ${params.hours}h limit`
+  },
+  lunch: {
+    label: 'Lunch break',
+    scope: 'day',
+    defaults: { from: '12:00', to: '14:00', minutes: 30 },
+    measure: ({ placements }, params) => Math.max(0, params.minutes - longestFreeTime(placements, params.from, params.to)),
+    describe: ({ dayName }, params) =>
+      `${dayName} leaves no ${params.minutes}-minute lunch break between ${params.from} and ${params.to}`
+  },
+  minFreeDays: {
+    label: 'Free days per week',
+    scope: 'week',
+    defaults: { days: 1 },
+    measure: ({ busyDays, days }, params) =>
+      Math.max(0, params.days - days.filter(day => !busyDays.has(day)).length),
+    describe: (context, params, excess) =>
+      `Only ${params.days - excess} free day${params.days - excess === 1 ? '' : 's'} a week, fewer than the ${params.days} required`
+  }
+};
+
+const MODES = ['hard', 'soft'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function formatHours(minutes) {
+  return `${Math.round(minutes / 6) / 10}h`;
+}
+
+function sortByStart(placements) {
+  return [...placements].sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+}
+
+function longestBlock(placements, breakMinutes) {
+  let longest = 0;
+  let blockStart = null;
+  let blockEnd = null;
+
+  sortByStart(placements).forEach(placement => {
+    const start = toMinutes(placement.startTime);
+    const end = toMinutes(placement.endTime);
+    if (blockStart === null || start - blockEnd >= breakMinutes) {
+      blockStart = start;
+      blockEnd = end;
+    } else {
+      blockEnd = Math.max(blockEnd, end);
+    }
+    longest = Math.max(longest, blockEnd - blockStart);
+  });
+
+  return longest;
+}
+
+function longestFreeTime(placements, from, to) {
+  const windowEnd = toMinutes(to);
+  let cursor = toMinutes(from);
+  let longest = 0;
+
+  sortByStart(placements).forEach(placement => {
+    const start = toMinutes(placement.startTime);
+    const end = toMinutes(placement.endTime);
+    if (end <= cursor || start >= windowEnd) return;
+    longest = Math.max(longest, start - cursor);
+    cursor = Math.max(cursor, end);
+  });
+
+  return Math.max(longest, windowEnd - cursor);
+}
+
+class WorkloadLimits {
+  // `profile` is the `workload` entry of users.preferences; limits that are
+  // missing or set to mode 'off' are not enforced
+  constructor(profile = {}) {
+    this.profile = profile || {};
+    this.limits = Object.entries(LIMITS)
+      .filter(([key]) => this.profile[key] && MODES.includes(this.profile[key].mode))
+      .map(([key, limit]) => {
+        const { mode, ...params } = this.profile[key];
+        return { key, ...limit, mode, params: { ...limit.defaults, ...params } };
+      });
+  }
+
+  hasLimits() {
+    return this.limits.length > 0;
+  }
+
+  // Limits `placement` would breach when added to the `placed` placements
+  // ({ dayOfWeek, startTime, endTime, isStudyBlock }), given the weekdays
+  // sessions may use
+  breachesWith(placed, placement, days) {
+    if (!this.hasLimits()) return [];
+
+    const before = this.buildContext(placed, placement.dayOfWeek, days);
+    const after = this.buildContext([...placed, placement], placement.dayOfWeek, days);
+
+    return this.limits
+      .filter(limit => limit.measure(after, limit.params) > limit.measure(before, limit.params))
+      .map(limit => this.describeBreach(limit, after));
+  }
+
+  // Every breach in a full set of placements
+  evaluate(placed, days) {
+    if (!this.hasLimits()) return [];
+
+    const breaches = [];
+    const busyDays = [...new Set(placed.map(placement => placement.dayOfWeek))].sort((a, b) => a - b);
+
+    this.limits.forEach(limit => {
+      const contexts = limit.scope === 'week'
+        ? [this.buildContext(placed, null, days)]
+        : busyDays.map(day => this.buildContext(placed, day, days));
+      contexts.forEach(context => {
+        if (limit.measure(context, limit.params) > 0) breaches.push(this.describeBreach(limit, context));
+      });
+    });
+
+    return breaches;
+  }
+
+  buildContext(placed, dayOfWeek, days) {
+    return {
+      dayOfWeek,
+      dayName: DAY_NAMES[dayOfWeek],
+      placements: placed.filter(placement => placement.dayOfWeek === dayOfWeek),
+      busyDays: new Set(placed.map(placement => placement.dayOfWeek)),
+      days
+    };
+  }
+
+  describeBreach(limit, context) {
+    const breach = {
+      limit: limit.key,
+      label: limit.label,
+      mode: limit.mode,
+      message: limit.describe(context, limit.params, limit.measure(context, limit.params))
+    };
+    if (limit.scope === 'day') {
+      breach.dayOfWeek = context.dayOfWeek;
+      breach.dayName = context.dayName;
+    }
+    return breach;
+  }
+
+  // Problems with a submitted profile, as user-facing messages
+  validate() {
+    const errors = [];
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+    const isNumberIn = (value, min, max) => Number.isFinite(Number(value)) && Number(value) >= min && Number(value) <= max;
+
+    Object.entries(this.profile).forEach(([key, settings]) => {
+      if (!LIMITS[key]) {
+        errors.push(`Unknown workload limit: ${key}`);
+        return;
+      }
+      if (![...MODES, 'off'].includes(settings && settings.mode)) {
+        errors.push(`Mode for ${key} must be hard, soft or off`);
+        return;
+      }
+
+      const params = { ...LIMITS[key].defaults, ...settings };
+      if (key === 'maxHoursPerDay' && !isNumberIn(params.hours, 0.5, 24)) {
+        errors.push('Max hours per day must be between 0.5 and 24');
+      }
+      if (key === 'maxContinuousHours' && (!isNumberIn(params.hours, 0.5, 24) || !isNumberIn(params.breakMinutes, 1, 120))) {
+        errors.push('Max continuous block must be 0.5-24 hours with a 1-120 minute break');
+      }
+      if (key === 'lunch') {
+        if (!timePattern.test(params.from) || !timePattern.test(params.to) || params.from >= params.to) {
+          errors.push('Lunch window must be two HH:MM times, the first earlier');
+        } else if (!isNumberIn(params.minutes, 5, toMinutes(params.to) - toMinutes(params.from))) {
+          errors.push('Lunch break must be at least 5 minutes and fit inside its window');
+        }
+      }
+      if (key === 'minFreeDays' && !(Number.isInteger(Number(params.days)) && isNumberIn(params.days, 1, 6))) {
+        errors.push('Free days per week must be a whole number from 1 to 6');
+      }
+    });
+
+    return errors;
+  }
+}
+
+module.exports = WorkloadLimits;
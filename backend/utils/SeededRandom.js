@@ -0,0 +1,37 @@
+// Small deterministic PRNG (mulberry32) so optimization runs can be replayed
+// from the seed they report
+class SeededRandom {
+  constructor(seed = Date.now()) {
+    this.seed = seed;
+    this.state = this.hashSeed(seed);
+  }
+
+  // Accept numbers or strings as seeds; both map onto a 32-bit state
+  hashSeed(seed) {
+    const text = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  pick(items) {
+    return items[this.nextInt(items.length)];
+  }
+}
+
+module.exports = SeededRandom;
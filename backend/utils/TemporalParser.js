@@ -0,0 +1,320 @@
+// Reads the days and times out of free text: "Mon and Wed 9-10:30", "every
+// weekday after 5pm", "for 2 hours starting at 3", "tomorrow morning".
+// Shared by the chat bot and the natural-text timetable parser.
+//
+// parse() returns only what the text mentions:
+//   days          day-of-week numbers (0 = Sunday) in the order mentioned
+//   dates         YYYY-MM-DD of relative days ("tomorrow", "next Friday")
+//   relative      the relative phrase itself
+//   time          start of the range, or the single time mentioned
+//   start, end    a time range, or a start time plus a duration
+//   duration      minutes
+//   after, before open-ended bounds ("after 5pm", "before 9")
+//   partOfDay     morning, lunch, afternoon, evening or night
+// Times come back as 24-hour HH:MM. A time without am/pm is read as a class
+// time (1 to 7 in the afternoon, 8 to 12 in the daytime) unless the part of
+// day or the other end of a range says otherwise.
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DAY_FORMS = {
+  sun: 0, sunday: 0,
+  mon: 1, monday: 1,
+  tue: 2, tues: 2, tuesday: 2,
+  wed: 3, weds: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5,
+  sat: 6, saturday: 6
+};
+
+const PARTS_OF_DAY = {
+  morning: { start: '08:00', end: '12:00' },
+  lunch: { start: '12:00', end: '13:00' },
+  afternoon: { start: '12:00', end: '17:00' },
+  evening: { start: '17:00', end: '21:00' },
+  night: { start: '21:00', end: '23:59' }
+};
+
+const WORD_NUMBERS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8 };
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const WEEKEND = [6, 0];
+const WHOLE_WEEK = [1, 2, 3, 4, 5, 6, 0];
+const END_OF_DAY = 24 * 60;
+
+const DAY_WORD = '(?:sun|mon|tue|wed|thu|fri|sat)[a-z]*';
+const TIME = '(?:\\b(?:noon|midday|midnight)\\b|(?<![\\w:.])\\d{1,2}(?:[:.]\\d{2})?(?:\\s*[ap]m)?(?![\\w:]|\\.\\d))';
+const STRICT_TIME = '(?:\\b(?:noon|midday|midnight)\\b|(?<![\\w:.])\\d{1,2}(?:[:.]\\d{2}(?:\\s*[ap]m)?|\\s*[ap]m)(?![\\w:]|\\.\\d))';
+
+// Duration phrases, tried in order; each returns minutes
+const DURATIONS = [
+  [/\b(\d+)\s*h\s*(\d{1,2})\s*m(?:ins?)?\b/g, match => parseInt(match[1]) * 60 + parseInt(match[2])],
+  [/\b(\d+(?:\.\d+)?)\s*(?:hours?|hrs?|h)\b(?:\s*(?:and\s+)?(\d{1,2})\s*(?:minutes?|mins?|m)\b)?/g,
+    match => Math.round(parseFloat(match[1]) * 60) + parseInt(match[2] || '0')],
+  [/\b(\d+)\s*(?:minutes?|mins?|m)\b/g, match => parseInt(match[1])],
+  [/\b(?:an?|one)\s+(?:hour\s+and\s+a\s+half|and\s+a\s+half\s+hours?)\b/g, () => 90],
+  [/\bhalf\s+an?\s+hour\b/g, () => 30],
+  [/\ba\s+quarter\s+of\s+an\s+hour\b/g, () => 15],
+  [/\b(?:an?|one)\s+hour\b/g, () => 60],
+  [new RegExp(`\\b(${Object.keys(WORD_NUMBERS).join('|')})\\s+hours?\\b`, 'g'), match => WORD_NUMBERS[match[1]] * 60]
+];
+
+class TemporalParser {
+  // `now` is injectable so relative days can be tested against a fixed date
+  constructor(options = {}) {
+    this.now = options.now || (() => new Date());
+  }
+
+  parse(text) {
+    return this.read(text).result;
+  }
+
+  // The words parse() did not read, in their original case, so callers can
+  // pick the subject out of "CS201 lecture Mon/Wed 9-10:30"
+  remainder(text) {
+    const source = String(text || '');
+    const { state } = this.read(source);
+    if (state.text.length !== source.length) return state.text;
+    return [...source].map((char, index) => (state.text[index] === ' ' ? ' ' : char)).join('');
+  }
+
+  read(text) {
+    const result = {};
+    const state = { text: TemporalParser.normalize(text), days: [] };
+
+    this.readRelativeDays(state, result);
+    this.readDays(state);
+    this.readDuration(state, result);
+
+    const part = state.text.match(/\b(morning|lunch|afternoon|evening|night)(?:s|time)?\b/);
+    if (part) {
+      result.partOfDay = part[1];
+    }
+
+    this.readTimes(state, result);
+
+    const days = [];
+    state.days
+      .sort((a, b) => a.index - b.index)
+      .forEach(entry => entry.days.forEach(day => {
+        if (!days.includes(day)) days.push(day);
+      }));
+    if (days.length > 0) result.days = days;
+
+    return { result, state };
+  }
+
+  // "tomorrow", "day after tomorrow", "in 3 days", "this/next Friday"
+  readRelativeDays(state, result) {
+    const today = this.now();
+    const offsets = [];
+
+    this.consume(state, /\b(?:the\s+)?day\s+after\s+tomorrow\b/g, match => offsets.push([match.index, 2, 'day after tomorrow']));
+    this.consume(state, /\b(?:tomorrow|tmrw|tmr)\b/g, match => offsets.push([match.index, 1, 'tomorrow']));
+    this.consume(state, /\b(today|tonight)\b/g, match => {
+      offsets.push([match.index, 0, match[1]]);
+      if (match[1] !== 'tonight') return true;
+      // Left in the text so "7 tonight" still reads as a time
+      result.partOfDay = 'evening';
+      return false;
+    });
+    this.consume(state, /\bin\s+(\d{1,2}|a)\s+days?\b/g, match => {
+      const count = match[1] === 'a' ? 1 : parseInt(match[1]);
+      offsets.push([match.index, count, `in ${count} day${count === 1 ? '' : 's'}`]);
+    });
+    this.consume(state, new RegExp(`\\b(this|coming|next)\\s+(${DAY_WORD})\\b`, 'g'), match => {
+      const day = TemporalParser.dayNumber(match[2]);
+      if (day === null) return false;
+      // "this Friday" is the next Friday from today, "next Friday" the one in
+      // the following week (weeks start on Monday)
+      let offset = (day - today.getDay() + 7) % 7;
+      if (match[1] === 'next') {
+        const mondayOffset = ((8 - today.getDay()) % 7) || 7;
+        offset = mondayOffset + ((day + 6) % 7);
+      }
+      offsets.push([match.index, offset, `${match[1]} ${DAY_NAMES[day].toLowerCase()}`]);
+    });
+
+    if (offsets.length === 0) return;
+    offsets.sort((a, b) => a[0] - b[0]);
+    result.dates = [];
+    offsets.forEach(([index, offset]) => {
+      const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+      state.days.push({ index, days: [date.getDay()] });
+      result.dates.push(TemporalParser.formatDate(date));
+    });
+    result.relative = offsets[0][2];
+  }
+
+  // Day lists and ranges: "Mon and Wed", "Tue/Thu", "Mon-Fri", "weekdays"
+  readDays(state) {
+    this.consume(state, /\b(?:week\s?days?|weekdays)\b/g, match => state.days.push({ index: match.index, days: WEEKDAYS }));
+    this.consume(state, /\bweek\s?ends?\b/g, match => state.days.push({ index: match.index, days: WEEKEND }));
+    this.consume(state, /\b(?:every\s?day|daily|all\s+week)\b/g, match => state.days.push({ index: match.index, days: WHOLE_WEEK }));
+
+    const range = new RegExp(`\\b(${DAY_WORD})\\s*(?:-|to|through|thru|till|until)\\s*(${DAY_WORD})\\b`, 'g');
+    this.consume(state, range, match => {
+      const first = TemporalParser.dayNumber(match[1]);
+      const last = TemporalParser.dayNumber(match[2]);
+      if (first === null || last === null) return false;
+      const days = [first];
+      for (let day = first; day !== last;) {
+        day = (day + 1) % 7;
+        days.push(day);
+      }
+      state.days.push({ index: match.index, days });
+    });
+
+    this.consume(state, new RegExp(`\\b${DAY_WORD}\\b\\.?`, 'g'), match => {
+      const day = TemporalParser.dayNumber(match[0]);
+      if (day === null) return false;
+      state.days.push({ index: match.index, days: [day] });
+    });
+  }
+
+  readDuration(state, result) {
+    DURATIONS.forEach(([pattern, minutes]) => {
+      this.consume(state, pattern, match => {
+        if (result.duration === undefined) result.duration = minutes(match);
+      });
+    });
+  }
+
+  readTimes(state, result) {
+    const hint = { morning: 'am', afternoon: 'pm', evening: 'pm', night: 'pm' }[result.partOfDay] || null;
+    let start = null;
+    let end = null;
+
+    const ranges = [
+      new RegExp(`\\bbetween\\s+(${TIME})\\s+and\\s+(${TIME})`, 'g'),
+      new RegExp(`(${TIME})\\s*(?:-|to|until|till|through)\\s*(${TIME})`, 'g')
+    ];
+    ranges.forEach(pattern => this.consume(state, pattern, match => {
+      if (start !== null) return;
+      [start, end] = TemporalParser.resolveRange(TemporalParser.readClock(match[1]), TemporalParser.readClock(match[2]), hint);
+    }));
+
+    this.consume(state, new RegExp(`\\bafter\\s+(${TIME})`, 'g'), match => {
+      if (result.after === undefined) result.after = TemporalParser.formatTime(TemporalParser.resolve(TemporalParser.readClock(match[1]), hint));
+    });
+    this.consume(state, new RegExp(`\\b(?:before|until|till)\\s+(${TIME})`, 'g'), match => {
+      if (result.before === undefined) result.before = TemporalParser.formatTime(TemporalParser.resolve(TemporalParser.readClock(match[1]), hint, true));
+    });
+
+    const single = [
+      new RegExp(`(?:\\b(?:at|from|around|starting(?:\\s+at|\\s+from)?|starts?\\s+at)\\s+|@\\s*)(${TIME})`, 'g'),
+      new RegExp(`(${TIME})(?=\\s+(?:in\\s+the\\s+|this\\s+)?(?:morning|afternoon|evening|night|tonight))`, 'g'),
+      new RegExp(`(${STRICT_TIME})`, 'g')
+    ];
+    single.forEach(pattern => this.consume(state, pattern, match => {
+      if (start === null) start = TemporalParser.resolve(TemporalParser.readClock(match[1]), hint);
+    }));
+
+    if (start === null) return;
+    if (end === null && result.duration !== undefined && start + result.duration < END_OF_DAY) {
+      end = start + result.duration;
+    }
+
+    result.time = TemporalParser.formatTime(start);
+    if (end !== null) {
+      result.start = result.time;
+      result.end = TemporalParser.formatTime(end);
+    }
+  }
+
+  // Run `pattern` over the unread text, hand each match to `onMatch` and
+  // blank it out so later patterns do not read it again. `onMatch` returns
+  // false to leave a match in place.
+  consume(state, pattern, onMatch) {
+    const matches = [...state.text.matchAll(pattern)];
+    matches.forEach(match => {
+      if (onMatch(match) === false) return;
+      state.text = state.text.slice(0, match.index) + ' '.repeat(match[0].length) + state.text.slice(match.index + match[0].length);
+    });
+  }
+
+  static normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[–—]/g, '-')
+      .replace(/\b([ap])\.m\b\.?/g, '$1m')
+      .replace(/\s*o'?clock\b/g, '');
+  }
+
+  // { minutes, period, fixed, midnight } for one time token. `fixed` times
+  // (am/pm, 24-hour, noon) need no guessing.
+  static readClock(token) {
+    if (token === 'noon' || token === 'midday') return { minutes: 12 * 60, fixed: true };
+    if (token === 'midnight') return { minutes: 0, fixed: true, midnight: true };
+
+    const match = token.match(/(\d{1,2})(?:[:.](\d{2}))?\s*([ap]m)?/);
+    const hour = parseInt(match[1]);
+    const minute = parseInt(match[2] || '0');
+    const period = match[3] || null;
+
+    if (period) {
+      const hour24 = (hour % 12) + (period === 'pm' ? 12 : 0);
+      return { minutes: hour24 * 60 + minute, period, fixed: true };
+    }
+    // 13:00, 00:30 and 09:15 are already 24-hour
+    const fixed = hour === 0 || hour > 12 || /^0\d/.test(match[1]);
+    return { minutes: hour * 60 + minute, hour, minute, fixed };
+  }
+
+  // Minutes after midnight for a single time. An end or "before" bound at
+  // midnight means the end of the day.
+  static resolve(clock, hint, isEnd = false) {
+    if (clock.midnight) return isEnd ? END_OF_DAY - 1 : 0;
+    if (clock.fixed) return clock.minutes;
+    return TemporalParser.candidates(clock, hint)[0];
+  }
+
+  // Readings of an hour without am/pm, most likely first
+  static candidates(clock, hint) {
+    const morning = (clock.hour % 12) * 60 + clock.minute;
+    const afternoon = morning + 12 * 60;
+    if (clock.hour === 12) return [12 * 60 + clock.minute];
+    if (hint === 'am') return [morning, afternoon];
+    if (hint === 'pm') return [afternoon, morning];
+    return clock.hour < 8 ? [afternoon, morning] : [morning, afternoon];
+  }
+
+  // [start, end] of a range, letting each end settle what the other leaves
+  // open: "2-4pm" is 14:00-16:00, "11-1" is 11:00-13:00, "9-10:30" is
+  // 09:00-10:30
+  static resolveRange(first, second, hint) {
+    if (first.fixed || !second.fixed) {
+      const start = TemporalParser.resolve(first, hint);
+      if (second.midnight) return [start, END_OF_DAY - 1];
+      if (second.fixed) return [start, second.minutes];
+      const options = TemporalParser.candidates(second, hint);
+      const end = options.find(option => option > start);
+      return [start, end !== undefined ? end : options[0]];
+    }
+
+    const end = second.midnight ? END_OF_DAY - 1 : second.minutes;
+    const options = TemporalParser.candidates(first, second.period || hint);
+    const start = options.find(option => option < end);
+    return [start !== undefined ? start : options[0], end];
+  }
+
+  // Day-of-week number for a day word ("Tue", "thurs.", "Mondays"), or null
+  static dayNumber(word) {
+    const key = String(word || '').toLowerCase().trim().replace(/[^a-z]+$/, '');
+    if (key in DAY_FORMS) return DAY_FORMS[key];
+    if (key.endsWith('days') && key.slice(0, -1) in DAY_FORMS) return DAY_FORMS[key.slice(0, -1)];
+    return null;
+  }
+
+  static formatTime(minutes) {
+    return `${Math.floor(minutes / 60).toString().padStart(2, '0')}:${(minutes % 60).toString().padStart(2, '0')}`;
+  }
+
+  static formatDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+}
+
+TemporalParser.DAY_NAMES = DAY_NAMES;
+TemporalParser.PARTS_OF_DAY = PARTS_OF_DAY;
+
+module.exports = TemporalParser;
@@ -20,6 +20,7 @@ CREATE TABLE IF NOT EXISTS courses (
     priority INTEGER DEFAULT 1, -- 1=high, 2=medium, 3=low
     credits INTEGER DEFAULT 3,
     color TEXT DEFAULT '#3B82F6', -- hex color for UI
+    study_hours_per_credit REAL DEFAULT 0, -- weekly self-study target, scheduled as study blocks (0 = none)
     description TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
@@ -35,6 +36,11 @@ CREATE TABLE IF NOT EXISTS sessions (
     end_time TEXT NOT NULL, -- HH:MM format
     location TEXT,
     instructor TEXT,
+    flexibility TEXT DEFAULT 'any_day' CHECK (flexibility IN ('pinned', 'same_day', 'any_day')), -- how far the generator may move it (new sessions are created pinned, rows from before this column move anywhere)
+    window_start TEXT, -- HH:MM, earliest start when relocated (flexible sessions only)
+    window_end TEXT, -- HH:MM, latest end when relocated
+    section_group TEXT, -- sessions of a course sharing a group are offered as alternative sections
+    section TEXT, -- section label within the group, e.g. 'A' (one section per group is scheduled)
     is_active BOOLEAN DEFAULT 1,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE
@@ -48,6 +54,7 @@ CREATE TABLE IF NOT EXISTS constraints (
     day_of_week INTEGER CHECK (day_of_week BETWEEN 0 AND 6), -- NULL for all days
     start_time TEXT, -- HH:MM format, NULL for all-day constraints
     end_time TEXT, -- HH:MM format
+    min_gap_minutes INTEGER, -- no_back_to_back only: required gap between sessions
     description TEXT,
     is_active BOOLEAN DEFAULT 1,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -62,6 +69,56 @@ CREATE TABLE IF NOT EXISTS timetables (
     data TEXT NOT NULL, -- JSON string of the complete timetable
     is_current BOOLEAN DEFAULT 0,
     score REAL, -- optimization score
+    generation_log TEXT, -- JSON: seed, inputs hash, strategy and every placement decision
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Buildings table - campus locations sessions take place in
+CREATE TABLE IF NOT EXISTS buildings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    code TEXT, -- short prefix used in session locations, e.g. 'SCI' for 'SCI 101'
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Rooms table - rooms inside a building, matched against session locations
+CREATE TABLE IF NOT EXISTS rooms (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    building_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (building_id) REFERENCES buildings(id) ON DELETE CASCADE
+);
+
+-- Walking times table - minutes needed between two buildings (either direction)
+CREATE TABLE IF NOT EXISTS walking_times (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_building_id INTEGER NOT NULL,
+    to_building_id INTEGER NOT NULL,
+    minutes INTEGER NOT NULL CHECK (minutes >= 0),
+    UNIQUE (from_building_id, to_building_id),
+    FOREIGN KEY (from_building_id) REFERENCES buildings(id) ON DELETE CASCADE,
+    FOREIGN KEY (to_building_id) REFERENCES buildings(id) ON DELETE CASCADE
+);
+
+-- Chat context table - dialogue state per user (open question, offered follow-up)
+CREATE TABLE IF NOT EXISTS chat_context (
+    user_id INTEGER PRIMARY KEY,
+    state TEXT NOT NULL, -- JSON string of the dialogue state
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Chat operations table - reversible changes made through the chatbot, for undo and redo
+CREATE TABLE IF NOT EXISTS chat_operations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    description TEXT NOT NULL, -- e.g. 'add course "Physics"'
+    changes TEXT NOT NULL, -- JSON list of row changes: table, id, before and after snapshots
+    undone INTEGER DEFAULT 0,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
@@ -91,8 +148,11 @@ CREATE INDEX IF NOT EXISTS idx_sessions_course_day ON sessions(course_id, day_of
 CREATE INDEX IF NOT EXISTS idx_sessions_time ON sessions(day_of_week, start_time, end_time);
 CREATE INDEX IF NOT EXISTS idx_constraints_user_day ON constraints(user_id, day_of_week);
 CREATE INDEX IF NOT EXISTS idx_timetables_user_current ON timetables(user_id, is_current);
+CREATE INDEX IF NOT EXISTS idx_buildings_user ON buildings(user_id);
+CREATE INDEX IF NOT EXISTS idx_rooms_building ON rooms(building_id);
 CREATE INDEX IF NOT EXISTS idx_cache_expires ON cache(expires_at);
 CREATE INDEX IF NOT EXISTS idx_chat_history_user ON chat_history(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_chat_operations_user ON chat_operations(user_id, undone, id);
 
 -- Insert default user for single-user mode
 INSERT OR IGNORE INTO users (id, name, email) VALUES (1, 'Default User', 'user@hanuplanner.local');
@@ -0,0 +1,142 @@
+// Evaluation of the chatbot intent classifier against the labelled test set
+// Usage: node evaluate-intents.js [--min-accuracy=0.85]
+const fs = require('fs');
+const path = require('path');
+const IntentClassifier = require('./backend/services/IntentClassifier');
+
+const TEST_SET_PATH = path.join(__dirname, 'backend/data/intent-test.json');
+const CALIBRATION_BINS = 5;
+
+function pct(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+// Scores of every training example from a classifier trained without it,
+// so the fits below never see the test set
+function leaveOneOut(examples) {
+  return examples.map((example, index) => {
+    const classifier = new IntentClassifier().train(examples.filter((_, other) => other !== index));
+    return { ...classifier.score(example.text), intent: example.intent };
+  }).filter(entry => entry.evidence > 0);
+}
+
+// Temperature that minimises the negative log-likelihood of the
+// leave-one-out predictions
+function fitTemperature(held) {
+  let best = { temperature: 1, loss: Infinity };
+  for (let step = -12; step <= 12; step++) {
+    const temperature = Math.round(Math.pow(2, step / 4) * 100) / 100;
+    const loss = held.reduce((total, entry) => {
+      const ranking = IntentClassifier.softmax(entry.scores, temperature);
+      const predicted = ranking.find(item => item.intent === entry.intent);
+      return total - Math.log(Math.max(predicted ? predicted.confidence : 0, 1e-9));
+    }, 0) / held.length;
+    if (loss < best.loss) best = { temperature, loss };
+  }
+
+  return best;
+}
+
+// Leave-one-out guesses of an intent that fall under the floor, and how
+// many of them were right; these become 'unknown' instead of a question
+function underFloor(held, temperature, floor) {
+  const guesses = held
+    .map(entry => ({ ...IntentClassifier.softmax(entry.scores, temperature)[0], expected: entry.intent }))
+    .filter(guess => guess.intent !== 'unknown' && guess.confidence < floor);
+  return { count: guesses.length, right: guesses.filter(guess => guess.intent === guess.expected).length };
+}
+
+// Test utterances that read the same as a training one once tokenized,
+// which would let the test set measure memory instead of generalisation
+function findOverlap(classifier, examples, testSet) {
+  const seen = new Set(examples.map(example => classifier.tokenize(example.text).join(' ')));
+  return testSet.filter(({ text }) => seen.has(classifier.tokenize(text).join(' ')));
+}
+
+// Expected calibration error: how far confidence is from accuracy, averaged
+// over confidence bins weighted by how many predictions fall in each
+function calibrationError(results) {
+  let error = 0;
+  for (let bin = 0; bin < CALIBRATION_BINS; bin++) {
+    const low = bin / CALIBRATION_BINS;
+    const high = (bin + 1) / CALIBRATION_BINS;
+    const inBin = results.filter(result => result.confidence > low && result.confidence <= high);
+    if (inBin.length === 0) continue;
+    const accuracy = inBin.filter(result => result.correct).length / inBin.length;
+    const confidence = inBin.reduce((total, result) => total + result.confidence, 0) / inBin.length;
+    error += (inBin.length / results.length) * Math.abs(accuracy - confidence);
+  }
+  return error;
+}
+
+function evaluate() {
+  const minAccuracyArg = process.argv.find(arg => arg.startsWith('--min-accuracy='));
+  const minAccuracy = minAccuracyArg ? parseFloat(minAccuracyArg.split('=')[1]) : 0;
+
+  console.log('🧪 Evaluating the intent classifier\n');
+
+  const data = JSON.parse(fs.readFileSync(IntentClassifier.DEFAULT_DATA_PATH, 'utf8'));
+  const examples = IntentClassifier.toExamples(data.intents);
+  const testSet = JSON.parse(fs.readFileSync(TEST_SET_PATH, 'utf8'));
+  const classifier = IntentClassifier.fromFile();
+
+  console.log(`Training examples: ${examples.length} across ${classifier.intents.length} intents`);
+  console.log(`Test examples: ${testSet.length}`);
+  console.log(`Temperature: ${classifier.temperature}, clarification threshold: ${classifier.threshold}, unknown below: ${classifier.floor}\n`);
+
+  const overlap = findOverlap(classifier, examples, testSet);
+  if (overlap.length > 0) {
+    console.log('❌ Test utterances also in the training data:');
+    overlap.forEach(({ text }) => console.log(`  "${text}"`));
+    process.exit(1);
+  }
+
+  const results = testSet.map(({ text, intent }) => {
+    const prediction = classifier.classify(text);
+    // Nothing to go on is the same as an unknown intent
+    return { text, expected: intent, ...prediction, correct: prediction.intent === intent };
+  });
+
+  const accuracy = results.filter(result => result.correct).length / results.length;
+  const answered = results.filter(result => result.intent === 'unknown' || result.confidence >= classifier.threshold);
+  const answeredAccuracy = answered.filter(result => result.correct).length / Math.max(answered.length, 1);
+  const clarified = results.length - answered.length;
+
+  console.log('Per intent:');
+  classifier.intents.forEach(intent => {
+    const truePositives = results.filter(result => result.intent === intent && result.correct).length;
+    const predicted = results.filter(result => result.intent === intent).length;
+    const actual = results.filter(result => result.expected === intent).length;
+    const precision = predicted ? truePositives / predicted : 0;
+    const recall = actual ? truePositives / actual : 0;
+    const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+    console.log(`  ${intent.padEnd(20)} precision ${pct(precision).padStart(6)}  recall ${pct(recall).padStart(6)}  F1 ${pct(f1).padStart(6)}  (${actual} examples)`);
+  });
+
+  const mistakes = results.filter(result => !result.correct);
+  if (mistakes.length > 0) {
+    console.log('\nMisclassified:');
+    mistakes.forEach(result => {
+      console.log(`  ❌ "${result.text}" → ${result.intent} (${pct(result.confidence)}), expected ${result.expected}`);
+    });
+  }
+
+  const held = leaveOneOut(examples);
+  const fitted = fitTemperature(held);
+  const floor = underFloor(held, classifier.temperature, classifier.floor);
+  console.log('\nSummary:');
+  console.log(`  Accuracy: ${pct(accuracy)}`);
+  console.log(`  Asked to clarify: ${clarified} of ${results.length}`);
+  console.log(`  Accuracy when not clarifying: ${pct(answeredAccuracy)}`);
+  console.log(`  Expected calibration error: ${pct(calibrationError(results.filter(result => result.evidence > 0)))}`);
+  console.log(`  Leave-one-out temperature: ${fitted.temperature} (log loss ${fitted.loss.toFixed(3)})`);
+  console.log(`  Leave-one-out guesses under the unknown floor: ${floor.right} of ${floor.count} right`);
+
+  if (accuracy < minAccuracy) {
+    console.log(`\n❌ Accuracy ${pct(accuracy)} is below the required ${pct(minAccuracy)}`);
+    process.exit(1);
+  }
+  console.log('\n✅ Evaluation complete');
+}
+
+evaluate();
@@ -9,6 +9,7 @@ import Sidebar from './components/Sidebar';
 import Header from './components/Header';
 import LoadingSpinner from './components/LoadingSpinner';
 import NotificationToast from './components/NotificationToast';
+import { DEFAULT_SCHEDULE_SETTINGS } from './scheduleGrid';
 
 function App() {
   const [currentView, setCurrentView] = useState('dashboard');
@@ -18,7 +19,8 @@ function App() {
     courses: [],
     sessions: [],
     constraints: [],
-    timetable: null
+    timetable: null,
+    settings: DEFAULT_SCHEDULE_SETTINGS
   });
 
   const API_BASE = process.env.NODE_ENV === 'development' ? 'http://localhost:5000/api' : '/api';
@@ -34,7 +36,8 @@ function App() {
         loadCourses(),
         loadSessions(),
         loadConstraints(),
-        loadTimetable()
+        loadTimetable(),
+        loadSettings()
       ]);
     } catch (error) {
       showNotification('Failed to load initial data', 'error');
@@ -91,6 +94,19 @@ function App() {
     }
   };
 
+  // The user's working hours and weekdays, from users.preferences.schedule
+  const loadSettings = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/preferences/1`);
+      const result = await response.json();
+      if (result.success) {
+        setUserData(prev => ({ ...prev, settings: { ...DEFAULT_SCHEDULE_SETTINGS, ...result.data.schedule } }));
+      }
+    } catch (error) {
+      console.error('Load settings error:', error);
+    }
+  };
+
   const showNotification = (message, type = 'info') => {
     setNotification({ message, type, id: Date.now() });
   };
@@ -113,6 +129,9 @@ function App() {
       case 'timetable':
         await loadTimetable();
         break;
+      case 'settings':
+        await Promise.all([loadSettings(), loadTimetable()]);
+        break;
       case 'all':
         await loadInitialData();
         break;
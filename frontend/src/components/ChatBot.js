@@ -1,10 +1,12 @@
 import React, { useState, useEffect, useRef } from 'react';
+import ChatReplyBlocks from './ChatReplyBlocks';
 
 const ChatBot = ({ userData, onDataUpdate, showNotification, apiBase }) => {
   const [messages, setMessages] = useState([]);
   const [inputValue, setInputValue] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const messagesEndRef = useRef(null);
+  const streamRef = useRef(null);
 
   useEffect(() => {
     // Load chat history on component mount
@@ -25,6 +27,9 @@ const ChatBot = ({ userData, onDataUpdate, showNotification, apiBase }) => {
     scrollToBottom();
   }, [messages]);
 
+  // Leaving the chat stops a reply still streaming
+  useEffect(() => () => streamRef.current?.source.close(), []);
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
@@ -57,82 +62,187 @@ const ChatBot = ({ userData, onDataUpdate, showNotification, apiBase }) => {
     }
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    if (!inputValue.trim() || isLoading) return;
+  // Change one message in place, e.g. the reply being streamed
+  const updateMessage = (id, changes) => {
+    setMessages(prev => prev.map(message => (message.id === id ? { ...message, ...changes } : message)));
+  };
+
+  // Refresh whatever a reply changed and say so
+  const handleReplyActions = async (actions) => {
+    // Handle actions that require UI updates
+    if (actions.includes('course_created') || 
+        actions.includes('course_deleted') ||
+        actions.includes('batch_imported') ||
+        actions.includes('session_created') ||
+        actions.includes('session_updated') ||
+        actions.includes('session_deleted') ||
+        actions.includes('constraint_added') ||
+        actions.includes('operation_undone') ||
+        actions.includes('operation_redone') ||
+        actions.includes('timetable_generated')) {
+      await onDataUpdate('all');
+    }
+
+    // Show notification for successful actions
+    if (actions.includes('course_created')) {
+      showNotification('Course added successfully!', 'success');
+    } else if (actions.includes('batch_imported')) {
+      showNotification('Syllabus imported', 'success');
+    } else if (actions.includes('course_deleted')) {
+      showNotification('Course dropped', 'success');
+    } else if (actions.includes('session_created')) {
+      showNotification('Session scheduled successfully!', 'success');
+    } else if (actions.includes('session_updated')) {
+      showNotification('Session updated successfully!', 'success');
+    } else if (actions.includes('session_deleted')) {
+      showNotification('Session deleted successfully!', 'success');
+    } else if (actions.includes('timetable_generated')) {
+      showNotification('Timetable generated successfully!', 'success');
+    }
+  };
+
+  // Send a typed message, or a reply button's action with its label, over
+  // the chat stream: the reply bubble shows each progress step, then the
+  // reply with its cards and buttons once the work is done
+  const sendToChat = (text, action = null) => {
+    const botId = Date.now() + 1;
+    setMessages(prev => [
+      ...prev,
+      { id: Date.now(), text, isBot: false, timestamp: new Date() },
+      { id: botId, text: '', isBot: true, timestamp: new Date(), streaming: true, progress: null }
+    ]);
+    setIsLoading(true);
+
+    const params = new URLSearchParams({ message: text, userId: 1 });
+    if (action) params.set('action', JSON.stringify(action));
+    const source = new EventSource(`${apiBase}/chat/stream?${params}`);
+    streamRef.current = { source, botId, streamId: null, cancelling: false };
 
-    const userMessage = {
-      id: Date.now(),
-      text: inputValue,
-      isBot: false,
-      timestamp: new Date()
+    const finish = (changes) => {
+      source.close();
+      streamRef.current = null;
+      updateMessage(botId, { streaming: false, progress: null, ...changes });
+      setIsLoading(false);
+    };
+
+    source.addEventListener('stream', (event) => {
+      if (streamRef.current?.source === source) {
+        streamRef.current.streamId = JSON.parse(event.data).id;
+      }
+    });
+
+    source.addEventListener('progress', (event) => {
+      if (streamRef.current?.cancelling) return;
+      updateMessage(botId, { progress: JSON.parse(event.data).text });
+    });
+
+    source.addEventListener('reply', (event) => {
+      const reply = JSON.parse(event.data);
+      finish({
+        text: reply.text,
+        actions: reply.actions || [],
+        blocks: reply.blocks || [],
+        quickReplies: reply.quickReplies || [],
+        confirm: reply.confirm || null
+      });
+      handleReplyActions(reply.actions || []);
+    });
+
+    source.addEventListener('failure', () => {
+      finish({ text: "I'm sorry, I encountered an error processing your request. Please try again." });
+    });
+
+    // The connection dropped before a reply; EventSource would otherwise
+    // reconnect and send the message again
+    source.onerror = () => {
+      if (streamRef.current?.source !== source) return;
+      console.error('Chat stream error');
+      finish({ text: "I'm having trouble connecting right now. Please check your connection and try again." });
     };
+  };
+
+  // Ask the server to stop and keep listening: its reply says whether
+  // anything was saved (`generation_cancelled` when nothing was). Without a
+  // stream id to cancel by, closing the stream is all that is left, and
+  // the work may already have made changes.
+  const handleCancel = async () => {
+    const stream = streamRef.current;
+    if (!stream || stream.cancelling) return;
+    stream.cancelling = true;
+    updateMessage(stream.botId, { progress: 'Cancelling…' });
 
-    setMessages(prev => [...prev, userMessage]);
+    if (stream.streamId) {
+      try {
+        const response = await fetch(`${apiBase}/chat/stream/${stream.streamId}/cancel`, { method: 'POST' });
+        // 404: the reply is already on its way
+        if (response.ok || response.status === 404) return;
+      } catch (error) {
+        console.error('Cancel error:', error);
+      }
+    }
+
+    if (streamRef.current !== stream) return;
+    stream.source.close();
+    streamRef.current = null;
+    updateMessage(stream.botId, {
+      streaming: false,
+      progress: null,
+      text: 'Stopped. The request may already have applied some changes.'
+    });
+    setIsLoading(false);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!inputValue.trim() || isLoading) return;
+
+    const text = inputValue;
     setInputValue('');
+    sendToChat(text);
+  };
+
+  // A quick reply or confirm button: its action is answered like the
+  // message it stands for
+  const handleReplyButton = (button) => {
+    if (isLoading) return;
+    sendToChat(button.label, button.action);
+  };
+
+  // Undo or redo the last chat change without typing it
+  const handleStep = async (step) => {
+    if (isLoading) return;
     setIsLoading(true);
 
     try {
-      const response = await fetch(`${apiBase}/chat`, {
+      const response = await fetch(`${apiBase}/chat/${step}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({
-          message: inputValue,
-          userId: 1
-        })
+        body: JSON.stringify({ userId: 1, count: 1 })
       });
 
       const result = await response.json();
-      
+
       if (result.success) {
-        const botMessage = {
-          id: Date.now() + 1,
+        setMessages(prev => [...prev, {
+          id: Date.now(),
           text: result.data.text,
           isBot: true,
           timestamp: new Date(),
           actions: result.data.actions || []
-        };
-
-        setMessages(prev => [...prev, botMessage]);
-
-        // Handle actions that require UI updates
-        if (result.data.actions) {
-          if (result.data.actions.includes('course_created') || 
-              result.data.actions.includes('session_created') ||
-              result.data.actions.includes('constraint_added') ||
-              result.data.actions.includes('timetable_generated')) {
-            await onDataUpdate('all');
-          }
-        }
+        }]);
 
-        // Show notification for successful actions
-        if (result.data.actions?.includes('course_created')) {
-          showNotification('Course added successfully!', 'success');
-        } else if (result.data.actions?.includes('session_created')) {
-          showNotification('Session scheduled successfully!', 'success');
-        } else if (result.data.actions?.includes('timetable_generated')) {
-          showNotification('Timetable generated successfully!', 'success');
+        if (result.data.actions.includes(step === 'undo' ? 'operation_undone' : 'operation_redone')) {
+          await onDataUpdate('all');
+          showNotification(step === 'undo' ? 'Change undone' : 'Change redone', 'success');
         }
       } else {
-        const errorMessage = {
-          id: Date.now() + 1,
-          text: "I'm sorry, I encountered an error processing your request. Please try again.",
-          isBot: true,
-          timestamp: new Date()
-        };
-        setMessages(prev => [...prev, errorMessage]);
+        showNotification(result.message || `Failed to ${step}`, 'error');
       }
     } catch (error) {
-      console.error('Chat error:', error);
-      const errorMessage = {
-        id: Date.now() + 1,
-        text: "I'm having trouble connecting right now. Please check your connection and try again.",
-        isBot: true,
-        timestamp: new Date()
-      };
-      setMessages(prev => [...prev, errorMessage]);
+      console.error(`Chat ${step} error:`, error);
+      showNotification(`Error trying to ${step}`, 'error');
     } finally {
       setIsLoading(false);
     }
@@ -145,6 +255,9 @@ const ChatBot = ({ userData, onDataUpdate, showNotification, apiBase }) => {
     }
   };
 
+  // Buttons only answer the latest reply; older ones are kept as a record
+  const lastMessage = messages[messages.length - 1];
+
   const quickActions = [
     { text: "Add a new course", icon: "📚" },
     { text: "Schedule a class session", icon: "📅" },
@@ -160,9 +273,29 @@ const ChatBot = ({ userData, onDataUpdate, showNotification, apiBase }) => {
 
   return (
     <div className="card" style={{ height: 'calc(100vh - 200px)' }}>
-      <div className="card-header">
-        <h3 className="card-title">🤖 AI Assistant</h3>
-        <p className="card-subtitle">Chat with your intelligent timetable assistant</p>
+      <div className="card-header flex items-center justify-between">
+        <div>
+          <h3 className="card-title">🤖 AI Assistant</h3>
+          <p className="card-subtitle">Chat with your intelligent timetable assistant</p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            className="btn btn-secondary btn-sm"
+            onClick={() => handleStep('undo')}
+            disabled={isLoading}
+            title="Undo the last change made through the chat"
+          >
+            ↩️ Undo
+          </button>
+          <button
+            className="btn btn-secondary btn-sm"
+            onClick={() => handleStep('redo')}
+            disabled={isLoading}
+            title="Redo the last undone change"
+          >
+            ↪️ Redo
+          </button>
+        </div>
       </div>
       
       <div className="chat-container">
@@ -173,7 +306,50 @@ const ChatBot = ({ userData, onDataUpdate, showNotification, apiBase }) => {
                 {message.isBot ? '🤖' : '👤'}
               </div>
               <div className="chat-bubble">
+                {message.streaming && (
+                  <div className="flex items-center gap-2 mb-2">
+                    <div className="spinner" style={{ width: '16px', height: '16px', borderWidth: '2px' }}></div>
+                    <span className="text-sm">{message.progress || 'Thinking...'}</span>
+                    <button className="btn btn-secondary btn-sm" onClick={handleCancel}>
+                      Cancel
+                    </button>
+                  </div>
+                )}
                 <div style={{ whiteSpace: 'pre-wrap' }}>{message.text}</div>
+                <ChatReplyBlocks blocks={message.blocks} />
+                {message === lastMessage && message.confirm && (
+                  <div className="chat-quick-replies">
+                    <span className="text-sm font-medium">{message.confirm.prompt}</span>
+                    <button
+                      className="btn btn-primary btn-sm"
+                      onClick={() => handleReplyButton(message.confirm.confirm)}
+                      disabled={isLoading}
+                    >
+                      {message.confirm.confirm.label}
+                    </button>
+                    <button
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => handleReplyButton(message.confirm.cancel)}
+                      disabled={isLoading}
+                    >
+                      {message.confirm.cancel.label}
+                    </button>
+                  </div>
+                )}
+                {message === lastMessage && message.quickReplies?.length > 0 && (
+                  <div className="chat-quick-replies">
+                    {message.quickReplies.map((reply, index) => (
+                      <button
+                        key={index}
+                        className="btn btn-secondary btn-sm"
+                        onClick={() => handleReplyButton(reply)}
+                        disabled={isLoading}
+                      >
+                        {reply.label}
+                      </button>
+                    ))}
+                  </div>
+                )}
                 <div className="text-xs opacity-70 mt-1">
                   {message.timestamp.toLocaleTimeString()}
                 </div>
@@ -181,7 +357,7 @@ const ChatBot = ({ userData, onDataUpdate, showNotification, apiBase }) => {
             </div>
           ))}
           
-          {isLoading && (
+          {isLoading && !streamRef.current && (
             <div className="chat-message bot">
               <div className="chat-avatar">🤖</div>
               <div className="chat-bubble">
@@ -0,0 +1,69 @@
+import React from 'react';
+
+// Cards under a chat reply: a session, one day's schedule or a conflict,
+// in the shapes built by backend/services/ChatReplies.js
+const SESSION_ICONS = {
+  lecture: '📖',
+  lab: '🧪',
+  tutorial: '✏️',
+  seminar: '💬',
+  study: '📚'
+};
+
+const SessionLine = ({ session, showDay = true }) => (
+  <div className="flex items-center gap-2 text-sm">
+    <span>{SESSION_ICONS[session.type] || '📅'}</span>
+    <span className="font-semibold">{session.course_name}</span>
+    <span className="text-muted">{session.type}</span>
+    {session.start_time && (
+      <span>
+        {showDay && session.day ? `${session.day} ` : ''}{session.start_time}-{session.end_time}
+      </span>
+    )}
+    {session.location && <span className="text-muted">📍 {session.location}</span>}
+  </div>
+);
+
+const ChatReplyBlocks = ({ blocks }) => {
+  if (!blocks || blocks.length === 0) return null;
+
+  return (
+    <div className="chat-blocks">
+      {blocks.map((block, index) => {
+        if (block.type === 'day_schedule') {
+          return (
+            <div key={index} className="chat-card">
+              <div className="font-semibold mb-2">{block.day}</div>
+              <div className="flex flex-col gap-1">
+                {block.sessions.map((session, sessionIndex) => (
+                  <SessionLine key={session.id || sessionIndex} session={session} showDay={false} />
+                ))}
+              </div>
+            </div>
+          );
+        }
+
+        if (block.type === 'conflict') {
+          return (
+            <div key={index} className="chat-card conflict">
+              <SessionLine session={block.session} />
+              <div className="text-sm mt-1">⚠️ {block.reason}</div>
+            </div>
+          );
+        }
+
+        if (block.type === 'session') {
+          return (
+            <div key={index} className="chat-card">
+              <SessionLine session={block.session} />
+            </div>
+          );
+        }
+
+        return null;
+      })}
+    </div>
+  );
+};
+
+export default ChatReplyBlocks;
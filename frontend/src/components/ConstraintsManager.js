@@ -1,4 +1,7 @@
 import React, { useState } from 'react';
+import ScoringPreferences from './ScoringPreferences';
+import ScheduleSettings from './ScheduleSettings';
+import WorkloadLimits from './WorkloadLimits';
 
 const ConstraintsManager = ({ userData, onDataUpdate, showNotification, apiBase }) => {
   const [showAddForm, setShowAddForm] = useState(false);
@@ -7,6 +10,7 @@ const ConstraintsManager = ({ userData, onDataUpdate, showNotification, apiBase
     dayOfWeek: '',
     startTime: '',
     endTime: '',
+    minGapMinutes: 15,
     description: ''
   });
 
@@ -35,7 +39,8 @@ const ConstraintsManager = ({ userData, onDataUpdate, showNotification, apiBase
         body: JSON.stringify({
           ...formData,
           userId: 1,
-          dayOfWeek: formData.dayOfWeek ? parseInt(formData.dayOfWeek) : null
+          dayOfWeek: formData.dayOfWeek ? parseInt(formData.dayOfWeek) : null,
+          minGapMinutes: formData.type === 'no_back_to_back' ? formData.minGapMinutes : null
         })
       });
 
@@ -82,6 +87,7 @@ const ConstraintsManager = ({ userData, onDataUpdate, showNotification, apiBase
       dayOfWeek: '',
       startTime: '',
       endTime: '',
+      minGapMinutes: 15,
       description: ''
     });
     setShowAddForm(false);
@@ -183,6 +189,20 @@ const ConstraintsManager = ({ userData, onDataUpdate, showNotification, apiBase
                 />
               </div>
 
+              {formData.type === 'no_back_to_back' && (
+                <div className="form-group">
+                  <label className="form-label">Minimum Gap (minutes)</label>
+                  <input
+                    type="number"
+                    className="form-input"
+                    min="5"
+                    step="5"
+                    value={formData.minGapMinutes}
+                    onChange={(e) => setFormData(prev => ({ ...prev, minGapMinutes: parseInt(e.target.value) }))}
+                  />
+                </div>
+              )}
+
               <div className="form-group md:col-span-2">
                 <label className="form-label">Description</label>
                 <textarea
@@ -236,6 +256,7 @@ const ConstraintsManager = ({ userData, onDataUpdate, showNotification, apiBase
                     dayOfWeek: template.day?.toString() || '',
                     startTime: template.start,
                     endTime: template.end,
+                    minGapMinutes: 15,
                     description: template.label
                   });
                   setShowAddForm(true);
@@ -273,6 +294,11 @@ const ConstraintsManager = ({ userData, onDataUpdate, showNotification, apiBase
                                   {formatConstraintTime(constraint)}
                                 </span>
                               ) : null}
+                              {constraint.type === 'no_back_to_back' && (
+                                <span className="ml-2 text-gray-600">
+                                  {constraint.min_gap_minutes || 15} min gap
+                                </span>
+                              )}
                             </div>
                             {constraint.description && (
                               <div className="text-xs text-gray-500">{constraint.description}</div>
@@ -312,6 +338,27 @@ const ConstraintsManager = ({ userData, onDataUpdate, showNotification, apiBase
         </div>
       )}
 
+      {/* Working Hours */}
+      <ScheduleSettings
+        onDataUpdate={onDataUpdate}
+        showNotification={showNotification}
+        apiBase={apiBase}
+      />
+
+      {/* Workload Limits */}
+      <WorkloadLimits
+        onDataUpdate={onDataUpdate}
+        showNotification={showNotification}
+        apiBase={apiBase}
+      />
+
+      {/* Scoring Profile */}
+      <ScoringPreferences
+        onDataUpdate={onDataUpdate}
+        showNotification={showNotification}
+        apiBase={apiBase}
+      />
+
       {/* Tips */}
       <div className="card">
         <div className="card-header">
@@ -322,7 +369,7 @@ const ConstraintsManager = ({ userData, onDataUpdate, showNotification, apiBase
             <div>• <strong>Unavailable:</strong> Times when you cannot have classes</div>
             <div>• <strong>Preferred:</strong> Times when you'd like to have classes</div>
             <div>• <strong>Break Time:</strong> Mandatory break periods</div>
-            <div>• <strong>No Back-to-Back:</strong> Prevent consecutive sessions</div>
+            <div>• <strong>No Back-to-Back:</strong> Require a minimum gap between consecutive sessions</div>
             <div>• Leave day blank to apply constraint to all days</div>
             <div>• Leave times blank for all-day constraints</div>
           </div>
@@ -1,18 +1,58 @@
 import React, { useState } from 'react';
+import LocationsManager from './LocationsManager';
+import InputForm from './InputForm';
+
+const emptySessionForm = () => ({
+  type: 'lecture',
+  dayOfWeek: 1,
+  startTime: '09:00',
+  endTime: '10:00',
+  location: '',
+  instructor: '',
+  flexibility: 'pinned',
+  windowStart: '',
+  windowEnd: '',
+  sectionGroup: '',
+  section: ''
+});
+
+// Sessions of a course offered as sections: { group: { section: [sessions] } }
+const groupSections = (sessions) => sessions
+  .filter(session => session.section_group)
+  .reduce((groups, session) => {
+    const sections = groups[session.section_group] || {};
+    return {
+      ...groups,
+      [session.section_group]: {
+        ...sections,
+        [session.section]: [...(sections[session.section] || []), session]
+      }
+    };
+  }, {});
 
 const CoursesManager = ({ userData, onDataUpdate, showNotification, apiBase }) => {
   const [showAddForm, setShowAddForm] = useState(false);
   const [editingCourse, setEditingCourse] = useState(null);
+  const [sessionCourse, setSessionCourse] = useState(null);
+  const [sessionForm, setSessionForm] = useState(emptySessionForm());
+  const [addingEntries, setAddingEntries] = useState(false);
   const [formData, setFormData] = useState({
     name: '',
     code: '',
     priority: 1,
     credits: 3,
     color: '#3B82F6',
-    description: ''
+    description: '',
+    studyHoursPerCredit: 0
   });
 
   const priorityLabels = { 1: 'High', 2: 'Medium', 3: 'Low' };
+  const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  const flexibilityLabels = {
+    pinned: '📌 Pinned (fixed time, e.g. a lecture)',
+    same_day: '↔️ Same day only',
+    any_day: '🔀 Any weekday'
+  };
   const colors = [
     '#3B82F6', '#EF4444', '#10B981', '#F59E0B', 
     '#8B5CF6', '#EC4899', '#06B6D4', '#84CC16'
@@ -69,7 +109,8 @@ const CoursesManager = ({ userData, onDataUpdate, showNotification, apiBase }) =
       priority: course.priority,
       credits: course.credits,
       color: course.color,
-      description: course.description || ''
+      description: course.description || '',
+      studyHoursPerCredit: course.study_hours_per_credit || 0
     });
     setShowAddForm(true);
   };
@@ -105,15 +146,110 @@ const CoursesManager = ({ userData, onDataUpdate, showNotification, apiBase }) =
       priority: 1,
       credits: 3,
       color: '#3B82F6',
-      description: ''
+      description: '',
+      studyHoursPerCredit: 0
     });
     setEditingCourse(null);
     setShowAddForm(false);
   };
 
-  const handleAddSession = async (courseId) => {
-    // This would open a session creation modal or redirect
-    showNotification('Session creation coming soon!', 'info');
+  const handleAddSession = (courseId) => {
+    setSessionCourse(userData.courses.find(course => course.id === courseId));
+    setSessionForm(emptySessionForm());
+  };
+
+  // "Add another" keeps the form open so every meeting of every offered
+  // section can be entered in one go
+  const handleSessionSubmit = async (e, addAnother = false) => {
+    e.preventDefault();
+
+    if (sessionForm.startTime >= sessionForm.endTime) {
+      showNotification('End time must be after start time', 'error');
+      return;
+    }
+
+    if (Boolean(sessionForm.sectionGroup.trim()) !== Boolean(sessionForm.section.trim())) {
+      showNotification('Enter both a section group and a section, or neither', 'error');
+      return;
+    }
+
+    try {
+      const response = await fetch(`${apiBase}/sessions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          ...sessionForm,
+          courseId: sessionCourse.id,
+          windowStart: sessionForm.windowStart || null,
+          windowEnd: sessionForm.windowEnd || null,
+          sectionGroup: sessionForm.sectionGroup.trim() || null,
+          section: sessionForm.section.trim() || null
+        })
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        await onDataUpdate('sessions');
+        await onDataUpdate('timetable');
+        showNotification('Session added successfully!', 'success');
+        if (!addAnother) {
+          setSessionCourse(null);
+        }
+      } else {
+        showNotification(result.message || 'Failed to add session', 'error');
+      }
+    } catch (error) {
+      showNotification('Error adding session', 'error');
+    }
+  };
+
+  // Entries from the text form name a subject, a day and class or lab. A
+  // subject with no course of that name yet gets one.
+  const handleAddEntries = async (entries) => {
+    const post = async (route, body) => {
+      const response = await fetch(`${apiBase}${route}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.message || 'Failed to add entries');
+      }
+      return result.data;
+    };
+
+    setAddingEntries(true);
+    try {
+      const courseIds = new Map(userData.courses.map(course => [course.name.toLowerCase(), course.id]));
+      for (const entry of entries) {
+        const name = entry.subject.trim();
+        if (!courseIds.has(name.toLowerCase())) {
+          const course = await post('/courses', { name, userId: 1 });
+          courseIds.set(name.toLowerCase(), course.id);
+        }
+        await post('/sessions', {
+          courseId: courseIds.get(name.toLowerCase()),
+          type: entry.type === 'lab' ? 'lab' : 'lecture',
+          dayOfWeek: dayNames.indexOf(entry.day),
+          startTime: entry.start_time,
+          endTime: entry.end_time
+        });
+      }
+      showNotification(`${entries.length} session${entries.length === 1 ? '' : 's'} added`, 'success');
+    } catch (error) {
+      showNotification(error.message || 'Error adding entries', 'error');
+    } finally {
+      await onDataUpdate('courses');
+      await onDataUpdate('sessions');
+      await onDataUpdate('timetable');
+      setAddingEntries(false);
+    }
   };
 
   return (
@@ -136,6 +272,9 @@ const CoursesManager = ({ userData, onDataUpdate, showNotification, apiBase }) =
         </div>
       </div>
 
+      {/* Sessions typed as text or one at a time */}
+      <InputForm onAddEntries={handleAddEntries} disabled={addingEntries} apiBase={apiBase} />
+
       {/* Add/Edit Form */}
       {showAddForm && (
         <div className="card">
@@ -194,6 +333,22 @@ const CoursesManager = ({ userData, onDataUpdate, showNotification, apiBase }) =
                 />
               </div>
 
+              <div className="form-group">
+                <label className="form-label">Study Hours per Credit</label>
+                <input
+                  type="number"
+                  className="form-input"
+                  min="0"
+                  max="10"
+                  step="0.5"
+                  value={formData.studyHoursPerCredit}
+                  onChange={(e) => setFormData(prev => ({ ...prev, studyHoursPerCredit: parseFloat(e.target.value) || 0 }))}
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Weekly self-study blocks are scheduled in your free time (0 for none)
+                </p>
+              </div>
+
               <div className="form-group">
                 <label className="form-label">Color</label>
                 <div className="flex gap-2 mt-2">
@@ -239,11 +394,183 @@ const CoursesManager = ({ userData, onDataUpdate, showNotification, apiBase }) =
         </div>
       )}
 
+      {/* Add Session Form */}
+      {sessionCourse && (
+        <div className="card">
+          <div className="card-header">
+            <h4 className="card-title">Add Session to {sessionCourse.name}</h4>
+          </div>
+          <div className="card-content">
+            <form onSubmit={handleSessionSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="form-group">
+                <label className="form-label">Type</label>
+                <select
+                  className="form-select"
+                  value={sessionForm.type}
+                  onChange={(e) => setSessionForm(prev => ({ ...prev, type: e.target.value }))}
+                >
+                  <option value="lecture">Lecture</option>
+                  <option value="lab">Lab</option>
+                  <option value="tutorial">Tutorial</option>
+                  <option value="seminar">Seminar</option>
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Day</label>
+                <select
+                  className="form-select"
+                  value={sessionForm.dayOfWeek}
+                  onChange={(e) => setSessionForm(prev => ({ ...prev, dayOfWeek: parseInt(e.target.value) }))}
+                >
+                  {dayNames.map((day, index) => (
+                    <option key={day} value={index}>{day}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Start Time</label>
+                <input
+                  type="time"
+                  className="form-input"
+                  value={sessionForm.startTime}
+                  onChange={(e) => setSessionForm(prev => ({ ...prev, startTime: e.target.value }))}
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">End Time</label>
+                <input
+                  type="time"
+                  className="form-input"
+                  value={sessionForm.endTime}
+                  onChange={(e) => setSessionForm(prev => ({ ...prev, endTime: e.target.value }))}
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Location</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  placeholder="e.g., Room A101"
+                  value={sessionForm.location}
+                  onChange={(e) => setSessionForm(prev => ({ ...prev, location: e.target.value }))}
+                />
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Instructor</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  value={sessionForm.instructor}
+                  onChange={(e) => setSessionForm(prev => ({ ...prev, instructor: e.target.value }))}
+                />
+              </div>
+
+              <div className="form-group md:col-span-2">
+                <label className="form-label">Can the planner move it?</label>
+                <select
+                  className="form-select"
+                  value={sessionForm.flexibility}
+                  onChange={(e) => setSessionForm(prev => ({ ...prev, flexibility: e.target.value }))}
+                >
+                  {Object.entries(flexibilityLabels).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {sessionForm.flexibility !== 'pinned' && (
+                <>
+                  <div className="form-group">
+                    <label className="form-label">Not Before (Optional)</label>
+                    <input
+                      type="time"
+                      className="form-input"
+                      value={sessionForm.windowStart}
+                      onChange={(e) => setSessionForm(prev => ({ ...prev, windowStart: e.target.value }))}
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label className="form-label">Not After (Optional)</label>
+                    <input
+                      type="time"
+                      className="form-input"
+                      value={sessionForm.windowEnd}
+                      onChange={(e) => setSessionForm(prev => ({ ...prev, windowEnd: e.target.value }))}
+                    />
+                  </div>
+                </>
+              )}
+
+              <div className="form-group">
+                <label className="form-label">Section Group (Optional)</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  placeholder="e.g., Lecture"
+                  value={sessionForm.sectionGroup}
+                  onChange={(e) => setSessionForm(prev => ({ ...prev, sectionGroup: e.target.value }))}
+                />
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Section</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  placeholder="e.g., A"
+                  value={sessionForm.section}
+                  onChange={(e) => setSessionForm(prev => ({ ...prev, section: e.target.value }))}
+                  disabled={!sessionForm.sectionGroup.trim()}
+                />
+              </div>
+
+              {sessionForm.sectionGroup.trim() && (
+                <p className="md:col-span-2 text-sm text-muted">
+                  Sessions sharing a section group are alternatives: exactly one section of the group is scheduled,
+                  with all of its sessions.
+                </p>
+              )}
+
+              <div className="md:col-span-2 flex gap-3">
+                <button type="submit" className="btn btn-primary">
+                  Add Session
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={(e) => handleSessionSubmit(e, true)}
+                >
+                  Add &amp; Add Another
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => setSessionCourse(null)}
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
       {/* Courses List */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
         {userData.courses?.length > 0 ? (
           userData.courses.map(course => {
             const courseSessions = userData.sessions?.filter(s => s.course_id === course.id) || [];
+            const sectionGroups = groupSections(courseSessions);
+            const chosenSections = (userData.timetable?.sections || [])
+              .filter(choice => choice.courseId === course.id);
             
             return (
               <div key={course.id} className="card">
@@ -295,12 +622,34 @@ const CoursesManager = ({ userData, onDataUpdate, showNotification, apiBase }) =
                       <span>Credits:</span>
                       <span className="font-medium">{course.credits}</span>
                     </div>
+                    {course.study_hours_per_credit > 0 && (
+                      <div className="flex justify-between">
+                        <span>Self-study:</span>
+                        <span className="font-medium">{course.credits * course.study_hours_per_credit}h / week</span>
+                      </div>
+                    )}
                     <div className="flex justify-between">
                       <span>Sessions:</span>
                       <span className="font-medium">{courseSessions.length}</span>
                     </div>
                   </div>
                   
+                  {Object.entries(sectionGroups).map(([group, sections]) => (
+                    <div key={group} className="mt-3 text-sm">
+                      <div className="font-medium">{group} sections:</div>
+                      {Object.entries(sections).map(([section, members]) => {
+                        const chosen = chosenSections.some(choice => choice.group === group && choice.section === section);
+                        return (
+                          <div key={section} className={chosen ? 'font-medium text-green-600' : 'text-gray-600'}>
+                            {chosen ? '✓' : '•'} {section}: {members
+                              .map(member => `${dayNames[member.day_of_week].slice(0, 3)} ${member.start_time}`)
+                              .join(', ')}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  ))}
+
                   {course.description && (
                     <div className="mt-3 p-2 bg-gray-50 rounded text-sm">
                       {course.description}
@@ -339,6 +688,13 @@ const CoursesManager = ({ userData, onDataUpdate, showNotification, apiBase }) =
           </div>
         )}
       </div>
+
+      {/* Buildings and walking times used for travel between sessions */}
+      <LocationsManager
+        onDataUpdate={onDataUpdate}
+        showNotification={showNotification}
+        apiBase={apiBase}
+      />
     </div>
   );
 };
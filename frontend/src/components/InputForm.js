@@ -1,5 +1,4 @@
-import React, { useState } from 'react';
-import nlp from 'compromise';
+import React, { useState, useEffect } from 'react';
 
 // Local processing for timetable entries
 const processTimetableEntries = (entries) => {
@@ -63,89 +62,7 @@ const processTimetableEntries = (entries) => {
   return processedEntries.length > 0 ? processedEntries : entries;
 };
 
-
-// Natural language parser for timetable entries
-const parseNaturalText = (text) => {
-  const entries = [];
-  
-  // Split by common separators for multiple entries
-  const lines = text.split(/[;\n]/).filter(line => line.trim());
-  
-  for (const line of lines) {
-    // Extract days - handle multiple days with &, and, comma
-    const dayPatterns = /\b(mon|monday|tue|tuesday|wed|wednesday|thu|thursday|fri|friday|sat|saturday|sun|sunday)\b/gi;
-    const dayMatches = line.match(dayPatterns) || [];
-    
-    // Normalize day names
-    const normalizedDays = dayMatches.map(day => {
-      const d = day.toLowerCase();
-      if (d.startsWith('mon')) return 'Monday';
-      if (d.startsWith('tue')) return 'Tuesday';
-      if (d.startsWith('wed')) return 'Wednesday';
-      if (d.startsWith('thu')) return 'Thursday';
-      if (d.startsWith('fri')) return 'Friday';
-      if (d.startsWith('sat')) return 'Saturday';
-      if (d.startsWith('sun')) return 'Sunday';
-      return day;
-    });
-    
-    // Extract times - handle various formats
-    const timePatterns = /(\d{1,2}):?(\d{2})?\s*(am|pm)?\s*(?:to|-|–|until)\s*(\d{1,2}):?(\d{2})?\s*(am|pm)?/i;
-    const simpleTimePattern = /(\d{1,2})\s*(?:to|-|–|until)\s*(\d{1,2})/i;
-    
-    let startTime = '', endTime = '';
-    
-    const timeMatch = timePatterns.exec(line) || simpleTimePattern.exec(line);
-    if (timeMatch) {
-      let start = parseInt(timeMatch[1]);
-      let startMin = timeMatch[2] ? parseInt(timeMatch[2]) : 0;
-      const startPeriod = timeMatch[3]?.toLowerCase();
-      
-      let end = parseInt(timeMatch[4] || timeMatch[2]);
-      let endMin = timeMatch[5] ? parseInt(timeMatch[5]) : 0;
-      const endPeriod = timeMatch[6]?.toLowerCase() || startPeriod;
-      
-      // Convert to 24-hour format
-      if (startPeriod === 'pm' && start !== 12) start += 12;
-      if (startPeriod === 'am' && start === 12) start = 0;
-      if (endPeriod === 'pm' && end !== 12) end += 12;
-      if (endPeriod === 'am' && end === 12) end = 0;
-      
-      // If no period specified, assume reasonable times
-      if (!startPeriod && !endPeriod) {
-        if (start < 8) start += 12; // Assume PM for early hours
-        if (end < start) end += 12; // End time should be after start
-      }
-      
-      startTime = `${start.toString().padStart(2, '0')}:${startMin.toString().padStart(2, '0')}`;
-      endTime = `${end.toString().padStart(2, '0')}:${endMin.toString().padStart(2, '0')}`;
-    }
-    
-    // Extract subject via NLP noun detection
-    const doc = nlp(line);
-    let subject = doc.nouns().toSingular().out('text') || 'Untitled';
-    
-    // Determine type - lab/practical vs class
-    const type = /\b(lab|practical|laboratory)\b/i.test(line) ? 'lab' : 'class';
-    
-    // Create entries only if valid days and times are detected
-    if (normalizedDays.length > 0 && startTime && endTime) {
-      normalizedDays.forEach((day) => {
-        entries.push({
-          day,
-          start_time: startTime,
-          end_time: endTime,
-          type,
-          subject: subject || 'Untitled'
-        });
-      });
-    }
-  }
-  
-  return entries;
-};
-
-const InputForm = ({ onAddEntries, disabled }) => {
+const InputForm = ({ onAddEntries, disabled, apiBase }) => {
   const [mode, setMode] = useState('structured'); // 'structured' or 'natural'
   const [formData, setFormData] = useState({
     day: 'Monday',
@@ -188,18 +105,44 @@ const InputForm = ({ onAddEntries, disabled }) => {
     });
   };
 
-  const handleNaturalTextChange = (e) => {
-    const text = e.target.value;
-    setNaturalText(text);
-    
-    if (text.trim()) {
-      const parsed = parseNaturalText(text);
-      setParsedPreview(parsed);
-      setShowPreview(parsed.length > 0);
-    } else {
+  // Preview once typing pauses, read by the server's parser. A reply for
+  // older text is dropped, and a failed one leaves no preview.
+  useEffect(() => {
+    if (!naturalText.trim()) {
       setParsedPreview([]);
       setShowPreview(false);
+      return undefined;
     }
+
+    let stale = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`${apiBase}/timetable/parse`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ text: naturalText })
+        });
+        const result = await response.json();
+        if (stale) return;
+        const parsed = result.success ? result.data.entries : [];
+        setParsedPreview(parsed);
+        setShowPreview(parsed.length > 0);
+      } catch (error) {
+        if (!stale) {
+          setParsedPreview([]);
+          setShowPreview(false);
+        }
+      }
+    }, 300);
+
+    return () => {
+      stale = true;
+      clearTimeout(timer);
+    };
+  }, [naturalText, apiBase]);
+
+  const handleNaturalTextChange = (e) => {
+    setNaturalText(e.target.value);
   };
 
   const handleNaturalSubmit = (e) => {
@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+
+const LocationsManager = ({ onDataUpdate, showNotification, apiBase }) => {
+  const [locations, setLocations] = useState({ buildings: [], rooms: [], walkingTimes: [] });
+  const [buildingForm, setBuildingForm] = useState({ name: '', code: '' });
+  const [roomForm, setRoomForm] = useState({ buildingId: '', name: '' });
+  const [walkForm, setWalkForm] = useState({ fromBuildingId: '', toBuildingId: '', minutes: 10 });
+
+  useEffect(() => {
+    loadLocations();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const loadLocations = async () => {
+    try {
+      const response = await fetch(`${apiBase}/locations/1`);
+      const result = await response.json();
+      if (result.success) {
+        setLocations(result.data);
+      }
+    } catch (error) {
+      console.error('Load locations error:', error);
+    }
+  };
+
+  // Every change can alter which transfers are possible, so the timetable is refreshed too
+  const submit = async (path, method, body, successMessage) => {
+    try {
+      const response = await fetch(`${apiBase}/locations/${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        await loadLocations();
+        await onDataUpdate('timetable');
+        showNotification(successMessage, 'success');
+        return true;
+      }
+      showNotification(result.message || 'Failed to update locations', 'error');
+    } catch (error) {
+      showNotification('Error updating locations', 'error');
+    }
+    return false;
+  };
+
+  const handleAddBuilding = async (e) => {
+    e.preventDefault();
+    if (await submit('buildings', 'POST', { ...buildingForm, userId: 1 }, 'Building added!')) {
+      setBuildingForm({ name: '', code: '' });
+    }
+  };
+
+  const handleAddRoom = async (e) => {
+    e.preventDefault();
+    if (await submit('rooms', 'POST', { buildingId: parseInt(roomForm.buildingId), name: roomForm.name }, 'Room added!')) {
+      setRoomForm({ ...roomForm, name: '' });
+    }
+  };
+
+  const handleSetWalkingTime = async (e) => {
+    e.preventDefault();
+    await submit('walking-times', 'PUT', {
+      fromBuildingId: parseInt(walkForm.fromBuildingId),
+      toBuildingId: parseInt(walkForm.toBuildingId),
+      minutes: parseInt(walkForm.minutes)
+    }, 'Walking time saved!');
+  };
+
+  const handleDeleteBuilding = async (buildingId) => {
+    if (!window.confirm('Delete this building, its rooms and walking times?')) return;
+    await submit(`buildings/${buildingId}`, 'DELETE', null, 'Building deleted');
+  };
+
+  const buildingName = (id) => locations.buildings.find(building => building.id === id)?.name || 'Unknown';
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h4 className="card-title">🏫 Campus Locations</h4>
+        <p className="card-subtitle">
+          Session locations are matched to rooms, or to a building by name or code (e.g. "SCI 101")
+        </p>
+      </div>
+      <div className="card-content">
+        <div className="space-y-3">
+          {locations.buildings.map(building => (
+            <div key={building.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+              <div>
+                <div className="font-medium">
+                  {building.name}{building.code && ` (${building.code})`}
+                </div>
+                <div className="text-sm text-gray-600">
+                  Rooms: {locations.rooms.filter(room => room.building_id === building.id)
+                    .map(room => room.name).join(', ') || 'none'}
+                </div>
+              </div>
+              <button className="btn btn-sm btn-secondary" onClick={() => handleDeleteBuilding(building.id)}>
+                🗑️
+              </button>
+            </div>
+          ))}
+
+          {locations.walkingTimes.map(walk => (
+            <div key={walk.id} className="text-sm text-gray-600">
+              🚶 {buildingName(walk.from_building_id)} ↔ {buildingName(walk.to_building_id)}: {walk.minutes} min
+            </div>
+          ))}
+        </div>
+
+        <form onSubmit={handleAddBuilding} className="grid grid-cols-3 gap-4 mt-4">
+          <input
+            type="text"
+            className="form-input"
+            placeholder="Building name"
+            value={buildingForm.name}
+            onChange={(e) => setBuildingForm({ ...buildingForm, name: e.target.value })}
+            required
+          />
+          <input
+            type="text"
+            className="form-input"
+            placeholder="Code (optional)"
+            value={buildingForm.code}
+            onChange={(e) => setBuildingForm({ ...buildingForm, code: e.target.value })}
+          />
+          <button type="submit" className="btn btn-secondary">➕ Add Building</button>
+        </form>
+
+        {locations.buildings.length > 0 && (
+          <form onSubmit={handleAddRoom} className="grid grid-cols-3 gap-4 mt-4">
+            <select
+              className="form-select"
+              value={roomForm.buildingId}
+              onChange={(e) => setRoomForm({ ...roomForm, buildingId: e.target.value })}
+              required
+            >
+              <option value="">Building...</option>
+              {locations.buildings.map(building => (
+                <option key={building.id} value={building.id}>{building.name}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              className="form-input"
+              placeholder="Room name"
+              value={roomForm.name}
+              onChange={(e) => setRoomForm({ ...roomForm, name: e.target.value })}
+              required
+            />
+            <button type="submit" className="btn btn-secondary">➕ Add Room</button>
+          </form>
+        )}
+
+        {locations.buildings.length > 1 && (
+          <form onSubmit={handleSetWalkingTime} className="grid grid-cols-4 gap-4 mt-4">
+            {['fromBuildingId', 'toBuildingId'].map(field => (
+              <select
+                key={field}
+                className="form-select"
+                value={walkForm[field]}
+                onChange={(e) => setWalkForm({ ...walkForm, [field]: e.target.value })}
+                required
+              >
+                <option value="">{field === 'fromBuildingId' ? 'From...' : 'To...'}</option>
+                {locations.buildings.map(building => (
+                  <option key={building.id} value={building.id}>{building.name}</option>
+                ))}
+              </select>
+            ))}
+            <input
+              type="number"
+              className="form-input"
+              min="0"
+              value={walkForm.minutes}
+              onChange={(e) => setWalkForm({ ...walkForm, minutes: e.target.value })}
+              required
+            />
+            <button type="submit" className="btn btn-secondary">🚶 Set Walk</button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LocationsManager;
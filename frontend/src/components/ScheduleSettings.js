@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { DEFAULT_SCHEDULE_SETTINGS } from '../scheduleGrid';
+
+const ScheduleSettings = ({ onDataUpdate, showNotification, apiBase }) => {
+  const [settings, setSettings] = useState(DEFAULT_SCHEDULE_SETTINGS);
+  const [studyBlockMinutes, setStudyBlockMinutes] = useState(60);
+  const [saving, setSaving] = useState(false);
+
+  const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  useEffect(() => {
+    loadSettings();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const loadSettings = async () => {
+    try {
+      const response = await fetch(`${apiBase}/preferences/1`);
+      const result = await response.json();
+      if (result.success) {
+        setSettings({ ...DEFAULT_SCHEDULE_SETTINGS, ...result.data.schedule });
+        setStudyBlockMinutes(result.data.study?.blockMinutes || 60);
+      }
+    } catch (error) {
+      console.error('Load schedule settings error:', error);
+    }
+  };
+
+  const toggleDay = (day) => {
+    setSettings(prev => ({
+      ...prev,
+      days: prev.days.includes(day)
+        ? prev.days.filter(d => d !== day)
+        : [...prev.days, day].sort((a, b) => a - b)
+    }));
+  };
+
+  const handleSave = async () => {
+    if (settings.dayStart >= settings.dayEnd) {
+      showNotification('Working day must end after it starts', 'error');
+      return;
+    }
+    if (settings.days.length === 0) {
+      showNotification('Pick at least one weekday', 'error');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await fetch(`${apiBase}/preferences/1`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ schedule: settings, study: { blockMinutes: studyBlockMinutes } })
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        await onDataUpdate('settings');
+        showNotification('Working hours saved!', 'success');
+      } else {
+        showNotification(result.message || 'Failed to save working hours', 'error');
+      }
+    } catch (error) {
+      showNotification('Error saving working hours', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h4 className="card-title">🕗 Working Hours</h4>
+        <p className="card-subtitle">When and on which days sessions may be scheduled</p>
+      </div>
+      <div className="card-content">
+        <div className="grid grid-cols-3 gap-4">
+          <div className="form-group">
+            <label className="form-label">Day starts</label>
+            <input
+              type="time"
+              className="form-input"
+              value={settings.dayStart}
+              onChange={(e) => setSettings(prev => ({ ...prev, dayStart: e.target.value }))}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Day ends</label>
+            <input
+              type="time"
+              className="form-input"
+              value={settings.dayEnd}
+              onChange={(e) => setSettings(prev => ({ ...prev, dayEnd: e.target.value }))}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Slot granularity</label>
+            <select
+              className="form-select"
+              value={settings.slotMinutes}
+              onChange={(e) => setSettings(prev => ({ ...prev, slotMinutes: parseInt(e.target.value) }))}
+            >
+              {[5, 10, 15, 30].map(minutes => (
+                <option key={minutes} value={minutes}>{minutes} minutes</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Allowed weekdays</label>
+          <div className="flex gap-2">
+            {dayNames.map((day, index) => (
+              <button
+                key={day}
+                type="button"
+                className={`btn btn-sm ${settings.days.includes(index) ? 'btn-primary' : 'btn-secondary'}`}
+                onClick={() => toggleDay(index)}
+              >
+                {day.slice(0, 3)}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Self-study block length</label>
+          <select
+            className="form-select"
+            value={studyBlockMinutes}
+            onChange={(e) => setStudyBlockMinutes(parseInt(e.target.value))}
+          >
+            {[30, 45, 60, 90, 120].map(minutes => (
+              <option key={minutes} value={minutes}>{minutes} minutes</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div className="card-footer">
+        <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save Working Hours'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleSettings;
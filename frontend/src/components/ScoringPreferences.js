@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react';
+
+const ScoringPreferences = ({ onDataUpdate, showNotification, apiBase }) => {
+  const [objectives, setObjectives] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  useEffect(() => {
+    loadObjectives();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const loadObjectives = async () => {
+    try {
+      const response = await fetch(`${apiBase}/scoring/objectives/1`);
+      const result = await response.json();
+      if (result.success) {
+        setObjectives(result.data);
+      }
+    } catch (error) {
+      console.error('Load scoring objectives error:', error);
+    }
+  };
+
+  const updateObjective = (key, changes) => {
+    setObjectives(prev => prev.map(objective =>
+      objective.key === key ? { ...objective, ...changes } : objective
+    ));
+  };
+
+  const toggleFreeDay = (objective, day) => {
+    const days = objective.params.days.includes(day)
+      ? objective.params.days.filter(d => d !== day)
+      : [...objective.params.days, day];
+    updateObjective(objective.key, { params: { ...objective.params, days } });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const scoring = {
+        objectives: objectives.reduce((profile, objective) => ({
+          ...profile,
+          [objective.key]: { weight: objective.weight, ...objective.params }
+        }), {})
+      };
+
+      const response = await fetch(`${apiBase}/preferences/1`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ scoring })
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        await onDataUpdate('timetable');
+        showNotification('Scoring preferences saved!', 'success');
+      } else {
+        showNotification(result.message || 'Failed to save scoring preferences', 'error');
+      }
+    } catch (error) {
+      showNotification('Error saving scoring preferences', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (objectives.length === 0) return null;
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h4 className="card-title">🎯 What Matters to You</h4>
+        <p className="card-subtitle">Weight each goal when timetables are scored (0 turns it off)</p>
+      </div>
+      <div className="card-content">
+        <div className="space-y-3">
+          {objectives.map(objective => (
+            <div key={objective.key} className="p-3 bg-gray-50 rounded-lg">
+              <div className="flex items-center justify-between">
+                <span className="font-medium text-sm">{objective.label}</span>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="range"
+                    min="0"
+                    max="5"
+                    step="0.5"
+                    value={objective.weight}
+                    onChange={(e) => updateObjective(objective.key, { weight: parseFloat(e.target.value) })}
+                  />
+                  <span className="text-sm text-gray-600">×{objective.weight}</span>
+                </div>
+              </div>
+
+              {objective.key === 'freeDays' && objective.weight > 0 && (
+                <div className="flex gap-2 mt-2">
+                  {dayNames.map((day, index) => (
+                    <button
+                      key={day}
+                      type="button"
+                      className={`btn btn-sm ${objective.params.days.includes(index) ? 'btn-primary' : 'btn-secondary'}`}
+                      onClick={() => toggleFreeDay(objective, index)}
+                    >
+                      {day.slice(0, 3)}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {objective.key === 'noEarlyStart' && objective.weight > 0 && (
+                <div className="flex items-center gap-2 mt-2 text-sm">
+                  <span>Nothing before</span>
+                  <input
+                    type="time"
+                    className="form-input"
+                    value={objective.params.before}
+                    onChange={(e) => updateObjective(objective.key, { params: { before: e.target.value } })}
+                  />
+                </div>
+              )}
+
+              {objective.key === 'noLateFinish' && objective.weight > 0 && (
+                <div className="flex items-center gap-2 mt-2 text-sm">
+                  <span>Nothing after</span>
+                  <input
+                    type="time"
+                    className="form-input"
+                    value={objective.params.after}
+                    onChange={(e) => updateObjective(objective.key, { params: { after: e.target.value } })}
+                  />
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+      <div className="card-footer">
+        <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save Preferences'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ScoringPreferences;
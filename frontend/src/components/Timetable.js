@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { DEFAULT_SCHEDULE_SETTINGS, getHourRows, toMinutes } from '../scheduleGrid';
 
 // Generate a consistent color based on subject name
 const getSubjectColor = (subject) => {
@@ -11,12 +12,12 @@ const getSubjectColor = (subject) => {
   return `hsl(${hue}, 70%, 85%)`;
 };
 
-const Timetable = ({ data, onUpdateEntry, onDeleteEntry, onClearAll, onRefresh, disabled }) => {
+const Timetable = ({ data, onUpdateEntry, onDeleteEntry, onClearAll, onRefresh, disabled, settings = DEFAULT_SCHEDULE_SETTINGS }) => {
   const [editingEntry, setEditingEntry] = useState(null);
   const [editForm, setEditForm] = useState({});
 
   const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-  const hours = Array.from({ length: 16 }, (_, i) => i + 7); // 7 AM to 10 PM
+  const hours = getHourRows({ ...DEFAULT_SCHEDULE_SETTINGS, ...settings });
 
   // Filter days that have entries
   const activeDays = days.filter(day => 
@@ -61,11 +62,9 @@ const Timetable = ({ data, onUpdateEntry, onDeleteEntry, onClearAll, onRefresh,
   };
 
   const getEntryPosition = (startTime, endTime) => {
-    const [startHour, startMin] = startTime.split(':').map(Number);
-    const [endHour, endMin] = endTime.split(':').map(Number);
-    
-    const startMinutes = (startHour - 7) * 60 + startMin;
-    const endMinutes = (endHour - 7) * 60 + endMin;
+    const firstMinute = hours[0] * 60;
+    const startMinutes = toMinutes(startTime) - firstMinute;
+    const endMinutes = toMinutes(endTime) - firstMinute;
     
     const top = (startMinutes / 60) * 60; // 60px per hour
     const height = ((endMinutes - startMinutes) / 60) * 60;
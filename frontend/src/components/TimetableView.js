@@ -1,16 +1,18 @@
 import React, { useState } from 'react';
+import { DEFAULT_SCHEDULE_SETTINGS, getHourRows, toMinutes } from '../scheduleGrid';
 
 const TimetableView = ({ userData, onDataUpdate, showNotification, apiBase }) => {
   const [selectedSession, setSelectedSession] = useState(null);
   const [viewMode, setViewMode] = useState('week'); // 'week' or 'day'
+  const [comparison, setComparison] = useState(null); // { alternatives, differences }
 
   const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-  const timeSlots = [];
-  
-  // Generate time slots from 8 AM to 8 PM
-  for (let hour = 8; hour <= 20; hour++) {
-    timeSlots.push(`${hour.toString().padStart(2, '0')}:00`);
-  }
+
+  // The grid follows the working hours and weekdays the timetable was built
+  // with, falling back to the user's current settings
+  const settings = { ...DEFAULT_SCHEDULE_SETTINGS, ...userData.settings, ...userData.timetable?.settings };
+  const gridDays = [...settings.days].sort((a, b) => a - b);
+  const hourRows = getHourRows(settings);
 
   const handleRegenerateTimetable = async () => {
     try {
@@ -30,57 +32,236 @@ const TimetableView = ({ userData, onDataUpdate, showNotification, apiBase }) =>
     }
   };
 
+  // Keep the repair shown as a preview
+  const handleApplyRepair = async () => {
+    try {
+      const response = await fetch(`${apiBase}/timetable/repair/1`, {
+        method: 'POST'
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        await onDataUpdate('timetable');
+        showNotification(result.message, 'success');
+      } else {
+        showNotification('Failed to repair timetable', 'error');
+      }
+    } catch (error) {
+      showNotification('Error repairing timetable', 'error');
+    }
+  };
+
+  const handleOptimizeTimetable = async () => {
+    try {
+      const response = await fetch(`${apiBase}/timetable/optimize/1`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({})
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        await onDataUpdate('timetable');
+        showNotification(result.message, 'success');
+      } else {
+        showNotification('Failed to optimize timetable', 'error');
+      }
+    } catch (error) {
+      showNotification('Error optimizing timetable', 'error');
+    }
+  };
+
+  const handleApplyFix = async (fix) => {
+    try {
+      const response = await fetch(`${apiBase}/timetable/fix/1`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ fix })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        await onDataUpdate(fix.type === 'move_session' ? 'sessions' : 'constraints');
+        await onDataUpdate('timetable');
+        showNotification(result.message, 'success');
+      } else {
+        showNotification(result.message || 'Failed to apply fix', 'error');
+      }
+    } catch (error) {
+      showNotification('Error applying fix', 'error');
+    }
+  };
+
+  const handleCompareAlternatives = async () => {
+    try {
+      const response = await fetch(`${apiBase}/timetable/alternatives/1?count=3`);
+      const result = await response.json();
+
+      if (result.success) {
+        setComparison(result.data);
+        showNotification(result.message, 'success');
+      } else {
+        showNotification('Failed to generate alternatives', 'error');
+      }
+    } catch (error) {
+      showNotification('Error generating alternatives', 'error');
+    }
+  };
+
+  const handleChooseAlternative = async (alternative, index) => {
+    try {
+      const response = await fetch(`${apiBase}/timetable/save/1`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ alternativeId: alternative.id, name: `Alternative ${index + 1}` })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setComparison(null);
+        await onDataUpdate('timetable');
+        showNotification(`Option ${index + 1} is now your timetable`, 'success');
+      } else {
+        showNotification(result.message || 'Failed to save timetable', 'error');
+      }
+    } catch (error) {
+      showNotification('Error saving timetable', 'error');
+    }
+  };
+
+  const formatPlacement = (placement) => placement
+    ? `${placement.dayName.slice(0, 3)} ${placement.startTime}-${placement.endTime}`
+    : 'Not included';
+
+  const renderComparison = () => {
+    const { alternatives, differences } = comparison;
+
+    return (
+      <div className="card">
+        <div className="card-header">
+          <div className="flex justify-between items-center">
+            <div>
+              <h4 className="card-title">🔀 Compare Alternatives</h4>
+              <p className="card-subtitle">
+                {differences.length > 0
+                  ? `${differences.length} session${differences.length > 1 ? 's' : ''} placed differently; highlighted cells differ from Option 1`
+                  : 'Only one valid timetable exists for your sessions'}
+              </p>
+            </div>
+            <button className="btn btn-secondary btn-sm" onClick={() => setComparison(null)}>
+              ✕ Close
+            </button>
+          </div>
+        </div>
+        <div className="card-content">
+          <div
+            className="grid gap-2 text-sm"
+            style={{ gridTemplateColumns: `160px repeat(${alternatives.length}, 1fr)` }}
+          >
+            <div></div>
+            {alternatives.map((alternative, index) => {
+              const met = (alternative.constraintReport || []).filter(entry => entry.status === 'satisfied').length;
+              return (
+                <div key={index} className="p-3 bg-gray-50 rounded-lg">
+                  <div className="font-medium">Option {index + 1}</div>
+                  <div className="text-xs text-gray-600">
+                    Score {Math.round(alternative.score)}/100 • {alternative.stats.totalHours} hours • {alternative.stats.workingDays || 0} days
+                    {alternative.constraintReport?.length > 0 && ` • Constraints ${met}/${alternative.constraintReport.length}`}
+                    {alternative.conflicts.length > 0 && ` • ${alternative.conflicts.length} conflicts`}
+                  </div>
+                  {alternative.sections?.length > 0 && (
+                    <div className="text-xs text-gray-600">
+                      Sections: {alternative.sections.map(choice => `${choice.courseName} ${choice.group} ${choice.section}`).join(', ')}
+                    </div>
+                  )}
+                  <button
+                    className="btn btn-primary btn-sm mt-2"
+                    onClick={() => handleChooseAlternative(alternative, index)}
+                  >
+                    Use this
+                  </button>
+                </div>
+              );
+            })}
+
+            {differences.map(difference => (
+              <React.Fragment key={difference.sessionId}>
+                <div className="font-medium">
+                  {difference.courseName} <span className="text-gray-600">({difference.type})</span>
+                </div>
+                {difference.placements.map((placement, index) => {
+                  const label = formatPlacement(placement);
+                  const differs = label !== formatPlacement(difference.placements[0]);
+                  return (
+                    <div key={index} className={`p-2 rounded-lg ${differs ? 'bg-yellow-50 font-medium' : ''}`}>
+                      {label}
+                    </div>
+                  );
+                })}
+              </React.Fragment>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
   const renderTimetableGrid = () => {
     const schedule = userData.timetable?.schedule || {};
     
     return (
-      <div className="timetable-grid">
+      <div
+        className="timetable-grid"
+        style={{ gridTemplateColumns: `80px repeat(${gridDays.length}, 1fr)` }}
+      >
         {/* Header row */}
         <div className="timetable-header"></div>
-        {dayNames.slice(1, 6).map(day => ( // Monday to Friday
-          <div key={day} className="timetable-header">{day}</div>
+        {gridDays.map(dayNum => (
+          <div key={dayNum} className="timetable-header">{dayNames[dayNum]}</div>
         ))}
         
-        {/* Time slots and sessions */}
-        {timeSlots.map(time => (
-          <React.Fragment key={time}>
-            <div className="timetable-time">{time}</div>
-            {dayNames.slice(1, 6).map((day, dayIndex) => {
-              const dayNum = dayIndex + 1;
+        {/* Hour rows and sessions */}
+        {hourRows.map(hour => (
+          <React.Fragment key={hour}>
+            <div className="timetable-time">{`${hour.toString().padStart(2, '0')}:00`}</div>
+            {gridDays.map(dayNum => {
               const daySchedule = schedule[dayNum];
-              const sessionsAtTime = daySchedule?.sessions?.filter(session => 
-                session.start_time <= time && session.end_time > time
+              // Each session is drawn once, in the row of the hour it starts in
+              const sessionsStarting = daySchedule?.sessions?.filter(session =>
+                Math.floor(toMinutes(session.start_time) / 60) === hour
               ) || [];
               
               return (
-                <div key={`${day}-${time}`} className="timetable-cell">
-                  {sessionsAtTime.map(session => {
-                    const startHour = parseInt(session.start_time.split(':')[0]);
-                    const endHour = parseInt(session.end_time.split(':')[0]);
-                    const duration = endHour - startHour;
-                    
-                    // Only render session block at its start time
-                    if (session.start_time === time) {
-                      return (
-                        <div
-                          key={session.id}
-                          className="timetable-session"
-                          style={{
-                            height: `${duration * 60 - 4}px`,
-                            backgroundColor: session.course_color || '#3B82F6',
-                            zIndex: 10
-                          }}
-                          onClick={() => setSelectedSession(session)}
-                        >
-                          <div className="session-title">{session.course_name}</div>
-                          <div className="session-details">
-                            {session.type} • {session.start_time}-{session.end_time}
-                            {session.location && ` • ${session.location}`}
-                          </div>
+                <div key={`${dayNum}-${hour}`} className="timetable-cell">
+                  {sessionsStarting.map(session => {
+                    const duration = toMinutes(session.end_time) - toMinutes(session.start_time);
+
+                    // One pixel per minute, matching the 60px hour rows
+                    return (
+                      <div
+                        key={session.id}
+                        className={`timetable-session${session.isStudyBlock ? ' study-block' : ''}`}
+                        style={{
+                          top: `${toMinutes(session.start_time) % 60}px`,
+                          height: `${duration - 4}px`,
+                          backgroundColor: session.course_color || '#3B82F6',
+                          zIndex: 10
+                        }}
+                        onClick={() => setSelectedSession(session)}
+                      >
+                        <div className="session-title">{session.course_name}</div>
+                        <div className="session-details">
+                          {session.type} • {session.start_time}-{session.end_time}
+                          {session.location && ` • ${session.location}`}
                         </div>
-                      );
-                    }
-                    return null;
+                      </div>
+                    );
                   })}
                 </div>
               );
@@ -99,6 +280,17 @@ const TimetableView = ({ userData, onDataUpdate, showNotification, apiBase }) =>
   const timetableStats = userData.timetable?.stats || {};
   const conflicts = userData.timetable?.conflicts || [];
   const suggestions = userData.timetable?.suggestions || [];
+  const optimizationMoves = userData.timetable?.optimization?.moves || [];
+  const repairMoves = userData.timetable?.repair?.displaced || [];
+  const repairReasons = {
+    request_changed: 'you changed its time',
+    no_longer_fits: 'its old slot is no longer allowed',
+    made_room: 'moved aside to make room'
+  };
+  const constraintReport = userData.timetable?.constraintReport || [];
+  const scoreBreakdown = Object.entries(userData.timetable?.scoreBreakdown || {})
+    .filter(([, objective]) => objective.contribution !== 0);
+  const satisfiedConstraints = constraintReport.filter(entry => entry.status === 'satisfied').length;
 
   return (
     <div className="grid gap-6">
@@ -110,7 +302,9 @@ const TimetableView = ({ userData, onDataUpdate, showNotification, apiBase }) =>
               <h3 className="card-title">📅 Your Timetable</h3>
               <p className="card-subtitle">
                 {timetableStats.totalSessions || 0} sessions • {timetableStats.totalHours || 0} hours • 
+                {timetableStats.studyHours > 0 && `${timetableStats.studyHours}h self-study • `}
                 Score: {userData.timetable?.score ? Math.round(userData.timetable.score) : 0}/100
+                {constraintReport.length > 0 && ` • Constraints met: ${satisfiedConstraints}/${constraintReport.length}`}
               </p>
             </div>
             <div className="flex gap-2">
@@ -132,11 +326,27 @@ const TimetableView = ({ userData, onDataUpdate, showNotification, apiBase }) =>
               >
                 🔄 Regenerate
               </button>
+              <button
+                className="btn btn-secondary btn-sm"
+                onClick={handleOptimizeTimetable}
+                disabled={!userData.timetable}
+              >
+                ⚡ Optimize
+              </button>
+              <button
+                className="btn btn-secondary btn-sm"
+                onClick={handleCompareAlternatives}
+              >
+                🔀 Compare
+              </button>
             </div>
           </div>
         </div>
       </div>
 
+      {/* Alternative Timetables */}
+      {comparison && renderComparison()}
+
       {/* Conflicts and Suggestions */}
       {(conflicts.length > 0 || suggestions.length > 0) && (
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
@@ -149,8 +359,23 @@ const TimetableView = ({ userData, onDataUpdate, showNotification, apiBase }) =>
                 <div className="space-y-2">
                   {conflicts.slice(0, 3).map((conflict, index) => (
                     <div key={index} className="p-3 bg-red-50 rounded-lg">
-                      <div className="font-medium text-sm">{conflict.session.course_name}</div>
+                      <div className="font-medium text-sm">
+                        {conflict.severity === 'hard' && '📌 '}{conflict.session.course_name}
+                      </div>
                       <div className="text-xs text-red-600">{conflict.reason}</div>
+                      {conflict.fixes?.length > 0 && (
+                        <div className="flex flex-wrap gap-2 mt-2">
+                          {conflict.fixes.slice(0, 3).map((fix, fixIndex) => (
+                            <button
+                              key={fixIndex}
+                              className="btn btn-secondary btn-sm"
+                              onClick={() => handleApplyFix(fix)}
+                            >
+                              {fix.type === 'relax_constraint' ? '🔓' : '➡️'} {fix.label}
+                            </button>
+                          ))}
+                        </div>
+                      )}
                     </div>
                   ))}
                   {conflicts.length > 3 && (
@@ -183,6 +408,78 @@ const TimetableView = ({ userData, onDataUpdate, showNotification, apiBase }) =>
         </div>
       )}
 
+      {/* Last Optimization */}
+      {optimizationMoves.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h4 className="card-title">⚡ Optimizer Moves ({optimizationMoves.length})</h4>
+            <p className="card-subtitle">
+              Score {userData.timetable.optimization.initialScore} → {userData.timetable.optimization.finalScore} • seed {userData.timetable.optimization.seed}
+            </p>
+          </div>
+          <div className="card-content">
+            <div className="space-y-2">
+              {optimizationMoves.map(move => (
+                <div key={move.sessionId} className="p-3 bg-gray-50 rounded-lg text-sm">
+                  <span className="font-medium">{move.courseName}</span> ({move.type}):{' '}
+                  {move.from.dayName} {move.from.startTime} → {move.to.dayName} {move.to.startTime}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Sessions moved by the last edit */}
+      {(repairMoves.length > 0 || userData.timetable?.preview) && (
+        <div className="card">
+          <div className="card-header">
+            <h4 className="card-title">🩹 Moved After Your Last Change ({repairMoves.length})</h4>
+            <p className="card-subtitle">
+              {userData.timetable.repair.kept} sessions stayed where they were
+              {userData.timetable.preview && ' • not saved yet'}
+            </p>
+            {userData.timetable.preview && (
+              <button className="btn btn-primary btn-sm" onClick={handleApplyRepair}>
+                ✅ Keep these moves
+              </button>
+            )}
+          </div>
+          <div className="card-content">
+            <div className="space-y-2">
+              {repairMoves.map(move => (
+                <div key={move.sessionId} className="p-3 bg-gray-50 rounded-lg text-sm">
+                  <span className="font-medium">{move.courseName}</span> ({move.type}):{' '}
+                  {move.from.dayName} {move.from.startTime} → {move.to ? `${move.to.dayName} ${move.to.startTime}` : 'not placed'}
+                  <span className="text-gray-600"> • {repairReasons[move.reason]}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Score Breakdown */}
+      {scoreBreakdown.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h4 className="card-title">🎯 Score Breakdown</h4>
+          </div>
+          <div className="card-content">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              {scoreBreakdown.map(([key, objective]) => (
+                <div key={key} className="p-3 bg-gray-50 rounded-lg">
+                  <div className="text-xs text-gray-600">{objective.label}</div>
+                  <div className={`font-medium ${objective.contribution < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                    {objective.contribution > 0 ? '+' : ''}{objective.contribution}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Timetable Grid */}
       <div className="card">
         <div className="card-content">
@@ -227,6 +524,20 @@ const TimetableView = ({ userData, onDataUpdate, showNotification, apiBase }) =>
                 <div>
                   <span className="font-medium">Time:</span> {selectedSession.start_time} - {selectedSession.end_time}
                 </div>
+                {selectedSession.isStudyBlock ? (
+                  <div>
+                    <span className="font-medium">Scheduling:</span> Self-study block, placed in your free time
+                  </div>
+                ) : (
+                <div>
+                  <span className="font-medium">Scheduling:</span>{' '}
+                  {selectedSession.flexibility === 'same_day' ? 'Can move within its day'
+                    : selectedSession.flexibility === 'any_day' ? 'Can move to any weekday'
+                      : 'Pinned to its time'}
+                  {(selectedSession.isAlternative || selectedSession.isDifferentDay) &&
+                    ` (moved from ${dayNames[selectedSession.day_of_week]} ${selectedSession.requested_start_time})`}
+                </div>
+                )}
                 {selectedSession.location && (
                   <div>
                     <span className="font-medium">Location:</span> {selectedSession.location}
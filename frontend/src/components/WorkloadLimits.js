@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+
+const DEFAULT_LIMITS = {
+  maxHoursPerDay: { mode: 'off', hours: 6 },
+  maxContinuousHours: { mode: 'off', hours: 3, breakMinutes: 15 },
+  lunch: { mode: 'off', from: '12:00', to: '14:00', minutes: 30 },
+  minFreeDays: { mode: 'off', days: 1 }
+};
+
+const WorkloadLimits = ({ onDataUpdate, showNotification, apiBase }) => {
+  const [limits, setLimits] = useState(DEFAULT_LIMITS);
+  const [saving, setSaving] = useState(false);
+
+  const limitLabels = {
+    maxHoursPerDay: 'Max teaching hours per day',
+    maxContinuousHours: 'Max continuous block',
+    lunch: 'Lunch break',
+    minFreeDays: 'Free days per week'
+  };
+
+  useEffect(() => {
+    loadLimits();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const loadLimits = async () => {
+    try {
+      const response = await fetch(`${apiBase}/preferences/1`);
+      const result = await response.json();
+      if (result.success) {
+        const saved = result.data.workload || {};
+        setLimits(Object.keys(DEFAULT_LIMITS).reduce((all, key) => ({
+          ...all,
+          [key]: { ...DEFAULT_LIMITS[key], ...saved[key] }
+        }), {}));
+      }
+    } catch (error) {
+      console.error('Load workload limits error:', error);
+    }
+  };
+
+  const updateLimit = (key, changes) => {
+    setLimits(prev => ({ ...prev, [key]: { ...prev[key], ...changes } }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await fetch(`${apiBase}/preferences/1`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ workload: limits })
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        await onDataUpdate('timetable');
+        showNotification('Workload limits saved!', 'success');
+      } else {
+        showNotification(result.message || 'Failed to save workload limits', 'error');
+      }
+    } catch (error) {
+      showNotification('Error saving workload limits', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderParams = (key, limit) => {
+    const numberInput = (field, props) => (
+      <input
+        type="number"
+        className="form-input"
+        style={{ width: '5rem' }}
+        value={limit[field]}
+        onChange={(e) => updateLimit(key, { [field]: parseFloat(e.target.value) || 0 })}
+        {...props}
+      />
+    );
+
+    switch (key) {
+      case 'maxHoursPerDay':
+        return <>{numberInput('hours', { min: 0.5, max: 24, step: 0.5 })}<span>hours of classes a day</span></>;
+      case 'maxContinuousHours':
+        return (
+          <>
+            {numberInput('hours', { min: 0.5, max: 24, step: 0.5 })}
+            <span>hours, then a break of</span>
+            {numberInput('breakMinutes', { min: 1, max: 120 })}
+            <span>minutes</span>
+          </>
+        );
+      case 'lunch':
+        return (
+          <>
+            {numberInput('minutes', { min: 5, max: 240, step: 5 })}
+            <span>minutes free between</span>
+            <input
+              type="time"
+              className="form-input"
+              value={limit.from}
+              onChange={(e) => updateLimit(key, { from: e.target.value })}
+            />
+            <span>and</span>
+            <input
+              type="time"
+              className="form-input"
+              value={limit.to}
+              onChange={(e) => updateLimit(key, { to: e.target.value })}
+            />
+          </>
+        );
+      default:
+        return <>{numberInput('days', { min: 1, max: 6 })}<span>weekdays without classes</span></>;
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h4 className="card-title">🔋 Workload Limits</h4>
+        <p className="card-subtitle">Hard limits are never broken; soft limits are avoided when possible and reported otherwise</p>
+      </div>
+      <div className="card-content">
+        <div className="space-y-3">
+          {Object.entries(limits).map(([key, limit]) => (
+            <div key={key} className="p-3 bg-gray-50 rounded-lg">
+              <div className="flex items-center justify-between">
+                <span className="font-medium text-sm">{limitLabels[key]}</span>
+                <select
+                  className="form-select"
+                  value={limit.mode}
+                  onChange={(e) => updateLimit(key, { mode: e.target.value })}
+                >
+                  <option value="off">Off</option>
+                  <option value="soft">Soft</option>
+                  <option value="hard">Hard</option>
+                </select>
+              </div>
+
+              {limit.mode !== 'off' && (
+                <div className="flex items-center gap-2 mt-2 text-sm">
+                  {renderParams(key, limit)}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+      <div className="card-footer">
+        <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save Workload Limits'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default WorkloadLimits;
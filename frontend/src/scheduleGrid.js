@@ -0,0 +1,19 @@
+// Mirrors the backend defaults for users.preferences.schedule
+export const DEFAULT_SCHEDULE_SETTINGS = {
+  dayStart: '08:00',
+  dayEnd: '21:00',
+  slotMinutes: 30,
+  days: [1, 2, 3, 4, 5]
+};
+
+export const toMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+// Whole hours covering the working day, e.g. 08:00-21:00 -> [8, 9, ..., 20]
+export const getHourRows = (settings = DEFAULT_SCHEDULE_SETTINGS) => {
+  const first = Math.floor(toMinutes(settings.dayStart) / 60);
+  const last = Math.ceil(toMinutes(settings.dayEnd) / 60);
+  return Array.from({ length: Math.max(last - first, 1) }, (_, i) => first + i);
+};
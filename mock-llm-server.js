@@ -0,0 +1,131 @@
+// Mock of an OpenAI-compatible chat completions endpoint, standing in for a
+// local model in tests. Known messages get a canned tool call; a few
+// messages trigger the failures the adapter has to survive.
+// Usage: node mock-llm-server.js [port]   (then LLM_ENDPOINT=http://localhost:<port>/v1)
+const http = require('http');
+
+const DEFAULT_PORT = 11435;
+
+// User message -> tool call the "model" answers with
+const TOOL_CALLS = {
+  'I am taking Organic Chemistry': { name: 'add_course', arguments: { course_name: 'Organic Chemistry', priority: 1 } },
+  'Put Organic Chemistry labs on Tuesdays and Thursdays from two to four': {
+    name: 'schedule_session',
+    arguments: { course_name: 'Organic Chemistry', session_type: 'lab', days: ['tuesday', 'Thu'], start_time: '14:00', end_time: '16:00' }
+  },
+  'Keep my Friday evenings free': {
+    name: 'add_constraint',
+    arguments: { days: ['Friday'], start_time: '17:00', end_time: '21:00' }
+  },
+  'Block my Wednesday afternoons from 3': {
+    name: 'add_constraint',
+    arguments: { days: ['Wednesday'], start_time: '15:00' }
+  },
+  'Take that back': { name: 'undo', arguments: '{}' },
+  'Organic Chemistry lab at 25:00 on Monday': {
+    name: 'schedule_session',
+    arguments: { course_name: 'Organic Chemistry', days: ['Monday'], start_time: '25:00', end_time: '26:00' }
+  },
+  'Book me a flight': { name: 'book_flight', arguments: { destination: 'Hanoi' } },
+  'Broken arguments please': { name: 'add_course', arguments: '{"course_name": ' }
+};
+
+// User message -> misbehaviour
+const FAILURES = {
+  'Answer in prose': 'text',
+  'Fail with a server error': 'error',
+  'Take your time': 'slow',
+  'Send garbage': 'garbage'
+};
+
+function completion(message) {
+  return {
+    id: 'chatcmpl-mock',
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: 'mock',
+    choices: [{ index: 0, message, finish_reason: message.tool_calls ? 'tool_calls' : 'stop' }]
+  };
+}
+
+function toolCallMessage({ name, arguments: args }) {
+  return {
+    role: 'assistant',
+    content: null,
+    tool_calls: [{
+      id: 'call_mock',
+      type: 'function',
+      function: { name, arguments: typeof args === 'string' ? args : JSON.stringify(args) }
+    }]
+  };
+}
+
+// Resolves to the listening server; `server.requests` keeps every request
+// body received, for tests to inspect
+function startMockLlmServer(port = DEFAULT_PORT, options = {}) {
+  const slowMs = options.slowMs || 2000;
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'Not found' } }));
+        return;
+      }
+
+      let request;
+      try {
+        request = JSON.parse(body);
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'Invalid JSON' } }));
+        return;
+      }
+      requests.push(request);
+
+      const userMessage = [...(request.messages || [])].reverse().find(message => message.role === 'user');
+      const text = userMessage ? String(userMessage.content).trim() : '';
+      const reply = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(typeof payload === 'string' ? payload : JSON.stringify(payload));
+      };
+
+      switch (FAILURES[text]) {
+        case 'error':
+          return reply(500, { error: { message: 'Model crashed' } });
+        case 'garbage':
+          return reply(200, '<html>not json</html>');
+        case 'slow':
+          return setTimeout(() => reply(200, completion({ role: 'assistant', content: 'Sorry, I was thinking.' })), slowMs);
+        case 'text':
+          return reply(200, completion({ role: 'assistant', content: 'Here is a poem about timetables.' }));
+        default:
+          break;
+      }
+
+      const toolCall = TOOL_CALLS[text];
+      reply(200, completion(toolCall ? toolCallMessage(toolCall) : { role: 'assistant', content: 'I am not sure what you mean.' }));
+    });
+  });
+
+  server.requests = requests;
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => resolve(server));
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2]) || DEFAULT_PORT;
+  startMockLlmServer(port).then(() => {
+    console.log(`🤖 Mock LLM endpoint listening on http://localhost:${port}/v1`);
+  }).catch(error => {
+    console.error('❌ Could not start the mock LLM server:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { startMockLlmServer, TOOL_CALLS, FAILURES };
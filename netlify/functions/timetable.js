@@ -66,9 +66,14 @@ exports.handler = async (event, context) => {
     return await handleEnhance(event.body);
   }
 
+  // Route for previewing natural text without saving it
+  if (method === 'POST' && afterTimetable === 'parse') {
+    return await handleParse(event.body);
+  }
+
   // Support PUT/DELETE with path param like /timetable/:id
   if (!id && (method === 'PUT' || method === 'DELETE')) {
-    if (afterTimetable && afterTimetable !== 'enhance') {
+    if (afterTimetable && !['enhance', 'parse'].includes(afterTimetable)) {
       id = afterTimetable;
     }
   }
@@ -336,4 +341,30 @@ const handleEnhance = async (body) => {
     console.error('ENHANCE error:', err);
     return error(500, 'Timetable processing failed', 'PROCESSING_ERROR');
   }
-};
\ No newline at end of file
+};
+
+// Handle natural text parsing, so the form previews exactly what a
+// natural-text POST would save
+const handleParse = async (body) => {
+  try {
+    if (!body) {
+      return error(400, 'Request body is required', 'MISSING_BODY');
+    }
+
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (e) {
+      return error(400, 'Invalid JSON body', 'INVALID_JSON');
+    }
+
+    if (typeof data.text !== 'string') {
+      return error(400, 'text is required', 'INVALID_FORMAT');
+    }
+
+    return success({ entries: db.parseNaturalTextServer(data.text) }, 'Text parsed');
+  } catch (err) {
+    console.error('PARSE error:', err);
+    return error(500, 'Text parsing failed', 'PROCESSING_ERROR');
+  }
+};
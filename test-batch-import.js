@@ -0,0 +1,129 @@
+// Tests for importing pasted syllabi in one transaction while other
+// requests use the same database connection
+// Usage: node test-batch-import.js
+const assert = require('assert');
+const Database = require('./backend/models/Database');
+const ChatBot = require('./backend/services/ChatBot');
+
+let failures = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}\n   ${error.message}`);
+  }
+}
+
+// A previewed syllabus of one new course with `count` sessions
+function plan(name, count, type = 'lecture') {
+  return {
+    courses: [{ name, code: '' }],
+    sessions: Array.from({ length: count }, (_, index) => ({
+      course: 0,
+      type,
+      day_of_week: 1 + (index % 5),
+      start_time: `${String(8 + index).padStart(2, '0')}:00`,
+      end_time: `${String(9 + index).padStart(2, '0')}:00`,
+      location: ''
+    }))
+  };
+}
+
+async function testBatchImport() {
+  console.log('🧪 Testing syllabus imports\n');
+
+  const db = new Database();
+  try {
+    await db.initialize();
+    const chatBot = new ChatBot(db, null, { llm: null });
+    const newUser = label => db.createUser({ name: label, email: `${label}-${Date.now()}@example.com` });
+    const sessionCount = async userId => (await db.getSessionsByUser(userId)).length;
+
+    console.log('1. Imports at the same time...');
+    await check('two imports both land in full', async () => {
+      const [first, second] = [await newUser('import-a'), await newUser('import-b')];
+      const replies = await Promise.all([
+        chatBot.applyBatch(plan('Biology', 4), first),
+        chatBot.applyBatch(plan('History', 3), second)
+      ]);
+      replies.forEach(reply => assert.ok(reply.actions.includes('batch_imported'), reply.text));
+      assert.deepStrictEqual([await sessionCount(first), await sessionCount(second)], [4, 3]);
+    });
+
+    await check('two imports of the same course add it once', async () => {
+      const userId = await newUser('import-same');
+      const replies = await Promise.all([
+        chatBot.applyBatch(plan('Botany', 4), userId),
+        chatBot.applyBatch(plan('botany', 3, 'lab'), userId)
+      ]);
+      replies.forEach(reply => assert.ok(reply.actions.includes('batch_imported'), reply.text));
+      const courses = await db.getCoursesByUser(userId);
+      assert.deepStrictEqual(courses.map(course => course.name), ['Botany']);
+      assert.strictEqual(await sessionCount(userId), 7);
+    });
+
+    await check('a failing import rolls back only its own rows', async () => {
+      const [good, bad] = [await newUser('import-good'), await newUser('import-bad')];
+      const broken = plan('Alchemy', 3);
+      broken.sessions[2].type = 'party';
+
+      const [kept, failed] = await Promise.all([
+        chatBot.applyBatch(plan('Geology', 4), good),
+        chatBot.applyBatch(broken, bad)
+      ]);
+      assert.ok(kept.actions.includes('batch_imported'), kept.text);
+      assert.deepStrictEqual(failed.actions, ['error']);
+      assert.deepStrictEqual([await sessionCount(good), await sessionCount(bad)], [4, 0]);
+      assert.deepStrictEqual(await db.getCoursesByUser(bad), []);
+    });
+
+    await check('other writes wait for an open import', async () => {
+      const [importing, other] = [await newUser('import-open'), await newUser('import-other')];
+      const broken = plan('Astrology', 2);
+      broken.sessions[1].type = 'party';
+
+      // Write for another user once the import is inside its transaction
+      const createSession = db.createSession;
+      let markOpen;
+      const open = new Promise(resolve => { markOpen = resolve; });
+      db.createSession = data => {
+        markOpen();
+        return createSession.call(db, data);
+      };
+      const write = (async () => {
+        await open;
+        return db.createCourse({ userId: other, name: 'Music', code: '', priority: 1, credits: 3, color: '#3B82F6', description: '' });
+      })();
+
+      try {
+        const [failed, courseId] = await Promise.all([chatBot.applyBatch(broken, importing), write]);
+        assert.deepStrictEqual(failed.actions, ['error']);
+        assert.ok(await db.getCourseById(courseId), 'the course written alongside was rolled back');
+      } finally {
+        db.createSession = createSession;
+      }
+    });
+
+    console.log('\n2. Undo...');
+    await check('one undo takes a whole import back', async () => {
+      const userId = await newUser('import-undo');
+      await chatBot.applyBatch(plan('Zoology', 3), userId);
+      const undone = await chatBot.processMessage('Undo', userId);
+      assert.ok(undone.actions.includes('operation_undone'), undone.text);
+      assert.strictEqual(await sessionCount(userId), 0);
+    });
+  } finally {
+    await db.close();
+  }
+
+  console.log(`\n${failures === 0 ? '✅ All syllabus import tests passed' : `❌ ${failures} syllabus import tests failed`}`);
+  if (failures > 0) process.exit(1);
+}
+
+testBatchImport().catch(error => {
+  console.error('❌ Test run failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,177 @@
+// Tests for multi-turn chat: pending intents resumed by the next message,
+// confirmed suggestions, context that expires or outlives a restart,
+// editing sessions from the chat and applying a what-if
+// Usage: node test-chat-dialogue.js
+const assert = require('assert');
+const Database = require('./backend/models/Database');
+const ChatBot = require('./backend/services/ChatBot');
+
+let failures = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}\n   ${error.message}`);
+  }
+}
+
+// Stands in for CacheManager and keeps every key invalidated, in order
+function recordingCache() {
+  const entries = new Map();
+  return {
+    invalidated: [],
+    async get(key) {
+      return entries.has(key) ? entries.get(key) : null;
+    },
+    async set(key, value) {
+      entries.set(key, value);
+    },
+    async invalidate(key) {
+      this.invalidated.push(key);
+      entries.delete(key);
+    }
+  };
+}
+
+async function testChatDialogue() {
+  console.log('🧪 Testing chat dialogue\n');
+
+  const db = new Database();
+  try {
+    await db.initialize();
+    const newUser = async label => {
+      const userId = await db.createUser({ name: label, email: `${label}-${Date.now()}@example.com` });
+      await db.createCourse({ userId, name: 'Physics', code: 'PHY101', priority: 1, credits: 3, color: '#3B82F6', description: '' });
+      return userId;
+    };
+    const sessionsOf = async userId => (await db.getSessionsByUser(userId)).map(session => `${session.day_of_week} ${session.start_time}-${session.end_time}`);
+
+    console.log('1. Filling in missing details...');
+    await check('answers fill a pending request one turn at a time', async () => {
+      const userId = await newUser('dialogue-fill');
+      const chatBot = new ChatBot(db, null, { llm: null });
+
+      const course = await chatBot.processMessage('Schedule a session', userId);
+      assert.deepStrictEqual(course.actions, ['request_course_selection']);
+      const when = await chatBot.processMessage('Physics', userId);
+      assert.deepStrictEqual([when.intent, when.actions], ['schedule_session', ['request_schedule_details']]);
+      const done = await chatBot.processMessage('Tuesday 10am to 12pm', userId);
+      assert.ok(done.actions.includes('session_created'), done.text);
+      assert.deepStrictEqual(await sessionsOf(userId), ['2 10:00-12:00']);
+    });
+
+    await check('"yes" takes up the suggestion to regenerate', async () => {
+      const userId = await newUser('dialogue-yes');
+      const chatBot = new ChatBot(db, null, { llm: null });
+
+      const created = await chatBot.processMessage('Schedule Physics lecture on Monday 9am to 11am', userId);
+      assert.ok(created.actions.includes('suggest_regenerate_timetable'), created.text);
+      const generated = await chatBot.processMessage('yes', userId);
+      assert.deepStrictEqual([generated.intent, generated.actions], ['generate_timetable', ['timetable_generated']]);
+    });
+
+    await check('a pending request outlives a restart', async () => {
+      const userId = await newUser('dialogue-restart');
+      await new ChatBot(db, null, { llm: null }).processMessage('Schedule a session', userId);
+
+      const restarted = new ChatBot(db, null, { llm: null });
+      const when = await restarted.processMessage('Physics', userId);
+      assert.deepStrictEqual(when.actions, ['request_schedule_details']);
+    });
+
+    await check('an expired request is not resumed', async () => {
+      const userId = await newUser('dialogue-expired');
+      const chatBot = new ChatBot(db, null, { llm: null });
+      await chatBot.processMessage('Schedule a session', userId);
+
+      chatBot.contextTtlMs = 0;
+      const answer = await chatBot.processMessage('Physics', userId);
+      assert.notStrictEqual(answer.intent, 'schedule_session');
+      assert.deepStrictEqual(await sessionsOf(userId), []);
+    });
+
+    console.log('\n2. Editing sessions...');
+    const userId = await newUser('dialogue-edit');
+    const [course] = await db.getCoursesByUser(userId);
+    const add = (type, dayOfWeek, startTime, endTime, location) => db.createSession({ courseId: course.id, type, dayOfWeek, startTime, endTime, location });
+    const labId = await add('lab', 4, '14:00', '16:00', 'Lab B2');
+    await add('lecture', 1, '09:00', '11:00', 'Room A101');
+    const lectureId = await add('lecture', 3, '09:00', '11:00', 'Room A101');
+    const cache = recordingCache();
+    const chatBot = new ChatBot(db, cache, { llm: null });
+    const row = async id => {
+      const session = await db.getSessionById(id);
+      return session && [session.day_of_week, session.start_time, session.end_time, session.location];
+    };
+
+    await check('a move changes the session and clears the cached timetable', async () => {
+      await cache.set(`timetable_${userId}`, { schedule: {} }, 3600);
+      const reply = await chatBot.processMessage('Move my Physics lab to Thursday 3pm', userId);
+      assert.ok(reply.actions.includes('session_updated'), reply.text);
+      assert.deepStrictEqual(await row(labId), [4, '15:00', '17:00', 'Lab B2']);
+      assert.strictEqual(await cache.get(`timetable_${userId}`), null);
+    });
+
+    await check('the duration and the room change on their own', async () => {
+      const longer = await chatBot.processMessage('Extend my Physics lab by an hour', userId);
+      assert.ok(longer.actions.includes('session_updated'), longer.text);
+      const moved = await chatBot.processMessage('Move my Physics lab to room C3', userId);
+      assert.ok(moved.actions.includes('session_updated'), moved.text);
+      assert.deepStrictEqual(await row(labId), [4, '15:00', '18:00', 'room C3']);
+    });
+
+    await check('a course with several matching sessions asks which one', async () => {
+      const question = await chatBot.processMessage('Move my Physics lecture to Friday 2pm', userId);
+      assert.deepStrictEqual(question.actions, ['request_session_selection']);
+      const moved = await chatBot.processMessage('the Wednesday one', userId);
+      assert.ok(moved.actions.includes('session_updated'), moved.text);
+      assert.deepStrictEqual(await row(lectureId), [5, '14:00', '16:00', 'Room A101']);
+    });
+
+    await check('a delete waits for "yes"', async () => {
+      const prompt = await chatBot.processMessage('Delete my Physics lab', userId);
+      assert.deepStrictEqual(prompt.actions, ['confirm_delete_session']);
+      assert.ok(await row(labId));
+      const deleted = await chatBot.processMessage('yes', userId);
+      assert.ok(deleted.actions.includes('session_deleted'), deleted.text);
+      assert.strictEqual(await row(labId), undefined);
+    });
+
+    console.log('\n3. What-ifs...');
+    await check('"yes" to a what-if drops the course, clearing each cache once, and undo brings it back', async () => {
+      const whatIfUser = await newUser('dialogue-what-if');
+      const [physics] = await db.getCoursesByUser(whatIfUser);
+      await db.createSession({ courseId: physics.id, type: 'lecture', dayOfWeek: 1, startTime: '09:00', endTime: '11:00', location: '' });
+      const chemistryId = await db.createCourse({ userId: whatIfUser, name: 'Chemistry', code: 'CHE101', priority: 1, credits: 3, color: '#EF4444', description: '' });
+      await db.createSession({ courseId: chemistryId, type: 'lab', dayOfWeek: 2, startTime: '14:00', endTime: '16:00', location: '' });
+      const whatIfCache = recordingCache();
+      const whatIfBot = new ChatBot(db, whatIfCache, { llm: null });
+
+      const preview = await whatIfBot.processMessage('What if I drop Chemistry', whatIfUser);
+      assert.strictEqual(preview.intent, 'what_if', preview.text);
+      assert.ok(await db.getCourseById(chemistryId), 'the preview changed nothing');
+
+      const dropped = await whatIfBot.processMessage('yes', whatIfUser);
+      assert.ok(dropped.actions.includes('course_deleted'), dropped.text);
+      assert.strictEqual(await db.getCourseById(chemistryId), undefined);
+      assert.deepStrictEqual(whatIfCache.invalidated, [`courses_${whatIfUser}`, `timetable_${whatIfUser}`]);
+
+      const undone = await whatIfBot.processMessage('Undo', whatIfUser);
+      assert.ok(undone.actions.includes('operation_undone'), undone.text);
+      assert.deepStrictEqual(await sessionsOf(whatIfUser), ['1 09:00-11:00', '2 14:00-16:00']);
+    });
+  } finally {
+    await db.close();
+  }
+
+  console.log(`\n${failures === 0 ? '✅ All chat dialogue tests passed' : `❌ ${failures} chat dialogue tests failed`}`);
+  if (failures > 0) process.exit(1);
+}
+
+testChatDialogue().catch(error => {
+  console.error('❌ Test run failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,176 @@
+// Tests for the typed chat replies - cards, quick replies and confirm
+// prompts - and for answering them with a structured action
+// Usage: node test-chat-replies.js
+const assert = require('assert');
+const Database = require('./backend/models/Database');
+const ChatBot = require('./backend/services/ChatBot');
+const ChatReplies = require('./backend/services/ChatReplies');
+
+let failures = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}\n   ${error.message}`);
+  }
+}
+
+async function testChatReplies() {
+  console.log('🧪 Testing chat replies\n');
+
+  console.log('1. Building replies...');
+  const replies = new ChatReplies({ add_course: { label: 'add a course' }, schedule_session: { label: 'schedule a new session' } });
+
+  await check('every reply gets blocks, quick replies and confirm', () => {
+    const reply = replies.build({ text: 'Hi', intent: 'help', entities: {}, actions: [] });
+    assert.deepStrictEqual([reply.blocks, reply.quickReplies, reply.confirm], [[], [], null]);
+  });
+
+  await check('a deletion is a confirm prompt with the session card', () => {
+    const session = { id: 7, course_name: 'Physics', type: 'lab', day_of_week: 3, start_time: '14:00', end_time: '16:00', location: 'Lab B2' };
+    const reply = replies.build({ text: 'Delete?', intent: 'modify_session', entities: {}, actions: ['confirm_delete_session'], data: { session } });
+    assert.deepStrictEqual(reply.confirm.confirm.action, { type: 'accept', offer: 'confirm_delete_session' });
+    assert.deepStrictEqual(reply.confirm.cancel.action, { type: 'decline' });
+    assert.strictEqual(reply.blocks[0].type, 'session');
+    assert.strictEqual(reply.blocks[0].session.day, 'Wednesday');
+  });
+
+  await check('a suggestion is a pair of quick replies', () => {
+    const reply = replies.build({ text: 'Done', intent: 'add_constraint', entities: {}, actions: ['constraint_added', 'suggest_regenerate_timetable'] });
+    assert.strictEqual(reply.confirm, null);
+    assert.deepStrictEqual(reply.quickReplies.map(button => button.action.type), ['accept', 'decline']);
+  });
+
+  await check('a clarifying question offers its candidates', () => {
+    const reply = replies.build({
+      text: 'Which?',
+      intent: 'clarify_intent',
+      entities: { candidates: ['schedule_session', 'add_course'] },
+      actions: ['request_intent_clarification']
+    });
+    assert.deepStrictEqual(reply.quickReplies.map(button => [button.label, button.action.choice]), [
+      ['Schedule a new session', 1],
+      ['Add a course', 2]
+    ]);
+  });
+
+  await check('conflicts of a generated timetable are cards', () => {
+    const reply = replies.build({
+      text: 'Generated',
+      intent: 'generate_timetable',
+      entities: {},
+      actions: ['timetable_generated'],
+      data: { conflicts: [{ session: { id: 3, course_name: 'Math', type: 'tutorial' }, reason: 'No available time slots found' }] }
+    });
+    assert.deepStrictEqual(reply.blocks, [{
+      type: 'conflict',
+      session: { id: 3, course_name: 'Math', type: 'tutorial', day: null, day_of_week: null, start_time: null, end_time: null, location: '' },
+      reason: 'No available time slots found'
+    }]);
+  });
+
+  console.log('\n2. Checking posted actions...');
+  for (const action of [
+    { type: 'accept' },
+    { type: 'accept', offer: 'confirm_delete_session' },
+    { type: 'decline' },
+    { type: 'choose', choice: 2 },
+    { type: 'intent', intent: 'show_schedule', entities: { days: ['Monday'] } },
+    { type: 'intent', intent: 'undo', entities: { count: 2 } }
+  ]) {
+    await check(`accepts ${JSON.stringify(action)}`, () => assert.strictEqual(ChatReplies.checkAction(action), null));
+  }
+  for (const action of [
+    null,
+    'yes',
+    { type: 'shout' },
+    { type: 'accept', offer: 'drop_everything' },
+    { type: 'choose', choice: 0 },
+    { type: 'intent', intent: 'modify_session', entities: { change: 'delete' } },
+    { type: 'intent', intent: 'show_schedule', entities: { days: ['Funday'] } },
+    { type: 'intent', intent: 'undo', entities: { count: 500 } }
+  ]) {
+    await check(`rejects ${JSON.stringify(action)}`, () => assert.ok(ChatReplies.checkAction(action)));
+  }
+
+  console.log('\n3. Answering with buttons...');
+  const db = new Database();
+  try {
+    await db.initialize();
+    const userId = await db.createUser({ name: 'Reply Tester', email: `replies-${Date.now()}@example.com` });
+    const courseId = await db.createCourse({ userId, name: 'Physics', code: 'PHY101', priority: 1, credits: 3, color: '#3B82F6', description: '' });
+    await db.createSession({ courseId, type: 'lecture', dayOfWeek: 1, startTime: '09:00', endTime: '11:00', location: 'Room A101' });
+    await db.createSession({ courseId, type: 'lecture', dayOfWeek: 3, startTime: '09:00', endTime: '11:00', location: 'Room A101' });
+    await db.createSession({ courseId, type: 'lab', dayOfWeek: 4, startTime: '14:00', endTime: '16:00', location: 'Lab B2' });
+    const chatBot = new ChatBot(db, null, { llm: null });
+    const labs = async () => (await db.getSessionsByUser(userId)).filter(session => session.type === 'lab').length;
+
+    await check('the schedule is one card per day', async () => {
+      const reply = await chatBot.processMessage('Show my schedule', userId);
+      assert.deepStrictEqual(reply.blocks.map(block => [block.type, block.day]), [
+        ['day_schedule', 'Monday'], ['day_schedule', 'Wednesday'], ['day_schedule', 'Thursday']
+      ]);
+    });
+
+    await check('a session choice is made with a button', async () => {
+      const question = await chatBot.processMessage('Move my Physics lecture to Friday 2pm', userId);
+      assert.strictEqual(question.quickReplies.length, 2);
+      assert.ok(question.quickReplies[1].label.includes('Wednesday 09:00-11:00'), question.quickReplies[1].label);
+
+      const moved = await chatBot.processAction(question.quickReplies[1].action, userId, question.quickReplies[1].label);
+      assert.ok(moved.actions.includes('session_updated'), moved.text);
+      assert.deepStrictEqual([moved.blocks[0].session.day, moved.blocks[0].session.start_time], ['Friday', '14:00']);
+    });
+
+    await check('a confirm button only answers its own prompt', async () => {
+      const prompt = await chatBot.processMessage('Delete my Physics lab', userId);
+      assert.ok(prompt.confirm, prompt.text);
+
+      const stale = await chatBot.processAction({ type: 'accept', offer: 'confirm_batch_import' }, userId);
+      assert.strictEqual(stale.intent, 'expired_action');
+      assert.strictEqual(await labs(), 1);
+    });
+
+    await check('confirming deletes the session, once', async () => {
+      await chatBot.processMessage('Delete my Physics lab', userId);
+      const deleted = await chatBot.processAction({ type: 'accept', offer: 'confirm_delete_session' }, userId, 'Delete it');
+      assert.ok(deleted.actions.includes('session_deleted'), deleted.text);
+      assert.strictEqual(await labs(), 0);
+
+      const again = await chatBot.processAction({ type: 'accept', offer: 'confirm_delete_session' }, userId, 'Delete it');
+      assert.strictEqual(again.intent, 'expired_action');
+    });
+
+    await check('a quick reply runs its intent', async () => {
+      const undone = await chatBot.processAction({ type: 'intent', intent: 'undo', entities: {} }, userId, 'Undo');
+      assert.ok(undone.actions.includes('operation_undone'), undone.text);
+      assert.strictEqual(await labs(), 1);
+      assert.deepStrictEqual(undone.quickReplies.map(button => button.action.intent), ['redo']);
+
+      const history = await db.getChatHistory(userId, 1);
+      assert.strictEqual(history[0].message, 'Undo');
+    });
+
+    await check('declining drops the offer', async () => {
+      await chatBot.processMessage('Delete my Physics lab', userId);
+      const kept = await chatBot.processAction({ type: 'decline' }, userId, 'Keep it');
+      assert.strictEqual(kept.intent, 'cancel');
+      const after = await chatBot.processAction({ type: 'accept' }, userId);
+      assert.strictEqual(after.intent, 'expired_action');
+      assert.strictEqual(await labs(), 1);
+    });
+  } finally {
+    await db.close();
+  }
+
+  console.log(`\n${failures === 0 ? '✅ All chat reply tests passed' : `❌ ${failures} chat reply tests failed`}`);
+  if (failures > 0) process.exit(1);
+}
+
+testChatReplies().catch(error => {
+  console.error('❌ Test run failed:', error.message);
+  process.exit(1);
+});
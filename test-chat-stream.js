@@ -0,0 +1,108 @@
+// Tests for the progress steps and cancellation behind the streaming chat
+// route (GET /api/chat/stream)
+// Usage: node test-chat-stream.js
+const assert = require('assert');
+const Database = require('./backend/models/Database');
+const ChatBot = require('./backend/services/ChatBot');
+
+let failures = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}\n   ${error.message}`);
+  }
+}
+
+// Options as the route passes them, recording each progress step and
+// cancelling at the step named `cancelAt`
+function streamOptions(cancelAt = null) {
+  const cancel = new AbortController();
+  const steps = [];
+  return {
+    steps,
+    onProgress: progress => {
+      steps.push(progress);
+      if (progress.stage === cancelAt) cancel.abort();
+    },
+    signal: cancel.signal
+  };
+}
+
+async function testChatStream() {
+  console.log('🧪 Testing streamed chat replies\n');
+
+  const db = new Database();
+  try {
+    await db.initialize();
+    const userId = await db.createUser({ name: 'Stream Tester', email: `stream-${Date.now()}@example.com` });
+    const courseId = await db.createCourse({ userId, name: 'Physics', code: 'PHY101', priority: 1, credits: 3, color: '#3B82F6', description: '' });
+    await db.createSession({ courseId, type: 'lecture', dayOfWeek: 1, startTime: '09:00', endTime: '11:00', location: 'Room A101' });
+    await db.createSession({ courseId, type: 'lab', dayOfWeek: 3, startTime: '14:00', endTime: '16:00', location: 'Lab B2' });
+    const chatBot = new ChatBot(db, null, { llm: null });
+
+    console.log('1. Progress...');
+    await check('generating reports loading, placing and the conflicts found', async () => {
+      const options = streamOptions();
+      const reply = await chatBot.processMessage('Generate my timetable', userId, options);
+      assert.ok(reply.actions.includes('timetable_generated'), reply.text);
+      assert.deepStrictEqual(options.steps.map(step => step.stage), ['loading', 'placing', 'placed']);
+      assert.strictEqual(options.steps[1].text, 'Placing 2 sessions…');
+      assert.strictEqual(options.steps[2].text, 'No conflicts found');
+    });
+
+    await check('a what-if reports both timetables it places', async () => {
+      const options = streamOptions();
+      const reply = await chatBot.processMessage('What if I drop Physics', userId, options);
+      assert.strictEqual(reply.intent, 'what_if');
+      assert.deepStrictEqual(options.steps.map(step => step.stage), ['loading', 'placing', 'placing']);
+    });
+
+    await check('replies without long work report nothing', async () => {
+      const options = streamOptions();
+      await chatBot.processMessage('Show my schedule', userId, options);
+      assert.deepStrictEqual(options.steps, []);
+    });
+
+    console.log('\n2. Cancelling...');
+    await check('cancelling while placing saves no timetable', async () => {
+      const saved = await db.getCurrentTimetable(userId);
+      await chatBot.processMessage('Schedule Physics lecture on Friday 9-10 AM', userId);
+
+      const options = streamOptions('placing');
+      const reply = await chatBot.processMessage('Generate my timetable', userId, options);
+      assert.strictEqual(reply.intent, 'generate_timetable');
+      assert.deepStrictEqual(reply.actions, ['generation_cancelled']);
+      assert.deepStrictEqual(options.steps.map(step => step.stage), ['loading', 'placing']);
+      assert.strictEqual((await db.getCurrentTimetable(userId)).id, saved.id);
+
+      const history = await db.getChatHistory(userId, 1);
+      assert.strictEqual(history[0].response, reply.text);
+    });
+
+    await check('a cancelled generation is not what undo takes back', async () => {
+      const undone = await chatBot.processMessage('Undo', userId);
+      assert.ok(undone.text.includes('schedule lecture for Physics'), undone.text);
+    });
+
+    await check('cancelling a what-if leaves no offer to apply it', async () => {
+      await chatBot.processMessage('What if I drop Physics', userId, streamOptions('loading'));
+      const after = await chatBot.processAction({ type: 'accept' }, userId);
+      assert.strictEqual(after.intent, 'expired_action');
+      assert.strictEqual((await db.getCoursesByUser(userId)).length, 1);
+    });
+  } finally {
+    await db.close();
+  }
+
+  console.log(`\n${failures === 0 ? '✅ All chat stream tests passed' : `❌ ${failures} chat stream tests failed`}`);
+  if (failures > 0) process.exit(1);
+}
+
+testChatStream().catch(error => {
+  console.error('❌ Test run failed:', error.message);
+  process.exit(1);
+});
@@ -61,7 +61,9 @@ async function testCore() {
     const generator = new TimetableGenerator(db);
     const timetable = await generator.generateTimetable(1);
     console.log(`✅ Timetable generated with score: ${timetable.score}/100`);
-    console.log(`   Sessions: ${timetable.stats.totalSessions}, Hours: ${timetable.stats.totalHours}\n`);
+    console.log(`   Sessions: ${timetable.stats.totalSessions}, Hours: ${timetable.stats.totalHours}`);
+    const solved = await generator.generateTimetable(1, { strategy: 'csp' });
+    console.log(`✅ CSP strategy placed ${solved.stats.totalSessions} sessions with ${solved.conflicts.length} conflicts\n`);
     
     // Test 6: Data retrieval
     console.log('6. Testing data retrieval...');
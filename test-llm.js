@@ -0,0 +1,182 @@
+// Tests for the local LLM adapter against the mock endpoint: tool calls
+// become the same intents and entities as the rule-based analysis, and
+// anything else falls back to the rules
+// Usage: node test-llm.js
+const assert = require('assert');
+const Database = require('./backend/models/Database');
+const ChatBot = require('./backend/services/ChatBot');
+const LlmAdapter = require('./backend/services/LlmAdapter');
+const { startMockLlmServer } = require('./mock-llm-server');
+
+const USER_ID = 1;
+let failures = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}\n   ${error.message}`);
+  }
+}
+
+function closeServer(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+async function testLlm() {
+  console.log('🧪 Testing the local LLM adapter\n');
+
+  const server = await startMockLlmServer(0, { slowMs: 1500 });
+  const endpoint = `http://127.0.0.1:${server.address().port}/v1`;
+  const adapter = () => new LlmAdapter({ endpoint, timeoutMs: 500, retryAfterMs: 0 });
+
+  // A port nothing listens on
+  const closed = await startMockLlmServer(0);
+  const closedPort = closed.address().port;
+  await closeServer(closed);
+
+  const db = new Database();
+
+  try {
+    console.log('1. Reading tool calls...');
+    await check('fromEnv is off without LLM_ENDPOINT', () => {
+      assert.strictEqual(LlmAdapter.fromEnv({}), null);
+      const configured = LlmAdapter.fromEnv({ LLM_ENDPOINT: 'http://localhost:11434/v1/', LLM_MODEL: 'qwen2.5', LLM_TIMEOUT_MS: '1200' });
+      assert.strictEqual(configured.endpoint, 'http://localhost:11434/v1');
+      assert.strictEqual(configured.model, 'qwen2.5');
+      assert.strictEqual(configured.timeoutMs, 1200);
+    });
+
+    await check('add_course tool call', async () => {
+      const reading = await adapter().analyze('I am taking Organic Chemistry');
+      assert.deepStrictEqual(reading.intent, 'add_course');
+      assert.deepStrictEqual(reading.entities, { course_name: 'Organic Chemistry', priority: 1 });
+    });
+
+    await check('schedule_session days are spelled out', async () => {
+      const reading = await adapter().analyze('Put Organic Chemistry labs on Tuesdays and Thursdays from two to four');
+      assert.strictEqual(reading.intent, 'schedule_session');
+      assert.deepStrictEqual(reading.entities.days, ['Tuesday', 'Thursday']);
+      assert.strictEqual(reading.entities.day, 'Tuesday');
+      assert.strictEqual(reading.entities.start_time, '14:00');
+      assert.strictEqual(reading.entities.end_time, '16:00');
+    });
+
+    await check('undo defaults to one change', async () => {
+      const reading = await adapter().analyze('Take that back');
+      assert.deepStrictEqual(reading, { intent: 'undo', entities: { count: 1 }, toolCall: { name: 'undo', arguments: {} } });
+    });
+
+    await check('the tool list is sent with the message', () => {
+      const request = server.requests[server.requests.length - 1];
+      assert.strictEqual(request.messages[1].content, 'Take that back');
+      const names = request.tools.map(tool => tool.function.name);
+      assert.ok(names.includes('schedule_session') && names.includes('add_constraint'), names.join(', '));
+    });
+
+    console.log('\n2. Rejecting invalid calls...');
+    for (const message of ['Organic Chemistry lab at 25:00 on Monday', 'Book me a flight', 'Broken arguments please', 'Answer in prose']) {
+      await check(`no reading for "${message}"`, async () => {
+        assert.strictEqual(await adapter().analyze(message), null);
+      });
+    }
+
+    await check('bad day names and reversed ranges are rejected', () => {
+      const llm = adapter();
+      assert.strictEqual(llm.readToolCall('add_constraint', { days: ['Funday'] }), null);
+      assert.strictEqual(llm.readToolCall('add_constraint', { days: ['Monday'], start_time: '15:00', end_time: '09:00' }), null);
+      assert.strictEqual(llm.readToolCall('modify_session', { change: 'duration' }), null);
+    });
+
+    console.log('\n3. Endpoint failures...');
+    for (const [message, expected] of [['Fail with a server error', /500/], ['Send garbage', /invalid JSON/], ['Take your time', /within 500ms/]]) {
+      await check(`"${message}" throws`, () => assert.rejects(adapter().analyze(message), expected));
+    }
+
+    await check('an unreachable endpoint throws and is skipped for a while', async () => {
+      const llm = new LlmAdapter({ endpoint: `http://127.0.0.1:${closedPort}/v1`, timeoutMs: 500 });
+      await assert.rejects(llm.analyze('I am taking Organic Chemistry'));
+      assert.strictEqual(llm.available, false);
+    });
+
+    console.log('\n4. ChatBot with the adapter...');
+    await db.initialize();
+    const chatBot = new ChatBot(db, null, { llm: adapter() });
+    const unreachableBot = new ChatBot(db, null, {
+      llm: new LlmAdapter({ endpoint: `http://127.0.0.1:${closedPort}/v1`, timeoutMs: 500 })
+    });
+    const rulesBot = new ChatBot(db, null, { llm: null });
+
+    await check('falls back to the rules when the endpoint is down', async () => {
+      const message = 'Add Physics course with high priority';
+      const [fallback, rules] = await Promise.all([unreachableBot.analyze(message), rulesBot.analyze(message)]);
+      assert.strictEqual(fallback.source, undefined);
+      assert.deepStrictEqual(fallback, rules);
+    });
+
+    await check('falls back to the rules when the model answers in prose', async () => {
+      const analysis = await chatBot.analyze('Answer in prose');
+      assert.strictEqual(analysis.source, undefined);
+    });
+
+    await check('a short "yes" is left to the dialogue state', async () => {
+      const before = server.requests.length;
+      await chatBot.analyze('yes');
+      assert.strictEqual(server.requests.length, before);
+    });
+
+    await check('tool calls run through the chat handlers', async () => {
+      await chatBot.processMessage('I am taking Organic Chemistry', USER_ID);
+      const course = (await db.getCoursesByUser(USER_ID)).find(c => c.name === 'Organic Chemistry');
+      assert.ok(course, 'course was not created');
+
+      await chatBot.processMessage('Put Organic Chemistry labs on Tuesdays and Thursdays from two to four', USER_ID);
+      const labs = (await db.getSessionsByUser(USER_ID))
+        .filter(session => session.course_id === course.id && session.type === 'lab' && session.start_time === '14:00')
+        .map(session => session.day_of_week);
+      assert.ok(labs.includes(2) && labs.includes(4), `lab days: ${labs.join(', ')}`);
+
+      const countFriday = async () => (await db.getConstraintsByUser(USER_ID))
+        .filter(c => c.day_of_week === 5 && c.start_time === '17:00' && c.end_time === '21:00').length;
+      const fridays = await countFriday();
+      const added = await chatBot.processMessage('Keep my Friday evenings free', USER_ID);
+      assert.strictEqual(added.intent, 'add_constraint');
+      assert.strictEqual(await countFriday(), fridays + 1);
+
+      const undone = await chatBot.processMessage('Take that back', USER_ID);
+      assert.strictEqual(undone.intent, 'undo');
+      assert.strictEqual(await countFriday(), fridays);
+    });
+
+    await check('a constraint with a start but no end asks until when', async () => {
+      const wednesdays = async () => (await db.getConstraintsByUser(USER_ID)).filter(c => c.day_of_week === 3);
+      const before = (await wednesdays()).length;
+
+      const question = await chatBot.processMessage('Block my Wednesday afternoons from 3', USER_ID);
+      assert.deepStrictEqual(question.actions, ['request_constraint_end']);
+      assert.strictEqual((await wednesdays()).length, before);
+
+      const reversed = await chatBot.processMessage('1pm', USER_ID);
+      assert.deepStrictEqual(reversed.actions, ['request_constraint_end']);
+      assert.ok(reversed.text.startsWith('That ends before it starts'), reversed.text);
+
+      const added = await chatBot.processMessage('until 5pm', USER_ID);
+      assert.ok(added.actions.includes('constraint_added'), added.text);
+      const constraint = (await wednesdays()).pop();
+      assert.deepStrictEqual([constraint.start_time, constraint.end_time], ['15:00', '17:00']);
+    });
+  } finally {
+    await closeServer(server);
+    await db.close();
+  }
+
+  console.log(`\n${failures === 0 ? '✅ All LLM adapter tests passed' : `❌ ${failures} LLM adapter tests failed`}`);
+  if (failures > 0) process.exit(1);
+}
+
+testLlm().catch(error => {
+  console.error('❌ Test run failed:', error.message);
+  process.exit(1);
+});
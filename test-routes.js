@@ -0,0 +1,230 @@
+// Tests for the validation behind the Express routes. Starts the server on
+// its own port and talks to it over HTTP.
+// Usage: node test-routes.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const sqlite3 = require('sqlite3');
+const Database = require('./backend/models/Database');
+
+const PORT = process.env.TEST_PORT || 5077;
+const API = `http://localhost:${PORT}/api`;
+
+let failures = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}\n   ${error.message}`);
+  }
+}
+
+// Resolves once the server has initialized its database
+function startServer() {
+  const server = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(__dirname, 'backend'),
+    env: { ...process.env, PORT },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  return new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 20000);
+    const onData = chunk => {
+      output += chunk;
+      if (output.includes('Database initialized')) {
+        clearTimeout(timer);
+        resolve(server);
+      }
+    };
+    server.stdout.on('data', onData);
+    server.stderr.on('data', onData);
+    server.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+}
+
+async function request(method, route, body) {
+  const response = await fetch(`${API}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// A database file whose sessions table predates the flexibility column,
+// holding one session
+async function legacyDatabase() {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'hanu-')), 'legacy.db');
+  const legacy = new sqlite3.Database(file);
+  const exec = sql => new Promise((resolve, reject) => legacy.exec(sql, error => (error ? reject(error) : resolve())));
+  await exec(`CREATE TABLE sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, course_id INTEGER NOT NULL, type TEXT NOT NULL, day_of_week INTEGER NOT NULL,
+    start_time TEXT NOT NULL, end_time TEXT NOT NULL, location TEXT, instructor TEXT, is_active BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  INSERT INTO sessions (course_id, type, day_of_week, start_time, end_time) VALUES (1, 'lecture', 1, '09:00', '10:00');`);
+  await new Promise(resolve => legacy.close(resolve));
+  return file;
+}
+
+async function testRoutes() {
+  console.log('🧪 Testing API routes\n');
+
+  // A user of its own, so runs do not see each other's data
+  const db = new Database();
+  await db.initialize();
+  const userId = await db.createUser({ name: 'Route Tester', email: `routes-${Date.now()}@example.com` });
+  await db.close();
+
+  const server = await startServer();
+  try {
+    console.log('1. Scoring preferences...');
+    await check('objective params of the wrong type are rejected', async () => {
+      const bad = [
+        { freeDays: { days: 5 } },
+        { freeDays: { days: [7] } },
+        { freeDays: null },
+        { noEarlyStart: { before: '9am' } },
+        { coreHours: { weight: 1, to: 18 } }
+      ];
+      for (const objectives of bad) {
+        const { status, body } = await request('PUT', `/preferences/${userId}`, { scoring: { objectives } });
+        assert.strictEqual(status, 400, JSON.stringify(objectives));
+        assert.strictEqual(body.success, false);
+      }
+    });
+
+    await check('params shaped like their defaults are saved', async () => {
+      const objectives = { freeDays: { weight: 1, days: [5, 6] }, noEarlyStart: { weight: 2, before: '10:00' } };
+      const { status } = await request('PUT', `/preferences/${userId}`, { scoring: { objectives } });
+      assert.strictEqual(status, 200);
+      const { body } = await request('GET', `/scoring/objectives/${userId}`);
+      const freeDays = body.data.find(objective => objective.key === 'freeDays');
+      assert.deepStrictEqual([freeDays.weight, freeDays.params.days], [1, [5, 6]]);
+    });
+
+    console.log('\n2. Sessions...');
+    const { body: created } = await request('POST', '/courses', { userId, name: 'Chemistry' });
+    const courseId = created.data.id;
+    const { body: added } = await request('POST', '/sessions', { courseId, type: 'lecture', dayOfWeek: 1, startTime: '09:00', endTime: '10:00' });
+    const sessionId = added.data.id;
+
+    await check('new sessions are pinned', async () => {
+      const { body } = await request('GET', `/sessions/${userId}`);
+      assert.strictEqual(body.data.find(entry => entry.id === sessionId).flexibility, 'pinned');
+    });
+
+    await check('an update sets flexibility, window and section', async () => {
+      const { status, body } = await request('PUT', `/sessions/${sessionId}`, {
+        flexibility: 'same_day', windowStart: '08:00', windowEnd: '12:00', sectionGroup: 'lectures', section: 'A'
+      });
+      assert.strictEqual(status, 200, body.message);
+      assert.deepStrictEqual(
+        [body.data.flexibility, body.data.window_start, body.data.window_end, body.data.section_group, body.data.section, body.data.start_time],
+        ['same_day', '08:00', '12:00', 'lectures', 'A', '09:00']
+      );
+    });
+
+    await check('an update with bad fields is rejected and changes nothing', async () => {
+      const bad = [
+        { flexibility: 'sometimes' },
+        { windowStart: '13:00', windowEnd: '12:00' },
+        { section: null },
+        { startTime: '9am' },
+        { endTime: '08:30' }
+      ];
+      for (const update of bad) {
+        const { status } = await request('PUT', `/sessions/${sessionId}`, update);
+        assert.strictEqual(status, 400, JSON.stringify(update));
+      }
+      const { body } = await request('GET', `/sessions/${userId}`);
+      assert.strictEqual(body.data.find(entry => entry.id === sessionId).flexibility, 'same_day');
+      assert.strictEqual((await request('PUT', '/sessions/999999999', { flexibility: 'pinned' })).status, 404);
+    });
+
+    console.log('\n3. Timetable fixes...');
+    const { body: moving } = await request('POST', '/sessions', { courseId, type: 'lab', dayOfWeek: 2, startTime: '09:00', endTime: '11:00' });
+    const { body: busy } = await request('POST', '/constraints', { userId, type: 'unavailable', dayOfWeek: 4, startTime: '08:00', endTime: '12:00', description: 'Work' });
+    const move = (startTime, endTime) => ({ type: 'move_session', sessionId: moving.data.id, dayOfWeek: 3, startTime, endTime });
+    const activeConstraints = async () => (await request('GET', `/constraints/${userId}`)).body.data.map(constraint => constraint.id);
+
+    await check('a move to times that are not HH:MM is rejected', async () => {
+      for (const [startTime, endTime] of [['9am', '11am'], ['25:00', '26:00'], ['9:00', '11:00'], ['11:00', '09:00']]) {
+        const { status } = await request('POST', `/timetable/fix/${userId}`, { fix: move(startTime, endTime) });
+        assert.strictEqual(status, 400, `${startTime}-${endTime}`);
+      }
+    });
+
+    await check('a move is applied and undone from the chat', async () => {
+      const { status } = await request('POST', `/timetable/fix/${userId}`, { fix: move('13:00', '15:00') });
+      assert.strictEqual(status, 200);
+      const placed = async () => (await request('GET', `/sessions/${userId}`)).body.data.find(entry => entry.id === moving.data.id);
+      assert.deepStrictEqual([(await placed()).day_of_week, (await placed()).start_time], [3, '13:00']);
+      await request('POST', '/chat/undo', { userId });
+      assert.deepStrictEqual([(await placed()).day_of_week, (await placed()).start_time], [2, '09:00']);
+    });
+
+    await check('a relaxed constraint comes back with undo', async () => {
+      const fix = { type: 'relax_constraint', constraintId: busy.data.id, label: 'Relax constraint "Work"' };
+      assert.strictEqual((await request('POST', `/timetable/fix/${userId}`, { fix })).status, 200);
+      assert.ok(!(await activeConstraints()).includes(busy.data.id));
+      const { body } = await request('POST', '/chat/undo', { userId });
+      assert.ok(body.data.text.includes('Relax constraint "Work"'), body.data.text);
+      assert.ok((await activeConstraints()).includes(busy.data.id));
+    });
+
+    console.log('\n4. Parsing text...');
+    await check('natural text is read into entries without saving them', async () => {
+      const before = (await request('GET', `/sessions/${userId}`)).body.data.length;
+      const { status, body } = await request('POST', '/timetable/parse', { text: 'Physics Mon & Wed 9-10:30am; Chemistry lab Fri 2pm for 2 hours' });
+      assert.strictEqual(status, 200, body.message);
+      assert.deepStrictEqual(
+        body.data.entries.map(entry => [entry.subject, entry.day, entry.start_time, entry.end_time, entry.type]),
+        [
+          ['Physics', 'Monday', '09:00', '10:30', 'class'],
+          ['Physics', 'Wednesday', '09:00', '10:30', 'class'],
+          ['Chemistry', 'Friday', '14:00', '16:00', 'lab']
+        ]
+      );
+      assert.strictEqual((await request('GET', `/sessions/${userId}`)).body.data.length, before);
+    });
+
+    await check('a parse without text is rejected', async () => {
+      for (const body of [{}, { text: 42 }]) {
+        assert.strictEqual((await request('POST', '/timetable/parse', body)).status, 400, JSON.stringify(body));
+      }
+    });
+  } finally {
+    server.kill();
+  }
+
+  console.log('\n5. Migrations...');
+  await check('sessions saved before flexibility existed can still move anywhere', async () => {
+    const migrated = new Database();
+    migrated.dbPath = await legacyDatabase();
+    try {
+      await migrated.initialize();
+      const [row] = await migrated.all('SELECT flexibility FROM sessions');
+      assert.strictEqual(row.flexibility, 'any_day');
+    } finally {
+      await migrated.close();
+      fs.rmSync(path.dirname(migrated.dbPath), { recursive: true, force: true });
+    }
+  });
+
+  console.log(`\n${failures === 0 ? '✅ All route tests passed' : `❌ ${failures} route tests failed`}`);
+  if (failures > 0) process.exit(1);
+}
+
+testRoutes().catch(error => {
+  console.error('❌ Test run failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,164 @@
+// Tests for the schedule questions the chatbot answers ("what's my next
+// class?", "which day is lightest?") against a fixed clock
+// Usage: node test-schedule-questions.js
+const assert = require('assert');
+const Database = require('./backend/models/Database');
+const ChatBot = require('./backend/services/ChatBot');
+const ScheduleQuestions = require('./backend/services/ScheduleQuestions');
+
+// Wednesday 14 October 2026, 10:00
+const NOW = () => new Date('2026-10-14T10:00:00');
+
+let failures = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}\n   ${error.message}`);
+  }
+}
+
+function session(courseName, type, day, start, end, location = '') {
+  return { course_name: courseName, type, day_of_week: day, start_time: start, end_time: end, location };
+}
+
+// A placed schedule in the generator's shape
+function timetable(sessions, settings) {
+  const schedule = {};
+  for (let day = 0; day <= 6; day++) schedule[day] = { sessions: [] };
+  sessions.forEach(entry => schedule[entry.day_of_week].sessions.push(entry));
+  return { schedule, settings };
+}
+
+async function testScheduleQuestions() {
+  console.log('🧪 Testing schedule questions\n');
+
+  const week = timetable([
+    session('Physics', 'lecture', 1, '09:00', '11:00', 'Room A101'),
+    session('Physics', 'lab', 3, '09:00', '10:30', 'Lab B2'),
+    session('Physics', 'lab', 3, '14:00', '16:00', 'Lab B2'),
+    session('Math', 'tutorial', 4, '15:00', '16:00'),
+    { ...session('Math', 'study', 5, '10:00', '11:00'), isStudyBlock: true }
+  ], { dayStart: '08:00', dayEnd: '18:00', days: [1, 2, 3, 4, 5] });
+
+  console.log('1. Answers from a timetable...');
+  const questions = new ScheduleQuestions({ now: NOW });
+
+  await check('next class is the one in progress', () => {
+    const next = questions.nextClass(week);
+    assert.strictEqual(next.session.type, 'lab');
+    assert.strictEqual(next.ongoing, true);
+  });
+
+  await check('next class after the last one of the day wraps to later days', () => {
+    const evening = new ScheduleQuestions({ now: () => new Date('2026-10-14T17:00:00') });
+    const next = evening.nextClass(week);
+    assert.deepStrictEqual([next.day, next.daysAhead, next.session.course_name], [4, 1, 'Math']);
+    assert.strictEqual(next.startsIn, 22 * 60);
+  });
+
+  await check('free time skips classes, study blocks and unavailable times', () => {
+    const slots = questions.freeTime(week, {
+      days: [3, 5],
+      minutes: 60,
+      constraints: [
+        { type: 'unavailable', day_of_week: 3, start_time: '12:00', end_time: '13:00' },
+        { type: 'preferred', day_of_week: null, start_time: '08:00', end_time: '18:00' }
+      ]
+    });
+    assert.deepStrictEqual(slots.map(slot => `${slot.day} ${slot.start_time}-${slot.end_time}`), [
+      '3 08:00-09:00', '3 10:30-12:00', '3 13:00-14:00', '3 16:00-18:00', '5 08:00-10:00', '5 11:00-18:00'
+    ]);
+  });
+
+  await check('free time today starts now', () => {
+    const slots = questions.freeTime(week, { days: [3], fromNow: true });
+    assert.strictEqual(slots[0].start_time, '10:30');
+    const later = new ScheduleQuestions({ now: () => new Date('2026-10-14T11:15:00') });
+    assert.strictEqual(later.freeTime(week, { days: [3], fromNow: true })[0].start_time, '11:15');
+  });
+
+  await check('hours per session type', () => {
+    assert.deepStrictEqual(questions.hoursByType(week), {
+      lecture: { minutes: 120, sessions: 1 },
+      lab: { minutes: 210, sessions: 2 },
+      tutorial: { minutes: 60, sessions: 1 },
+      study: { minutes: 60, sessions: 1 }
+    });
+  });
+
+  await check('a class by time looks from today onwards', () => {
+    const found = questions.sessionsAt(week, { time: '15:00' });
+    assert.strictEqual(found.day, 3);
+    assert.strictEqual(found.sessions[0].location, 'Lab B2');
+    assert.strictEqual(questions.sessionsAt(week, { time: '09:30', day: 1 }).sessions[0].type, 'lecture');
+    assert.strictEqual(questions.sessionsAt(week, { course_name: 'math' }).day, 4);
+  });
+
+  await check('day loads put the lightest first', () => {
+    const loads = questions.dayLoads(week);
+    assert.deepStrictEqual(loads.map(load => load.day), [2, 5, 4, 1, 3]);
+    assert.strictEqual(loads[loads.length - 1].minutes, 210);
+  });
+
+  console.log('\n2. Asking the chatbot...');
+  const db = new Database();
+  try {
+    await db.initialize();
+    const userId = await db.createUser({ name: 'Question Tester', email: `questions-${Date.now()}@example.com` });
+    const courseId = await db.createCourse({ userId, name: 'Physics', code: 'PHY101', priority: 1, credits: 3, color: '#3B82F6', description: '' });
+    await db.createSession({ courseId, type: 'lecture', dayOfWeek: 1, startTime: '09:00', endTime: '11:00', location: 'Room A101' });
+    await db.createSession({ courseId, type: 'lab', dayOfWeek: 3, startTime: '14:00', endTime: '16:00', location: 'Lab B2' });
+    const chatBot = new ChatBot(db, null, { llm: null, now: NOW });
+    const ask = message => chatBot.processMessage(message, userId);
+
+    await check('"what\'s my next class?"', async () => {
+      const reply = await ask("what's my next class?");
+      assert.strictEqual(reply.intent, 'next_class');
+      assert.ok(reply.text.includes('today at 14:00 (in 4 hours) in Lab B2'), reply.text);
+    });
+
+    await check('"when am I free on Wednesday for 2 hours?"', async () => {
+      const reply = await ask('when am I free on Wednesday for 2 hours?');
+      assert.strictEqual(reply.intent, 'free_time');
+      assert.deepStrictEqual(reply.data.map(slot => slot.start_time), ['08:00', '16:00']);
+    });
+
+    await check('"how many hours of labs do I have this week?"', async () => {
+      const reply = await ask('how many hours of labs do I have this week?');
+      assert.strictEqual(reply.intent, 'hours_summary');
+      assert.deepStrictEqual(reply.data, { lab: { minutes: 120, sessions: 1 } });
+    });
+
+    await check('"where is my 3pm class?"', async () => {
+      const reply = await ask('where is my 3pm class?');
+      assert.strictEqual(reply.intent, 'where_is');
+      assert.ok(reply.text.includes('Lab B2'), reply.text);
+    });
+
+    await check('"which day is lightest?"', async () => {
+      const reply = await ask('which day is lightest?');
+      assert.strictEqual(reply.intent, 'lightest_day');
+      assert.ok(reply.text.includes('**Tuesday, Thursday and Friday**'), reply.text);
+    });
+
+    await check('"what do I have today?" shows only Wednesday', async () => {
+      const reply = await ask('what do I have today?');
+      assert.strictEqual(reply.intent, 'show_schedule');
+      assert.deepStrictEqual(Object.keys(reply.data), ['Wednesday']);
+    });
+  } finally {
+    await db.close();
+  }
+
+  console.log(`\n${failures === 0 ? '✅ All schedule question tests passed' : `❌ ${failures} schedule question tests failed`}`);
+  if (failures > 0) process.exit(1);
+}
+
+testScheduleQuestions().catch(error => {
+  console.error('❌ Test run failed:', error.message);
+  process.exit(1);
+});
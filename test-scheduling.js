@@ -0,0 +1,388 @@
+// Behaviour tests for the timetable generator: constraint types, the CSP
+// strategy's unsatisfiable cores, seeded optimizer runs, hard workload
+// limits, minimal repairs, working hours, walking time between buildings,
+// course sections and self-study blocks. Everything runs on in-memory data, no database needed.
+// Usage: node test-scheduling.js
+const assert = require('assert');
+const TimetableGenerator = require('./backend/services/TimetableGenerator');
+const CspSolver = require('./backend/services/CspSolver');
+const LocalSearchOptimizer = require('./backend/services/LocalSearchOptimizer');
+const WorkloadLimits = require('./backend/services/WorkloadLimits');
+const LocationRegistry = require('./backend/services/LocationRegistry');
+
+let failures = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}\n   ${error.message}`);
+  }
+}
+
+function session(id, courseId, type, day, start, end, flexibility = 'pinned') {
+  return {
+    id,
+    course_id: courseId,
+    course_name: `Course ${courseId}`,
+    type,
+    day_of_week: day,
+    start_time: start,
+    end_time: end,
+    location: '',
+    flexibility
+  };
+}
+
+function unavailable(id, day, start, end) {
+  return { id, type: 'unavailable', day_of_week: day, start_time: start, end_time: end, description: `Busy ${id}`, is_active: 1 };
+}
+
+function constraint(id, type, day, start, end, extra = {}) {
+  return { id, type, day_of_week: day, start_time: start, end_time: end, description: `${type} ${id}`, is_active: 1, ...extra };
+}
+
+function schedulingData(sessions, constraints = []) {
+  const courseIds = [...new Set(sessions.map(entry => entry.course_id))];
+  return {
+    courses: courseIds.map(id => ({ id, name: `Course ${id}`, priority: 1, credits: 3 })),
+    sessions,
+    constraints,
+    preferences: {},
+    locations: {}
+  };
+}
+
+// Teaching minutes per day of a placed schedule
+function minutesPerDay(schedule) {
+  const toMinutes = time => Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+  return Object.fromEntries(Object.entries(schedule).map(([day, dayData]) => [day, dayData.sessions
+    .filter(entry => !entry.isStudyBlock)
+    .reduce((total, entry) => total + toMinutes(entry.end_time) - toMinutes(entry.start_time), 0)]));
+}
+
+function placedAt(timetable, id) {
+  for (const [day, dayData] of Object.entries(timetable.schedule)) {
+    const found = dayData.sessions.find(entry => entry.id === id);
+    if (found) return `${day} ${found.start_time}-${found.end_time}`;
+  }
+  return null;
+}
+
+async function testScheduling() {
+  console.log('🧪 Testing timetable generation\n');
+  const generator = new TimetableGenerator(null);
+
+  console.log('1. Constraint types...');
+  await check('a break keeps flexible sessions out of its window', () => {
+    const data = schedulingData([session(1, 1, 'lecture', 1, '12:00', '13:00', 'same_day')], [constraint(10, 'break', 1, '12:00', '13:00')]);
+    for (const strategy of ['greedy', 'csp']) {
+      const timetable = generator.buildTimetable(data, { strategy });
+      const slot = placedAt(timetable, 1);
+      assert.ok(slot && slot !== '1 12:00-13:00', `${strategy}: ${slot}`);
+      assert.strictEqual(generator.evaluateConstraints(timetable.schedule, data.constraints)[0].status, 'satisfied');
+    }
+  });
+
+  await check('no_back_to_back leaves its gap between sessions', () => {
+    const data = schedulingData(
+      [session(1, 1, 'lecture', 1, '09:00', '10:00', 'same_day'), session(2, 2, 'lecture', 1, '10:00', '11:00', 'same_day')],
+      [constraint(10, 'no_back_to_back', null, null, null, { min_gap_minutes: 30 })]
+    );
+    for (const strategy of ['greedy', 'csp']) {
+      const timetable = generator.buildTimetable(data, { strategy });
+      const [first, second] = timetable.schedule[1].sessions;
+      assert.ok(generator.calculateDuration(first.end_time, second.start_time) >= 30, `${strategy}: ${placedAt(timetable, 1)} ${placedAt(timetable, 2)}`);
+    }
+  });
+
+  await check('a displaced session moves into a preferred window', () => {
+    const data = schedulingData(
+      [session(1, 1, 'lecture', 1, '09:00', '10:00'), session(2, 2, 'lecture', 1, '09:00', '10:00', 'same_day')],
+      [constraint(10, 'preferred', 1, '14:00', '16:00')]
+    );
+    const timetable = generator.buildTimetable(data);
+    const slot = placedAt(timetable, 2);
+    assert.ok(slot >= '1 14:00' && slot <= '1 15:00', slot);
+    assert.deepStrictEqual(generator.evaluateConstraints(timetable.schedule, data.constraints)[0].violatedBy, [1]);
+  });
+
+  console.log('\n2. CSP unsatisfiable cores...');
+  // Two pinned sessions fight over Monday morning; the Tuesday one is not
+  // part of the clash
+  const clash = [
+    session(1, 1, 'lecture', 1, '09:00', '11:00'),
+    session(2, 2, 'lecture', 1, '10:00', '12:00'),
+    session(3, 3, 'lecture', 2, '09:00', '10:00')
+  ];
+
+  await check('the core holds only the clashing sessions', () => {
+    const timetable = generator.buildTimetable(schedulingData(clash), { strategy: 'csp' });
+    assert.strictEqual(timetable.conflicts.length, 1);
+    const { core } = timetable.conflicts[0];
+    assert.deepStrictEqual(core.sessions.map(entry => entry.id).sort(), [1, 2]);
+    assert.strictEqual(core.minimal, true);
+    assert.ok(placedAt(timetable, 3));
+  });
+
+  await check('the core holds only the constraints that empty a domain', () => {
+    const constraints = [unavailable(10, 1, '08:00', '21:00'), unavailable(11, 5, '08:00', '12:00')];
+    const data = schedulingData([session(1, 1, 'lab', 1, '14:00', '16:00', 'same_day')], constraints);
+    const timetable = generator.buildTimetable(data, { strategy: 'csp' });
+    assert.deepStrictEqual(timetable.conflicts[0].core.constraints.map(constraint => constraint.id), [10]);
+  });
+
+  await check('core probes do not share the main search budget', () => {
+    const solver = new CspSolver(generator, { maxNodes: 1 });
+    const spent = { nodes: 1, probeNodes: 0, searches: 0 };
+    const core = solver.findMinimalCore(clash, [], spent);
+    assert.deepStrictEqual(core.sessions.map(entry => entry.id).sort(), [1, 2]);
+    assert.strictEqual(core.minimal, true);
+    assert.ok(spent.probeNodes > 0);
+  });
+
+  await check('a core cut short by its probe budget says it is not minimal', () => {
+    const solver = new CspSolver(generator, { maxProbeNodes: 1 });
+    const core = solver.findMinimalCore(clash, [], { nodes: 0, probeNodes: 0, searches: 0 });
+    assert.strictEqual(core.minimal, false);
+    const conflict = generator.describeUnsatisfiableCore(clash[1], core);
+    assert.ok(conflict.reason.includes('ran out of nodes'), conflict.reason);
+  });
+
+  await check('a search cut short keeps its partial assignment', () => {
+    const sessions = [1, 2, 3, 4, 5, 6].map(id => session(id, id, 'lecture', 1 + (id % 5), '09:00', '10:00', 'any_day'));
+    const result = new CspSolver(generator, { maxNodes: 3 }).solve(sessions, []);
+    assert.strictEqual(result.stats.complete, false);
+    assert.strictEqual(result.assignment.size, 3);
+    assert.deepStrictEqual(result.unresolved.map(entry => entry.id).sort(), sessions.filter(entry => !result.assignment.has(entry)).map(entry => entry.id).sort());
+    assert.strictEqual(result.unresolved.length, 3);
+  });
+
+  console.log('\n3. Seeded optimizer runs...');
+  const flexible = [
+    session(1, 1, 'lecture', 1, '09:00', '11:00', 'any_day'),
+    session(2, 1, 'lab', 1, '11:00', '13:00', 'any_day'),
+    session(3, 2, 'lecture', 1, '14:00', '16:00', 'any_day'),
+    session(4, 2, 'tutorial', 3, '09:00', '10:00', 'same_day'),
+    session(5, 3, 'seminar', 4, '15:00', '17:00', 'any_day')
+  ];
+  const base = generator.buildTimetable(schedulingData(flexible));
+  const optimize = options => new LocalSearchOptimizer(generator, options).optimize(base.schedule, base.conflicts, []);
+
+  await check('the same seed gives the same timetable', () => {
+    const first = optimize({ seed: 42, maxIterations: 300 });
+    const second = optimize({ seed: 42, maxIterations: 300 });
+    assert.strictEqual(generator.getScheduleSignature(first.schedule), generator.getScheduleSignature(second.schedule));
+    assert.deepStrictEqual(first.summary.moves, second.summary.moves);
+    assert.deepStrictEqual([first.summary.stoppedBy, first.summary.reproducible], ['iterations', true]);
+  });
+
+  await check('a run cut short by a time limit is not reproducible', () => {
+    const run = optimize({ seed: 42, maxIterations: 100000000, timeLimitMs: 1 });
+    assert.deepStrictEqual([run.summary.stoppedBy, run.summary.reproducible], ['time', false]);
+  });
+
+  await check('alternatives are the same from one request to the next', () => {
+    const data = schedulingData(flexible);
+    const signatures = () => generator.buildAlternatives(data, { count: 3, seed: 7 }).alternatives
+      .map(alternative => generator.getScheduleSignature(alternative.schedule));
+    assert.deepStrictEqual(signatures(), signatures());
+  });
+
+  await check('alternatives are distinct, best first and each fully described', () => {
+    const { alternatives, differences } = generator.buildAlternatives(schedulingData(flexible), { count: 3, seed: 7 });
+    assert.strictEqual(alternatives.length, 3);
+    const signatures = alternatives.map(alternative => generator.getScheduleSignature(alternative.schedule));
+    assert.strictEqual(new Set(signatures).size, 3);
+    assert.strictEqual(new Set(alternatives.map(alternative => alternative.id)).size, 3);
+    for (let i = 1; i < alternatives.length; i++) {
+      assert.ok(generator.compareTimetables(alternatives[i - 1], alternatives[i]) <= 0, `alternative ${i} ranks above ${i - 1}`);
+    }
+    alternatives.forEach(alternative => {
+      assert.strictEqual(alternative.stats.totalSessions, flexible.length);
+      assert.ok(Array.isArray(alternative.constraintReport));
+    });
+    // Every session placed differently somewhere is listed, with each placement
+    assert.ok(differences.length > 0);
+    differences.forEach(difference => {
+      assert.strictEqual(difference.placements.length, 3);
+      const slots = difference.placements.map(placement => `${placement.dayOfWeek}@${placement.startTime}`);
+      assert.ok(new Set(slots).size > 1, difference.courseName);
+    });
+  });
+
+  console.log('\n4. Hard workload limits...');
+  const limited = new TimetableGenerator(null, {}, new LocationRegistry(), new WorkloadLimits({ maxHoursPerDay: { hours: 2, mode: 'hard' } }));
+
+  await check('flexible sessions are spread so no day goes over the limit', () => {
+    for (const strategy of ['greedy', 'csp']) {
+      const timetable = limited.buildTimetable(schedulingData(flexible.slice(0, 3)), { strategy });
+      assert.strictEqual(timetable.conflicts.length, 0, strategy);
+      Object.values(minutesPerDay(timetable.schedule)).forEach(minutes => assert.ok(minutes <= 120, `${strategy}: ${minutes} minutes`));
+    }
+  });
+
+  await check('pinned sessions over the limit are a conflict that names it', () => {
+    const pinned = [session(1, 1, 'lecture', 1, '09:00', '11:00'), session(2, 2, 'lecture', 1, '13:00', '15:00')];
+    const timetable = limited.buildTimetable(schedulingData(pinned), { strategy: 'csp' });
+    assert.strictEqual(timetable.conflicts.length, 1);
+    assert.deepStrictEqual(timetable.conflicts[0].limits.map(limit => limit.limit), ['maxHoursPerDay']);
+    assert.ok(minutesPerDay(timetable.schedule)[1] <= 120);
+  });
+
+  console.log('\n5. Minimal repairs...');
+  const previous = generator.buildTimetable(schedulingData(flexible));
+
+  await check('nothing moves when nothing changed', () => {
+    const repaired = generator.buildRepair(schedulingData(flexible), previous);
+    assert.deepStrictEqual([repaired.repair.changed, repaired.repair.kept], [false, flexible.length]);
+  });
+
+  await check('an edited request moves only that session', () => {
+    const edited = flexible.map(entry => (entry.id === 5 ? { ...entry, day_of_week: 2, start_time: '10:00', end_time: '12:00' } : entry));
+    const repaired = generator.buildRepair(schedulingData(edited), previous);
+    assert.deepStrictEqual(repaired.repair.displaced.map(move => [move.sessionId, move.reason]), [[5, 'request_changed']]);
+    assert.strictEqual(repaired.repair.kept, flexible.length - 1);
+    flexible.filter(entry => entry.id !== 5).forEach(entry => assert.strictEqual(placedAt(repaired, entry.id), placedAt(previous, entry.id)));
+  });
+
+  await check('a new constraint displaces only the sessions it covers', () => {
+    const constraints = [unavailable(10, 1, '09:00', '13:00')];
+    const repaired = generator.buildRepair(schedulingData(flexible, constraints), previous);
+    const moved = repaired.repair.displaced.map(move => move.sessionId).sort();
+    const covered = flexible
+      .filter(entry => { const slot = placedAt(previous, entry.id); return slot.startsWith('1 ') && slot.slice(2, 7) < '13:00'; })
+      .map(entry => entry.id)
+      .sort();
+    assert.deepStrictEqual(moved, covered);
+    assert.strictEqual(repaired.conflicts.length, 0);
+  });
+
+  console.log('\n6. Working hours...');
+  const office = new TimetableGenerator(null, { dayStart: '09:00', dayEnd: '17:00', days: [1, 2, 3, 4, 5] });
+
+  await check('a requested slot outside the working hours is not offered', () => {
+    const early = session(1, 1, 'lecture', 1, '07:00', '08:00', 'same_day');
+    const weekend = session(2, 2, 'lecture', 6, '10:00', '11:00', 'any_day');
+    [early, weekend].forEach(entry => office.getCandidatePlacements(entry, []).forEach(candidate => {
+      assert.ok([1, 2, 3, 4, 5].includes(candidate.dayOfWeek), `day ${candidate.dayOfWeek}`);
+      assert.ok(candidate.startTime >= '09:00' && candidate.endTime <= '17:00', `${candidate.startTime}-${candidate.endTime}`);
+    }));
+    const timetable = office.buildTimetable(schedulingData([early, weekend]));
+    assert.strictEqual(timetable.conflicts.length, 0);
+    assert.ok(placedAt(timetable, 1).startsWith('1 '), placedAt(timetable, 1));
+    assert.ok(!placedAt(timetable, 2).startsWith('6 '), placedAt(timetable, 2));
+  });
+
+  await check('a pinned session outside the working hours is a hard conflict', () => {
+    for (const strategy of ['greedy', 'csp']) {
+      const timetable = office.buildTimetable(schedulingData([session(1, 1, 'lecture', 1, '18:00', '19:00')]), { strategy });
+      assert.strictEqual(placedAt(timetable, 1), null, strategy);
+      assert.strictEqual(timetable.conflicts.length, 1, strategy);
+      assert.ok(timetable.conflicts[0].reason.includes('outside the working days and hours'), timetable.conflicts[0].reason);
+    }
+  });
+
+  console.log('\n7. Walking time...');
+  const campus = new TimetableGenerator(null, {}, new LocationRegistry({
+    buildings: [{ id: 1, name: 'Science', code: 'SCI' }, { id: 2, name: 'Arts', code: 'ART' }],
+    walkingTimes: [{ from_building_id: 1, to_building_id: 2, minutes: 20 }]
+  }));
+  const at = (entry, location) => ({ ...entry, location });
+
+  await check('a flexible session leaves time for the walk from the last building', () => {
+    const sessions = [at(session(1, 1, 'lecture', 1, '09:00', '10:00'), 'SCI 101'), at(session(2, 2, 'lab', 1, '10:00', '11:00', 'same_day'), 'ART 5')];
+    for (const strategy of ['greedy', 'csp']) {
+      const timetable = campus.buildTimetable(schedulingData(sessions), { strategy });
+      const [first, second] = timetable.schedule[1].sessions;
+      assert.ok(campus.calculateDuration(first.end_time, second.start_time) >= 20, `${strategy}: ${placedAt(timetable, 2)}`);
+    }
+  });
+
+  await check('pinned sessions without time to walk clash and name the transfer', () => {
+    const sessions = [at(session(1, 1, 'lecture', 1, '09:00', '10:00'), 'SCI 101'), at(session(2, 2, 'lab', 1, '10:10', '11:00'), 'ART 5')];
+    const timetable = campus.buildTimetable(schedulingData(sessions));
+    assert.strictEqual(timetable.conflicts.length, 1);
+    assert.deepStrictEqual(timetable.conflicts[0].clashesWith[0].transfer, { from: 'Science', to: 'Arts', minutes: 20 });
+    assert.strictEqual(generator.buildTimetable(schedulingData(sessions)).conflicts.length, 0);
+  });
+
+  await check('suggestions name a tight transfer', () => {
+    const sessions = [at(session(1, 1, 'lecture', 1, '09:00', '10:00'), 'SCI 101'), at(session(2, 2, 'lab', 1, '10:22', '11:00'), 'ART 5')];
+    const timetable = campus.buildTimetable(schedulingData(sessions));
+    assert.ok(timetable.suggestions.includes(
+      'Tight transfer on Monday: Course 1 (SCI 101, ends 10:00) to Course 2 (ART 5, starts 10:22) leaves 22 min for a 20 min walk'
+    ), timetable.suggestions.join('; '));
+  });
+
+  console.log('\n8. Course sections...');
+  const inSection = (entry, section) => ({ ...entry, section_group: 'lecture', section });
+  const offered = [
+    inSection(session(1, 1, 'lecture', 1, '09:00', '10:30'), 'A'),
+    inSection(session(2, 1, 'lecture', 3, '09:00', '10:30'), 'A'),
+    inSection(session(3, 1, 'lecture', 2, '14:00', '15:30'), 'B'),
+    inSection(session(4, 1, 'lecture', 4, '14:00', '15:30'), 'B')
+  ];
+
+  await check('the section that avoids a clash is chosen, and only that section is placed', () => {
+    const sessions = [...offered, session(5, 2, 'lab', 3, '09:00', '11:00')];
+    for (const strategy of ['greedy', 'csp']) {
+      const timetable = generator.buildTimetable(schedulingData(sessions), { strategy });
+      assert.strictEqual(timetable.conflicts.length, 0, strategy);
+      assert.deepStrictEqual(timetable.sections.map(choice => [choice.group, choice.section, choice.options]), [['lecture', 'B', ['A', 'B']]]);
+      assert.deepStrictEqual([1, 2].map(id => placedAt(timetable, id)), [null, null]);
+      assert.deepStrictEqual([3, 4].map(id => placedAt(timetable, id)), ['2 14:00-15:30', '4 14:00-15:30']);
+    }
+  });
+
+  await check('without a clash the better scoring section is chosen', () => {
+    const chosen = objectives => generator.buildTimetable({ ...schedulingData(offered), preferences: { scoring: { objectives } } }).sections[0].section;
+    assert.strictEqual(chosen({ noLateFinish: { weight: 1, after: '12:00' } }), 'A');
+    assert.strictEqual(chosen({ noEarlyStart: { weight: 1, before: '12:00' } }), 'B');
+  });
+
+  console.log('\n9. Self-study blocks...');
+  const studyBlocks = timetable => Object.entries(timetable.schedule)
+    .flatMap(([day, dayData]) => dayData.sessions.filter(entry => entry.isStudyBlock).map(entry => ({ day: Number(day), ...entry })));
+
+  await check('study blocks cover the weekly target inside the preferred window', () => {
+    const data = schedulingData([session(1, 1, 'lecture', 2, '14:00', '15:00')], [constraint(10, 'preferred', 2, '14:00', '18:00')]);
+    data.courses[0] = { ...data.courses[0], credits: 2, study_hours_per_credit: 1 };
+    const timetable = generator.buildTimetable(data);
+    const blocks = studyBlocks(timetable);
+    assert.strictEqual(blocks.length, 2);
+    blocks.forEach(block => {
+      assert.ok(block.day === 2 && block.start_time >= '15:00' && block.end_time <= '18:00', `${block.day} ${block.start_time}`);
+      assert.strictEqual(block.course_id, 1);
+    });
+    assert.deepStrictEqual(timetable.studyPlan.map(plan => [plan.courseId, plan.targetMinutes, plan.scheduledMinutes]), [[1, 120, 120]]);
+  });
+
+  await check('study blocks are counted apart from classes', () => {
+    const data = schedulingData([session(1, 1, 'lecture', 1, '09:00', '10:00')]);
+    data.courses[0] = { ...data.courses[0], credits: 3, study_hours_per_credit: 0.5 };
+    const { stats } = generator.buildTimetable(data);
+    assert.deepStrictEqual([stats.totalSessions, stats.totalHours, stats.studyBlocks, stats.studyHours], [1, 1, 2, 1.5]);
+  });
+
+  await check('study blocks stay out of unavailable time and say when the target does not fit', () => {
+    // Only Wednesday 20:00-21:00 is free
+    const constraints = [1, 2, 3, 4, 5].map(day => unavailable(10 + day, day, '08:00', day === 3 ? '20:00' : '21:00'));
+    const data = schedulingData([], constraints);
+    data.courses = [{ id: 1, name: 'Course 1', priority: 1, credits: 3, study_hours_per_credit: 1 }];
+    const timetable = generator.buildTimetable(data);
+    const blocks = studyBlocks(timetable);
+    assert.deepStrictEqual(blocks.map(block => `${block.day} ${block.start_time}-${block.end_time}`), ['3 20:00-21:00']);
+    assert.ok(timetable.suggestions.some(text => text.startsWith('Only 1h of the 3h weekly study target for Course 1')), timetable.suggestions.join('; '));
+  });
+
+  console.log(`\n${failures === 0 ? '✅ All scheduling tests passed' : `❌ ${failures} scheduling tests failed`}`);
+  if (failures > 0) process.exit(1);
+}
+
+testScheduling().catch(error => {
+  console.error('❌ Test run failed:', error.message);
+  process.exit(1);
+});
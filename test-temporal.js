@@ -0,0 +1,34 @@
+// Fixture tests for the temporal parser shared by the chatbot and the
+// natural-text timetable parser
+// Usage: node test-temporal.js
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const TemporalParser = require('./backend/utils/TemporalParser');
+
+const FIXTURES_PATH = path.join(__dirname, 'backend/data/temporal-fixtures.json');
+
+function testTemporal() {
+  console.log('🧪 Testing the temporal parser\n');
+
+  const fixtures = JSON.parse(fs.readFileSync(FIXTURES_PATH, 'utf8'));
+  let failures = 0;
+
+  fixtures.cases.forEach(({ text, now, expected }) => {
+    // Relative days are read against a fixed clock
+    const parser = new TemporalParser({ now: () => new Date(now || fixtures.now) });
+    const actual = parser.parse(text);
+    try {
+      assert.deepStrictEqual(actual, expected);
+    } catch (error) {
+      failures++;
+      console.log(`❌ "${text}"\n   expected ${JSON.stringify(expected)}\n   got      ${JSON.stringify(actual)}`);
+    }
+  });
+
+  const passed = fixtures.cases.length - failures;
+  console.log(`\n${failures === 0 ? '✅' : '❌'} ${passed} of ${fixtures.cases.length} fixtures passed`);
+  if (failures > 0) process.exit(1);
+}
+
+testTemporal();